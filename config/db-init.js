@@ -10,52 +10,1178 @@
  */
 
 const { pool } = require('./db');
-const bcrypt = require('bcryptjs');
+const { hashPassword } = require('../utils/passwordHash');
+const { ROLES } = require('../models/User');
+const { PERMISSIONS, PERMISSION_DESCRIPTIONS } = require('../models/Permission');
+
+// Permissions the org_admin role starts with - administrators can change them later
+const ORG_ADMIN_PERMISSIONS = [
+  PERMISSIONS.USERS_READ,
+  PERMISSIONS.USERS_CREATE,
+  PERMISSIONS.USERS_UPDATE,
+  PERMISSIONS.USERS_DELETE,
+  PERMISSIONS.USERS_UNLOCK,
+  PERMISSIONS.USERS_SESSIONS,
+  PERMISSIONS.ROLES_READ,
+  PERMISSIONS.ORGANIZATIONS_READ
+];
+
+/**
+ * Add Column If Missing
+ *
+ * Brings tables created by an earlier release up to date. CREATE TABLE
+ * IF NOT EXISTS never alters an existing table, so columns added later
+ * are applied here as well.
+ *
+ * @param {Object} connection - Pool connection
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {string} definition - Column definition SQL
+ * @returns {Promise<void>}
+ */
+async function addColumnIfMissing(connection, table, column, definition) {
+  const [rows] = await connection.query(
+    `SELECT COUNT(*) AS count
+     FROM information_schema.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+    [table, column]
+  );
+
+  if (rows[0].count === 0) {
+    await connection.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    console.log(`Added column ${table}.${column}`);
+  }
+}
+
+/**
+ * Modify Column If Type Differs
+ *
+ * Applies a new column definition to tables created by an earlier
+ * release whose column still has an older data type.
+ *
+ * @param {Object} connection - Pool connection
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {string} dataType - Expected data type, e.g. 'varchar'
+ * @param {string} definition - Column definition SQL
+ * @returns {Promise<void>}
+ */
+async function modifyColumnIfTypeDiffers(connection, table, column, dataType, definition) {
+  const [rows] = await connection.query(
+    `SELECT DATA_TYPE AS dataType
+     FROM information_schema.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+    [table, column]
+  );
+
+  if (rows.length > 0 && rows[0].dataType !== dataType) {
+    await connection.query(`ALTER TABLE ${table} MODIFY COLUMN ${column} ${definition}`);
+    console.log(`Changed column ${table}.${column} to ${dataType}`);
+  }
+}
+
+/**
+ * Database Schema Definition
+ *
+ * Creates the users table with the following structure:
+ * - id: Primary key, auto-incrementing integer
+ * - username: Unique username (max 50 characters)
+ * - email: Unique email address (max 100 characters)
+ * - password: Hashed password with algorithm and cost identifier (255 characters)
+ * - role: Name of the user's primary role; all assigned roles are in user_roles
+ * - email_verified_at: When the current email address was verified (NULL if unverified)
+ * - mfa_enabled: Whether TOTP two-factor authentication is active
+ * - mfa_secret: Base32 TOTP secret (pending until mfa_enabled is set)
+ * - mfa_last_step: Last accepted TOTP time step, prevents code replay
+ * - failed_login_count: Consecutive failed logins since the last success
+ * - last_failed_login_at: Time of the most recent failed login
+ * - locked_until: Account lockout expiry (NULL if not locked)
+ * - magic_link_enabled: Whether the user opted in to sign-in links by email
+ * - created_at: Record creation timestamp
+ * - updated_at: Last modification timestamp
+ */
+
+/**
+ * Create Users Table
+ *
+ * Creates the users table if it doesn't exist.
+ * Includes proper indexing and constraints for data integrity.
+ *
+ * @returns {Promise<boolean>} Success status
+ */
+async function createUsersTable() {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS users (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        username VARCHAR(50) UNIQUE NOT NULL,
+        email VARCHAR(100) UNIQUE NOT NULL,
+        password VARCHAR(255) NOT NULL,
+        role VARCHAR(50) NOT NULL DEFAULT 'user',
+        email_verified_at DATETIME NULL,
+        mfa_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+        mfa_secret VARCHAR(64) NULL,
+        mfa_last_step BIGINT NULL,
+        failed_login_count INT NOT NULL DEFAULT 0,
+        last_failed_login_at DATETIME NULL,
+        locked_until DATETIME NULL,
+        magic_link_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_username (username),
+        INDEX idx_email (email),
+        INDEX idx_role (role)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // Columns added after the initial release
+    await addColumnIfMissing(connection, 'users', 'email_verified_at', 'DATETIME NULL AFTER role');
+    await addColumnIfMissing(connection, 'users', 'mfa_enabled', 'BOOLEAN NOT NULL DEFAULT FALSE AFTER email_verified_at');
+    await addColumnIfMissing(connection, 'users', 'mfa_secret', 'VARCHAR(64) NULL AFTER mfa_enabled');
+    await addColumnIfMissing(connection, 'users', 'mfa_last_step', 'BIGINT NULL AFTER mfa_secret');
+    await addColumnIfMissing(connection, 'users', 'failed_login_count', 'INT NOT NULL DEFAULT 0 AFTER mfa_last_step');
+    await addColumnIfMissing(connection, 'users', 'last_failed_login_at', 'DATETIME NULL AFTER failed_login_count');
+    await addColumnIfMissing(connection, 'users', 'locked_until', 'DATETIME NULL AFTER last_failed_login_at');
+    await addColumnIfMissing(connection, 'users', 'magic_link_enabled', 'BOOLEAN NOT NULL DEFAULT FALSE AFTER locked_until');
+
+    // Roles used to be a fixed ENUM; custom roles need free-form names
+    await modifyColumnIfTypeDiffers(connection, 'users', 'role', 'varchar', "VARCHAR(50) NOT NULL DEFAULT 'user'");
+
+    console.log('Users table created successfully');
+    return true;
+  } catch (error) {
+    console.error('Error creating users table:', error.message);
+    return false;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Create Refresh Tokens Table
+ *
+ * Stores hashed refresh tokens issued at login. Tokens belonging to the
+ * same login session share a family_id; each rotation revokes the previous
+ * token and records its successor in replaced_by so reuse can be detected.
+ *
+ * @returns {Promise<boolean>} Success status
+ */
+async function createRefreshTokensTable() {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS refresh_tokens (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        token_hash CHAR(64) UNIQUE NOT NULL,
+        family_id CHAR(36) NOT NULL,
+        replaced_by INT NULL,
+        expires_at DATETIME NOT NULL,
+        revoked_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_family_id (family_id),
+        INDEX idx_user_id (user_id),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    console.log('Refresh tokens table created successfully');
+    return true;
+  } catch (error) {
+    console.error('Error creating refresh tokens table:', error.message);
+    return false;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Create Password Resets Table
+ *
+ * Stores hashed, single-use password reset tokens with an expiry.
+ *
+ * @returns {Promise<boolean>} Success status
+ */
+async function createPasswordResetsTable() {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS password_resets (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        token_hash CHAR(64) UNIQUE NOT NULL,
+        expires_at DATETIME NOT NULL,
+        used_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_user_id (user_id),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    console.log('Password resets table created successfully');
+    return true;
+  } catch (error) {
+    console.error('Error creating password resets table:', error.message);
+    return false;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Create Email Verifications Table
+ *
+ * Stores hashed email verification tokens. Each token is bound to the
+ * address it was sent to, so a link for an old address cannot verify a
+ * newer one.
+ *
+ * @returns {Promise<boolean>} Success status
+ */
+async function createEmailVerificationsTable() {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS email_verifications (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        email VARCHAR(100) NOT NULL,
+        token_hash CHAR(64) UNIQUE NOT NULL,
+        expires_at DATETIME NOT NULL,
+        used_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_user_id (user_id),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    console.log('Email verifications table created successfully');
+    return true;
+  } catch (error) {
+    console.error('Error creating email verifications table:', error.message);
+    return false;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Create MFA Recovery Codes Table
+ *
+ * Stores hashed one-time recovery codes for users with two-factor
+ * authentication enabled.
+ *
+ * @returns {Promise<boolean>} Success status
+ */
+async function createMfaRecoveryCodesTable() {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS mfa_recovery_codes (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        code_hash CHAR(64) NOT NULL,
+        used_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_user_code (user_id, code_hash),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    console.log('MFA recovery codes table created successfully');
+    return true;
+  } catch (error) {
+    console.error('Error creating MFA recovery codes table:', error.message);
+    return false;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Create Settings Table
+ *
+ * Key/value store for system-wide settings that administrators can
+ * change at runtime. Values are stored as JSON.
+ *
+ * @returns {Promise<boolean>} Success status
+ */
+async function createSettingsTable() {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS settings (
+        setting_key VARCHAR(100) PRIMARY KEY,
+        setting_value TEXT NOT NULL,
+        updated_by INT NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    console.log('Settings table created successfully');
+    return true;
+  } catch (error) {
+    console.error('Error creating settings table:', error.message);
+    return false;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Create Login Attempts Table
+ *
+ * Records every login attempt with its source IP, user agent and
+ * outcome. Used to throttle and block IP addresses with many recent
+ * failures, for the users' login history and to notice logins from
+ * new devices. success is set when the credentials checked were correct.
+ *
+ * @returns {Promise<boolean>} Success status
+ */
+async function createLoginAttemptsTable() {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS login_attempts (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NULL,
+        identifier VARCHAR(100) NOT NULL,
+        ip_address VARCHAR(45) NOT NULL,
+        user_agent VARCHAR(512) NULL,
+        success BOOLEAN NOT NULL,
+        outcome VARCHAR(30) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_ip_created (ip_address, created_at),
+        INDEX idx_user_created (user_id, created_at),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // Columns added after the initial release
+    await addColumnIfMissing(connection, 'login_attempts', 'user_agent', 'VARCHAR(512) NULL AFTER ip_address');
+    await addColumnIfMissing(connection, 'login_attempts', 'outcome', 'VARCHAR(30) NULL AFTER success');
+
+    // Attempts recorded before outcomes only know whether the password was correct
+    await connection.query(`
+      UPDATE login_attempts
+      SET outcome = CASE
+        WHEN success THEN 'success'
+        WHEN user_id IS NULL THEN 'unknown_user'
+        ELSE 'invalid_password'
+      END
+      WHERE outcome IS NULL
+    `);
+
+    // Logins waiting for a second factor or email verification were once stored as successes
+    await connection.query(`
+      UPDATE login_attempts
+      SET success = FALSE
+      WHERE success AND outcome IN ('mfa_required', 'email_not_verified')
+    `);
+
+    console.log('Login attempts table created successfully');
+    return true;
+  } catch (error) {
+    console.error('Error creating login attempts table:', error.message);
+    return false;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Create Password History Table
+ *
+ * Keeps the previous password hashes of each user so the password
+ * policy can refuse reusing a recent password.
+ *
+ * @returns {Promise<boolean>} Success status
+ */
+async function createPasswordHistoryTable() {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS password_history (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        password_hash VARCHAR(255) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_user_created (user_id, created_at),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    console.log('Password history table created successfully');
+    return true;
+  } catch (error) {
+    console.error('Error creating password history table:', error.message);
+    return false;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Create Roles Table
+ *
+ * Stores the built-in and administrator-defined roles. System roles
+ * (admin, user) cannot be deleted. Users reference a role by name.
+ *
+ * @returns {Promise<boolean>} Success status
+ */
+async function createRolesTable() {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS roles (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(50) UNIQUE NOT NULL,
+        description VARCHAR(255) NULL,
+        is_system BOOLEAN NOT NULL DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    console.log('Roles table created successfully');
+    return true;
+  } catch (error) {
+    console.error('Error creating roles table:', error.message);
+    return false;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Create Permissions Table
+ *
+ * Stores the permission catalog, e.g. 'users:delete'. Permissions are
+ * defined in code (models/Permission.js) and synced on initialization.
+ *
+ * @returns {Promise<boolean>} Success status
+ */
+async function createPermissionsTable() {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS permissions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(100) UNIQUE NOT NULL,
+        description VARCHAR(255) NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    console.log('Permissions table created successfully');
+    return true;
+  } catch (error) {
+    console.error('Error creating permissions table:', error.message);
+    return false;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Create Role Permissions Table
+ *
+ * Grants permissions to roles.
+ *
+ * @returns {Promise<boolean>} Success status
+ */
+async function createRolePermissionsTable() {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS role_permissions (
+        role_id INT NOT NULL,
+        permission_id INT NOT NULL,
+        PRIMARY KEY (role_id, permission_id),
+        FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE,
+        FOREIGN KEY (permission_id) REFERENCES permissions(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    console.log('Role permissions table created successfully');
+    return true;
+  } catch (error) {
+    console.error('Error creating role permissions table:', error.message);
+    return false;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Seed Roles and Permissions
+ *
+ * Syncs the permission catalog and makes sure the system roles exist.
+ * The admin role is granted every permission, including ones added by
+ * later releases, which makes it the super-admin. The org_admin role
+ * gets its default permissions only when it is first created, so later
+ * edits are kept. Safe to run repeatedly.
+ *
+ * @returns {Promise<boolean>} Success status
+ */
+async function seedRolesAndPermissions() {
+  const connection = await pool.getConnection();
+
+  try {
+    for (const [name, description] of Object.entries(PERMISSION_DESCRIPTIONS)) {
+      await connection.query(
+        `INSERT INTO permissions (name, description) VALUES (?, ?)
+         ON DUPLICATE KEY UPDATE description = VALUES(description)`,
+        [name, description]
+      );
+    }
+
+    await connection.query(
+      `INSERT IGNORE INTO roles (name, description, is_system) VALUES
+         (?, 'Full access to every administrative function', TRUE),
+         (?, 'Standard account with access to its own profile', TRUE)`,
+      [ROLES.ADMIN, ROLES.USER]
+    );
+
+    await connection.query(
+      `INSERT IGNORE INTO role_permissions (role_id, permission_id)
+       SELECT r.id, p.id FROM roles r CROSS JOIN permissions p
+       WHERE r.name = ?`,
+      [ROLES.ADMIN]
+    );
+
+    const [orgAdminRole] = await connection.query(
+      `INSERT IGNORE INTO roles (name, description, is_system) VALUES
+         (?, 'Manages the users of their own organizations', TRUE)`,
+      [ROLES.ORG_ADMIN]
+    );
+    if (orgAdminRole.affectedRows > 0) {
+      await connection.query(
+        `INSERT INTO role_permissions (role_id, permission_id)
+         SELECT ?, id FROM permissions WHERE name IN (?)`,
+        [orgAdminRole.insertId, ORG_ADMIN_PERMISSIONS]
+      );
+    }
+
+    console.log('Roles and permissions seeded successfully');
+    return true;
+  } catch (error) {
+    console.error('Error seeding roles and permissions:', error.message);
+    return false;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Create Role Inheritance Table
+ *
+ * A role inherits every permission of the roles it points to, e.g.
+ * admin -> support. Inheritance is transitive.
+ *
+ * @returns {Promise<boolean>} Success status
+ */
+async function createRoleInheritanceTable() {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS role_inheritance (
+        role_id INT NOT NULL,
+        inherited_role_id INT NOT NULL,
+        PRIMARY KEY (role_id, inherited_role_id),
+        FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE,
+        FOREIGN KEY (inherited_role_id) REFERENCES roles(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    console.log('Role inheritance table created successfully');
+    return true;
+  } catch (error) {
+    console.error('Error creating role inheritance table:', error.message);
+    return false;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Create User Roles Table
+ *
+ * Assigns roles to users; a user can hold several. users.role mirrors
+ * the primary (first assigned) role. Grants with an expires_at are
+ * removed by the role expiry job once that time has passed. Users from before multiple roles
+ * were supported get their single role copied over.
+ *
+ * @returns {Promise<boolean>} Success status
+ */
+async function createUserRolesTable() {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS user_roles (
+        user_id INT NOT NULL,
+        role_id INT NOT NULL,
+        expires_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, role_id),
+        INDEX idx_role_id (role_id),
+        INDEX idx_expires_at (expires_at),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // Time-bound grants were added after multiple roles
+    await addColumnIfMissing(connection, 'user_roles', 'expires_at', 'DATETIME NULL AFTER role_id');
+
+    await connection.query(`
+      INSERT IGNORE INTO user_roles (user_id, role_id)
+      SELECT u.id, r.id FROM users u JOIN roles r ON r.name = u.role
+    `);
+
+    console.log('User roles table created successfully');
+    return true;
+  } catch (error) {
+    console.error('Error creating user roles table:', error.message);
+    return false;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Create Groups Table
+ *
+ * Stores groups (teams) of users. A group may have a parent group whose
+ * grants its members also receive. Named user_groups because GROUPS is
+ * a reserved word in MySQL 8.
+ *
+ * @returns {Promise<boolean>} Success status
+ */
+async function createGroupsTable() {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS user_groups (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(100) UNIQUE NOT NULL,
+        description VARCHAR(255) NULL,
+        parent_id INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (parent_id) REFERENCES user_groups(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    console.log('Groups table created successfully');
+    return true;
+  } catch (error) {
+    console.error('Error creating groups table:', error.message);
+    return false;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Create Group Members Table
+ *
+ * Assigns users to groups.
+ *
+ * @returns {Promise<boolean>} Success status
+ */
+async function createGroupMembersTable() {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS group_members (
+        group_id INT NOT NULL,
+        user_id INT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (group_id, user_id),
+        INDEX idx_user_id (user_id),
+        FOREIGN KEY (group_id) REFERENCES user_groups(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    console.log('Group Members table created successfully');
+    return true;
+  } catch (error) {
+    console.error('Error creating group members table:', error.message);
+    return false;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Create Group Roles Table
+ *
+ * Grants roles to every member of a group.
+ *
+ * @returns {Promise<boolean>} Success status
+ */
+async function createGroupRolesTable() {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS group_roles (
+        group_id INT NOT NULL,
+        role_id INT NOT NULL,
+        PRIMARY KEY (group_id, role_id),
+        FOREIGN KEY (group_id) REFERENCES user_groups(id) ON DELETE CASCADE,
+        FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    console.log('Group Roles table created successfully');
+    return true;
+  } catch (error) {
+    console.error('Error creating group roles table:', error.message);
+    return false;
+  } finally {
+    connection.release();
+  }
+}
 
 /**
- * Database Schema Definition
+ * Create Group Permissions Table
  *
- * Creates the users table with the following structure:
- * - id: Primary key, auto-incrementing integer
- * - username: Unique username (max 50 characters)
- * - email: Unique email address (max 100 characters)
- * - password: Hashed password (255 characters for bcrypt)
- * - role: User role enumeration (admin, user)
- * - created_at: Record creation timestamp
- * - updated_at: Last modification timestamp
+ * Grants individual permissions to every member of a group.
+ *
+ * @returns {Promise<boolean>} Success status
  */
+async function createGroupPermissionsTable() {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS group_permissions (
+        group_id INT NOT NULL,
+        permission_id INT NOT NULL,
+        PRIMARY KEY (group_id, permission_id),
+        FOREIGN KEY (group_id) REFERENCES user_groups(id) ON DELETE CASCADE,
+        FOREIGN KEY (permission_id) REFERENCES permissions(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    console.log('Group Permissions table created successfully');
+    return true;
+  } catch (error) {
+    console.error('Error creating group permissions table:', error.message);
+    return false;
+  } finally {
+    connection.release();
+  }
+}
 
 /**
- * Create Users Table
+ * Create Organizations Table
  *
- * Creates the users table if it doesn't exist.
- * Includes proper indexing and constraints for data integrity.
+ * Stores organizations (tenants). Users without the users:global
+ * permission only see and manage users of their own organizations.
  *
  * @returns {Promise<boolean>} Success status
  */
-async function createUsersTable() {
+async function createOrganizationsTable() {
   const connection = await pool.getConnection();
 
   try {
     await connection.query(`
-      CREATE TABLE IF NOT EXISTS users (
+      CREATE TABLE IF NOT EXISTS organizations (
         id INT AUTO_INCREMENT PRIMARY KEY,
-        username VARCHAR(50) UNIQUE NOT NULL,
-        email VARCHAR(100) UNIQUE NOT NULL,
-        password VARCHAR(255) NOT NULL,
-        role ENUM('admin', 'user') DEFAULT 'user',
+        name VARCHAR(100) UNIQUE NOT NULL,
+        description VARCHAR(255) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    console.log('Organizations table created successfully');
+    return true;
+  } catch (error) {
+    console.error('Error creating organizations table:', error.message);
+    return false;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Create Organization Members Table
+ *
+ * Assigns users to organizations; a user can belong to several.
+ *
+ * @returns {Promise<boolean>} Success status
+ */
+async function createOrganizationMembersTable() {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS organization_members (
+        organization_id INT NOT NULL,
+        user_id INT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (organization_id, user_id),
+        INDEX idx_user_id (user_id),
+        FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    console.log('Organization Members table created successfully');
+    return true;
+  } catch (error) {
+    console.error('Error creating organization members table:', error.message);
+    return false;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Create Role Requests Table
+ *
+ * Stores requests for roles that need a second administrator's approval.
+ * The role is only granted, with the requested expiry, once someone other
+ * than the requester approves it.
+ *
+ * @returns {Promise<boolean>} Success status
+ */
+async function createRoleRequestsTable() {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS role_requests (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        role_id INT NOT NULL,
+        requested_by INT NULL,
+        reason VARCHAR(255) NULL,
+        expires_at DATETIME NULL,
+        status ENUM('pending', 'approved', 'rejected') NOT NULL DEFAULT 'pending',
+        decided_by INT NULL,
+        decided_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_status (status),
+        INDEX idx_user_id (user_id),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE,
+        FOREIGN KEY (requested_by) REFERENCES users(id) ON DELETE SET NULL,
+        FOREIGN KEY (decided_by) REFERENCES users(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    console.log('Role requests table created successfully');
+    return true;
+  } catch (error) {
+    console.error('Error creating role requests table:', error.message);
+    return false;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Create Audit Log Table
+ *
+ * Append-only record of security-relevant actions. actor_id is the user
+ * the action was performed as; impersonator_id is set when an
+ * administrator performed it while impersonating that user. Usernames
+ * are copied so entries stay readable after users are deleted.
+ *
+ * @returns {Promise<boolean>} Success status
+ */
+async function createAuditLogTable() {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        action VARCHAR(100) NOT NULL,
+        actor_id INT NULL,
+        actor_username VARCHAR(50) NULL,
+        impersonator_id INT NULL,
+        impersonator_username VARCHAR(50) NULL,
+        target_user_id INT NULL,
+        details JSON NULL,
+        ip_address VARCHAR(45) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_action_created (action, created_at),
+        INDEX idx_actor_created (actor_id, created_at),
+        INDEX idx_impersonator_created (impersonator_id, created_at),
+        FOREIGN KEY (actor_id) REFERENCES users(id) ON DELETE SET NULL,
+        FOREIGN KEY (impersonator_id) REFERENCES users(id) ON DELETE SET NULL,
+        FOREIGN KEY (target_user_id) REFERENCES users(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    console.log('Audit log table created successfully');
+    return true;
+  } catch (error) {
+    console.error('Error creating audit log table:', error.message);
+    return false;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Create Personal Access Tokens Table
+ *
+ * Long-lived API credentials that users create for scripts. Only a
+ * SHA-256 hash of each token is stored; token_prefix keeps the first
+ * characters so users can tell their tokens apart. scopes is a JSON
+ * list of the permissions (and profile:read) the token may use.
+ *
+ * @returns {Promise<boolean>} Success status
+ */
+async function createPersonalAccessTokensTable() {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS personal_access_tokens (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        token_hash CHAR(64) UNIQUE NOT NULL,
+        token_prefix VARCHAR(16) NOT NULL,
+        scopes JSON NOT NULL,
+        expires_at DATETIME NOT NULL,
+        last_used_at DATETIME NULL,
+        last_used_ip VARCHAR(45) NULL,
+        revoked_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_user_id (user_id),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    console.log('Personal access tokens table created successfully');
+    return true;
+  } catch (error) {
+    console.error('Error creating personal access tokens table:', error.message);
+    return false;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Create Service Accounts Table
+ *
+ * Machine identities for back-office jobs, separate from users. They
+ * authenticate with a client ID and secret (OAuth2 client_credentials);
+ * only a SHA-256 hash of the secret is stored. scopes is a JSON list of
+ * the permissions the account may request. Tokens issued before
+ * secret_rotated_at are no longer accepted.
+ *
+ * @returns {Promise<boolean>} Success status
+ */
+async function createServiceAccountsTable() {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS service_accounts (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(100) UNIQUE NOT NULL,
+        description VARCHAR(255) NULL,
+        client_id VARCHAR(64) UNIQUE NOT NULL,
+        client_secret_hash CHAR(64) NOT NULL,
+        scopes JSON NOT NULL,
+        created_by INT NULL,
+        disabled_at DATETIME NULL,
+        secret_rotated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        last_used_at DATETIME NULL,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-        INDEX idx_username (username),
-        INDEX idx_email (email),
-        INDEX idx_role (role)
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
     `);
 
-    console.log('Users table created successfully');
+    console.log('Service accounts table created successfully');
     return true;
   } catch (error) {
-    console.error('Error creating users table:', error.message);
+    console.error('Error creating service accounts table:', error.message);
+    return false;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Create Relying Parties Table
+ *
+ * Applications that let users sign in through this server with OpenID
+ * Connect. Confidential clients have a secret, stored as a SHA-256
+ * hash; public clients (single-page and mobile apps) have none and rely
+ * on PKCE alone. redirect_uris is the JSON list of exact callback URLs.
+ *
+ * @returns {Promise<boolean>} Success status
+ */
+async function createRelyingPartiesTable() {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS relying_parties (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(100) UNIQUE NOT NULL,
+        client_id VARCHAR(64) UNIQUE NOT NULL,
+        client_secret_hash CHAR(64) NULL,
+        redirect_uris JSON NOT NULL,
+        created_by INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    console.log('Relying parties table created successfully');
+    return true;
+  } catch (error) {
+    console.error('Error creating relying parties table:', error.message);
+    return false;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Create Authorization Codes Table
+ *
+ * Short-lived, single-use codes from the OpenID Connect authorization
+ * endpoint, stored as SHA-256 hashes. Each records what the user
+ * consented to and the PKCE challenge the token request must answer.
+ *
+ * @returns {Promise<boolean>} Success status
+ */
+async function createAuthorizationCodesTable() {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS authorization_codes (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        code_hash CHAR(64) UNIQUE NOT NULL,
+        relying_party_id INT NOT NULL,
+        user_id INT NOT NULL,
+        redirect_uri VARCHAR(2048) NOT NULL,
+        scopes JSON NOT NULL,
+        nonce VARCHAR(255) NULL,
+        code_challenge VARCHAR(128) NOT NULL,
+        expires_at DATETIME NOT NULL,
+        used_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (relying_party_id) REFERENCES relying_parties(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    console.log('Authorization codes table created successfully');
+    return true;
+  } catch (error) {
+    console.error('Error creating authorization codes table:', error.message);
+    return false;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Create Sessions Table
+ *
+ * One row per login session, keyed by the refresh token family ID (the
+ * "sid" of access tokens), with the device and IP address it started
+ * from and when it was last used. Whether a session is still active is
+ * decided by its refresh tokens; impersonation sessions name the
+ * administrator in impersonator_id.
+ *
+ * @returns {Promise<boolean>} Success status
+ */
+async function createSessionsTable() {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        id CHAR(36) PRIMARY KEY,
+        user_id INT NOT NULL,
+        impersonator_id INT NULL,
+        user_agent VARCHAR(512) NULL,
+        ip_address VARCHAR(45) NULL,
+        last_seen_ip VARCHAR(45) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_seen_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_user_id (user_id),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (impersonator_id) REFERENCES users(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    console.log('Sessions table created successfully');
+    return true;
+  } catch (error) {
+    console.error('Error creating sessions table:', error.message);
+    return false;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Create Magic Links Table
+ *
+ * Stores hashed single-use sign-in links for users who opted in to
+ * passwordless login, with the IP address that requested each one. The
+ * index on (user_id, created_at) serves the per-user hourly cap.
+ *
+ * @returns {Promise<boolean>} Success status
+ */
+async function createMagicLinksTable() {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS magic_links (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        token_hash CHAR(64) UNIQUE NOT NULL,
+        expires_at DATETIME NOT NULL,
+        used_at DATETIME NULL,
+        ip_address VARCHAR(45) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_user_created (user_id, created_at),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    console.log('Magic links table created successfully');
+    return true;
+  } catch (error) {
+    console.error('Error creating magic links table:', error.message);
     return false;
   } finally {
     connection.release();
@@ -106,13 +1232,17 @@ async function createSampleUsers() {
 
     // Create users with hashed passwords
     for (const user of sampleUsers) {
-      const saltRounds = 12; // Increased salt rounds for better security
-      const hashedPassword = await bcrypt.hash(user.password, saltRounds);
+      const hashedPassword = await hashPassword(user.password);
 
-      await connection.query(
-        'INSERT INTO users (username, email, password, role) VALUES (?, ?, ?, ?)',
+      // Sample accounts use placeholder addresses, so treat them as verified
+      const [result] = await connection.query(
+        'INSERT INTO users (username, email, password, role, email_verified_at) VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)',
         [user.username, user.email, hashedPassword, user.role]
       );
+      await connection.query(
+        'INSERT INTO user_roles (user_id, role_id) SELECT ?, id FROM roles WHERE name = ?',
+        [result.insertId, user.role]
+      );
 
       console.log(`Created sample user: ${user.username} (${user.role})`);
     }
@@ -126,6 +1256,61 @@ async function createSampleUsers() {
   }
 }
 
+/**
+ * Schema Creation Steps
+ *
+ * Table creation functions in dependency order. Tables referenced by a
+ * foreign key must be created before the tables that reference them.
+ */
+const SCHEMA_STEPS = [
+  createUsersTable,
+  createRefreshTokensTable,
+  createPasswordResetsTable,
+  createEmailVerificationsTable,
+  createMfaRecoveryCodesTable,
+  createSettingsTable,
+  createLoginAttemptsTable,
+  createPasswordHistoryTable,
+  createRolesTable,
+  createPermissionsTable,
+  createRolePermissionsTable,
+  seedRolesAndPermissions,
+  createRoleInheritanceTable,
+  createUserRolesTable,
+  createGroupsTable,
+  createGroupMembersTable,
+  createGroupRolesTable,
+  createGroupPermissionsTable,
+  createOrganizationsTable,
+  createOrganizationMembersTable,
+  createRoleRequestsTable,
+  createAuditLogTable,
+  createPersonalAccessTokensTable,
+  createServiceAccountsTable,
+  createRelyingPartiesTable,
+  createAuthorizationCodesTable,
+  createSessionsTable,
+  createMagicLinksTable
+];
+
+/**
+ * Create Database Schema
+ *
+ * Runs every schema creation step in order, stopping at the first failure.
+ *
+ * @returns {Promise<boolean>} Success status
+ */
+async function createSchema() {
+  for (const createTable of SCHEMA_STEPS) {
+    const created = await createTable();
+    if (!created) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
 /**
  * Database Initialization
  *
@@ -139,9 +1324,9 @@ async function initializeDatabase() {
 
   try {
     // Create database schema
-    const tableCreated = await createUsersTable();
-    if (!tableCreated) {
-      throw new Error('Failed to create users table');
+    const schemaCreated = await createSchema();
+    if (!schemaCreated) {
+      throw new Error('Failed to create database schema');
     }
 
     // Populate sample data
@@ -163,7 +1348,41 @@ async function initializeDatabase() {
 }
 
 /**
- * Drop and Recreate Users Table
+ * Tables in reverse dependency order, so that dropping them one by one
+ * never violates a foreign key constraint.
+ */
+const TABLES_DROP_ORDER = [
+  'magic_links',
+  'sessions',
+  'authorization_codes',
+  'relying_parties',
+  'service_accounts',
+  'personal_access_tokens',
+  'audit_log',
+  'role_requests',
+  'organization_members',
+  'organizations',
+  'group_permissions',
+  'group_roles',
+  'group_members',
+  'user_groups',
+  'user_roles',
+  'role_inheritance',
+  'role_permissions',
+  'permissions',
+  'roles',
+  'password_history',
+  'login_attempts',
+  'settings',
+  'mfa_recovery_codes',
+  'email_verifications',
+  'password_resets',
+  'refresh_tokens',
+  'users'
+];
+
+/**
+ * Drop and Recreate All Tables
  *
  * Utility function for development/testing.
  * WARNING: This will delete all user data.
@@ -174,13 +1393,15 @@ async function resetDatabase() {
   const connection = await pool.getConnection();
 
   try {
-    await connection.query('DROP TABLE IF EXISTS users');
-    console.log('Users table dropped');
+    for (const table of TABLES_DROP_ORDER) {
+      await connection.query(`DROP TABLE IF EXISTS ${table}`);
+      console.log(`Table ${table} dropped`);
+    }
 
-    const tableCreated = await createUsersTable();
+    const schemaCreated = await createSchema();
     const usersCreated = await createSampleUsers();
 
-    return tableCreated && usersCreated;
+    return schemaCreated && usersCreated;
   } catch (error) {
     console.error('Error resetting database:', error.message);
     return false;
@@ -191,7 +1412,35 @@ async function resetDatabase() {
 
 module.exports = {
   initializeDatabase,
+  createSchema,
   createUsersTable,
+  createRefreshTokensTable,
+  createPasswordResetsTable,
+  createEmailVerificationsTable,
+  createMfaRecoveryCodesTable,
+  createSettingsTable,
+  createLoginAttemptsTable,
+  createPasswordHistoryTable,
+  createRolesTable,
+  createPermissionsTable,
+  createRolePermissionsTable,
+  seedRolesAndPermissions,
+  createRoleInheritanceTable,
+  createUserRolesTable,
+  createGroupsTable,
+  createGroupMembersTable,
+  createGroupRolesTable,
+  createGroupPermissionsTable,
+  createOrganizationsTable,
+  createOrganizationMembersTable,
+  createRoleRequestsTable,
+  createAuditLogTable,
+  createPersonalAccessTokensTable,
+  createServiceAccountsTable,
+  createRelyingPartiesTable,
+  createAuthorizationCodesTable,
+  createSessionsTable,
+  createMagicLinksTable,
   createSampleUsers,
   resetDatabase
 };
@@ -1,4 +1,158 @@
+const path = require('path');
+
 module.exports = {
-  jwtSecret: "user-management-secret-2025",
-  jwtExpiration: 3600 // 1 hour in seconds
+  jwtExpiration: 3600, // 1 hour in seconds
+  refreshTokenExpiration: 7 * 24 * 3600, // 7 days in seconds
+  passwordResetExpiration: 3600, // 1 hour in seconds
+
+  // Browser sessions - mode is one of:
+  //   'header' - login returns the tokens; clients send x-auth-token or Authorization
+  //   'cookie' - tokens are kept in HttpOnly cookies and state-changing requests
+  //              need the CSRF cookie's value in an X-CSRF-Token header
+  // Headers keep working in cookie mode, for API clients.
+  session: {
+    mode: process.env.SESSION_MODE || "header",
+    cookieSecure: process.env.COOKIE_SECURE !== "false", // browsers allow Secure cookies on http://localhost
+    cookieSameSite: "strict",
+    lastSeenInterval: 60 // seconds between updates of a session's "last seen" time while it is used
+  },
+
+  // Email verification - policy is one of:
+  //   'off'      - verification links are sent but nothing is enforced
+  //   'restrict' - users can log in, but protected actions need a verified email
+  //   'block'    - login is refused until the email address is verified
+  emailVerification: {
+    policy: process.env.EMAIL_VERIFICATION_POLICY || "restrict",
+    expiration: 24 * 3600 // 24 hours in seconds
+  },
+
+  // Two-factor authentication (TOTP)
+  mfa: {
+    issuer: process.env.MFA_ISSUER || "User Management System",
+    challengeExpiration: 300, // 5 minutes in seconds to enter the code after the password
+    maxChallengeFailures: 5, // wrong codes before a challenge token stops working
+    recoveryCodeCount: 10,
+    requiredRoles: [] // Default until an administrator saves the policy
+  },
+
+  // Brute-force protection for POST /api/auth/login, /api/auth/mfa/verify and
+  // the password and code checks of /api/auth/mfa/disable, /recovery-codes and
+  // PUT /api/auth/me/password
+  loginProtection: {
+    maxFailedAttempts: 5, // consecutive failures before an account is locked
+    lockoutDuration: 15 * 60, // 15 minutes in seconds
+    freeAttempts: 2, // failures allowed before delays start
+    baseDelay: 1, // seconds, doubled for every further failure
+    maxDelay: 30, // seconds
+    ipMaxFailures: 20, // failures from one IP within ipWindow before it is blocked
+    ipFreeAttempts: 5, // failures from one IP before delays start
+    ipWindow: 15 * 60 // 15 minutes in seconds
+  },
+
+  // Login history - every attempt is kept; users see their latest ones on
+  // the dashboard and are emailed about logins from new devices or IPs
+  loginHistory: {
+    maxEntries: 50, // attempts returned by GET /api/auth/login-history
+    notifyNewClients: true
+  },
+
+  // Passwordless sign-in - users who opt in can request a single-use
+  // link by email at POST /api/auth/magic-link instead of a password
+  magicLinks: {
+    enabled: process.env.MAGIC_LINKS_ENABLED !== "false",
+    expiration: 15 * 60, // 15 minutes in seconds
+    maxPerHour: 5 // links emailed to one user per hour
+  },
+
+  // Role grants - roles listed here are only granted once a second
+  // administrator approves the request; the expiry job revokes
+  // time-bound grants
+  roleGrants: {
+    approvalRequiredRoles: ["admin"],
+    expiryCheckInterval: 60 // seconds between runs of the expiry job
+  },
+
+  // Impersonation - administrators signing in as another user. The
+  // session cannot be refreshed and ends after this many seconds.
+  impersonation: {
+    expiration: 30 * 60 // 30 minutes in seconds
+  },
+
+  // Personal access tokens - API credentials users create for scripts,
+  // sent as "Authorization: Bearer pat_..."
+  personalAccessTokens: {
+    defaultLifetimeDays: 30,
+    maxLifetimeDays: 365,
+    maxPerUser: 20 // active (unexpired, unrevoked) tokens per user
+  },
+
+  // Service accounts - machine clients using the OAuth2 client_credentials grant
+  serviceAccounts: {
+    tokenExpiration: 3600 // 1 hour in seconds
+  },
+
+  // JWT signing keys - every token is signed with the newest PEM private
+  // key in directory and verified with any key still there. Other
+  // services verify tokens with the keys from /.well-known/jwks.json.
+  signingKeys: {
+    algorithm: process.env.JWT_ALGORITHM || "RS256", // 'RS256' or 'ES256', for new keys
+    directory: process.env.SIGNING_KEYS_DIR || path.join(__dirname, "keys"),
+    rotationInterval: 30 * 24 * 3600, // 30 days in seconds a key signs; 0 to manage keys yourself
+    retention: 24 * 3600, // seconds a retired key still verifies - longer than any token lifetime
+    rotationCheckInterval: 3600 // seconds between runs of the rotation job
+  },
+
+  // OpenID Connect provider - other applications (relying parties) sign
+  // users in through this server. issuer is also the "iss" of every token.
+  oidc: {
+    issuer: process.env.OIDC_ISSUER || process.env.APP_BASE_URL || "http://localhost:3000",
+    authorizationCodeExpiration: 60, // seconds to exchange a code for tokens
+    tokenExpiration: 3600 // 1 hour in seconds, for ID and access tokens
+  },
+
+  // Password hashing - algorithm is one of 'bcrypt', 'scrypt' or 'argon2id'
+  // (argon2id needs Node.js 24.7+). Stored hashes using another algorithm
+  // or weaker parameters are re-hashed on the next successful login.
+  passwordHashing: {
+    algorithm: process.env.PASSWORD_HASH_ALGORITHM || "bcrypt",
+    bcrypt: {
+      cost: 12 // log2 rounds
+    },
+    scrypt: {
+      cost: 17, // log2 of N, the CPU/memory cost
+      blockSize: 8,
+      parallelization: 1,
+      keyLength: 64
+    },
+    argon2id: {
+      memory: 19456, // KiB
+      passes: 2,
+      parallelism: 1,
+      tagLength: 32
+    }
+  },
+
+  // Password rules applied wherever a password is set
+  passwordPolicy: {
+    minLength: parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8,
+    maxLength: 72, // bcrypt ignores everything after 72 bytes
+    requireUppercase: false,
+    requireLowercase: true,
+    requireDigit: true,
+    requireSymbol: false,
+    disallowPersonalInfo: true, // reject passwords containing the username or email
+    blockCommonPasswords: true,
+    commonPasswordsFile: process.env.COMMON_PASSWORDS_FILE || path.join(__dirname, "common-passwords.txt"),
+    historySize: 5 // the current and previous passwords that cannot be reused (0 to disable)
+  },
+
+  // Public URL used to build links in outgoing email
+  appBaseUrl: process.env.APP_BASE_URL || "http://localhost:3000",
+
+  // Outgoing email - 'file' writes to the outbox directory, 'console' logs
+  mail: {
+    transport: process.env.MAIL_TRANSPORT || "file",
+    from: process.env.MAIL_FROM || "User Management System <no-reply@localhost>",
+    outboxDir: process.env.MAIL_OUTBOX_DIR || path.join(__dirname, "..", "mail-outbox")
+  }
 };
@@ -0,0 +1,80 @@
+/**
+ * Access Policies - User Management System
+ *
+ * Attribute-based policies evaluated by utils/policy.js. Each policy
+ * applies to some actions and resource types and has a condition over
+ * the request's subject, action, resource and context:
+ *
+ *   subject  - type ('user' or 'service_account'), id, username, roles,
+ *              permissions, groups, organization_ids; service accounts
+ *              have client_id instead of id and their scopes as permissions
+ *   action   - e.g. 'users:read' (the permission names double as actions)
+ *   resource - type plus its attributes; users have id, username,
+ *              roles, permissions, organization_ids
+ *   context  - ip, time, hour (0-23) and dayOfWeek (0 = Sunday), server time
+ *
+ * A condition is either a JS function receiving { subject, action,
+ * resource, context } or a JSON object:
+ *
+ *   { 'resource.id': { equals: { ref: 'subject.id' } } }   attribute tests (all must hold)
+ *   { all: [...] }, { any: [...] }, { not: {...} }         combinations
+ *
+ * Operators: equals, notEquals, in, notIn, contains, notContains, gte,
+ * lte, between ([min, max], inclusive), ipInRange (CIDR or list of CIDRs,
+ * prefix 0-32 for IPv4 and 0-128 for IPv6) and exists. { ref: 'path' } compares against another attribute.
+ *
+ * Deny policies win over allow policies; when nothing allows an action
+ * it is denied.
+ *
+ * @author Development Team
+ * @version 1.0.0
+ */
+
+module.exports = [
+  {
+    id: 'permission-grants',
+    description: 'Holding a permission allows the action of the same name',
+    effect: 'allow',
+    actions: ['*'],
+    resources: ['*'],
+    condition: { 'subject.permissions': { contains: { ref: 'action' } } }
+  },
+  {
+    id: 'users-read-own',
+    description: 'Users may read their own record',
+    effect: 'allow',
+    actions: ['users:read'],
+    resources: ['user'],
+    condition: { 'resource.id': { equals: { ref: 'subject.id' } } }
+  },
+  {
+    id: 'support-not-admins',
+    description: 'Support staff may edit users, but not administrators',
+    effect: 'deny',
+    actions: ['users:update', 'users:delete', 'users:unlock', 'users:impersonate', 'users:sessions'],
+    resources: ['user'],
+    condition: {
+      all: [
+        { 'subject.roles': { contains: 'support', notContains: 'admin' } },
+        { 'resource.roles': { contains: 'admin' } }
+      ]
+    }
+  }
+
+  // Example of a context-based policy - user management only from the
+  // office network during working hours:
+  //
+  // {
+  //   id: 'user-admin-office-hours',
+  //   description: 'User management only from the office during working hours',
+  //   effect: 'deny',
+  //   actions: ['users:create', 'users:update', 'users:delete'],
+  //   resources: ['*'],
+  //   condition: {
+  //     any: [
+  //       { not: { 'context.ip': { ipInRange: ['10.0.0.0/8', '127.0.0.1/32'] } } },
+  //       { not: { 'context.hour': { between: [8, 18] } } }
+  //     ]
+  //   }
+  // }
+];
@@ -1,55 +1,371 @@
-const jwt = require('jsonwebtoken');
 const config = require('../config/default');
-const { ROLES } = require('../models/User');
+const { User } = require('../models/User');
+const { RefreshToken } = require('../models/RefreshToken');
+const { Session } = require('../models/Session');
+const { AuditLog, AUDIT_ACTIONS } = require('../models/AuditLog');
+const { PERMISSIONS } = require('../models/Permission');
+const { isMfaRequiredForRoles } = require('../utils/mfa');
+const { resolveAccess, resolveUserAccess, getOrganizationScope } = require('../utils/access');
+const { evaluatePolicies, buildSubject, buildClientSubject, buildContext } = require('../utils/policy');
+const { isPersonalAccessToken, authenticatePersonalAccessToken } = require('../utils/personalAccessTokens');
+const { checkClientToken } = require('../utils/serviceAccounts');
+const { verifyJwt } = require('../utils/signingKeys');
+const { getRequestToken, checkCsrfToken } = require('../utils/sessionCookies');
 
-// Middleware to verify JWT token
-const authenticateToken = (req, res, next) => {
-  // Get token from header
-  const token = req.header('x-auth-token');
+// Requests that do not change state - not audited during impersonation
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Verifies a service account token - the account must still be enabled and the token issued after
+// the last secret rotation; the scopes are limited to what the account may still request
+const authenticateClientToken = async (req, res, next, decoded) => {
+  try {
+    const result = await checkClientToken(decoded);
+    if (result.error) {
+      return res.status(401).json({ message: result.error });
+    }
+
+    req.user = null;
+    req.client = decoded.client;
+    req.sessionId = null;
+    req.impersonator = null;
+    req.tokenScopes = result.scopes;
+    next();
+  } catch (err) {
+    console.error('Client check error:', err.message);
+    res.status(500).json({ message: 'Could not verify client' });
+  }
+};
+
+// Verifies the request's token. allowClients lets service account (machine) tokens through;
+// they set req.client instead of req.user
+const authenticate = async (req, res, next, { allowClients }) => {
+  // Get token from a header, or the session cookie in cookie mode
+  const { token, fromCookie } = getRequestToken(req);
 
   // Check if no token
   if (!token) {
     return res.status(401).json({ message: 'No token, authorization denied' });
   }
 
+  // The browser sends cookies on its own, so changes must prove they come from our pages
+  if (fromCookie && !checkCsrfToken(req)) {
+    return res.status(403).json({
+      message: 'Missing or invalid CSRF token',
+      code: 'CSRF_TOKEN_INVALID'
+    });
+  }
+
+  if (isPersonalAccessToken(token)) {
+    try {
+      const authenticated = await authenticatePersonalAccessToken(token, req.ip);
+      if (!authenticated) {
+        return res.status(401).json({ message: 'Token is not valid' });
+      }
+
+      req.user = authenticated.user;
+      req.sessionId = null;
+      req.impersonator = null;
+      req.personalAccessToken = authenticated.personalAccessToken;
+      // Permission checks only count what the token was granted
+      req.tokenScopes = authenticated.personalAccessToken.scopes;
+      return next();
+    } catch (err) {
+      console.error('Personal access token check error:', err.message);
+      return res.status(500).json({ message: 'Could not verify token' });
+    }
+  }
+
+  let decoded;
   try {
     // Verify token
-    const decoded = jwt.verify(token, config.jwtSecret);
-    
-    // Add user info to request
-    req.user = decoded.user;
-    next();
+    decoded = verifyJwt(token);
   } catch (err) {
-    res.status(401).json({ message: 'Token is not valid' });
+    return res.status(401).json({ message: 'Token is not valid' });
+  }
+
+  // Service account tokens carry a client instead of a user
+  if (decoded.client) {
+    if (!allowClients) {
+      return res.status(403).json({
+        message: 'This endpoint requires a user token; service account tokens are not accepted',
+        code: 'USER_TOKEN_REQUIRED'
+      });
+    }
+    return authenticateClientToken(req, res, next, decoded);
   }
+
+  // Every access token must belong to a session
+  if (!decoded.sid) {
+    return res.status(401).json({ message: 'Token is not valid' });
+  }
+
+  try {
+    // Reject tokens whose session has been revoked
+    const sessionActive = await RefreshToken.isFamilyActive(decoded.sid);
+    if (!sessionActive) {
+      return res.status(401).json({ message: 'Session has been revoked' });
+    }
+  } catch (err) {
+    console.error('Session check error:', err.message);
+    return res.status(500).json({ message: 'Could not verify session' });
+  }
+
+  // Keep the session list's "last seen" current, without delaying the request
+  Session.touch(decoded.sid, req.ip, config.session.lastSeenInterval)
+    .catch(err => console.error('Session last seen error:', err.message));
+
+  // Add user and session info to request
+  req.user = decoded.user;
+  req.sessionId = decoded.sid;
+  // Set when an administrator is acting as req.user
+  req.impersonator = decoded.impersonator || null;
+
+  // Audit every state-changing request made while impersonating
+  if (req.impersonator && !SAFE_METHODS.includes(req.method)) {
+    res.on('finish', () => {
+      AuditLog.record({
+        action: AUDIT_ACTIONS.IMPERSONATION_REQUEST,
+        actor: req.user,
+        impersonator: req.impersonator,
+        details: { method: req.method, path: req.originalUrl, status: res.statusCode, sessionId: req.sessionId },
+        ipAddress: req.ip
+      }).catch(err => console.error('Impersonation audit error:', err.message));
+    });
+  }
+
+  next();
 };
 
-// Role-based authorization middleware
-const authorize = (...roles) => {
+// Middleware to verify JWT token and that its session has not been revoked.
+// Also accepts personal access tokens, which act as their owner within their scopes
+const authenticateToken = (req, res, next) => authenticate(req, res, next, { allowClients: false });
+
+// Same as authenticateToken, but also accepts service account tokens - for endpoints that
+// back-office jobs may call, which must then not rely on req.user
+const authenticateUserOrClient = (req, res, next) => authenticate(req, res, next, { allowClients: true });
+
+// Scope middleware for routes without a permission check - personal access tokens need the scope,
+// session tokens always pass
+const requireScope = (scope) => {
   return (req, res, next) => {
-    // Check if user exists in request (set by authenticateToken)
-    if (!req.user) {
+    if (req.tokenScopes && !req.tokenScopes.includes(scope)) {
+      return res.status(403).json({
+        message: `Forbidden: This token does not have the ${scope} scope`
+      });
+    }
+    next();
+  };
+};
+
+// Middleware that refuses personal access tokens - for sign-in, password, MFA and token management
+const requireInteractiveSession = (req, res, next) => {
+  if (req.personalAccessToken) {
+    return res.status(403).json({
+      message: 'This action requires signing in; personal access tokens cannot be used',
+      code: 'SESSION_REQUIRED'
+    });
+  }
+  next();
+};
+
+// Middleware that refuses sensitive account actions while an administrator is impersonating the user
+const blockWhileImpersonating = async (req, res, next) => {
+  if (!req.impersonator) {
+    return next();
+  }
+
+  try {
+    await AuditLog.record({
+      action: AUDIT_ACTIONS.IMPERSONATION_BLOCKED,
+      actor: req.user,
+      impersonator: req.impersonator,
+      details: { method: req.method, path: req.originalUrl, sessionId: req.sessionId },
+      ipAddress: req.ip
+    });
+  } catch (err) {
+    console.error('Impersonation audit error:', err.message);
+  }
+
+  res.status(403).json({
+    message: 'This action is not available while impersonating a user',
+    code: 'IMPERSONATION_RESTRICTED'
+  });
+};
+
+// Permissions a request may use - personal access tokens only get their scopes
+const limitToTokenScopes = (req, permissions) => {
+  return req.tokenScopes ? permissions.filter(permission => req.tokenScopes.includes(permission)) : permissions;
+};
+
+// Permission-based authorization middleware - the user's effective roles must grant every listed permission
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    if (!req.user && !req.client) {
+      return res.status(401).json({ message: 'Not authenticated' });
+    }
+
+    try {
+      let granted;
+      if (req.client) {
+        // Service accounts hold exactly the scopes of their token
+        granted = req.tokenScopes;
+      } else {
+        // Resolved from the database so role changes apply immediately
+        const access = await resolveUserAccess(req.user.id);
+        if (!access) {
+          return res.status(401).json({ message: 'Not authenticated' });
+        }
+        granted = limitToTokenScopes(req, access.permissions);
+      }
+
+      if (!permissions.every(permission => granted.includes(permission))) {
+        return res.status(403).json({
+          message: 'Forbidden: You do not have permission to access this resource'
+        });
+      }
+
+      // Routes use this to stop users from granting more than they hold
+      req.permissions = granted;
+      next();
+    } catch (err) {
+      console.error('Permission check error:', err.message);
+      res.status(500).json({ message: 'Could not verify permissions' });
+    }
+  };
+};
+
+// Policy-based authorization middleware - config/policies.js must allow the action on the resource.
+// loadResource(req) returns the resource attributes, or null if it does not exist; only policies
+// for every resource type ('*') apply then, and the route answers 404 itself
+const requirePolicy = (action, loadResource) => {
+  return async (req, res, next) => {
+    if (!req.user && !req.client) {
+      return res.status(401).json({ message: 'Not authenticated' });
+    }
+
+    try {
+      let subject;
+      if (req.client) {
+        subject = buildClientSubject(req.client, req.tokenScopes);
+      } else {
+        const user = await User.findById(req.user.id);
+        if (!user) {
+          return res.status(401).json({ message: 'Not authenticated' });
+        }
+
+        subject = await buildSubject(user);
+        subject.permissions = limitToTokenScopes(req, subject.permissions);
+      }
+
+      // A token without the action's scope is refused whatever the policies say
+      if (req.tokenScopes && !req.tokenScopes.includes(action)) {
+        return res.status(403).json({
+          message: `Forbidden: This token does not have the ${action} scope`
+        });
+      }
+
+      const resource = await loadResource(req);
+      const decision = await evaluatePolicies({ subject, action, resource, context: buildContext(req) });
+      if (!decision.allowed) {
+        return res.status(403).json({
+          message: `Forbidden: ${decision.reason}`,
+          policy: decision.policy
+        });
+      }
+
+      // Same as requirePermission, for routes that compare against the actor's permissions
+      req.permissions = subject.permissions;
+      next();
+    } catch (err) {
+      console.error('Policy check error:', err.message);
+      res.status(500).json({ message: 'Could not verify permissions' });
+    }
+  };
+};
+
+// Middleware that limits the request to the user's organizations - use after requirePermission or requirePolicy
+const resolveOrganizationScope = async (req, res, next) => {
+  try {
+    if (req.client) {
+      // Service accounts belong to no organization; users:global reaches them all
+      req.organizationScope = req.permissions.includes(PERMISSIONS.USERS_GLOBAL) ? null : [];
+      return next();
+    }
+
+    // null means every organization (super-admin)
+    req.organizationScope = await getOrganizationScope(req.user.id, req.permissions);
+    next();
+  } catch (err) {
+    console.error('Organization scope error:', err.message);
+    res.status(500).json({ message: 'Could not verify organization access' });
+  }
+};
+
+// Middleware that requires a verified email address (unless the policy is 'off')
+const requireVerifiedEmail = async (req, res, next) => {
+  // Service accounts have no email address
+  if (config.emailVerification.policy === 'off' || req.client) {
+    return next();
+  }
+
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
       return res.status(401).json({ message: 'Not authenticated' });
     }
-    
-    // Check if user has required role
-    if (!roles.includes(req.user.role)) {
-      return res.status(403).json({ 
-        message: 'Forbidden: You do not have permission to access this resource' 
+
+    if (!user.isEmailVerified()) {
+      return res.status(403).json({
+        message: 'Please verify your email address to perform this action',
+        code: 'EMAIL_NOT_VERIFIED'
       });
     }
-    
+
     next();
-  };
+  } catch (err) {
+    console.error('Email verification check error:', err.message);
+    res.status(500).json({ message: 'Could not verify account status' });
+  }
 };
 
-// Middleware that checks if user is admin
-const isAdmin = (req, res, next) => {
-  authorize(ROLES.ADMIN)(req, res, next);
+// Middleware that blocks users with a role that requires MFA until they enable it
+const requireMfaEnrollment = async (req, res, next) => {
+  // Service accounts authenticate with their secret only
+  if (req.client) {
+    return next();
+  }
+
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(401).json({ message: 'Not authenticated' });
+    }
+
+    // Current roles, not the ones in the token, which may be an hour old
+    const { roles } = await resolveAccess(user);
+    if (!user.mfa_enabled && await isMfaRequiredForRoles(roles)) {
+      return res.status(403).json({
+        message: 'Two-factor authentication must be enabled for your role to perform this action',
+        code: 'MFA_SETUP_REQUIRED'
+      });
+    }
+
+    next();
+  } catch (err) {
+    console.error('MFA enrollment check error:', err.message);
+    res.status(500).json({ message: 'Could not verify account status' });
+  }
 };
 
 module.exports = {
   authenticateToken,
-  authorize,
-  isAdmin
+  authenticateUserOrClient,
+  requirePermission,
+  requirePolicy,
+  resolveOrganizationScope,
+  requireVerifiedEmail,
+  requireMfaEnrollment,
+  requireScope,
+  requireInteractiveSession,
+  blockWhileImpersonating
 };
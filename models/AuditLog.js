@@ -0,0 +1,122 @@
+/**
+ * Audit Log Model - User Management System
+ *
+ * This module records security-relevant actions in the append-only audit
+ * log and retrieves them for administrators. Entries name the user the
+ * action was performed as and, during impersonation, the administrator
+ * who actually performed it.
+ *
+ * @author Development Team
+ * @version 1.0.0
+ */
+
+const { pool } = require('../config/db');
+
+// Audited actions
+const AUDIT_ACTIONS = {
+  IMPERSONATION_START: 'impersonation.start',
+  IMPERSONATION_STOP: 'impersonation.stop',
+  IMPERSONATION_REQUEST: 'impersonation.request',
+  IMPERSONATION_BLOCKED: 'impersonation.blocked',
+  SESSION_REVOKE: 'session.revoke',
+  MAGIC_LINK_ISSUE: 'magic_link.issue'
+};
+
+class AuditLog {
+  // Constructor - creates a new AuditLog entry object from database data
+  constructor(entryData) {
+    this.id = entryData.id;
+    this.action = entryData.action;
+    this.actor_id = entryData.actor_id;
+    this.actor_username = entryData.actor_username;
+    this.impersonator_id = entryData.impersonator_id || null;
+    this.impersonator_username = entryData.impersonator_username || null;
+    this.target_user_id = entryData.target_user_id || null;
+    this.details = entryData.details || null;
+    this.ip_address = entryData.ip_address || null;
+    this.created_at = entryData.created_at;
+  }
+
+  /**
+   * Record Audit Entry
+   *
+   * @param {Object} entryData - Entry data object
+   * @param {string} entryData.action - One of AUDIT_ACTIONS
+   * @param {Object|null} entryData.actor - { id, username } the action was performed as
+   * @param {Object|null} [entryData.impersonator] - { id, username } of the impersonating administrator
+   * @param {number|null} [entryData.targetUserId] - User the action was aimed at
+   * @param {Object|null} [entryData.details] - Action-specific data
+   * @param {string|null} [entryData.ipAddress] - Client IP address
+   * @returns {Promise<number>} Entry ID
+   * @throws {Error} Database operation errors
+   */
+  static async record({ action, actor, impersonator = null, targetUserId = null, details = null, ipAddress = null }) {
+    try {
+      const query = `
+        INSERT INTO audit_log
+          (action, actor_id, actor_username, impersonator_id, impersonator_username,
+           target_user_id, details, ip_address)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `;
+
+      const [result] = await pool.query(query, [
+        action,
+        actor ? actor.id : null,
+        actor ? actor.username : null,
+        impersonator ? impersonator.id : null,
+        impersonator ? impersonator.username : null,
+        targetUserId,
+        details ? JSON.stringify(details) : null,
+        ipAddress
+      ]);
+      return result.insertId;
+    } catch (error) {
+      console.error('Error recording audit entry:', error);
+      throw new Error('Database operation failed: unable to record audit entry');
+    }
+  }
+
+  /**
+   * Find Audit Entries
+   *
+   * @param {Object} [filters] - Filter object
+   * @param {string} [filters.action] - Only this action
+   * @param {number} [filters.userId] - Only entries the user acted in, impersonated in, or was the target of
+   * @param {number} [filters.limit=100] - Maximum number of entries
+   * @returns {Promise<AuditLog[]>} Entries, newest first
+   * @throws {Error} Database operation errors
+   */
+  static async find({ action, userId, limit = 100 } = {}) {
+    try {
+      const conditions = [];
+      const values = [];
+
+      if (action) {
+        conditions.push('action = ?');
+        values.push(action);
+      }
+
+      if (userId) {
+        conditions.push('(actor_id = ? OR impersonator_id = ? OR target_user_id = ?)');
+        values.push(userId, userId, userId);
+      }
+
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+      values.push(limit);
+
+      const [rows] = await pool.query(
+        `SELECT * FROM audit_log ${where} ORDER BY created_at DESC, id DESC LIMIT ?`,
+        values
+      );
+      return rows.map(row => new AuditLog(row));
+    } catch (error) {
+      console.error('Error getting audit entries:', error);
+      throw new Error('Database query failed: unable to retrieve audit entries');
+    }
+  }
+}
+
+/**
+ * Module Exports
+ */
+module.exports = { AuditLog, AUDIT_ACTIONS };
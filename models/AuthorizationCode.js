@@ -0,0 +1,117 @@
+/**
+ * Authorization Code Model - User Management System
+ *
+ * This module contains database operations for OpenID Connect
+ * authorization codes. Codes are stored hashed, expire after a configured
+ * lifetime and can only be exchanged for tokens once.
+ *
+ * @author Development Team
+ * @version 1.0.0
+ */
+
+const { pool } = require('../config/db');
+
+class AuthorizationCode {
+  // Constructor - creates a new AuthorizationCode object from database data
+  constructor(codeData) {
+    this.id = codeData.id;
+    this.relying_party_id = codeData.relying_party_id;
+    this.user_id = codeData.user_id;
+    this.redirect_uri = codeData.redirect_uri;
+    // JSON columns arrive parsed from MySQL but as strings from MariaDB
+    this.scopes = typeof codeData.scopes === 'string' ? JSON.parse(codeData.scopes) : codeData.scopes;
+    this.nonce = codeData.nonce || null;
+    this.code_challenge = codeData.code_challenge;
+    this.expires_at = codeData.expires_at;
+    this.used_at = codeData.used_at || null;
+    this.created_at = codeData.created_at;
+  }
+
+  /**
+   * Create Authorization Code
+   *
+   * @param {Object} codeData - Code data object
+   * @param {string} codeData.codeHash - SHA-256 hash of the raw code
+   * @param {number} codeData.relyingPartyId - Relying party the code was issued to
+   * @param {number} codeData.userId - User who consented
+   * @param {string} codeData.redirectUri - Redirect URI of the authorization request
+   * @param {string[]} codeData.scopes - Scopes the user consented to
+   * @param {string|null} codeData.nonce - Nonce to echo in the ID token
+   * @param {string} codeData.codeChallenge - PKCE S256 code challenge
+   * @param {number} codeData.expiresIn - Lifetime in seconds
+   * @returns {Promise<number>} ID of the stored code
+   * @throws {Error} Database operation errors
+   */
+  static async create({ codeHash, relyingPartyId, userId, redirectUri, scopes, nonce, codeChallenge, expiresIn }) {
+    try {
+      const query = `
+        INSERT INTO authorization_codes
+          (code_hash, relying_party_id, user_id, redirect_uri, scopes, nonce, code_challenge, expires_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? SECOND))
+      `;
+
+      const [result] = await pool.query(query, [
+        codeHash, relyingPartyId, userId, redirectUri, JSON.stringify(scopes), nonce, codeChallenge, expiresIn
+      ]);
+      return result.insertId;
+    } catch (error) {
+      console.error('Error creating authorization code:', error);
+      throw new Error('Database operation failed: unable to create authorization code');
+    }
+  }
+
+  /**
+   * Find Valid Authorization Code
+   *
+   * Returns the code only if it is unused and unexpired.
+   *
+   * @param {string} codeHash - SHA-256 hash of the raw code
+   * @returns {Promise<AuthorizationCode|null>} Code or null if invalid
+   * @throws {Error} Database operation errors
+   */
+  static async findValidByHash(codeHash) {
+    try {
+      const query = `
+        SELECT * FROM authorization_codes
+        WHERE code_hash = ? AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+      `;
+
+      const [rows] = await pool.query(query, [codeHash]);
+      return rows.length > 0 ? new AuthorizationCode(rows[0]) : null;
+    } catch (error) {
+      console.error('Error finding authorization code:', error);
+      throw new Error('Database query failed: unable to find authorization code');
+    }
+  }
+
+  /**
+   * Mark Code as Used
+   *
+   * Only succeeds while the code is still unused, so a code cannot be
+   * exchanged twice even by concurrent requests.
+   *
+   * @param {number} codeId - Authorization code ID
+   * @returns {Promise<boolean>} True if the code was consumed
+   * @throws {Error} Database operation errors
+   */
+  static async markUsed(codeId) {
+    try {
+      const query = `
+        UPDATE authorization_codes
+        SET used_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND used_at IS NULL
+      `;
+
+      const [result] = await pool.query(query, [codeId]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error consuming authorization code:', error);
+      throw new Error('Database operation failed: unable to consume authorization code');
+    }
+  }
+}
+
+/**
+ * Module Exports
+ */
+module.exports = { AuthorizationCode };
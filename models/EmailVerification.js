@@ -0,0 +1,113 @@
+/**
+ * Email Verification Model - User Management System
+ *
+ * This module contains database operations for email verification tokens.
+ * Tokens are stored hashed, expire after a configured lifetime, can only
+ * be redeemed once and are bound to the address they were sent to.
+ *
+ * @author Development Team
+ * @version 1.0.0
+ */
+
+const { pool } = require('../config/db');
+
+class EmailVerification {
+  // Constructor - creates a new EmailVerification object from database data
+  constructor(verificationData) {
+    this.id = verificationData.id;
+    this.user_id = verificationData.user_id;
+    this.email = verificationData.email;
+    this.token_hash = verificationData.token_hash;
+    this.expires_at = verificationData.expires_at;
+    this.used_at = verificationData.used_at;
+    this.created_at = verificationData.created_at;
+  }
+
+  /**
+   * Create Verification Token
+   *
+   * Stores a new hashed verification token. Earlier unused tokens for the
+   * same user are invalidated so only the latest emailed link works.
+   *
+   * @param {Object} verificationData - Verification data object
+   * @param {number} verificationData.userId - User being verified
+   * @param {string} verificationData.email - Address the link is sent to
+   * @param {string} verificationData.tokenHash - SHA-256 hash of the raw token
+   * @param {number} verificationData.expiresIn - Lifetime in seconds
+   * @returns {Promise<number>} ID of the stored token
+   * @throws {Error} Database operation errors
+   */
+  static async create({ userId, email, tokenHash, expiresIn }) {
+    try {
+      await pool.query(
+        'UPDATE email_verifications SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL',
+        [userId]
+      );
+
+      const query = `
+        INSERT INTO email_verifications (user_id, email, token_hash, expires_at)
+        VALUES (?, ?, ?, DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? SECOND))
+      `;
+
+      const [result] = await pool.query(query, [userId, email, tokenHash, expiresIn]);
+      return result.insertId;
+    } catch (error) {
+      console.error('Error creating email verification:', error);
+      throw new Error('Database operation failed: unable to create email verification');
+    }
+  }
+
+  /**
+   * Find Valid Verification Token
+   *
+   * Returns the token only if it is unused and unexpired.
+   *
+   * @param {string} tokenHash - SHA-256 hash of the raw token
+   * @returns {Promise<EmailVerification|null>} Verification instance or null if invalid
+   * @throws {Error} Database operation errors
+   */
+  static async findValidByHash(tokenHash) {
+    try {
+      const query = `
+        SELECT * FROM email_verifications
+        WHERE token_hash = ? AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+      `;
+
+      const [rows] = await pool.query(query, [tokenHash]);
+      return rows.length > 0 ? new EmailVerification(rows[0]) : null;
+    } catch (error) {
+      console.error('Error finding email verification:', error);
+      throw new Error('Database query failed: unable to find email verification');
+    }
+  }
+
+  /**
+   * Mark Token as Used
+   *
+   * Only succeeds while the token is still unused.
+   *
+   * @param {number} verificationId - Verification token ID
+   * @returns {Promise<boolean>} True if the token was consumed
+   * @throws {Error} Database operation errors
+   */
+  static async markUsed(verificationId) {
+    try {
+      const query = `
+        UPDATE email_verifications
+        SET used_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND used_at IS NULL
+      `;
+
+      const [result] = await pool.query(query, [verificationId]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error consuming email verification:', error);
+      throw new Error('Database operation failed: unable to consume email verification');
+    }
+  }
+}
+
+/**
+ * Module Exports
+ */
+module.exports = { EmailVerification };
@@ -0,0 +1,444 @@
+/**
+ * Group Model - User Management System
+ *
+ * This module contains database operations for groups (teams) of users.
+ * Roles and individual permissions can be granted to a group, and every
+ * member receives them in addition to their own roles. Groups can be
+ * nested: members of a group also receive everything granted to its
+ * parent groups.
+ *
+ * The table is called user_groups because GROUPS is a reserved word in
+ * MySQL 8.
+ *
+ * @author Development Team
+ * @version 1.0.0
+ */
+
+const { pool } = require('../config/db');
+
+class Group {
+  // Constructor - creates a new Group object from database data
+  constructor(groupData, roles = [], permissions = []) {
+    this.id = groupData.id;
+    this.name = groupData.name;
+    this.description = groupData.description;
+    this.parent_id = groupData.parent_id || null;
+    this.member_count = groupData.member_count !== undefined ? Number(groupData.member_count) : undefined;
+    this.roles = roles;
+    this.permissions = permissions;
+    this.created_at = groupData.created_at;
+    this.updated_at = groupData.updated_at;
+  }
+
+  /**
+   * Build Group Objects
+   *
+   * @param {Object[]} rows - Rows from the user_groups table
+   * @returns {Promise<Group[]>} Groups with their granted roles and permissions
+   */
+  static async fromRows(rows) {
+    const groupIds = rows.map(row => row.id);
+    const roleMap = new Map(groupIds.map(id => [id, []]));
+    const permissionMap = new Map(groupIds.map(id => [id, []]));
+
+    if (groupIds.length > 0) {
+      const [roleRows] = await pool.query(
+        `SELECT gr.group_id, r.name
+         FROM group_roles gr
+         JOIN roles r ON r.id = gr.role_id
+         WHERE gr.group_id IN (?)
+         ORDER BY r.name`,
+        [groupIds]
+      );
+      for (const row of roleRows) {
+        roleMap.get(row.group_id).push(row.name);
+      }
+
+      const [permissionRows] = await pool.query(
+        `SELECT gp.group_id, p.name
+         FROM group_permissions gp
+         JOIN permissions p ON p.id = gp.permission_id
+         WHERE gp.group_id IN (?)
+         ORDER BY p.name`,
+        [groupIds]
+      );
+      for (const row of permissionRows) {
+        permissionMap.get(row.group_id).push(row.name);
+      }
+    }
+
+    return rows.map(row => new Group(row, roleMap.get(row.id), permissionMap.get(row.id)));
+  }
+
+  /**
+   * Get All Groups
+   *
+   * @returns {Promise<Group[]>} Every group with its grants and number of members
+   * @throws {Error} Database operation errors
+   */
+  static async findAll() {
+    try {
+      const query = `
+        SELECT g.*, (SELECT COUNT(*) FROM group_members gm WHERE gm.group_id = g.id) AS member_count
+        FROM user_groups g
+        ORDER BY g.name
+      `;
+
+      const [rows] = await pool.query(query);
+      return await Group.fromRows(rows);
+    } catch (error) {
+      console.error('Error getting groups:', error);
+      throw new Error('Database query failed: unable to retrieve groups');
+    }
+  }
+
+  /**
+   * Find Group by ID
+   *
+   * @param {number} groupId - Group ID
+   * @returns {Promise<Group|null>} Group with its grants, or null if not found
+   * @throws {Error} Database operation errors
+   */
+  static async findById(groupId) {
+    try {
+      const query = `
+        SELECT g.*, (SELECT COUNT(*) FROM group_members gm WHERE gm.group_id = g.id) AS member_count
+        FROM user_groups g
+        WHERE g.id = ?
+      `;
+
+      const [rows] = await pool.query(query, [groupId]);
+      if (rows.length === 0) {
+        return null;
+      }
+
+      const [group] = await Group.fromRows(rows);
+      return group;
+    } catch (error) {
+      console.error('Error finding group by ID:', error);
+      throw new Error('Database query failed: unable to find group by ID');
+    }
+  }
+
+  /**
+   * Find Group by Name
+   *
+   * @param {string} name - Group name
+   * @returns {Promise<Group|null>} Group with its grants, or null if not found
+   * @throws {Error} Database operation errors
+   */
+  static async findByName(name) {
+    try {
+      const [rows] = await pool.query('SELECT id FROM user_groups WHERE name = ?', [name]);
+      return rows.length > 0 ? await Group.findById(rows[0].id) : null;
+    } catch (error) {
+      console.error('Error finding group by name:', error);
+      throw new Error('Database query failed: unable to find group by name');
+    }
+  }
+
+  /**
+   * Expand Groups with Their Ancestors
+   *
+   * @param {number[]} groupIds - Group IDs
+   * @returns {Promise<Object[]>} The groups and all their parent groups, as {id, name}
+   * @throws {Error} Database operation errors
+   */
+  static async expandWithAncestors(groupIds) {
+    if (groupIds.length === 0) {
+      return [];
+    }
+
+    try {
+      const [rows] = await pool.query('SELECT id, name, parent_id FROM user_groups');
+      const byId = new Map(rows.map(row => [row.id, row]));
+
+      // Walk up the parent chain; the visited map also guards against cycles
+      const expanded = new Map();
+      for (const groupId of groupIds) {
+        let current = byId.get(Number(groupId));
+        while (current && !expanded.has(current.id)) {
+          expanded.set(current.id, { id: current.id, name: current.name });
+          current = byId.get(current.parent_id);
+        }
+      }
+
+      return [...expanded.values()];
+    } catch (error) {
+      console.error('Error expanding group ancestors:', error);
+      throw new Error('Database query failed: unable to resolve parent groups');
+    }
+  }
+
+  /**
+   * Get Grants of Groups
+   *
+   * Includes everything granted to the groups' parent groups.
+   *
+   * @param {number[]} groupIds - Group IDs
+   * @returns {Promise<{groups: string[], roles: string[], permissions: string[]}>} Group names and granted role and permission names
+   * @throws {Error} Database operation errors
+   */
+  static async getGrants(groupIds) {
+    const groups = await Group.expandWithAncestors(groupIds);
+    if (groups.length === 0) {
+      return { groups: [], roles: [], permissions: [] };
+    }
+
+    try {
+      const ids = groups.map(group => group.id);
+      const [roleRows] = await pool.query(
+        `SELECT DISTINCT r.name
+         FROM group_roles gr
+         JOIN roles r ON r.id = gr.role_id
+         WHERE gr.group_id IN (?)`,
+        [ids]
+      );
+      const [permissionRows] = await pool.query(
+        `SELECT DISTINCT p.name
+         FROM group_permissions gp
+         JOIN permissions p ON p.id = gp.permission_id
+         WHERE gp.group_id IN (?)`,
+        [ids]
+      );
+
+      return {
+        groups: groups.map(group => group.name),
+        roles: roleRows.map(row => row.name),
+        permissions: permissionRows.map(row => row.name)
+      };
+    } catch (error) {
+      console.error('Error getting group grants:', error);
+      throw new Error('Database query failed: unable to get group grants');
+    }
+  }
+
+  /**
+   * Get Grants of a User's Groups
+   *
+   * @param {number} userId - User ID
+   * @returns {Promise<{groups: string[], roles: string[], permissions: string[]}>} Grants from every group the user belongs to
+   * @throws {Error} Database operation errors
+   */
+  static async getGrantsForUser(userId) {
+    let rows;
+    try {
+      [rows] = await pool.query('SELECT group_id FROM group_members WHERE user_id = ?', [userId]);
+    } catch (error) {
+      console.error('Error getting user groups:', error);
+      throw new Error('Database query failed: unable to get user groups');
+    }
+
+    return Group.getGrants(rows.map(row => row.group_id));
+  }
+
+  /**
+   * Get Group Members
+   *
+   * @param {number} groupId - Group ID
+   * @returns {Promise<Object[]>} Direct members with when they were added
+   * @throws {Error} Database operation errors
+   */
+  static async getMembers(groupId) {
+    try {
+      const query = `
+        SELECT u.id, u.username, u.email, u.role, gm.created_at AS added_at
+        FROM group_members gm
+        JOIN users u ON u.id = gm.user_id
+        WHERE gm.group_id = ?
+        ORDER BY u.username
+      `;
+
+      const [rows] = await pool.query(query, [groupId]);
+      return rows;
+    } catch (error) {
+      console.error('Error getting group members:', error);
+      throw new Error('Database query failed: unable to get group members');
+    }
+  }
+
+  /**
+   * Add Group Member
+   *
+   * @param {number} groupId - Group ID
+   * @param {number} userId - User ID
+   * @returns {Promise<boolean>} True if the user was added, false if already a member
+   * @throws {Error} Database operation errors
+   */
+  static async addMember(groupId, userId) {
+    try {
+      const [result] = await pool.query(
+        'INSERT IGNORE INTO group_members (group_id, user_id) VALUES (?, ?)',
+        [groupId, userId]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error adding group member:', error);
+      throw new Error('Database operation failed: unable to add group member');
+    }
+  }
+
+  /**
+   * Remove Group Member
+   *
+   * @param {number} groupId - Group ID
+   * @param {number} userId - User ID
+   * @returns {Promise<boolean>} True if the user was a member and was removed
+   * @throws {Error} Database operation errors
+   */
+  static async removeMember(groupId, userId) {
+    try {
+      const [result] = await pool.query(
+        'DELETE FROM group_members WHERE group_id = ? AND user_id = ?',
+        [groupId, userId]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error removing group member:', error);
+      throw new Error('Database operation failed: unable to remove group member');
+    }
+  }
+
+  /**
+   * Replace Group Grants
+   *
+   * @param {Object} connection - Connection with an open transaction
+   * @param {number} groupId - Group ID
+   * @param {Object} grants - Grants to replace; omitted lists are left unchanged
+   * @param {string[]} [grants.roles] - Role names to grant
+   * @param {string[]} [grants.permissions] - Permission names to grant
+   * @returns {Promise<void>}
+   */
+  static async replaceGrants(connection, groupId, { roles, permissions }) {
+    if (roles !== undefined) {
+      await connection.query('DELETE FROM group_roles WHERE group_id = ?', [groupId]);
+      if (roles.length > 0) {
+        await connection.query(
+          `INSERT INTO group_roles (group_id, role_id)
+           SELECT ?, id FROM roles WHERE name IN (?)`,
+          [groupId, roles]
+        );
+      }
+    }
+
+    if (permissions !== undefined) {
+      await connection.query('DELETE FROM group_permissions WHERE group_id = ?', [groupId]);
+      if (permissions.length > 0) {
+        await connection.query(
+          `INSERT INTO group_permissions (group_id, permission_id)
+           SELECT ?, id FROM permissions WHERE name IN (?)`,
+          [groupId, permissions]
+        );
+      }
+    }
+  }
+
+  /**
+   * Create Group
+   *
+   * @param {Object} groupData - Group data object
+   * @param {string} groupData.name - Unique group name
+   * @param {string} [groupData.description] - What the group is for
+   * @param {number} [groupData.parentId] - Parent group ID
+   * @param {string[]} [groupData.roles] - Role names granted to members
+   * @param {string[]} [groupData.permissions] - Permission names granted to members
+   * @returns {Promise<Group>} Created group
+   * @throws {Error} Database operation errors
+   */
+  static async create({ name, description = null, parentId = null, roles = [], permissions = [] }) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [result] = await connection.query(
+        'INSERT INTO user_groups (name, description, parent_id) VALUES (?, ?, ?)',
+        [name, description, parentId]
+      );
+      await Group.replaceGrants(connection, result.insertId, { roles, permissions });
+
+      await connection.commit();
+      return await Group.findById(result.insertId);
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error creating group:', error);
+      throw new Error('Database operation failed: unable to create group');
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Update Group
+   *
+   * @param {number} groupId - Group ID
+   * @param {Object} updates - Fields to update
+   * @param {string} [updates.name] - New name
+   * @param {string} [updates.description] - New description
+   * @param {number|null} [updates.parentId] - New parent group ID, null for none
+   * @param {string[]} [updates.roles] - Replaces all granted roles
+   * @param {string[]} [updates.permissions] - Replaces all granted permissions
+   * @returns {Promise<Group>} Updated group
+   * @throws {Error} Database operation errors
+   */
+  static async update(groupId, { name, description, parentId, roles, permissions }) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const fields = { name, description, parent_id: parentId };
+      const updateParts = [];
+      const values = [];
+      for (const [field, value] of Object.entries(fields)) {
+        if (value !== undefined) {
+          updateParts.push(`${field} = ?`);
+          values.push(value);
+        }
+      }
+
+      if (updateParts.length > 0) {
+        await connection.query(
+          `UPDATE user_groups SET ${updateParts.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+          [...values, groupId]
+        );
+      }
+
+      await Group.replaceGrants(connection, groupId, { roles, permissions });
+
+      await connection.commit();
+      return await Group.findById(groupId);
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error updating group:', error);
+      throw new Error('Database operation failed: unable to update group');
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Delete Group
+   *
+   * Memberships and grants are removed with the group; child groups
+   * become top-level groups.
+   *
+   * @param {number} groupId - Group ID
+   * @returns {Promise<boolean>} True if the group was deleted
+   * @throws {Error} Database operation errors
+   */
+  static async delete(groupId) {
+    try {
+      const [result] = await pool.query('DELETE FROM user_groups WHERE id = ?', [groupId]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error deleting group:', error);
+      throw new Error('Database operation failed: unable to delete group');
+    }
+  }
+}
+
+/**
+ * Module Exports
+ */
+module.exports = { Group };
@@ -0,0 +1,193 @@
+/**
+ * Login Attempt Model - User Management System
+ *
+ * This module records login attempts - with their IP address, user
+ * agent and outcome - and answers questions about them: recent failures,
+ * which the login throttle uses to slow down and block brute-force
+ * attacks from a single IP address, a user's login history and the
+ * clients a user has signed in from before.
+ *
+ * @author Development Team
+ * @version 1.0.0
+ */
+
+const { pool } = require('../config/db');
+const { describeDevice } = require('../utils/clientInfo');
+
+// Outcomes of a login attempt
+const LOGIN_OUTCOMES = {
+  SUCCESS: 'success',
+  MFA_REQUIRED: 'mfa_required',
+  EMAIL_NOT_VERIFIED: 'email_not_verified',
+  UNKNOWN_USER: 'unknown_user',
+  INVALID_PASSWORD: 'invalid_password',
+  INVALID_MFA_CODE: 'invalid_mfa_code',
+  THROTTLED: 'throttled'
+};
+
+// Outcomes that signed the user in. A correct password still waiting for its
+// second factor or a verified email is neither a success nor a failure
+const ACCEPTED_OUTCOMES = [
+  LOGIN_OUTCOMES.SUCCESS
+];
+
+// Failures that count towards the IP throttle - refused attempts were never checked
+const THROTTLED_FAILURES = [
+  LOGIN_OUTCOMES.UNKNOWN_USER,
+  LOGIN_OUTCOMES.INVALID_PASSWORD,
+  LOGIN_OUTCOMES.INVALID_MFA_CODE
+];
+
+class LoginAttempt {
+  // Constructor - creates a new LoginAttempt object from database data
+  constructor(attemptData) {
+    this.id = attemptData.id;
+    this.user_id = attemptData.user_id || null;
+    this.identifier = attemptData.identifier;
+    this.ip_address = attemptData.ip_address;
+    this.user_agent = attemptData.user_agent || null;
+    this.device = describeDevice(this.user_agent);
+    this.success = Boolean(attemptData.success);
+    this.outcome = attemptData.outcome;
+    this.created_at = attemptData.created_at;
+  }
+
+  /**
+   * Record Login Attempt
+   *
+   * @param {Object} attemptData - Attempt data object
+   * @param {number|null} attemptData.userId - Matched user, or null if unknown
+   * @param {string} attemptData.identifier - Name the client tried to log in as
+   * @param {string} attemptData.ipAddress - Client IP address
+   * @param {string|null} [attemptData.userAgent] - Client user agent
+   * @param {string} attemptData.outcome - One of LOGIN_OUTCOMES
+   * @returns {Promise<number>} Attempt ID
+   * @throws {Error} Database operation errors
+   */
+  static async record({ userId, identifier, ipAddress, userAgent = null, outcome }) {
+    try {
+      const query = `
+        INSERT INTO login_attempts (user_id, identifier, ip_address, user_agent, success, outcome)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `;
+
+      const [result] = await pool.query(query, [
+        userId,
+        String(identifier).slice(0, 100),
+        ipAddress,
+        userAgent,
+        ACCEPTED_OUTCOMES.includes(outcome),
+        outcome
+      ]);
+      return result.insertId;
+    } catch (error) {
+      console.error('Error recording login attempt:', error);
+      throw new Error('Database operation failed: unable to record login attempt');
+    }
+  }
+
+  /**
+   * Recent Failures by IP
+   *
+   * @param {string} ipAddress - Client IP address
+   * @param {number} windowSeconds - How far back to look
+   * @returns {Promise<{count: number, oldestAt: Date|null, latestAt: Date|null}>}
+   * @throws {Error} Database operation errors
+   */
+  static async getRecentFailuresByIp(ipAddress, windowSeconds) {
+    try {
+      const query = `
+        SELECT COUNT(*) AS count, MIN(created_at) AS oldestAt, MAX(created_at) AS latestAt
+        FROM login_attempts
+        WHERE ip_address = ? AND outcome IN (?)
+          AND created_at > DATE_SUB(CURRENT_TIMESTAMP, INTERVAL ? SECOND)
+      `;
+
+      const [rows] = await pool.query(query, [ipAddress, THROTTLED_FAILURES, windowSeconds]);
+      return rows[0];
+    } catch (error) {
+      console.error('Error counting login failures:', error);
+      throw new Error('Database query failed: unable to count login failures');
+    }
+  }
+
+  /**
+   * Count Attempts of a User Since
+   *
+   * @param {number} userId - User ID
+   * @param {string} outcome - One of LOGIN_OUTCOMES
+   * @param {Date} since - Earliest attempt time counted
+   * @returns {Promise<number>} Attempts with that outcome since the given time
+   * @throws {Error} Database operation errors
+   */
+  static async countByUserSince(userId, outcome, since) {
+    try {
+      const [rows] = await pool.query(
+        `SELECT COUNT(*) AS count FROM login_attempts
+         WHERE user_id = ? AND outcome = ? AND created_at >= ?`,
+        [userId, outcome, since]
+      );
+      return Number(rows[0].count);
+    } catch (error) {
+      console.error('Error counting login attempts:', error);
+      throw new Error('Database query failed: unable to count login attempts');
+    }
+  }
+
+  /**
+   * Find Login History of a User
+   *
+   * @param {number} userId - User ID
+   * @param {number} limit - Maximum number of attempts
+   * @returns {Promise<LoginAttempt[]>} Attempts, newest first
+   * @throws {Error} Database operation errors
+   */
+  static async findByUser(userId, limit) {
+    try {
+      const [rows] = await pool.query(
+        `SELECT * FROM login_attempts
+         WHERE user_id = ?
+         ORDER BY created_at DESC, id DESC
+         LIMIT ?`,
+        [userId, limit]
+      );
+      return rows.map(row => new LoginAttempt(row));
+    } catch (error) {
+      console.error('Error getting login history:', error);
+      throw new Error('Database query failed: unable to retrieve login history');
+    }
+  }
+
+  /**
+   * Find Known Clients of a User
+   *
+   * The IP addresses and user agents of the user's successful logins.
+   *
+   * @param {number} userId - User ID
+   * @param {number} [exceptAttemptId] - Attempt to leave out, e.g. the one just recorded
+   * @returns {Promise<{ipAddresses: string[], userAgents: string[]}>} Distinct values; user
+   *   agents are only known for logins recorded since they were stored
+   * @throws {Error} Database operation errors
+   */
+  static async findKnownClients(userId, exceptAttemptId = 0) {
+    try {
+      const [rows] = await pool.query(
+        `SELECT DISTINCT ip_address, user_agent FROM login_attempts
+         WHERE user_id = ? AND outcome = ? AND id <> ?`,
+        [userId, LOGIN_OUTCOMES.SUCCESS, exceptAttemptId]
+      );
+      return {
+        ipAddresses: [...new Set(rows.map(row => row.ip_address))],
+        userAgents: [...new Set(rows.map(row => row.user_agent).filter(Boolean))]
+      };
+    } catch (error) {
+      console.error('Error finding known login clients:', error);
+      throw new Error('Database query failed: unable to find known login clients');
+    }
+  }
+}
+
+/**
+ * Module Exports
+ */
+module.exports = { LoginAttempt, LOGIN_OUTCOMES, ACCEPTED_OUTCOMES };
@@ -0,0 +1,138 @@
+/**
+ * Magic Link Model - User Management System
+ *
+ * This module contains database operations for passwordless sign-in
+ * links. Like password reset tokens, links are stored hashed, expire
+ * after a short lifetime and can only be redeemed once; each one also
+ * records the IP address that requested it.
+ *
+ * @author Development Team
+ * @version 1.0.0
+ */
+
+const { pool } = require('../config/db');
+
+class MagicLink {
+  // Constructor - creates a new MagicLink object from database data
+  constructor(linkData) {
+    this.id = linkData.id;
+    this.user_id = linkData.user_id;
+    this.token_hash = linkData.token_hash;
+    this.expires_at = linkData.expires_at;
+    this.used_at = linkData.used_at;
+    this.ip_address = linkData.ip_address || null;
+    this.created_at = linkData.created_at;
+  }
+
+  /**
+   * Create Magic Link
+   *
+   * Stores a new hashed sign-in token. Any earlier unused links for the
+   * same user are invalidated so only the latest emailed link works.
+   *
+   * @param {Object} linkData - Link data object
+   * @param {number} linkData.userId - User the link signs in
+   * @param {string} linkData.tokenHash - SHA-256 hash of the raw token
+   * @param {number} linkData.expiresIn - Lifetime in seconds
+   * @param {string|null} [linkData.ipAddress] - IP address that requested the link
+   * @returns {Promise<number>} ID of the stored link
+   * @throws {Error} Database operation errors
+   */
+  static async create({ userId, tokenHash, expiresIn, ipAddress = null }) {
+    try {
+      await pool.query(
+        'UPDATE magic_links SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL',
+        [userId]
+      );
+
+      const query = `
+        INSERT INTO magic_links (user_id, token_hash, expires_at, ip_address)
+        VALUES (?, ?, DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? SECOND), ?)
+      `;
+
+      const [result] = await pool.query(query, [userId, tokenHash, expiresIn, ipAddress]);
+      return result.insertId;
+    } catch (error) {
+      console.error('Error creating magic link:', error);
+      throw new Error('Database operation failed: unable to create magic link');
+    }
+  }
+
+  /**
+   * Find Valid Magic Link
+   *
+   * Returns the link only if it is unused and unexpired.
+   *
+   * @param {string} tokenHash - SHA-256 hash of the raw token
+   * @returns {Promise<MagicLink|null>} Link instance or null if invalid
+   * @throws {Error} Database operation errors
+   */
+  static async findValidByHash(tokenHash) {
+    try {
+      const query = `
+        SELECT * FROM magic_links
+        WHERE token_hash = ? AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+      `;
+
+      const [rows] = await pool.query(query, [tokenHash]);
+      return rows.length > 0 ? new MagicLink(rows[0]) : null;
+    } catch (error) {
+      console.error('Error finding magic link:', error);
+      throw new Error('Database query failed: unable to find magic link');
+    }
+  }
+
+  /**
+   * Mark Link as Used
+   *
+   * Only succeeds while the link is still unused, so a link cannot be
+   * redeemed twice even by concurrent requests.
+   *
+   * @param {number} linkId - Magic link ID
+   * @returns {Promise<boolean>} True if the link was consumed
+   * @throws {Error} Database operation errors
+   */
+  static async markUsed(linkId) {
+    try {
+      const query = `
+        UPDATE magic_links
+        SET used_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND used_at IS NULL
+      `;
+
+      const [result] = await pool.query(query, [linkId]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error consuming magic link:', error);
+      throw new Error('Database operation failed: unable to consume magic link');
+    }
+  }
+
+  /**
+   * Count Recent Links of a User
+   *
+   * @param {number} userId - User ID
+   * @param {number} windowSeconds - How far back to look
+   * @returns {Promise<number>} Links issued to the user within the window
+   * @throws {Error} Database operation errors
+   */
+  static async countRecentByUser(userId, windowSeconds) {
+    try {
+      const query = `
+        SELECT COUNT(*) AS count FROM magic_links
+        WHERE user_id = ? AND created_at > DATE_SUB(CURRENT_TIMESTAMP, INTERVAL ? SECOND)
+      `;
+
+      const [rows] = await pool.query(query, [userId, windowSeconds]);
+      return Number(rows[0].count);
+    } catch (error) {
+      console.error('Error counting magic links:', error);
+      throw new Error('Database query failed: unable to count magic links');
+    }
+  }
+}
+
+/**
+ * Module Exports
+ */
+module.exports = { MagicLink };
@@ -0,0 +1,111 @@
+/**
+ * MFA Recovery Code Model - User Management System
+ *
+ * This module contains database operations for two-factor authentication
+ * recovery codes. Codes are stored hashed and each can be used once.
+ *
+ * @author Development Team
+ * @version 1.0.0
+ */
+
+const { pool } = require('../config/db');
+
+class MfaRecoveryCode {
+  /**
+   * Replace Recovery Codes
+   *
+   * Deletes any existing codes for the user and stores a new set.
+   *
+   * @param {number} userId - Owning user ID
+   * @param {string[]} codeHashes - SHA-256 hashes of the new codes
+   * @returns {Promise<void>}
+   * @throws {Error} Database operation errors
+   */
+  static async replaceForUser(userId, codeHashes) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+      await connection.query('DELETE FROM mfa_recovery_codes WHERE user_id = ?', [userId]);
+
+      if (codeHashes.length > 0) {
+        const values = codeHashes.map(hash => [userId, hash]);
+        await connection.query('INSERT INTO mfa_recovery_codes (user_id, code_hash) VALUES ?', [values]);
+      }
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error storing recovery codes:', error);
+      throw new Error('Database operation failed: unable to store recovery codes');
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Consume Recovery Code
+   *
+   * Marks a matching unused code as used.
+   *
+   * @param {number} userId - Owning user ID
+   * @param {string} codeHash - SHA-256 hash of the presented code
+   * @returns {Promise<boolean>} True if a valid code was consumed
+   * @throws {Error} Database operation errors
+   */
+  static async consume(userId, codeHash) {
+    try {
+      const query = `
+        UPDATE mfa_recovery_codes
+        SET used_at = CURRENT_TIMESTAMP
+        WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+        LIMIT 1
+      `;
+
+      const [result] = await pool.query(query, [userId, codeHash]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error consuming recovery code:', error);
+      throw new Error('Database operation failed: unable to use recovery code');
+    }
+  }
+
+  /**
+   * Count Remaining Codes
+   *
+   * @param {number} userId - Owning user ID
+   * @returns {Promise<number>} Number of unused codes
+   * @throws {Error} Database operation errors
+   */
+  static async countRemaining(userId) {
+    try {
+      const query = 'SELECT COUNT(*) AS count FROM mfa_recovery_codes WHERE user_id = ? AND used_at IS NULL';
+      const [rows] = await pool.query(query, [userId]);
+      return rows[0].count;
+    } catch (error) {
+      console.error('Error counting recovery codes:', error);
+      throw new Error('Database query failed: unable to count recovery codes');
+    }
+  }
+
+  /**
+   * Delete All Codes for User
+   *
+   * @param {number} userId - Owning user ID
+   * @returns {Promise<void>}
+   * @throws {Error} Database operation errors
+   */
+  static async deleteForUser(userId) {
+    try {
+      await pool.query('DELETE FROM mfa_recovery_codes WHERE user_id = ?', [userId]);
+    } catch (error) {
+      console.error('Error deleting recovery codes:', error);
+      throw new Error('Database operation failed: unable to delete recovery codes');
+    }
+  }
+}
+
+/**
+ * Module Exports
+ */
+module.exports = { MfaRecoveryCode };
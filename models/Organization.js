@@ -0,0 +1,195 @@
+/**
+ * Organization Model - User Management System
+ *
+ * This module contains database operations for organizations (tenants).
+ * Users can belong to several organizations. Administrators without the
+ * users:global permission only see and manage users who share one of
+ * their organizations; memberships are changed through the user routes.
+ *
+ * @author Development Team
+ * @version 1.0.0
+ */
+
+const { pool } = require('../config/db');
+
+class Organization {
+  // Constructor - creates a new Organization object from database data
+  constructor(organizationData) {
+    this.id = organizationData.id;
+    this.name = organizationData.name;
+    this.description = organizationData.description;
+    this.member_count = organizationData.member_count !== undefined ? Number(organizationData.member_count) : undefined;
+    this.created_at = organizationData.created_at;
+    this.updated_at = organizationData.updated_at;
+  }
+
+  /**
+   * Get All Organizations
+   *
+   * @param {number[]|null} [organizationIds=null] - Only these organizations; null for all
+   * @returns {Promise<Organization[]>} Organizations with their number of members
+   * @throws {Error} Database operation errors
+   */
+  static async findAll(organizationIds = null) {
+    if (organizationIds !== null && organizationIds.length === 0) {
+      return [];
+    }
+
+    try {
+      const query = `
+        SELECT o.*, (SELECT COUNT(*) FROM organization_members om WHERE om.organization_id = o.id) AS member_count
+        FROM organizations o
+        ${organizationIds !== null ? 'WHERE o.id IN (?)' : ''}
+        ORDER BY o.name
+      `;
+
+      const [rows] = await pool.query(query, organizationIds !== null ? [organizationIds] : []);
+      return rows.map(row => new Organization(row));
+    } catch (error) {
+      console.error('Error getting organizations:', error);
+      throw new Error('Database query failed: unable to retrieve organizations');
+    }
+  }
+
+  /**
+   * Find Organization by ID
+   *
+   * @param {number} organizationId - Organization ID
+   * @returns {Promise<Organization|null>} Organization, or null if not found
+   * @throws {Error} Database operation errors
+   */
+  static async findById(organizationId) {
+    try {
+      const query = `
+        SELECT o.*, (SELECT COUNT(*) FROM organization_members om WHERE om.organization_id = o.id) AS member_count
+        FROM organizations o
+        WHERE o.id = ?
+      `;
+
+      const [rows] = await pool.query(query, [organizationId]);
+      return rows.length > 0 ? new Organization(rows[0]) : null;
+    } catch (error) {
+      console.error('Error finding organization by ID:', error);
+      throw new Error('Database query failed: unable to find organization by ID');
+    }
+  }
+
+  /**
+   * Find Organization by Name
+   *
+   * @param {string} name - Organization name
+   * @returns {Promise<Organization|null>} Organization, or null if not found
+   * @throws {Error} Database operation errors
+   */
+  static async findByName(name) {
+    try {
+      const [rows] = await pool.query('SELECT id FROM organizations WHERE name = ?', [name]);
+      return rows.length > 0 ? await Organization.findById(rows[0].id) : null;
+    } catch (error) {
+      console.error('Error finding organization by name:', error);
+      throw new Error('Database query failed: unable to find organization by name');
+    }
+  }
+
+  /**
+   * Count Existing Organizations
+   *
+   * @param {number[]} organizationIds - Organization IDs to check
+   * @returns {Promise<number>} How many of the IDs exist
+   * @throws {Error} Database operation errors
+   */
+  static async countExisting(organizationIds) {
+    if (organizationIds.length === 0) {
+      return 0;
+    }
+
+    try {
+      const [rows] = await pool.query('SELECT COUNT(*) AS count FROM organizations WHERE id IN (?)', [organizationIds]);
+      return Number(rows[0].count);
+    } catch (error) {
+      console.error('Error checking organizations:', error);
+      throw new Error('Database query failed: unable to check organizations');
+    }
+  }
+
+  /**
+   * Create Organization
+   *
+   * @param {Object} organizationData - Organization data object
+   * @param {string} organizationData.name - Unique organization name
+   * @param {string} [organizationData.description] - Optional description
+   * @returns {Promise<Organization>} Created organization
+   * @throws {Error} Database operation errors
+   */
+  static async create({ name, description = null }) {
+    try {
+      const [result] = await pool.query(
+        'INSERT INTO organizations (name, description) VALUES (?, ?)',
+        [name, description]
+      );
+      return await Organization.findById(result.insertId);
+    } catch (error) {
+      console.error('Error creating organization:', error);
+      throw new Error('Database operation failed: unable to create organization');
+    }
+  }
+
+  /**
+   * Update Organization
+   *
+   * @param {number} organizationId - Organization ID
+   * @param {Object} updates - Fields to update
+   * @param {string} [updates.name] - New name
+   * @param {string} [updates.description] - New description
+   * @returns {Promise<Organization>} Updated organization
+   * @throws {Error} Database operation errors
+   */
+  static async update(organizationId, { name, description }) {
+    try {
+      const updateParts = [];
+      const values = [];
+      for (const [field, value] of Object.entries({ name, description })) {
+        if (value !== undefined) {
+          updateParts.push(`${field} = ?`);
+          values.push(value);
+        }
+      }
+
+      if (updateParts.length > 0) {
+        await pool.query(
+          `UPDATE organizations SET ${updateParts.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+          [...values, organizationId]
+        );
+      }
+
+      return await Organization.findById(organizationId);
+    } catch (error) {
+      console.error('Error updating organization:', error);
+      throw new Error('Database operation failed: unable to update organization');
+    }
+  }
+
+  /**
+   * Delete Organization
+   *
+   * Memberships are removed with the organization; the users remain.
+   *
+   * @param {number} organizationId - Organization ID
+   * @returns {Promise<boolean>} True if the organization was deleted
+   * @throws {Error} Database operation errors
+   */
+  static async delete(organizationId) {
+    try {
+      const [result] = await pool.query('DELETE FROM organizations WHERE id = ?', [organizationId]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error deleting organization:', error);
+      throw new Error('Database operation failed: unable to delete organization');
+    }
+  }
+}
+
+/**
+ * Module Exports
+ */
+module.exports = { Organization };
@@ -0,0 +1,83 @@
+/**
+ * Password History Model - User Management System
+ *
+ * This module contains database operations for previous password
+ * hashes, used by the password policy to prevent reusing a recent
+ * password.
+ *
+ * @author Development Team
+ * @version 1.0.0
+ */
+
+const { pool } = require('../config/db');
+
+class PasswordHistory {
+  /**
+   * Add Previous Password
+   *
+   * Stores a password hash that is being replaced and drops entries
+   * beyond the number that has to be kept.
+   *
+   * @param {number} userId - Owner of the password
+   * @param {string} passwordHash - Hash of the replaced password
+   * @param {number} keep - Number of previous hashes to keep
+   * @returns {Promise<void>}
+   * @throws {Error} Database operation errors
+   */
+  static async add(userId, passwordHash, keep) {
+    try {
+      await pool.query(
+        'INSERT INTO password_history (user_id, password_hash) VALUES (?, ?)',
+        [userId, passwordHash]
+      );
+
+      // MySQL does not allow LIMIT directly inside IN, hence the derived table
+      const pruneQuery = `
+        DELETE FROM password_history
+        WHERE user_id = ? AND id NOT IN (
+          SELECT id FROM (
+            SELECT id FROM password_history
+            WHERE user_id = ?
+            ORDER BY id DESC
+            LIMIT ?
+          ) AS recent
+        )
+      `;
+
+      await pool.query(pruneQuery, [userId, userId, keep]);
+    } catch (error) {
+      console.error('Error adding password history:', error);
+      throw new Error('Database operation failed: unable to add password history');
+    }
+  }
+
+  /**
+   * Get Recent Password Hashes
+   *
+   * @param {number} userId - Owner of the passwords
+   * @param {number} limit - Maximum number of hashes, newest first
+   * @returns {Promise<string[]>} Previous password hashes
+   * @throws {Error} Database operation errors
+   */
+  static async getRecentHashes(userId, limit) {
+    try {
+      const query = `
+        SELECT password_hash FROM password_history
+        WHERE user_id = ?
+        ORDER BY id DESC
+        LIMIT ?
+      `;
+
+      const [rows] = await pool.query(query, [userId, limit]);
+      return rows.map(row => row.password_hash);
+    } catch (error) {
+      console.error('Error getting password history:', error);
+      throw new Error('Database query failed: unable to get password history');
+    }
+  }
+}
+
+/**
+ * Module Exports
+ */
+module.exports = { PasswordHistory };
@@ -0,0 +1,112 @@
+/**
+ * Password Reset Model - User Management System
+ *
+ * This module contains database operations for password reset tokens.
+ * Tokens are stored hashed, expire after a configured lifetime and can
+ * only be redeemed once.
+ *
+ * @author Development Team
+ * @version 1.0.0
+ */
+
+const { pool } = require('../config/db');
+
+class PasswordReset {
+  // Constructor - creates a new PasswordReset object from database data
+  constructor(resetData) {
+    this.id = resetData.id;
+    this.user_id = resetData.user_id;
+    this.token_hash = resetData.token_hash;
+    this.expires_at = resetData.expires_at;
+    this.used_at = resetData.used_at;
+    this.created_at = resetData.created_at;
+  }
+
+  /**
+   * Create Reset Token
+   *
+   * Stores a new hashed reset token. Any earlier unused tokens for the
+   * same user are invalidated so only the latest emailed link works.
+   *
+   * @param {Object} resetData - Reset data object
+   * @param {number} resetData.userId - User requesting the reset
+   * @param {string} resetData.tokenHash - SHA-256 hash of the raw token
+   * @param {number} resetData.expiresIn - Lifetime in seconds
+   * @returns {Promise<number>} ID of the stored token
+   * @throws {Error} Database operation errors
+   */
+  static async create({ userId, tokenHash, expiresIn }) {
+    try {
+      await pool.query(
+        'UPDATE password_resets SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL',
+        [userId]
+      );
+
+      const query = `
+        INSERT INTO password_resets (user_id, token_hash, expires_at)
+        VALUES (?, ?, DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? SECOND))
+      `;
+
+      const [result] = await pool.query(query, [userId, tokenHash, expiresIn]);
+      return result.insertId;
+    } catch (error) {
+      console.error('Error creating password reset:', error);
+      throw new Error('Database operation failed: unable to create password reset');
+    }
+  }
+
+  /**
+   * Find Valid Reset Token
+   *
+   * Returns the reset token only if it is unused and unexpired.
+   *
+   * @param {string} tokenHash - SHA-256 hash of the raw token
+   * @returns {Promise<PasswordReset|null>} Reset instance or null if invalid
+   * @throws {Error} Database operation errors
+   */
+  static async findValidByHash(tokenHash) {
+    try {
+      const query = `
+        SELECT * FROM password_resets
+        WHERE token_hash = ? AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+      `;
+
+      const [rows] = await pool.query(query, [tokenHash]);
+      return rows.length > 0 ? new PasswordReset(rows[0]) : null;
+    } catch (error) {
+      console.error('Error finding password reset:', error);
+      throw new Error('Database query failed: unable to find password reset');
+    }
+  }
+
+  /**
+   * Mark Token as Used
+   *
+   * Only succeeds while the token is still unused, so a token cannot be
+   * redeemed twice even by concurrent requests.
+   *
+   * @param {number} resetId - Reset token ID
+   * @returns {Promise<boolean>} True if the token was consumed
+   * @throws {Error} Database operation errors
+   */
+  static async markUsed(resetId) {
+    try {
+      const query = `
+        UPDATE password_resets
+        SET used_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND used_at IS NULL
+      `;
+
+      const [result] = await pool.query(query, [resetId]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error consuming password reset:', error);
+      throw new Error('Database operation failed: unable to consume password reset');
+    }
+  }
+}
+
+/**
+ * Module Exports
+ */
+module.exports = { PasswordReset };
@@ -0,0 +1,95 @@
+/**
+ * Permission Model - User Management System
+ *
+ * This module defines the permission catalog and contains database
+ * operations for permissions. Permissions are named '<resource>:<action>'
+ * and granted to roles or groups; the catalog itself is defined here in code and
+ * synced to the database on initialization.
+ *
+ * @author Development Team
+ * @version 1.0.0
+ */
+
+const { pool } = require('../config/db');
+
+// Permission names - use these constants with requirePermission()
+const PERMISSIONS = {
+  USERS_READ: 'users:read',
+  USERS_CREATE: 'users:create',
+  USERS_UPDATE: 'users:update',
+  USERS_DELETE: 'users:delete',
+  USERS_UNLOCK: 'users:unlock',
+  USERS_IMPERSONATE: 'users:impersonate',
+  USERS_SESSIONS: 'users:sessions',
+  USERS_GLOBAL: 'users:global',
+  ROLES_READ: 'roles:read',
+  ROLES_MANAGE: 'roles:manage',
+  ROLES_APPROVE: 'roles:approve',
+  GROUPS_READ: 'groups:read',
+  GROUPS_MANAGE: 'groups:manage',
+  ORGANIZATIONS_READ: 'organizations:read',
+  ORGANIZATIONS_MANAGE: 'organizations:manage',
+  POLICIES_READ: 'policies:read',
+  AUDIT_READ: 'audit:read',
+  SERVICE_ACCOUNTS_MANAGE: 'service_accounts:manage',
+  RELYING_PARTIES_MANAGE: 'relying_parties:manage',
+  TOKENS_INTROSPECT: 'tokens:introspect',
+  SETTINGS_READ: 'settings:read',
+  SETTINGS_UPDATE: 'settings:update'
+};
+
+// Descriptions shown in the admin dashboard
+const PERMISSION_DESCRIPTIONS = {
+  [PERMISSIONS.USERS_READ]: 'View user accounts',
+  [PERMISSIONS.USERS_CREATE]: 'Create user accounts',
+  [PERMISSIONS.USERS_UPDATE]: 'Edit user accounts, passwords and roles',
+  [PERMISSIONS.USERS_DELETE]: 'Delete user accounts',
+  [PERMISSIONS.USERS_UNLOCK]: 'Clear login lockouts',
+  [PERMISSIONS.USERS_IMPERSONATE]: 'Sign in as another user for support, without their password',
+  [PERMISSIONS.USERS_SESSIONS]: 'View and end the login sessions of other users',
+  [PERMISSIONS.USERS_GLOBAL]: 'Manage users in every organization, not just your own (super-admin)',
+  [PERMISSIONS.ROLES_READ]: 'View roles and permissions',
+  [PERMISSIONS.ROLES_MANAGE]: 'Create, edit and delete roles',
+  [PERMISSIONS.ROLES_APPROVE]: 'Approve or reject role requests made by other administrators',
+  [PERMISSIONS.GROUPS_READ]: 'View groups and their members',
+  [PERMISSIONS.GROUPS_MANAGE]: 'Create, edit and delete groups and manage members',
+  [PERMISSIONS.ORGANIZATIONS_READ]: 'View your organizations (all of them with users:global)',
+  [PERMISSIONS.ORGANIZATIONS_MANAGE]: 'Create, rename and delete organizations',
+  [PERMISSIONS.POLICIES_READ]: 'View access policies and dry-run policy decisions',
+  [PERMISSIONS.AUDIT_READ]: 'View the audit log',
+  [PERMISSIONS.SERVICE_ACCOUNTS_MANAGE]: 'Create and manage service accounts for machine access',
+  [PERMISSIONS.RELYING_PARTIES_MANAGE]: 'Register applications that sign users in with OpenID Connect',
+  [PERMISSIONS.TOKENS_INTROSPECT]: 'Check whether tokens are active (for service accounts of resource servers)',
+  [PERMISSIONS.SETTINGS_READ]: 'View security settings',
+  [PERMISSIONS.SETTINGS_UPDATE]: 'Change security settings'
+};
+
+class Permission {
+  // Constructor - creates a new Permission object from database data
+  constructor(permissionData) {
+    this.id = permissionData.id;
+    this.name = permissionData.name;
+    this.description = permissionData.description;
+  }
+
+  /**
+   * Get All Permissions
+   *
+   * @returns {Promise<Permission[]>} Every permission, ordered by name
+   * @throws {Error} Database operation errors
+   */
+  static async findAll() {
+    try {
+      const [rows] = await pool.query('SELECT * FROM permissions ORDER BY name');
+      return rows.map(row => new Permission(row));
+    } catch (error) {
+      console.error('Error getting permissions:', error);
+      throw new Error('Database query failed: unable to retrieve permissions');
+    }
+  }
+}
+
+/**
+ * Module Exports
+ */
+module.exports = { Permission, PERMISSIONS, PERMISSION_DESCRIPTIONS };
@@ -0,0 +1,194 @@
+/**
+ * Personal Access Token Model - User Management System
+ *
+ * This module contains database operations for personal access tokens:
+ * named, scoped and expiring credentials that users create for scripts
+ * and integrations. Tokens are stored as SHA-256 hashes only; the raw
+ * value is shown once when the token is created.
+ *
+ * @author Development Team
+ * @version 1.0.0
+ */
+
+const { pool } = require('../config/db');
+
+// Active tokens are neither revoked nor expired
+const ACTIVE_CONDITION = 'revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP';
+
+class PersonalAccessToken {
+  // Constructor - creates a new PersonalAccessToken object from database data
+  constructor(tokenData) {
+    this.id = tokenData.id;
+    this.user_id = tokenData.user_id;
+    this.name = tokenData.name;
+    this.token_prefix = tokenData.token_prefix;
+    // JSON columns arrive parsed from MySQL but as strings from MariaDB
+    this.scopes = typeof tokenData.scopes === 'string' ? JSON.parse(tokenData.scopes) : tokenData.scopes;
+    this.expires_at = tokenData.expires_at;
+    this.last_used_at = tokenData.last_used_at || null;
+    this.last_used_ip = tokenData.last_used_ip || null;
+    this.revoked_at = tokenData.revoked_at || null;
+    this.created_at = tokenData.created_at;
+  }
+
+  /**
+   * Create Personal Access Token
+   *
+   * @param {Object} tokenData - Token data object
+   * @param {number} tokenData.userId - Owning user ID
+   * @param {string} tokenData.name - Name chosen by the user
+   * @param {string} tokenData.tokenHash - SHA-256 hash of the raw token
+   * @param {string} tokenData.tokenPrefix - First characters of the raw token
+   * @param {string[]} tokenData.scopes - Scopes the token may use
+   * @param {Date} tokenData.expiresAt - Expiry date
+   * @returns {Promise<PersonalAccessToken>} Created token
+   * @throws {Error} Database operation errors
+   */
+  static async create({ userId, name, tokenHash, tokenPrefix, scopes, expiresAt }) {
+    try {
+      const query = `
+        INSERT INTO personal_access_tokens (user_id, name, token_hash, token_prefix, scopes, expires_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `;
+
+      const [result] = await pool.query(query, [userId, name, tokenHash, tokenPrefix, JSON.stringify(scopes), expiresAt]);
+      return PersonalAccessToken.findById(result.insertId);
+    } catch (error) {
+      console.error('Error creating personal access token:', error);
+      throw new Error('Database operation failed: unable to create personal access token');
+    }
+  }
+
+  /**
+   * Find Personal Access Token by ID
+   *
+   * @param {number} tokenId - Token ID
+   * @returns {Promise<PersonalAccessToken|null>} Token, or null if not found
+   * @throws {Error} Database operation errors
+   */
+  static async findById(tokenId) {
+    try {
+      const [rows] = await pool.query('SELECT * FROM personal_access_tokens WHERE id = ?', [tokenId]);
+      return rows.length > 0 ? new PersonalAccessToken(rows[0]) : null;
+    } catch (error) {
+      console.error('Error finding personal access token by ID:', error);
+      throw new Error('Database query failed: unable to find personal access token by ID');
+    }
+  }
+
+  /**
+   * Find Active Token by Hash
+   *
+   * @param {string} tokenHash - SHA-256 hash of the presented token
+   * @returns {Promise<PersonalAccessToken|null>} Token, or null if unknown, revoked or expired
+   * @throws {Error} Database operation errors
+   */
+  static async findActiveByHash(tokenHash) {
+    try {
+      const [rows] = await pool.query(
+        `SELECT * FROM personal_access_tokens WHERE token_hash = ? AND ${ACTIVE_CONDITION}`,
+        [tokenHash]
+      );
+      return rows.length > 0 ? new PersonalAccessToken(rows[0]) : null;
+    } catch (error) {
+      console.error('Error finding personal access token:', error);
+      throw new Error('Database query failed: unable to find personal access token');
+    }
+  }
+
+  /**
+   * Find Tokens of a User
+   *
+   * Revoked tokens are not listed; expired ones are, until the user
+   * removes them.
+   *
+   * @param {number} userId - Owning user ID
+   * @returns {Promise<PersonalAccessToken[]>} Tokens, newest first
+   * @throws {Error} Database operation errors
+   */
+  static async findByUser(userId) {
+    try {
+      const [rows] = await pool.query(
+        `SELECT * FROM personal_access_tokens
+         WHERE user_id = ? AND revoked_at IS NULL
+         ORDER BY created_at DESC, id DESC`,
+        [userId]
+      );
+      return rows.map(row => new PersonalAccessToken(row));
+    } catch (error) {
+      console.error('Error getting personal access tokens:', error);
+      throw new Error('Database query failed: unable to retrieve personal access tokens');
+    }
+  }
+
+  /**
+   * Record Token Use
+   *
+   * @param {number} tokenId - Token ID
+   * @param {string} ipAddress - Client IP address
+   * @returns {Promise<void>}
+   * @throws {Error} Database operation errors
+   */
+  static async recordUse(tokenId, ipAddress) {
+    try {
+      await pool.query(
+        'UPDATE personal_access_tokens SET last_used_at = CURRENT_TIMESTAMP, last_used_ip = ? WHERE id = ?',
+        [ipAddress, tokenId]
+      );
+    } catch (error) {
+      console.error('Error recording personal access token use:', error);
+      throw new Error('Database operation failed: unable to record personal access token use');
+    }
+  }
+
+  /**
+   * Revoke Personal Access Token
+   *
+   * @param {number} tokenId - Token ID
+   * @param {number} userId - Owning user ID; other users' tokens are never revoked
+   * @returns {Promise<boolean>} True if a token was revoked
+   * @throws {Error} Database operation errors
+   */
+  static async revoke(tokenId, userId) {
+    try {
+      const [result] = await pool.query(
+        `UPDATE personal_access_tokens SET revoked_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND user_id = ? AND revoked_at IS NULL`,
+        [tokenId, userId]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error revoking personal access token:', error);
+      throw new Error('Database operation failed: unable to revoke personal access token');
+    }
+  }
+
+  /**
+   * Revoke All User Tokens
+   *
+   * Revokes every personal access token of a user, e.g. when their
+   * password is reset.
+   *
+   * @param {number} userId - User whose tokens should stop working
+   * @returns {Promise<number>} Number of tokens revoked
+   * @throws {Error} Database operation errors
+   */
+  static async revokeAllForUser(userId) {
+    try {
+      const [result] = await pool.query(
+        `UPDATE personal_access_tokens SET revoked_at = CURRENT_TIMESTAMP
+         WHERE user_id = ? AND revoked_at IS NULL`,
+        [userId]
+      );
+      return result.affectedRows;
+    } catch (error) {
+      console.error('Error revoking user personal access tokens:', error);
+      throw new Error('Database operation failed: unable to revoke personal access tokens');
+    }
+  }
+}
+
+/**
+ * Module Exports
+ */
+module.exports = { PersonalAccessToken };
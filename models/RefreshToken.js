@@ -0,0 +1,191 @@
+/**
+ * Refresh Token Model - User Management System
+ *
+ * This module contains database operations for refresh tokens. Only a
+ * SHA-256 hash of each token is stored. Tokens issued for the same login
+ * session share a family ID, which is also embedded in access tokens as
+ * the session ID so that a revoked session can be rejected immediately.
+ *
+ * @author Development Team
+ * @version 1.0.0
+ */
+
+const { pool } = require('../config/db');
+
+class RefreshToken {
+  // Constructor - creates a new RefreshToken object from database data
+  constructor(tokenData) {
+    this.id = tokenData.id;
+    this.user_id = tokenData.user_id;
+    this.token_hash = tokenData.token_hash;
+    this.family_id = tokenData.family_id;
+    this.replaced_by = tokenData.replaced_by;
+    this.expires_at = tokenData.expires_at;
+    this.revoked_at = tokenData.revoked_at;
+    this.created_at = tokenData.created_at;
+  }
+
+  /**
+   * Create Refresh Token
+   *
+   * Stores a new hashed refresh token.
+   *
+   * @param {Object} tokenData - Token data object
+   * @param {number} tokenData.userId - Owning user ID
+   * @param {string} tokenData.tokenHash - SHA-256 hash of the raw token
+   * @param {string} tokenData.familyId - Session family identifier
+   * @param {number} tokenData.expiresIn - Lifetime in seconds
+   * @returns {Promise<number>} ID of the stored token
+   * @throws {Error} Database operation errors
+   */
+  static async create({ userId, tokenHash, familyId, expiresIn }) {
+    try {
+      const query = `
+        INSERT INTO refresh_tokens (user_id, token_hash, family_id, expires_at)
+        VALUES (?, ?, ?, DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? SECOND))
+      `;
+
+      const [result] = await pool.query(query, [userId, tokenHash, familyId, expiresIn]);
+      return result.insertId;
+    } catch (error) {
+      console.error('Error creating refresh token:', error);
+      throw new Error('Database operation failed: unable to create refresh token');
+    }
+  }
+
+  /**
+   * Find Refresh Token by Hash
+   *
+   * @param {string} tokenHash - SHA-256 hash of the raw token
+   * @returns {Promise<RefreshToken|null>} Token instance or null if not found
+   * @throws {Error} Database operation errors
+   */
+  static async findByHash(tokenHash) {
+    try {
+      const query = 'SELECT * FROM refresh_tokens WHERE token_hash = ?';
+      const [rows] = await pool.query(query, [tokenHash]);
+      return rows.length > 0 ? new RefreshToken(rows[0]) : null;
+    } catch (error) {
+      console.error('Error finding refresh token:', error);
+      throw new Error('Database query failed: unable to find refresh token');
+    }
+  }
+
+  /**
+   * Mark Token as Replaced
+   *
+   * Revokes a token as part of rotation and records its successor.
+   * The update only succeeds while the token is still active, so two
+   * concurrent refreshes with the same token cannot both win.
+   *
+   * @param {number} tokenId - Token being rotated out
+   * @param {number} replacedById - ID of the new token
+   * @returns {Promise<boolean>} True if the token was still active
+   * @throws {Error} Database operation errors
+   */
+  static async markReplaced(tokenId, replacedById) {
+    try {
+      const query = `
+        UPDATE refresh_tokens
+        SET revoked_at = CURRENT_TIMESTAMP, replaced_by = ?
+        WHERE id = ? AND revoked_at IS NULL
+      `;
+
+      const [result] = await pool.query(query, [replacedById, tokenId]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error rotating refresh token:', error);
+      throw new Error('Database operation failed: unable to rotate refresh token');
+    }
+  }
+
+  /**
+   * Revoke Token Family
+   *
+   * Revokes every token in a session family, ending the session.
+   *
+   * @param {string} familyId - Session family identifier
+   * @returns {Promise<number>} Number of tokens revoked
+   * @throws {Error} Database operation errors
+   */
+  static async revokeFamily(familyId) {
+    try {
+      const query = `
+        UPDATE refresh_tokens
+        SET revoked_at = CURRENT_TIMESTAMP
+        WHERE family_id = ? AND revoked_at IS NULL
+      `;
+
+      const [result] = await pool.query(query, [familyId]);
+      return result.affectedRows;
+    } catch (error) {
+      console.error('Error revoking refresh token family:', error);
+      throw new Error('Database operation failed: unable to revoke session');
+    }
+  }
+
+  /**
+   * Revoke All User Tokens
+   *
+   * Revokes every refresh token belonging to a user, ending all of
+   * their sessions on every device. One session can optionally be kept,
+   * e.g. the one that just changed the password.
+   *
+   * @param {number} userId - User whose sessions should end
+   * @param {string} [exceptFamilyId] - Session family to leave active
+   * @returns {Promise<number>} Number of tokens revoked
+   * @throws {Error} Database operation errors
+   */
+  static async revokeAllForUser(userId, exceptFamilyId = null) {
+    try {
+      let query = `
+        UPDATE refresh_tokens
+        SET revoked_at = CURRENT_TIMESTAMP
+        WHERE user_id = ? AND revoked_at IS NULL
+      `;
+      const values = [userId];
+
+      if (exceptFamilyId) {
+        query += ' AND family_id <> ?';
+        values.push(exceptFamilyId);
+      }
+
+      const [result] = await pool.query(query, values);
+      return result.affectedRows;
+    } catch (error) {
+      console.error('Error revoking user refresh tokens:', error);
+      throw new Error('Database operation failed: unable to revoke user sessions');
+    }
+  }
+
+  /**
+   * Check Session Status
+   *
+   * A session is active while its family still holds an unrevoked,
+   * unexpired token.
+   *
+   * @param {string} familyId - Session family identifier
+   * @returns {Promise<boolean>} True if the session is active
+   * @throws {Error} Database operation errors
+   */
+  static async isFamilyActive(familyId) {
+    try {
+      const query = `
+        SELECT COUNT(*) AS count
+        FROM refresh_tokens
+        WHERE family_id = ? AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+      `;
+
+      const [rows] = await pool.query(query, [familyId]);
+      return rows[0].count > 0;
+    } catch (error) {
+      console.error('Error checking session status:', error);
+      throw new Error('Database query failed: unable to check session status');
+    }
+  }
+}
+
+/**
+ * Module Exports
+ */
+module.exports = { RefreshToken };
@@ -0,0 +1,236 @@
+/**
+ * Relying Party Model - User Management System
+ *
+ * This module contains database operations for relying parties: other
+ * applications that sign users in through this server with OpenID
+ * Connect. Confidential clients authenticate to the token endpoint with
+ * a secret; public clients have none and are protected by PKCE alone.
+ *
+ * @author Development Team
+ * @version 1.0.0
+ */
+
+const { pool } = require('../config/db');
+
+// Relying parties with the name of the administrator who registered them
+const RELYING_PARTY_QUERY = `
+  SELECT rp.*, creator.username AS created_by_username
+  FROM relying_parties rp
+  LEFT JOIN users creator ON creator.id = rp.created_by
+`;
+
+class RelyingParty {
+  // Constructor - creates a new RelyingParty object from database data
+  constructor(relyingPartyData) {
+    this.id = relyingPartyData.id;
+    this.name = relyingPartyData.name;
+    this.client_id = relyingPartyData.client_id;
+    this.client_secret_hash = relyingPartyData.client_secret_hash || null;
+    // JSON columns arrive parsed from MySQL but as strings from MariaDB
+    this.redirect_uris = typeof relyingPartyData.redirect_uris === 'string'
+      ? JSON.parse(relyingPartyData.redirect_uris)
+      : relyingPartyData.redirect_uris;
+    this.created_by = relyingPartyData.created_by || null;
+    this.created_by_username = relyingPartyData.created_by_username || null;
+    this.created_at = relyingPartyData.created_at;
+    this.updated_at = relyingPartyData.updated_at;
+  }
+
+  /**
+   * Is Public Client
+   *
+   * @returns {boolean} True if the client has no secret and must use PKCE alone
+   */
+  isPublic() {
+    return !this.client_secret_hash;
+  }
+
+  /**
+   * Convert to JSON
+   *
+   * The secret hash is never sent to clients.
+   *
+   * @returns {Object} Relying party data without the secret hash
+   */
+  toJSON() {
+    const { client_secret_hash, ...relyingParty } = this;
+    return { ...relyingParty, public: this.isPublic() };
+  }
+
+  /**
+   * Get All Relying Parties
+   *
+   * @returns {Promise<RelyingParty[]>} Relying parties ordered by name
+   * @throws {Error} Database operation errors
+   */
+  static async findAll() {
+    try {
+      const [rows] = await pool.query(`${RELYING_PARTY_QUERY} ORDER BY rp.name`);
+      return rows.map(row => new RelyingParty(row));
+    } catch (error) {
+      console.error('Error getting relying parties:', error);
+      throw new Error('Database query failed: unable to retrieve relying parties');
+    }
+  }
+
+  /**
+   * Find Relying Party by ID
+   *
+   * @param {number} relyingPartyId - Relying party ID
+   * @returns {Promise<RelyingParty|null>} Relying party, or null if not found
+   * @throws {Error} Database operation errors
+   */
+  static async findById(relyingPartyId) {
+    try {
+      const [rows] = await pool.query(`${RELYING_PARTY_QUERY} WHERE rp.id = ?`, [relyingPartyId]);
+      return rows.length > 0 ? new RelyingParty(rows[0]) : null;
+    } catch (error) {
+      console.error('Error finding relying party by ID:', error);
+      throw new Error('Database query failed: unable to find relying party by ID');
+    }
+  }
+
+  /**
+   * Find Relying Party by Client ID
+   *
+   * @param {string} clientId - OAuth2 client ID
+   * @returns {Promise<RelyingParty|null>} Relying party, or null if not found
+   * @throws {Error} Database operation errors
+   */
+  static async findByClientId(clientId) {
+    try {
+      const [rows] = await pool.query(`${RELYING_PARTY_QUERY} WHERE rp.client_id = ?`, [clientId]);
+      return rows.length > 0 ? new RelyingParty(rows[0]) : null;
+    } catch (error) {
+      console.error('Error finding relying party by client ID:', error);
+      throw new Error('Database query failed: unable to find relying party by client ID');
+    }
+  }
+
+  /**
+   * Find Relying Party by Name
+   *
+   * @param {string} name - Relying party name
+   * @returns {Promise<RelyingParty|null>} Relying party, or null if not found
+   * @throws {Error} Database operation errors
+   */
+  static async findByName(name) {
+    try {
+      const [rows] = await pool.query(`${RELYING_PARTY_QUERY} WHERE rp.name = ?`, [name]);
+      return rows.length > 0 ? new RelyingParty(rows[0]) : null;
+    } catch (error) {
+      console.error('Error finding relying party by name:', error);
+      throw new Error('Database query failed: unable to find relying party by name');
+    }
+  }
+
+  /**
+   * Create Relying Party
+   *
+   * @param {Object} relyingPartyData - Relying party data object
+   * @param {string} relyingPartyData.name - Unique name shown on the consent screen
+   * @param {string} relyingPartyData.clientId - OAuth2 client ID
+   * @param {string|null} relyingPartyData.clientSecretHash - SHA-256 hash of the secret, null for public clients
+   * @param {string[]} relyingPartyData.redirectUris - Allowed redirect URIs
+   * @param {number} relyingPartyData.createdBy - Registering administrator
+   * @returns {Promise<RelyingParty>} Created relying party
+   * @throws {Error} Database operation errors
+   */
+  static async create({ name, clientId, clientSecretHash, redirectUris, createdBy }) {
+    try {
+      const query = `
+        INSERT INTO relying_parties (name, client_id, client_secret_hash, redirect_uris, created_by)
+        VALUES (?, ?, ?, ?, ?)
+      `;
+
+      const [result] = await pool.query(query, [name, clientId, clientSecretHash, JSON.stringify(redirectUris), createdBy]);
+      return await RelyingParty.findById(result.insertId);
+    } catch (error) {
+      console.error('Error creating relying party:', error);
+      throw new Error('Database operation failed: unable to create relying party');
+    }
+  }
+
+  /**
+   * Update Relying Party
+   *
+   * @param {number} relyingPartyId - Relying party ID
+   * @param {Object} updates - Fields to change; undefined fields are kept
+   * @param {string} [updates.name] - New name
+   * @param {string[]} [updates.redirectUris] - New redirect URIs
+   * @returns {Promise<RelyingParty|null>} Updated relying party
+   * @throws {Error} Database operation errors
+   */
+  static async update(relyingPartyId, { name, redirectUris }) {
+    try {
+      const updateParts = [];
+      const values = [];
+      if (name !== undefined) {
+        updateParts.push('name = ?');
+        values.push(name);
+      }
+
+      if (redirectUris !== undefined) {
+        updateParts.push('redirect_uris = ?');
+        values.push(JSON.stringify(redirectUris));
+      }
+
+      if (updateParts.length > 0) {
+        await pool.query(
+          `UPDATE relying_parties SET ${updateParts.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+          [...values, relyingPartyId]
+        );
+      }
+
+      return await RelyingParty.findById(relyingPartyId);
+    } catch (error) {
+      console.error('Error updating relying party:', error);
+      throw new Error('Database operation failed: unable to update relying party');
+    }
+  }
+
+  /**
+   * Replace Client Secret
+   *
+   * @param {number} relyingPartyId - Relying party ID
+   * @param {string} clientSecretHash - SHA-256 hash of the new secret
+   * @returns {Promise<boolean>} True if the secret was replaced
+   * @throws {Error} Database operation errors
+   */
+  static async setSecret(relyingPartyId, clientSecretHash) {
+    try {
+      const [result] = await pool.query(
+        'UPDATE relying_parties SET client_secret_hash = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [clientSecretHash, relyingPartyId]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error replacing relying party secret:', error);
+      throw new Error('Database operation failed: unable to replace relying party secret');
+    }
+  }
+
+  /**
+   * Delete Relying Party
+   *
+   * Outstanding authorization codes are deleted with it.
+   *
+   * @param {number} relyingPartyId - Relying party ID
+   * @returns {Promise<boolean>} True if the relying party was deleted
+   * @throws {Error} Database operation errors
+   */
+  static async delete(relyingPartyId) {
+    try {
+      const [result] = await pool.query('DELETE FROM relying_parties WHERE id = ?', [relyingPartyId]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error deleting relying party:', error);
+      throw new Error('Database operation failed: unable to delete relying party');
+    }
+  }
+}
+
+/**
+ * Module Exports
+ */
+module.exports = { RelyingParty };
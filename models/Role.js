@@ -0,0 +1,404 @@
+/**
+ * Role Model - User Management System
+ *
+ * This module contains database operations for roles and the
+ * permissions granted to them. The system roles (admin, user) always
+ * exist; administrators can add custom roles such as "support" or
+ * "auditor". Role names are immutable because users reference them.
+ *
+ * A role can inherit other roles, e.g. admin inheriting everything from
+ * support. Inheritance is transitive; the effective roles of a user are
+ * their assigned roles plus every role those inherit.
+ *
+ * @author Development Team
+ * @version 1.0.0
+ */
+
+const { pool } = require('../config/db');
+
+class Role {
+  // Constructor - creates a new Role object from database data
+  constructor(roleData, permissions = [], inherits = []) {
+    this.id = roleData.id;
+    this.name = roleData.name;
+    this.description = roleData.description;
+    this.is_system = Boolean(roleData.is_system);
+    this.user_count = roleData.user_count !== undefined ? Number(roleData.user_count) : undefined;
+    this.permissions = permissions;
+    this.inherits = inherits;
+    this.created_at = roleData.created_at;
+    this.updated_at = roleData.updated_at;
+  }
+
+  /**
+   * Load Permission Names for Roles
+   *
+   * @param {number[]} roleIds - Role IDs
+   * @returns {Promise<Map<number, string[]>>} Permission names by role ID
+   */
+  static async loadPermissionMap(roleIds) {
+    const map = new Map(roleIds.map(id => [id, []]));
+    if (roleIds.length === 0) {
+      return map;
+    }
+
+    const query = `
+      SELECT rp.role_id, p.name
+      FROM role_permissions rp
+      JOIN permissions p ON p.id = rp.permission_id
+      WHERE rp.role_id IN (?)
+      ORDER BY p.name
+    `;
+
+    const [rows] = await pool.query(query, [roleIds]);
+    for (const row of rows) {
+      map.get(row.role_id).push(row.name);
+    }
+
+    return map;
+  }
+
+  /**
+   * Load Inherited Role Names for Roles
+   *
+   * @param {number[]} roleIds - Role IDs
+   * @returns {Promise<Map<number, string[]>>} Directly inherited role names by role ID
+   */
+  static async loadInheritanceMap(roleIds) {
+    const map = new Map(roleIds.map(id => [id, []]));
+    if (roleIds.length === 0) {
+      return map;
+    }
+
+    const query = `
+      SELECT ri.role_id, r.name
+      FROM role_inheritance ri
+      JOIN roles r ON r.id = ri.inherited_role_id
+      WHERE ri.role_id IN (?)
+      ORDER BY r.name
+    `;
+
+    const [rows] = await pool.query(query, [roleIds]);
+    for (const row of rows) {
+      map.get(row.role_id).push(row.name);
+    }
+
+    return map;
+  }
+
+  /**
+   * Build Role Objects
+   *
+   * @param {Object[]} rows - Rows from the roles table
+   * @returns {Promise<Role[]>} Roles with their permissions and inherited roles
+   */
+  static async fromRows(rows) {
+    const roleIds = rows.map(row => row.id);
+    const permissionMap = await Role.loadPermissionMap(roleIds);
+    const inheritanceMap = await Role.loadInheritanceMap(roleIds);
+    return rows.map(row => new Role(row, permissionMap.get(row.id), inheritanceMap.get(row.id)));
+  }
+
+  /**
+   * Get All Roles
+   *
+   * @returns {Promise<Role[]>} Every role with its permissions, inherited roles and number of users
+   * @throws {Error} Database operation errors
+   */
+  static async findAll() {
+    try {
+      const query = `
+        SELECT r.*, (SELECT COUNT(*) FROM user_roles ur WHERE ur.role_id = r.id) AS user_count
+        FROM roles r
+        ORDER BY r.is_system DESC, r.name
+      `;
+
+      const [rows] = await pool.query(query);
+      return await Role.fromRows(rows);
+    } catch (error) {
+      console.error('Error getting roles:', error);
+      throw new Error('Database query failed: unable to retrieve roles');
+    }
+  }
+
+  /**
+   * Find Role by ID
+   *
+   * @param {number} roleId - Role ID
+   * @returns {Promise<Role|null>} Role with its permissions, or null if not found
+   * @throws {Error} Database operation errors
+   */
+  static async findById(roleId) {
+    try {
+      const query = `
+        SELECT r.*, (SELECT COUNT(*) FROM user_roles ur WHERE ur.role_id = r.id) AS user_count
+        FROM roles r
+        WHERE r.id = ?
+      `;
+
+      const [rows] = await pool.query(query, [roleId]);
+      if (rows.length === 0) {
+        return null;
+      }
+
+      const [role] = await Role.fromRows(rows);
+      return role;
+    } catch (error) {
+      console.error('Error finding role by ID:', error);
+      throw new Error('Database query failed: unable to find role by ID');
+    }
+  }
+
+  /**
+   * Find Role by Name
+   *
+   * @param {string} name - Role name
+   * @returns {Promise<Role|null>} Role with its permissions, or null if not found
+   * @throws {Error} Database operation errors
+   */
+  static async findByName(name) {
+    try {
+      const [rows] = await pool.query('SELECT id FROM roles WHERE name = ?', [name]);
+      return rows.length > 0 ? await Role.findById(rows[0].id) : null;
+    } catch (error) {
+      console.error('Error finding role by name:', error);
+      throw new Error('Database query failed: unable to find role by name');
+    }
+  }
+
+  /**
+   * Resolve Effective Roles
+   *
+   * Expands role names with every role they inherit, directly or
+   * through other roles. Unknown role names are dropped.
+   *
+   * @param {string[]} roleNames - Assigned role names
+   * @returns {Promise<string[]>} Assigned and inherited role names
+   * @throws {Error} Database operation errors
+   */
+  static async resolveEffectiveRoles(roleNames) {
+    if (roleNames.length === 0) {
+      return [];
+    }
+
+    try {
+      const [known] = await pool.query('SELECT name FROM roles WHERE name IN (?)', [roleNames]);
+      const [edges] = await pool.query(`
+        SELECT r.name AS role, i.name AS inherited
+        FROM role_inheritance ri
+        JOIN roles r ON r.id = ri.role_id
+        JOIN roles i ON i.id = ri.inherited_role_id
+      `);
+
+      const inherited = new Map();
+      for (const edge of edges) {
+        if (!inherited.has(edge.role)) {
+          inherited.set(edge.role, []);
+        }
+        inherited.get(edge.role).push(edge.inherited);
+      }
+
+      // Breadth-first walk; the visited set also guards against cycles
+      const effective = new Set(known.map(row => row.name));
+      const queue = [...effective];
+      while (queue.length > 0) {
+        for (const next of inherited.get(queue.shift()) || []) {
+          if (!effective.has(next)) {
+            effective.add(next);
+            queue.push(next);
+          }
+        }
+      }
+
+      return [...effective];
+    } catch (error) {
+      console.error('Error resolving effective roles:', error);
+      throw new Error('Database query failed: unable to resolve effective roles');
+    }
+  }
+
+  /**
+   * Get Permissions of Roles
+   *
+   * Does not follow inheritance - pass effective roles for that.
+   *
+   * @param {string[]} roleNames - Role names
+   * @returns {Promise<string[]>} Distinct permission names (empty for unknown roles)
+   * @throws {Error} Database operation errors
+   */
+  static async getPermissionNames(roleNames) {
+    if (roleNames.length === 0) {
+      return [];
+    }
+
+    try {
+      const query = `
+        SELECT DISTINCT p.name
+        FROM roles r
+        JOIN role_permissions rp ON rp.role_id = r.id
+        JOIN permissions p ON p.id = rp.permission_id
+        WHERE r.name IN (?)
+        ORDER BY p.name
+      `;
+
+      const [rows] = await pool.query(query, [roleNames]);
+      return rows.map(row => row.name);
+    } catch (error) {
+      console.error('Error getting role permissions:', error);
+      throw new Error('Database query failed: unable to get role permissions');
+    }
+  }
+
+  /**
+   * Get Effective Permissions of Roles
+   *
+   * @param {string[]} roleNames - Assigned role names
+   * @returns {Promise<string[]>} Permissions granted by the roles and everything they inherit
+   * @throws {Error} Database operation errors
+   */
+  static async getEffectivePermissionNames(roleNames) {
+    return Role.getPermissionNames(await Role.resolveEffectiveRoles(roleNames));
+  }
+
+  /**
+   * Replace Role Permissions
+   *
+   * @param {Object} connection - Connection with an open transaction
+   * @param {number} roleId - Role ID
+   * @param {string[]} permissions - Permission names to grant
+   * @returns {Promise<void>}
+   */
+  static async replacePermissions(connection, roleId, permissions) {
+    await connection.query('DELETE FROM role_permissions WHERE role_id = ?', [roleId]);
+
+    if (permissions.length > 0) {
+      await connection.query(
+        `INSERT INTO role_permissions (role_id, permission_id)
+         SELECT ?, id FROM permissions WHERE name IN (?)`,
+        [roleId, permissions]
+      );
+    }
+  }
+
+  /**
+   * Replace Inherited Roles
+   *
+   * @param {Object} connection - Connection with an open transaction
+   * @param {number} roleId - Role ID
+   * @param {string[]} inherits - Names of roles to inherit
+   * @returns {Promise<void>}
+   */
+  static async replaceInheritance(connection, roleId, inherits) {
+    await connection.query('DELETE FROM role_inheritance WHERE role_id = ?', [roleId]);
+
+    if (inherits.length > 0) {
+      await connection.query(
+        `INSERT INTO role_inheritance (role_id, inherited_role_id)
+         SELECT ?, id FROM roles WHERE name IN (?) AND id <> ?`,
+        [roleId, inherits, roleId]
+      );
+    }
+  }
+
+  /**
+   * Create Role
+   *
+   * @param {Object} roleData - Role data object
+   * @param {string} roleData.name - Unique role name
+   * @param {string} [roleData.description] - What the role is for
+   * @param {string[]} [roleData.permissions] - Permission names to grant
+   * @param {string[]} [roleData.inherits] - Names of roles to inherit
+   * @returns {Promise<Role>} Created role
+   * @throws {Error} Database operation errors
+   */
+  static async create({ name, description = null, permissions = [], inherits = [] }) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [result] = await connection.query(
+        'INSERT INTO roles (name, description) VALUES (?, ?)',
+        [name, description]
+      );
+      await Role.replacePermissions(connection, result.insertId, permissions);
+      await Role.replaceInheritance(connection, result.insertId, inherits);
+
+      await connection.commit();
+      return await Role.findById(result.insertId);
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error creating role:', error);
+      throw new Error('Database operation failed: unable to create role');
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Update Role
+   *
+   * @param {number} roleId - Role ID
+   * @param {Object} updates - Fields to update
+   * @param {string} [updates.description] - New description
+   * @param {string[]} [updates.permissions] - Replaces all granted permissions
+   * @param {string[]} [updates.inherits] - Replaces all inherited roles
+   * @returns {Promise<Role>} Updated role
+   * @throws {Error} Database operation errors
+   */
+  static async update(roleId, { description, permissions, inherits }) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      if (description !== undefined) {
+        await connection.query(
+          'UPDATE roles SET description = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+          [description, roleId]
+        );
+      }
+
+      if (permissions !== undefined) {
+        await Role.replacePermissions(connection, roleId, permissions);
+      }
+
+      if (inherits !== undefined) {
+        await Role.replaceInheritance(connection, roleId, inherits);
+      }
+
+      await connection.commit();
+      return await Role.findById(roleId);
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error updating role:', error);
+      throw new Error('Database operation failed: unable to update role');
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Delete Role
+   *
+   * System roles are never deleted.
+   *
+   * @param {number} roleId - Role ID
+   * @returns {Promise<boolean>} True if the role was deleted
+   * @throws {Error} Database operation errors
+   */
+  static async delete(roleId) {
+    try {
+      const [result] = await pool.query('DELETE FROM roles WHERE id = ? AND is_system = FALSE', [roleId]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error deleting role:', error);
+      throw new Error('Database operation failed: unable to delete role');
+    }
+  }
+}
+
+/**
+ * Module Exports
+ */
+module.exports = { Role };
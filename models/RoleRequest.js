@@ -0,0 +1,207 @@
+/**
+ * Role Request Model - User Management System
+ *
+ * This module contains database operations for role requests. Roles that
+ * need a second administrator's approval (see config.roleGrants) are not
+ * granted directly; a request is stored instead and the role is granted,
+ * with its optional expiry, when another administrator approves it.
+ *
+ * @author Development Team
+ * @version 1.0.0
+ */
+
+const { pool } = require('../config/db');
+
+// Request states
+const ROLE_REQUEST_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+// Requests with the names of the role and the users involved
+const ROLE_REQUEST_QUERY = `
+  SELECT rr.*, r.name AS role, u.username, requester.username AS requested_by_username,
+         decider.username AS decided_by_username
+  FROM role_requests rr
+  JOIN roles r ON r.id = rr.role_id
+  JOIN users u ON u.id = rr.user_id
+  LEFT JOIN users requester ON requester.id = rr.requested_by
+  LEFT JOIN users decider ON decider.id = rr.decided_by
+`;
+
+class RoleRequest {
+  // Constructor - creates a new RoleRequest object from database data
+  constructor(requestData) {
+    this.id = requestData.id;
+    this.user_id = requestData.user_id;
+    this.username = requestData.username;
+    this.role = requestData.role;
+    this.reason = requestData.reason || null;
+    this.expires_at = requestData.expires_at || null;
+    this.status = requestData.status;
+    this.requested_by = requestData.requested_by;
+    this.requested_by_username = requestData.requested_by_username || null;
+    this.decided_by = requestData.decided_by || null;
+    this.decided_by_username = requestData.decided_by_username || null;
+    this.decided_at = requestData.decided_at || null;
+    this.created_at = requestData.created_at;
+  }
+
+  /**
+   * Find Role Requests by Status
+   *
+   * @param {string} status - One of ROLE_REQUEST_STATUS
+   * @returns {Promise<RoleRequest[]>} Requests, oldest first
+   * @throws {Error} Database operation errors
+   */
+  static async findByStatus(status) {
+    try {
+      const [rows] = await pool.query(
+        `${ROLE_REQUEST_QUERY} WHERE rr.status = ? ORDER BY rr.created_at, rr.id`,
+        [status]
+      );
+      return rows.map(row => new RoleRequest(row));
+    } catch (error) {
+      console.error('Error getting role requests:', error);
+      throw new Error('Database query failed: unable to retrieve role requests');
+    }
+  }
+
+  /**
+   * Find Role Request by ID
+   *
+   * @param {number} requestId - Request ID
+   * @returns {Promise<RoleRequest|null>} Request, or null if not found
+   * @throws {Error} Database operation errors
+   */
+  static async findById(requestId) {
+    try {
+      const [rows] = await pool.query(`${ROLE_REQUEST_QUERY} WHERE rr.id = ?`, [requestId]);
+      return rows.length > 0 ? new RoleRequest(rows[0]) : null;
+    } catch (error) {
+      console.error('Error finding role request by ID:', error);
+      throw new Error('Database query failed: unable to find role request by ID');
+    }
+  }
+
+  /**
+   * Find Pending Role Request
+   *
+   * @param {number} userId - User the role is requested for
+   * @param {string} roleName - Requested role
+   * @returns {Promise<RoleRequest|null>} The pending request, or null if there is none
+   * @throws {Error} Database operation errors
+   */
+  static async findPending(userId, roleName) {
+    try {
+      const [rows] = await pool.query(
+        `${ROLE_REQUEST_QUERY} WHERE rr.user_id = ? AND r.name = ? AND rr.status = ?`,
+        [userId, roleName, ROLE_REQUEST_STATUS.PENDING]
+      );
+      return rows.length > 0 ? new RoleRequest(rows[0]) : null;
+    } catch (error) {
+      console.error('Error finding pending role request:', error);
+      throw new Error('Database query failed: unable to find pending role request');
+    }
+  }
+
+  /**
+   * Create Role Request
+   *
+   * @param {Object} requestData - Request data object
+   * @param {number} requestData.userId - User the role is requested for
+   * @param {string} requestData.role - Name of an existing role
+   * @param {number} requestData.requestedBy - Requesting administrator
+   * @param {string} [requestData.reason] - Why the role is needed
+   * @param {Date} [requestData.expiresAt] - When the granted role should expire
+   * @returns {Promise<RoleRequest>} Created request
+   * @throws {Error} Database operation errors
+   */
+  static async create({ userId, role, requestedBy, reason = null, expiresAt = null }) {
+    try {
+      const [result] = await pool.query(
+        `INSERT INTO role_requests (user_id, role_id, requested_by, reason, expires_at)
+         SELECT ?, id, ?, ?, ? FROM roles WHERE name = ?`,
+        [userId, requestedBy, reason, expiresAt, role]
+      );
+      return await RoleRequest.findById(result.insertId);
+    } catch (error) {
+      console.error('Error creating role request:', error);
+      throw new Error('Database operation failed: unable to create role request');
+    }
+  }
+
+  /**
+   * Approve Role Request
+   *
+   * Marks a pending request approved and grants the role in one
+   * transaction. A role the user already holds gets the requested expiry.
+   *
+   * @param {number} requestId - Request ID
+   * @param {number} decidedBy - Approving administrator
+   * @returns {Promise<RoleRequest|null>} Approved request, or null if it was no longer pending
+   * @throws {Error} Database operation errors
+   */
+  static async approve(requestId, decidedBy) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [result] = await connection.query(
+        `UPDATE role_requests SET status = ?, decided_by = ?, decided_at = NOW()
+         WHERE id = ? AND status = ?`,
+        [ROLE_REQUEST_STATUS.APPROVED, decidedBy, requestId, ROLE_REQUEST_STATUS.PENDING]
+      );
+
+      if (result.affectedRows === 0) {
+        await connection.rollback();
+        return null;
+      }
+
+      await connection.query(
+        `INSERT INTO user_roles (user_id, role_id, expires_at)
+         SELECT user_id, role_id, expires_at FROM role_requests WHERE id = ?
+         ON DUPLICATE KEY UPDATE expires_at = VALUES(expires_at)`,
+        [requestId]
+      );
+
+      await connection.commit();
+      return await RoleRequest.findById(requestId);
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error approving role request:', error);
+      throw new Error('Database operation failed: unable to approve role request');
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Reject Role Request
+   *
+   * @param {number} requestId - Request ID
+   * @param {number} decidedBy - Rejecting administrator
+   * @returns {Promise<RoleRequest|null>} Rejected request, or null if it was no longer pending
+   * @throws {Error} Database operation errors
+   */
+  static async reject(requestId, decidedBy) {
+    try {
+      const [result] = await pool.query(
+        `UPDATE role_requests SET status = ?, decided_by = ?, decided_at = NOW()
+         WHERE id = ? AND status = ?`,
+        [ROLE_REQUEST_STATUS.REJECTED, decidedBy, requestId, ROLE_REQUEST_STATUS.PENDING]
+      );
+      return result.affectedRows > 0 ? await RoleRequest.findById(requestId) : null;
+    } catch (error) {
+      console.error('Error rejecting role request:', error);
+      throw new Error('Database operation failed: unable to reject role request');
+    }
+  }
+}
+
+/**
+ * Module Exports
+ */
+module.exports = { RoleRequest, ROLE_REQUEST_STATUS };
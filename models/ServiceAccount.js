@@ -0,0 +1,257 @@
+/**
+ * Service Account Model - User Management System
+ *
+ * This module contains database operations for service accounts: machine
+ * identities that authenticate with a client ID and secret through the
+ * OAuth2 client_credentials grant. They are not users and hold no roles;
+ * what they may do is the list of scopes (permission names) set by an
+ * administrator.
+ *
+ * @author Development Team
+ * @version 1.0.0
+ */
+
+const { pool } = require('../config/db');
+
+// Service accounts with the name of the administrator who created them
+const SERVICE_ACCOUNT_QUERY = `
+  SELECT sa.*, creator.username AS created_by_username
+  FROM service_accounts sa
+  LEFT JOIN users creator ON creator.id = sa.created_by
+`;
+
+class ServiceAccount {
+  // Constructor - creates a new ServiceAccount object from database data
+  constructor(accountData) {
+    this.id = accountData.id;
+    this.name = accountData.name;
+    this.description = accountData.description || null;
+    this.client_id = accountData.client_id;
+    this.client_secret_hash = accountData.client_secret_hash;
+    // JSON columns arrive parsed from MySQL but as strings from MariaDB
+    this.scopes = typeof accountData.scopes === 'string' ? JSON.parse(accountData.scopes) : accountData.scopes;
+    this.created_by = accountData.created_by || null;
+    this.created_by_username = accountData.created_by_username || null;
+    this.disabled_at = accountData.disabled_at || null;
+    this.secret_rotated_at = accountData.secret_rotated_at;
+    this.last_used_at = accountData.last_used_at || null;
+    this.created_at = accountData.created_at;
+    this.updated_at = accountData.updated_at;
+  }
+
+  /**
+   * Convert to JSON
+   *
+   * The secret hash is never sent to clients.
+   *
+   * @returns {Object} Service account data without the secret hash
+   */
+  toJSON() {
+    const { client_secret_hash, ...account } = this;
+    return account;
+  }
+
+  /**
+   * Get All Service Accounts
+   *
+   * @returns {Promise<ServiceAccount[]>} Service accounts ordered by name
+   * @throws {Error} Database operation errors
+   */
+  static async findAll() {
+    try {
+      const [rows] = await pool.query(`${SERVICE_ACCOUNT_QUERY} ORDER BY sa.name`);
+      return rows.map(row => new ServiceAccount(row));
+    } catch (error) {
+      console.error('Error getting service accounts:', error);
+      throw new Error('Database query failed: unable to retrieve service accounts');
+    }
+  }
+
+  /**
+   * Find Service Account by ID
+   *
+   * @param {number} accountId - Service account ID
+   * @returns {Promise<ServiceAccount|null>} Service account, or null if not found
+   * @throws {Error} Database operation errors
+   */
+  static async findById(accountId) {
+    try {
+      const [rows] = await pool.query(`${SERVICE_ACCOUNT_QUERY} WHERE sa.id = ?`, [accountId]);
+      return rows.length > 0 ? new ServiceAccount(rows[0]) : null;
+    } catch (error) {
+      console.error('Error finding service account by ID:', error);
+      throw new Error('Database query failed: unable to find service account by ID');
+    }
+  }
+
+  /**
+   * Find Service Account by Client ID
+   *
+   * @param {string} clientId - OAuth2 client ID
+   * @returns {Promise<ServiceAccount|null>} Service account, or null if not found
+   * @throws {Error} Database operation errors
+   */
+  static async findByClientId(clientId) {
+    try {
+      const [rows] = await pool.query(`${SERVICE_ACCOUNT_QUERY} WHERE sa.client_id = ?`, [clientId]);
+      return rows.length > 0 ? new ServiceAccount(rows[0]) : null;
+    } catch (error) {
+      console.error('Error finding service account by client ID:', error);
+      throw new Error('Database query failed: unable to find service account by client ID');
+    }
+  }
+
+  /**
+   * Find Service Account by Name
+   *
+   * @param {string} name - Service account name
+   * @returns {Promise<ServiceAccount|null>} Service account, or null if not found
+   * @throws {Error} Database operation errors
+   */
+  static async findByName(name) {
+    try {
+      const [rows] = await pool.query(`${SERVICE_ACCOUNT_QUERY} WHERE sa.name = ?`, [name]);
+      return rows.length > 0 ? new ServiceAccount(rows[0]) : null;
+    } catch (error) {
+      console.error('Error finding service account by name:', error);
+      throw new Error('Database query failed: unable to find service account by name');
+    }
+  }
+
+  /**
+   * Create Service Account
+   *
+   * @param {Object} accountData - Service account data object
+   * @param {string} accountData.name - Unique name
+   * @param {string|null} [accountData.description] - What the account is used for
+   * @param {string} accountData.clientId - OAuth2 client ID
+   * @param {string} accountData.clientSecretHash - SHA-256 hash of the client secret
+   * @param {string[]} accountData.scopes - Permissions the account may request
+   * @param {number} accountData.createdBy - Creating administrator
+   * @returns {Promise<ServiceAccount>} Created service account
+   * @throws {Error} Database operation errors
+   */
+  static async create({ name, description = null, clientId, clientSecretHash, scopes, createdBy }) {
+    try {
+      const query = `
+        INSERT INTO service_accounts (name, description, client_id, client_secret_hash, scopes, created_by)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `;
+
+      const [result] = await pool.query(query, [name, description, clientId, clientSecretHash, JSON.stringify(scopes), createdBy]);
+      return await ServiceAccount.findById(result.insertId);
+    } catch (error) {
+      console.error('Error creating service account:', error);
+      throw new Error('Database operation failed: unable to create service account');
+    }
+  }
+
+  /**
+   * Update Service Account
+   *
+   * @param {number} accountId - Service account ID
+   * @param {Object} updates - Fields to change; undefined fields are kept
+   * @param {string} [updates.name] - New name
+   * @param {string|null} [updates.description] - New description
+   * @param {string[]} [updates.scopes] - New scopes
+   * @param {boolean} [updates.disabled] - Disable or re-enable the account
+   * @returns {Promise<ServiceAccount|null>} Updated service account
+   * @throws {Error} Database operation errors
+   */
+  static async update(accountId, { name, description, scopes, disabled }) {
+    try {
+      const updateParts = [];
+      const values = [];
+      for (const [field, value] of Object.entries({ name, description })) {
+        if (value !== undefined) {
+          updateParts.push(`${field} = ?`);
+          values.push(value);
+        }
+      }
+
+      if (scopes !== undefined) {
+        updateParts.push('scopes = ?');
+        values.push(JSON.stringify(scopes));
+      }
+
+      if (disabled !== undefined) {
+        updateParts.push(disabled ? 'disabled_at = COALESCE(disabled_at, CURRENT_TIMESTAMP)' : 'disabled_at = NULL');
+      }
+
+      if (updateParts.length > 0) {
+        await pool.query(
+          `UPDATE service_accounts SET ${updateParts.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+          [...values, accountId]
+        );
+      }
+
+      return await ServiceAccount.findById(accountId);
+    } catch (error) {
+      console.error('Error updating service account:', error);
+      throw new Error('Database operation failed: unable to update service account');
+    }
+  }
+
+  /**
+   * Replace Client Secret
+   *
+   * Tokens issued with the old secret stop being accepted.
+   *
+   * @param {number} accountId - Service account ID
+   * @param {string} clientSecretHash - SHA-256 hash of the new secret
+   * @returns {Promise<boolean>} True if the secret was replaced
+   * @throws {Error} Database operation errors
+   */
+  static async setSecret(accountId, clientSecretHash) {
+    try {
+      const [result] = await pool.query(
+        `UPDATE service_accounts
+         SET client_secret_hash = ?, secret_rotated_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [clientSecretHash, accountId]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error replacing service account secret:', error);
+      throw new Error('Database operation failed: unable to replace service account secret');
+    }
+  }
+
+  /**
+   * Record Token Issuance
+   *
+   * @param {number} accountId - Service account ID
+   * @returns {Promise<void>}
+   * @throws {Error} Database operation errors
+   */
+  static async recordUse(accountId) {
+    try {
+      await pool.query('UPDATE service_accounts SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?', [accountId]);
+    } catch (error) {
+      console.error('Error recording service account use:', error);
+      throw new Error('Database operation failed: unable to record service account use');
+    }
+  }
+
+  /**
+   * Delete Service Account
+   *
+   * @param {number} accountId - Service account ID
+   * @returns {Promise<boolean>} True if the account was deleted
+   * @throws {Error} Database operation errors
+   */
+  static async delete(accountId) {
+    try {
+      const [result] = await pool.query('DELETE FROM service_accounts WHERE id = ?', [accountId]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error deleting service account:', error);
+      throw new Error('Database operation failed: unable to delete service account');
+    }
+  }
+}
+
+/**
+ * Module Exports
+ */
+module.exports = { ServiceAccount };
@@ -0,0 +1,145 @@
+/**
+ * Session Model - User Management System
+ *
+ * This module contains database operations for login sessions. A
+ * session row describes where a login happened - the device (user
+ * agent) and IP address - and when it was last used. Its ID is the
+ * refresh token family ID, so a session is active exactly as long as
+ * its family holds an unrevoked, unexpired refresh token; ending a
+ * session means revoking that family.
+ *
+ * @author Development Team
+ * @version 1.0.0
+ */
+
+const { pool } = require('../config/db');
+const { describeDevice } = require('../utils/clientInfo');
+
+// Sessions with their impersonator's name and the expiry of their active refresh token.
+// Sessions without an active refresh token are left out by the join
+const ACTIVE_SESSION_QUERY = `
+  SELECT s.*, i.username AS impersonator_username, active.expires_at
+  FROM sessions s
+  JOIN (
+    SELECT family_id, MAX(expires_at) AS expires_at
+    FROM refresh_tokens
+    WHERE user_id = ? AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+    GROUP BY family_id
+  ) active ON active.family_id = s.id
+  LEFT JOIN users i ON i.id = s.impersonator_id
+  WHERE s.user_id = ?
+`;
+
+class Session {
+  // Constructor - creates a new Session object from database data
+  constructor(sessionData) {
+    this.id = sessionData.id;
+    this.user_id = sessionData.user_id;
+    this.impersonator_id = sessionData.impersonator_id || null;
+    this.impersonator_username = sessionData.impersonator_username || null;
+    this.user_agent = sessionData.user_agent || null;
+    this.device = describeDevice(this.user_agent);
+    this.ip_address = sessionData.ip_address || null;
+    this.last_seen_ip = sessionData.last_seen_ip || null;
+    this.created_at = sessionData.created_at;
+    this.last_seen_at = sessionData.last_seen_at;
+    this.expires_at = sessionData.expires_at || null;
+  }
+
+  /**
+   * Create Session
+   *
+   * @param {Object} sessionData - Session data object
+   * @param {string} sessionData.id - Refresh token family ID of the session
+   * @param {number} sessionData.userId - Signed-in user ID
+   * @param {number|null} [sessionData.impersonatorId] - Administrator acting as the user
+   * @param {string|null} [sessionData.userAgent] - User agent the login came from
+   * @param {string|null} [sessionData.ipAddress] - IP address the login came from
+   * @returns {Promise<void>}
+   * @throws {Error} Database operation errors
+   */
+  static async create({ id, userId, impersonatorId = null, userAgent = null, ipAddress = null }) {
+    try {
+      const query = `
+        INSERT INTO sessions (id, user_id, impersonator_id, user_agent, ip_address, last_seen_ip)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `;
+
+      await pool.query(query, [id, userId, impersonatorId, userAgent, ipAddress, ipAddress]);
+    } catch (error) {
+      console.error('Error creating session:', error);
+      throw new Error('Database operation failed: unable to create session');
+    }
+  }
+
+  /**
+   * Find Active Sessions of a User
+   *
+   * @param {number} userId - User ID
+   * @returns {Promise<Session[]>} Active sessions, most recently used first
+   * @throws {Error} Database operation errors
+   */
+  static async findActiveByUser(userId) {
+    try {
+      const [rows] = await pool.query(
+        `${ACTIVE_SESSION_QUERY} ORDER BY s.last_seen_at DESC, s.created_at DESC`,
+        [userId, userId]
+      );
+      return rows.map(row => new Session(row));
+    } catch (error) {
+      console.error('Error getting sessions:', error);
+      throw new Error('Database query failed: unable to retrieve sessions');
+    }
+  }
+
+  /**
+   * Find Active Session of a User
+   *
+   * @param {string} sessionId - Session ID
+   * @param {number} userId - User ID; other users' sessions are never found
+   * @returns {Promise<Session|null>} Session, or null if unknown or no longer active
+   * @throws {Error} Database operation errors
+   */
+  static async findActiveById(sessionId, userId) {
+    try {
+      const [rows] = await pool.query(`${ACTIVE_SESSION_QUERY} AND s.id = ?`, [userId, userId, sessionId]);
+      return rows.length > 0 ? new Session(rows[0]) : null;
+    } catch (error) {
+      console.error('Error finding session:', error);
+      throw new Error('Database query failed: unable to find session');
+    }
+  }
+
+  /**
+   * Record Session Use
+   *
+   * Updates the last seen time and IP address. With minInterval the row
+   * is only written when it was last updated longer ago than that, so
+   * busy sessions do not cause a write on every request.
+   *
+   * @param {string} sessionId - Session ID
+   * @param {string|null} ipAddress - Client IP address
+   * @param {number} [minInterval=0] - Seconds since the last update before updating again
+   * @returns {Promise<boolean>} True if the session was updated
+   * @throws {Error} Database operation errors
+   */
+  static async touch(sessionId, ipAddress, minInterval = 0) {
+    try {
+      const query = `
+        UPDATE sessions SET last_seen_at = CURRENT_TIMESTAMP, last_seen_ip = ?
+        WHERE id = ? AND last_seen_at <= DATE_SUB(CURRENT_TIMESTAMP, INTERVAL ? SECOND)
+      `;
+
+      const [result] = await pool.query(query, [ipAddress, sessionId, minInterval]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error recording session use:', error);
+      throw new Error('Database operation failed: unable to record session use');
+    }
+  }
+}
+
+/**
+ * Module Exports
+ */
+module.exports = { Session };
@@ -0,0 +1,66 @@
+/**
+ * Setting Model - User Management System
+ *
+ * This module stores system-wide settings that administrators can change
+ * at runtime. Values are serialized as JSON; callers always provide a
+ * default that applies while a setting has never been saved.
+ *
+ * @author Development Team
+ * @version 1.0.0
+ */
+
+const { pool } = require('../config/db');
+
+// Known setting keys - makes code more readable and prevents typos
+const SETTINGS = {
+  MFA_REQUIRED_ROLES: 'mfa_required_roles'
+};
+
+class Setting {
+  /**
+   * Get Setting
+   *
+   * @param {string} key - Setting key
+   * @param {*} defaultValue - Value returned if the setting is not stored
+   * @returns {Promise<*>} Stored value or the default
+   * @throws {Error} Database operation errors
+   */
+  static async get(key, defaultValue) {
+    try {
+      const [rows] = await pool.query('SELECT setting_value FROM settings WHERE setting_key = ?', [key]);
+      return rows.length > 0 ? JSON.parse(rows[0].setting_value) : defaultValue;
+    } catch (error) {
+      console.error(`Error reading setting ${key}:`, error);
+      throw new Error('Database query failed: unable to read setting');
+    }
+  }
+
+  /**
+   * Save Setting
+   *
+   * @param {string} key - Setting key
+   * @param {*} value - JSON-serializable value
+   * @param {number} [updatedBy] - ID of the administrator making the change
+   * @returns {Promise<void>}
+   * @throws {Error} Database operation errors
+   */
+  static async set(key, value, updatedBy = null) {
+    try {
+      const query = `
+        INSERT INTO settings (setting_key, setting_value, updated_by)
+        VALUES (?, ?, ?)
+        ON DUPLICATE KEY UPDATE setting_value = VALUES(setting_value), updated_by = VALUES(updated_by)
+      `;
+
+      await pool.query(query, [key, JSON.stringify(value), updatedBy]);
+    } catch (error) {
+      console.error(`Error saving setting ${key}:`, error);
+      throw new Error('Database operation failed: unable to save setting');
+    }
+  }
+}
+
+/**
+ * Module Exports
+ */
+module.exports = { Setting, SETTINGS };
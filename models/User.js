@@ -10,14 +10,54 @@
  */
 
 const { pool } = require('../config/db');
-const bcrypt = require('bcryptjs');
+const { hashPassword, verifyPassword, needsRehash } = require('../utils/passwordHash');
 
-// Define user roles - makes code more readable and prevents typos
+// Built-in system roles - custom roles live in the roles table
 const ROLES = {
   ADMIN: 'admin',
+  ORG_ADMIN: 'org_admin',
   USER: 'user'
 };
 
+// Comma-separated names of the user's assigned roles (role names never contain commas);
+// expired grants no longer count even before the expiry job has removed them
+const ROLE_NAMES_COLUMN = `(
+  SELECT GROUP_CONCAT(r.name ORDER BY r.name SEPARATOR ',')
+  FROM user_roles ur
+  JOIN roles r ON r.id = ur.role_id
+  WHERE ur.user_id = users.id AND (ur.expires_at IS NULL OR ur.expires_at > NOW())
+) AS roles`;
+
+// Comma-separated "name@unix-time" pairs for the user's time-bound roles
+const ROLE_EXPIRATIONS_COLUMN = `(
+  SELECT GROUP_CONCAT(CONCAT(r.name, '@', UNIX_TIMESTAMP(ur.expires_at)) ORDER BY r.name SEPARATOR ',')
+  FROM user_roles ur
+  JOIN roles r ON r.id = ur.role_id
+  WHERE ur.user_id = users.id AND ur.expires_at > NOW()
+) AS role_expirations`;
+
+/**
+ * Parse Role Expirations
+ *
+ * @param {string|null} value - ROLE_EXPIRATIONS_COLUMN value
+ * @returns {Object} Expiry date by role name, for roles that expire
+ */
+function parseRoleExpirations(value) {
+  const expirations = {};
+  for (const pair of value ? value.split(',') : []) {
+    const [roleName, timestamp] = pair.split('@');
+    expirations[roleName] = new Date(Number(timestamp) * 1000);
+  }
+  return expirations;
+}
+
+// Comma-separated IDs of the organizations the user belongs to
+const ORGANIZATION_IDS_COLUMN = `(
+  SELECT GROUP_CONCAT(om.organization_id ORDER BY om.organization_id SEPARATOR ',')
+  FROM organization_members om
+  WHERE om.user_id = users.id
+) AS organization_ids`;
+
 class User {
   // Constructor - creates a new User object from database data
   constructor(userData) {
@@ -26,6 +66,17 @@ class User {
     this.email = userData.email;
     this.password = userData.password;
     this.role = userData.role || ROLES.USER;
+    this.roles = userData.roles ? userData.roles.split(',') : [this.role];
+    this.role_expirations = parseRoleExpirations(userData.role_expirations);
+    this.organization_ids = userData.organization_ids ? userData.organization_ids.split(',').map(Number) : [];
+    this.email_verified_at = userData.email_verified_at || null;
+    this.mfa_enabled = Boolean(userData.mfa_enabled);
+    this.mfa_secret = userData.mfa_secret || null;
+    this.mfa_last_step = userData.mfa_last_step || null;
+    this.failed_login_count = userData.failed_login_count || 0;
+    this.last_failed_login_at = userData.last_failed_login_at || null;
+    this.locked_until = userData.locked_until || null;
+    this.magic_link_enabled = Boolean(userData.magic_link_enabled);
     this.created_at = userData.created_at;
     this.updated_at = userData.updated_at;
   }
@@ -36,18 +87,29 @@ class User {
    * Fetches all users from the database with password field excluded
    * for security purposes. Results are ordered by creation date.
    *
+   * @param {number[]|null} [organizationIds=null] - Only users in these organizations; null for everyone
    * @returns {Promise<User[]>} Array of User instances
    * @throws {Error} Database operation errors
    */
-  static async getAllUsers() {
+  static async getAllUsers(organizationIds = null) {
+    if (organizationIds !== null && organizationIds.length === 0) {
+      return [];
+    }
+
     try {
+      const organizationFilter = organizationIds !== null
+        ? 'WHERE id IN (SELECT user_id FROM organization_members WHERE organization_id IN (?))'
+        : '';
+
       const query = `
-        SELECT id, username, email, role, created_at, updated_at
+        SELECT id, username, email, role, ${ROLE_NAMES_COLUMN}, ${ROLE_EXPIRATIONS_COLUMN}, ${ORGANIZATION_IDS_COLUMN}, email_verified_at, mfa_enabled,
+               failed_login_count, last_failed_login_at, locked_until, magic_link_enabled, created_at, updated_at
         FROM users
+        ${organizationFilter}
         ORDER BY created_at DESC
       `;
 
-      const [rows] = await pool.query(query);
+      const [rows] = await pool.query(query, organizationIds !== null ? [organizationIds] : []);
       return rows.map(row => new User(row));
     } catch (error) {
       console.error('Error retrieving users:', error);
@@ -66,7 +128,7 @@ class User {
    */
   static async findById(userId) {
     try {
-      const query = 'SELECT * FROM users WHERE id = ?';
+      const query = `SELECT users.*, ${ROLE_NAMES_COLUMN}, ${ROLE_EXPIRATIONS_COLUMN}, ${ORGANIZATION_IDS_COLUMN} FROM users WHERE id = ?`;
       const [rows] = await pool.query(query, [userId]);
       return rows.length > 0 ? new User(rows[0]) : null;
     } catch (error) {
@@ -87,7 +149,7 @@ class User {
    */
   static async findByUsername(username) {
     try {
-      const query = 'SELECT * FROM users WHERE username = ?';
+      const query = `SELECT users.*, ${ROLE_NAMES_COLUMN}, ${ROLE_EXPIRATIONS_COLUMN}, ${ORGANIZATION_IDS_COLUMN} FROM users WHERE username = ?`;
       const [rows] = await pool.query(query, [username]);
       return rows.length > 0 ? new User(rows[0]) : null;
     } catch (error) {
@@ -96,6 +158,34 @@ class User {
     }
   }
 
+  /**
+   * Find User by Login Identifier
+   *
+   * Resolves what a user typed into the login form, which may be either
+   * their username or their email address. Matching is case-insensitive
+   * through the table's utf8mb4_unicode_ci collation. If the identifier is
+   * one user's username and another user's email, the username wins.
+   *
+   * @param {string} identifier - Username or email address
+   * @returns {Promise<User|null>} User instance or null if not found
+   * @throws {Error} Database operation errors
+   */
+  static async findByLoginIdentifier(identifier) {
+    try {
+      const query = `
+        SELECT users.*, ${ROLE_NAMES_COLUMN}, ${ROLE_EXPIRATIONS_COLUMN}, ${ORGANIZATION_IDS_COLUMN} FROM users
+        WHERE username = ? OR email = ?
+        ORDER BY username = ? DESC
+        LIMIT 1
+      `;
+      const [rows] = await pool.query(query, [identifier, identifier, identifier]);
+      return rows.length > 0 ? new User(rows[0]) : null;
+    } catch (error) {
+      console.error('Error finding user by login identifier:', error);
+      throw new Error('Database query failed: unable to find user by login identifier');
+    }
+  }
+
   /**
    * Find User by Email
    *
@@ -108,7 +198,7 @@ class User {
    */
   static async findByEmail(email) {
     try {
-      const query = 'SELECT * FROM users WHERE email = ?';
+      const query = `SELECT users.*, ${ROLE_NAMES_COLUMN}, ${ROLE_EXPIRATIONS_COLUMN}, ${ORGANIZATION_IDS_COLUMN} FROM users WHERE email = ?`;
       const [rows] = await pool.query(query, [email]);
       return rows.length > 0 ? new User(rows[0]) : null;
     } catch (error) {
@@ -127,25 +217,38 @@ class User {
    * @param {string} userData.username - Unique username
    * @param {string} userData.email - Email address
    * @param {string} userData.password - Plain text password (will be hashed)
-   * @param {string} [userData.role=user] - User role
+   * @param {string} [userData.role=user] - User role, used when roles is not given
+   * @param {string[]} [userData.roles] - Names of existing roles, the first is the primary role
+   * @param {Object} [userData.roleExpirations] - Expiry date by role name, for time-bound roles
+   * @param {number[]} [userData.organizationIds] - Organizations the user belongs to
    * @returns {Promise<User>} Created user instance
    * @throws {Error} Database operation errors
    */
-  static async createUser({ username, email, password, role = ROLES.USER }) {
+  static async createUser({ username, email, password, role = ROLES.USER, roles = [role], roleExpirations = {}, organizationIds = [] }) {
+    const connection = await pool.getConnection();
+
     try {
-      const saltRounds = 12; // Enhanced security with higher salt rounds
-      const hashedPassword = await bcrypt.hash(password, saltRounds);
+      const hashedPassword = await hashPassword(password);
+
+      await connection.beginTransaction();
 
       const query = `
         INSERT INTO users (username, email, password, role)
         VALUES (?, ?, ?, ?)
       `;
 
-      const [result] = await pool.query(query, [username, email, hashedPassword, role]);
+      const [result] = await connection.query(query, [username, email, hashedPassword, roles[0]]);
+      await User.replaceRoles(connection, result.insertId, roles, roleExpirations);
+      await User.replaceOrganizations(connection, result.insertId, organizationIds);
+
+      await connection.commit();
       return await User.findById(result.insertId);
     } catch (error) {
+      await connection.rollback();
       console.error('Error creating user:', error);
       throw new Error('Database operation failed: unable to create user');
+    } finally {
+      connection.release();
     }
   }
 
@@ -195,33 +298,437 @@ class User {
   }
 
   /**
-   * Update User Role
+   * Replace User Roles
    *
-   * Updates a user's role with validation.
-   * Restricted to administrative functions.
+   * @param {Object} connection - Connection with an open transaction
+   * @param {number} userId - User ID
+   * @param {string[]} roleNames - Names of existing roles, the first is the primary role
+   * @param {Object} [expirations={}] - Expiry date by role name; other roles never expire
+   * @returns {Promise<void>}
+   */
+  static async replaceRoles(connection, userId, roleNames, expirations = {}) {
+    await connection.query('DELETE FROM user_roles WHERE user_id = ?', [userId]);
+    for (const roleName of roleNames) {
+      await connection.query(
+        `INSERT INTO user_roles (user_id, role_id, expires_at)
+         SELECT ?, id, ? FROM roles WHERE name = ?`,
+        [userId, expirations[roleName] || null, roleName]
+      );
+    }
+    await connection.query(
+      'UPDATE users SET role = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [roleNames[0], userId]
+    );
+  }
+
+  /**
+   * Set User Roles
+   *
+   * Replaces every role assigned to a user. Callers check that the roles
+   * exist. Restricted to administrative functions.
+   *
+   * @param {number} userId - User ID to update
+   * @param {string[]} roleNames - Names of existing roles, the first is the primary role
+   * @param {Object} [expirations={}] - Expiry date by role name; other roles never expire
+   * @returns {Promise<User>} Updated user instance
+   * @throws {Error} Database operation errors
+   */
+  static async setRoles(userId, roleNames, expirations = {}) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+      await User.replaceRoles(connection, userId, roleNames, expirations);
+      await connection.commit();
+      return await User.findById(userId);
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error updating user roles:', error);
+      throw new Error('Database operation failed: unable to update user roles');
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Replace User Organizations
+   *
+   * @param {Object} connection - Connection with an open transaction
+   * @param {number} userId - User ID
+   * @param {number[]} organizationIds - Organizations the user belongs to
+   * @returns {Promise<void>}
+   */
+  static async replaceOrganizations(connection, userId, organizationIds) {
+    await connection.query('DELETE FROM organization_members WHERE user_id = ?', [userId]);
+
+    if (organizationIds.length > 0) {
+      await connection.query(
+        'INSERT INTO organization_members (organization_id, user_id) VALUES ?',
+        [organizationIds.map(organizationId => [organizationId, userId])]
+      );
+    }
+  }
+
+  /**
+   * Set User Organizations
+   *
+   * Replaces every organization membership of a user. Callers check
+   * that the organizations exist.
    *
    * @param {number} userId - User ID to update
-   * @param {string} newRole - New role value
+   * @param {number[]} organizationIds - Organizations the user belongs to
    * @returns {Promise<User>} Updated user instance
-   * @throws {Error} Invalid role or database errors
+   * @throws {Error} Database operation errors
    */
-  static async updateUserRole(userId, newRole) {
+  static async setOrganizations(userId, organizationIds) {
+    const connection = await pool.getConnection();
+
     try {
-      if (!Object.values(ROLES).includes(newRole)) {
-        throw new Error('Invalid role provided');
+      await connection.beginTransaction();
+      await User.replaceOrganizations(connection, userId, organizationIds);
+      await connection.commit();
+      return await User.findById(userId);
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error updating user organizations:', error);
+      throw new Error('Database operation failed: unable to update user organizations');
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Revoke Expired Roles
+   *
+   * Removes role grants past their expiry. When the primary role expired,
+   * the user's oldest remaining role becomes primary; users left without
+   * any role fall back to the user role.
+   *
+   * @returns {Promise<Object[]>} Revoked grants as { user_id, username, role }
+   * @throws {Error} Database operation errors
+   */
+  static async revokeExpiredRoles() {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [expired] = await connection.query(`
+        SELECT ur.user_id, ur.role_id, u.username, r.name AS role
+        FROM user_roles ur
+        JOIN users u ON u.id = ur.user_id
+        JOIN roles r ON r.id = ur.role_id
+        WHERE ur.expires_at <= NOW()
+        FOR UPDATE
+      `);
+
+      if (expired.length > 0) {
+        await connection.query(
+          'DELETE FROM user_roles WHERE (user_id, role_id) IN (?)',
+          [expired.map(grant => [grant.user_id, grant.role_id])]
+        );
+
+        for (const userId of new Set(expired.map(grant => grant.user_id))) {
+          const [remaining] = await connection.query(
+            `SELECT r.name FROM user_roles ur JOIN roles r ON r.id = ur.role_id
+             WHERE ur.user_id = ? ORDER BY ur.created_at, r.name`,
+            [userId]
+          );
+
+          if (remaining.length === 0) {
+            await connection.query(
+              'INSERT INTO user_roles (user_id, role_id) SELECT ?, id FROM roles WHERE name = ?',
+              [userId, ROLES.USER]
+            );
+            remaining.push({ name: ROLES.USER });
+          }
+
+          await connection.query(
+            'UPDATE users SET role = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND role NOT IN (?)',
+            [remaining[0].name, userId, remaining.map(row => row.name)]
+          );
+        }
       }
 
+      await connection.commit();
+      return expired.map(({ user_id, username, role }) => ({ user_id, username, role }));
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error revoking expired roles:', error);
+      throw new Error('Database operation failed: unable to revoke expired roles');
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Update User Password
+   *
+   * Hashes and stores a new password for the user.
+   *
+   * @param {number} userId - User ID to update
+   * @param {string} newPassword - Plain text password (will be hashed)
+   * @returns {Promise<boolean>} True if the password was updated
+   * @throws {Error} Database operation errors
+   */
+  static async updatePassword(userId, newPassword) {
+    try {
+      const hashedPassword = await hashPassword(newPassword);
+
       const query = `
         UPDATE users
-        SET role = ?, updated_at = CURRENT_TIMESTAMP
+        SET password = ?, updated_at = CURRENT_TIMESTAMP
         WHERE id = ?
       `;
 
-      await pool.query(query, [newRole, userId]);
-      return await User.findById(userId);
+      const [result] = await pool.query(query, [hashedPassword, userId]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error updating password:', error);
+      throw new Error('Database operation failed: unable to update password');
+    }
+  }
+
+  /**
+   * Upgrade Password Hash
+   *
+   * Replaces the stored hash with a stronger hash of the same password.
+   * Only succeeds while the old hash is still current, so a password
+   * changed in the meantime is never overwritten.
+   *
+   * @param {number} userId - User ID to update
+   * @param {string} oldHash - Hash the upgrade was computed from
+   * @param {string} newHash - Stronger hash of the same password
+   * @returns {Promise<boolean>} True if the hash was replaced
+   * @throws {Error} Database operation errors
+   */
+  static async upgradePasswordHash(userId, oldHash, newHash) {
+    try {
+      const query = `
+        UPDATE users
+        SET password = ?
+        WHERE id = ? AND password = ?
+      `;
+
+      const [result] = await pool.query(query, [newHash, userId, oldHash]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error upgrading password hash:', error);
+      throw new Error('Database operation failed: unable to upgrade password hash');
+    }
+  }
+
+  /**
+   * Mark Email as Verified
+   *
+   * Only succeeds while the user's email still matches the verified
+   * address, so a stale link cannot verify a changed email.
+   *
+   * @param {number} userId - User ID to update
+   * @param {string} email - Address that was verified
+   * @returns {Promise<boolean>} True if the user was marked verified
+   * @throws {Error} Database operation errors
+   */
+  static async markEmailVerified(userId, email) {
+    try {
+      const query = `
+        UPDATE users
+        SET email_verified_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND email = ?
+      `;
+
+      const [result] = await pool.query(query, [userId, email]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error marking email verified:', error);
+      throw new Error('Database operation failed: unable to verify email');
+    }
+  }
+
+  /**
+   * Reset Email Verification
+   *
+   * Marks the user's email as unverified, e.g. after it was changed.
+   *
+   * @param {number} userId - User ID to update
+   * @returns {Promise<void>}
+   * @throws {Error} Database operation errors
+   */
+  static async resetEmailVerification(userId) {
+    try {
+      await pool.query('UPDATE users SET email_verified_at = NULL WHERE id = ?', [userId]);
     } catch (error) {
-      console.error('Error updating user role:', error);
-      throw new Error('Database operation failed: unable to update user role');
+      console.error('Error resetting email verification:', error);
+      throw new Error('Database operation failed: unable to reset email verification');
+    }
+  }
+
+  /**
+   * Set Pending MFA Secret
+   *
+   * Stores a newly generated TOTP secret. Two-factor authentication is
+   * not active until the user proves possession with enableMfa().
+   *
+   * @param {number} userId - User ID to update
+   * @param {string} secret - Base32-encoded TOTP secret
+   * @returns {Promise<void>}
+   * @throws {Error} Database operation errors
+   */
+  static async setPendingMfaSecret(userId, secret) {
+    try {
+      const query = `
+        UPDATE users
+        SET mfa_secret = ?, mfa_enabled = FALSE, mfa_last_step = NULL
+        WHERE id = ?
+      `;
+
+      await pool.query(query, [secret, userId]);
+    } catch (error) {
+      console.error('Error storing MFA secret:', error);
+      throw new Error('Database operation failed: unable to store MFA secret');
+    }
+  }
+
+  /**
+   * Enable MFA
+   *
+   * @param {number} userId - User ID to update
+   * @returns {Promise<void>}
+   * @throws {Error} Database operation errors
+   */
+  static async enableMfa(userId) {
+    try {
+      await pool.query('UPDATE users SET mfa_enabled = TRUE WHERE id = ? AND mfa_secret IS NOT NULL', [userId]);
+    } catch (error) {
+      console.error('Error enabling MFA:', error);
+      throw new Error('Database operation failed: unable to enable MFA');
+    }
+  }
+
+  /**
+   * Disable MFA
+   *
+   * Turns two-factor authentication off and discards the secret.
+   *
+   * @param {number} userId - User ID to update
+   * @returns {Promise<void>}
+   * @throws {Error} Database operation errors
+   */
+  static async disableMfa(userId) {
+    try {
+      const query = `
+        UPDATE users
+        SET mfa_enabled = FALSE, mfa_secret = NULL, mfa_last_step = NULL
+        WHERE id = ?
+      `;
+
+      await pool.query(query, [userId]);
+    } catch (error) {
+      console.error('Error disabling MFA:', error);
+      throw new Error('Database operation failed: unable to disable MFA');
+    }
+  }
+
+  /**
+   * Set Magic Link Sign-In
+   *
+   * Opts the user in to or out of passwordless sign-in by emailed link.
+   *
+   * @param {number} userId - User ID to update
+   * @param {boolean} enabled - Whether magic links may be sent to the user
+   * @returns {Promise<void>}
+   * @throws {Error} Database operation errors
+   */
+  static async setMagicLinkEnabled(userId, enabled) {
+    try {
+      await pool.query('UPDATE users SET magic_link_enabled = ? WHERE id = ?', [Boolean(enabled), userId]);
+    } catch (error) {
+      console.error('Error updating magic link setting:', error);
+      throw new Error('Database operation failed: unable to update magic link setting');
+    }
+  }
+
+  /**
+   * Record Used TOTP Step
+   *
+   * Stores the time step of an accepted code. Fails if the same or a
+   * later step was already used, so each code works only once.
+   *
+   * @param {number} userId - User ID to update
+   * @param {number} step - Accepted TOTP time step
+   * @returns {Promise<boolean>} True if the step had not been used yet
+   * @throws {Error} Database operation errors
+   */
+  static async recordMfaStep(userId, step) {
+    try {
+      const query = `
+        UPDATE users
+        SET mfa_last_step = ?
+        WHERE id = ? AND (mfa_last_step IS NULL OR mfa_last_step < ?)
+      `;
+
+      const [result] = await pool.query(query, [step, userId, step]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error recording MFA step:', error);
+      throw new Error('Database operation failed: unable to record MFA code');
+    }
+  }
+
+  /**
+   * Record Failed Login
+   *
+   * Increments the consecutive failure counter and locks the account
+   * once it reaches the limit.
+   *
+   * @param {number} userId - User ID to update
+   * @param {number} maxAttempts - Failures that trigger a lockout
+   * @param {number} lockoutSeconds - Lockout duration in seconds
+   * @returns {Promise<void>}
+   * @throws {Error} Database operation errors
+   */
+  static async recordFailedLogin(userId, maxAttempts, lockoutSeconds) {
+    try {
+      // MySQL applies SET assignments left to right, so locked_until sees the new count
+      const query = `
+        UPDATE users
+        SET failed_login_count = failed_login_count + 1,
+            last_failed_login_at = CURRENT_TIMESTAMP,
+            locked_until = IF(failed_login_count >= ?,
+                              DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? SECOND),
+                              locked_until)
+        WHERE id = ?
+      `;
+
+      await pool.query(query, [maxAttempts, lockoutSeconds, userId]);
+    } catch (error) {
+      console.error('Error recording failed login:', error);
+      throw new Error('Database operation failed: unable to record failed login');
+    }
+  }
+
+  /**
+   * Reset Login Failures
+   *
+   * Clears the failure counter and any lockout, after a successful login
+   * or when an administrator unlocks the account.
+   *
+   * @param {number} userId - User ID to update
+   * @returns {Promise<void>}
+   * @throws {Error} Database operation errors
+   */
+  static async resetLoginFailures(userId) {
+    try {
+      const query = `
+        UPDATE users
+        SET failed_login_count = 0, last_failed_login_at = NULL, locked_until = NULL
+        WHERE id = ?
+      `;
+
+      await pool.query(query, [userId]);
+    } catch (error) {
+      console.error('Error resetting login failures:', error);
+      throw new Error('Database operation failed: unable to reset login failures');
     }
   }
 
@@ -245,23 +752,58 @@ class User {
     }
   }
 
+  /**
+   * Check Email Verification
+   *
+   * @returns {boolean} True if the current email address is verified
+   */
+  isEmailVerified() {
+    return Boolean(this.email_verified_at);
+  }
+
+  /**
+   * Check Account Lockout
+   *
+   * @returns {boolean} True if the account is temporarily locked
+   */
+  isLocked() {
+    return Boolean(this.locked_until) && new Date(this.locked_until) > new Date();
+  }
+
   /**
    * Validate Password
    *
    * Compares a provided password against the stored hash.
-   * Instance method for password authentication.
+   * Instance method for password authentication. When the password is
+   * correct but the stored hash is weaker than the configured hashing
+   * settings, the password is transparently re-hashed.
    *
    * @param {string} providedPassword - Plain text password to verify
    * @returns {Promise<boolean>} Password validity
    * @throws {Error} Password validation errors
    */
   async checkPassword(providedPassword) {
+    let isValid;
     try {
-      return await bcrypt.compare(providedPassword, this.password);
+      isValid = await verifyPassword(providedPassword, this.password);
     } catch (error) {
       console.error('Error validating password:', error);
       throw new Error('Password validation failed');
     }
+
+    if (isValid && needsRehash(this.password)) {
+      // A failed upgrade must not fail the login - it is retried next time
+      try {
+        const upgradedHash = await hashPassword(providedPassword);
+        if (await User.upgradePasswordHash(this.id, this.password, upgradedHash)) {
+          this.password = upgradedHash;
+        }
+      } catch (error) {
+        console.error('Error upgrading password hash:', error.message);
+      }
+    }
+
+    return isValid;
   }
 
   /**
@@ -285,12 +827,12 @@ class User {
    * Serialize User Data
    *
    * Converts user instance to JSON with sensitive data removed.
-   * Excludes password field for security.
+   * Excludes password and MFA secret fields for security.
    *
    * @returns {Object} Safe user data for API responses
    */
   toJSON() {
-    const { password, ...safeUserData } = this;
+    const { password, mfa_secret, mfa_last_step, ...safeUserData } = this;
     return safeUserData;
   }
 }
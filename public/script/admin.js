@@ -5,46 +5,80 @@
 
 let currentUser = null;
 let editingUserId = null;
+let editingUserPrimaryRole = null;
+let editingUserExpiryValues = {};
+let roles = [];
+let permissionCatalog = [];
+let editingRoleId = null;
+let groups = [];
+let allUsers = [];
+let editingGroupId = null;
+let organizations = [];
+let editingOrganizationId = null;
+let sessionsUser = null;
+
+// Roles allowed into the admin dashboard; the API limits what each can see
+const ADMIN_DASHBOARD_ROLES = ['admin', 'org_admin'];
 
 // Initialize dashboard when page loads
 document.addEventListener('DOMContentLoaded', function() {
-    // Check authentication and role
-    checkAdminAuthentication();
-
-    // Load dashboard data
-    loadDashboardData();
+    // Check authentication and role, then load dashboard data
+    checkAdminAuthentication().then((authenticated) => {
+        if (authenticated) {
+            loadDashboardData();
+        }
+    });
 
     // Attach event listeners
     attachEventListeners();
 });
 
 /**
- * Check if user is authenticated and has admin role
+ * Check if user is authenticated and has admin role.
+ * Resolves to true if the dashboard can be shown.
  */
-function checkAdminAuthentication() {
+async function checkAdminAuthentication() {
     const token = localStorage.getItem('token');
 
-    if (!token) {
+    if (!token && !hasCookieSession()) {
         redirectToLogin();
-        return;
+        return false;
     }
 
     try {
-        const payload = JSON.parse(atob(token.split('.')[1]));
-        currentUser = payload.user;
+        let impersonator;
+        if (token) {
+            const payload = JSON.parse(atob(token.split('.')[1]));
+            currentUser = payload.user;
+            impersonator = payload.impersonator;
+        } else {
+            // Cookie sessions cannot be decoded here - the server says who is logged in
+            const response = await fetchWithAuth('/api/auth/me');
+            const data = await response.json();
+            currentUser = response.ok ? data.user : null;
+            impersonator = data.impersonator;
+        }
+
+        // Impersonation sessions belong on the user dashboard, with its banner
+        if (impersonator) {
+            window.location.href = 'dashboard.html';
+            return false;
+        }
 
-        if (!currentUser || currentUser.role !== 'admin') {
+        if (!currentUser || !(currentUser.roles || [currentUser.role]).some(role => ADMIN_DASHBOARD_ROLES.includes(role))) {
             showAlert('Access denied. Admin privileges required.', 'error');
             redirectToLogin();
-            return;
+            return false;
         }
 
         // Update admin username in header
         document.getElementById('adminUsername').textContent = currentUser.username;
+        return true;
 
     } catch (error) {
         console.error('Token validation error:', error);
         redirectToLogin();
+        return false;
     }
 }
 
@@ -53,6 +87,7 @@ function checkAdminAuthentication() {
  */
 function redirectToLogin() {
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
     window.location.href = 'login.html';
 }
 
@@ -61,9 +96,15 @@ function redirectToLogin() {
  */
 async function loadDashboardData() {
     try {
+        // Role and organization options are needed by the security policy and user forms
+        await Promise.all([loadRoles(), loadOrganizations()]);
+
         await Promise.all([
             loadStatistics(),
             loadUsers(),
+            loadRoleRequests(),
+            loadGroups(),
+            loadSecuritySettings(),
             loadRecentActivity()
         ]);
     } catch (error) {
@@ -73,116 +114,1249 @@ async function loadDashboardData() {
 }
 
 /**
- * Load system statistics
+ * Load system statistics
+ */
+async function loadStatistics() {
+    try {
+        const response = await fetchWithAuth('/api/dashboard');
+        const data = await response.json();
+
+        if (response.ok) {
+            document.getElementById('totalUsers').textContent = data.stats.totalUsers || data.stats.users || 0;
+            document.getElementById('activeUsers').textContent = data.stats.activeUsers || 0;
+            document.getElementById('newUsers').textContent = data.stats.newUsersToday || data.stats.newUsers || 0;
+        }
+    } catch (error) {
+        console.error('Error loading statistics:', error);
+    }
+}
+
+/**
+ * Load users list
+ */
+async function loadUsers() {
+    try {
+        const response = await fetchWithAuth('/api/users');
+        const users = await response.json();
+
+        if (response.ok) {
+            allUsers = users;
+            populateUsersTable(users);
+        } else if (users.code === 'MFA_SETUP_REQUIRED') {
+            showAlert('Two-factor authentication is required for administrators. Enable it under "My two-factor settings".', 'error');
+        } else {
+            throw new Error(users.message || 'Failed to load users');
+        }
+    } catch (error) {
+        console.error('Error loading users:', error);
+        showAlert('Error loading users: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Populate users table
+ */
+function populateUsersTable(users) {
+    const tbody = document.getElementById('usersTableBody');
+    tbody.innerHTML = '';
+
+    users.forEach(user => {
+        const row = createUserRow(user);
+        tbody.appendChild(row);
+    });
+}
+
+/**
+ * Create user table row
+ */
+function createUserRow(user) {
+    const row = document.createElement('tr');
+
+    // Format creation date
+    const createdDate = new Date(user.created_at).toLocaleDateString();
+
+    // Role badges, primary role first; time-bound roles show when they expire
+    const userRoles = [user.role, ...(user.roles || []).filter(roleName => roleName !== user.role)];
+    const roleExpirations = user.role_expirations || {};
+    const roleBadges = userRoles.map(roleName => roleExpirations[roleName]
+        ? `<span class="inline-flex items-center px-2.5 py-0.5 mr-1 rounded-full text-xs font-medium ${getRoleBadgeClass(roleName)}" title="Expires ${new Date(roleExpirations[roleName]).toLocaleString()}"><i class="fas fa-hourglass-half mr-1"></i>${roleName}</span>`
+        : `<span class="inline-flex items-center px-2.5 py-0.5 mr-1 rounded-full text-xs font-medium ${getRoleBadgeClass(roleName)}">${roleName}</span>`
+    ).join('');
+
+    // Organizations the acting admin can see; others are only counted
+    const organizationNames = (user.organization_ids || [])
+        .map(id => organizations.find(organization => organization.id === id))
+        .filter(Boolean)
+        .map(organization => organization.name);
+    const otherOrganizations = (user.organization_ids || []).length - organizationNames.length;
+
+    // Lockout status
+    const isLocked = user.locked_until && new Date(user.locked_until) > new Date();
+    const statusBadge = isLocked
+        ? `<span class="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800" title="Locked until ${new Date(user.locked_until).toLocaleString()}">
+               <i class="fas fa-lock mr-1"></i>Locked
+           </span>`
+        : `<span class="text-xs text-gray-500">${user.failed_login_count > 0 ? `${user.failed_login_count} failed logins` : 'Active'}</span>`;
+
+    row.innerHTML = `
+        <td class="px-6 py-4 whitespace-nowrap">
+            <div class="flex items-center">
+                <div class="flex-shrink-0 h-10 w-10">
+                    <div class="h-10 w-10 rounded-full bg-gray-300 flex items-center justify-center">
+                        <i class="fas fa-user text-gray-600"></i>
+                    </div>
+                </div>
+                <div class="ml-4">
+                    <div class="text-sm font-medium text-gray-900">${user.username}</div>
+                </div>
+            </div>
+        </td>
+        <td class="px-6 py-4 whitespace-nowrap">
+            <div class="text-sm text-gray-900">${user.email}</div>
+        </td>
+        <td class="px-6 py-4 whitespace-nowrap">
+            ${roleBadges}
+        </td>
+        <td class="px-6 py-4 text-sm text-gray-700" data-field="organizations"></td>
+        <td class="px-6 py-4 whitespace-nowrap">
+            ${statusBadge}
+        </td>
+        <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+            ${createdDate}
+        </td>
+        <td class="px-6 py-4 whitespace-nowrap text-sm font-medium">
+            ${isLocked || user.failed_login_count > 0 ? `
+                <button data-action="unlock" data-user-id="${user.id}" class="text-yellow-600 hover:text-yellow-900 mr-3">
+                    <i class="fas fa-unlock"></i> Unlock
+                </button>
+            ` : ''}
+            <button data-action="edit" data-user-id="${user.id}" class="text-indigo-600 hover:text-indigo-900 mr-3">
+                <i class="fas fa-edit"></i> Edit
+            </button>
+            <button data-action="sessions" data-user-id="${user.id}" class="text-gray-600 hover:text-gray-900 mr-3">
+                <i class="fas fa-desktop"></i> Sessions
+            </button>
+            ${user.id !== currentUser.id ? `
+                <button data-action="impersonate" data-user-id="${user.id}" class="text-purple-600 hover:text-purple-900 mr-3">
+                    <i class="fas fa-user-secret"></i> Impersonate
+                </button>
+                <button data-action="delete" data-user-id="${user.id}" class="text-red-600 hover:text-red-900">
+                    <i class="fas fa-trash"></i> Delete
+                </button>
+            ` : '<span class="text-gray-400">Current User</span>'}
+        </td>
+    `;
+
+    // Organization names are free text, so never render them as HTML
+    const organizationText = [
+        ...organizationNames,
+        ...(otherOrganizations > 0 ? [`+${otherOrganizations} other`] : [])
+    ].join(', ');
+    row.querySelector('[data-field="organizations"]').textContent = organizationText || '—';
+
+    // Add event listeners to buttons
+    const editBtn = row.querySelector('[data-action="edit"]');
+    const deleteBtn = row.querySelector('[data-action="delete"]');
+    const unlockBtn = row.querySelector('[data-action="unlock"]');
+    const impersonateBtn = row.querySelector('[data-action="impersonate"]');
+    const sessionsBtn = row.querySelector('[data-action="sessions"]');
+
+    if (editBtn) {
+        editBtn.addEventListener('click', () => editUser(user.id));
+    }
+
+    if (deleteBtn) {
+        deleteBtn.addEventListener('click', () => deleteUser(user.id));
+    }
+
+    if (unlockBtn) {
+        unlockBtn.addEventListener('click', () => unlockUser(user.id));
+    }
+
+    if (impersonateBtn) {
+        impersonateBtn.addEventListener('click', () => impersonateUser(user));
+    }
+
+    if (sessionsBtn) {
+        sessionsBtn.addEventListener('click', () => openSessionsModal(user));
+    }
+
+    return row;
+}
+
+/**
+ * Badge colors for a role - custom roles share one color
+ */
+function getRoleBadgeClass(roleName) {
+    if (roleName === 'admin') return 'bg-red-100 text-red-800';
+    if (roleName === 'user') return 'bg-green-100 text-green-800';
+    return 'bg-blue-100 text-blue-800';
+}
+
+/**
+ * Load roles and the permission catalog
+ */
+async function loadRoles() {
+    try {
+        const [rolesResponse, permissionsResponse] = await Promise.all([
+            fetchWithAuth('/api/roles'),
+            fetchWithAuth('/api/roles/permissions')
+        ]);
+        const rolesData = await rolesResponse.json();
+        const permissionsData = await permissionsResponse.json();
+
+        if (rolesResponse.status === 403) {
+            hideSection('rolesSection');
+            return;
+        }
+
+        if (!rolesResponse.ok) {
+            throw new Error(rolesData.message || 'Failed to load roles');
+        }
+
+        roles = rolesData;
+        permissionCatalog = permissionsResponse.ok ? permissionsData : [];
+
+        populateRolesTable(roles);
+        populateRoleOptions(roles);
+    } catch (error) {
+        console.error('Error loading roles:', error);
+    }
+}
+
+/**
+ * Populate roles table
+ */
+function populateRolesTable(roleList) {
+    const tbody = document.getElementById('rolesTableBody');
+    tbody.innerHTML = '';
+
+    roleList.forEach(role => {
+        tbody.appendChild(createRoleRow(role));
+    });
+}
+
+/**
+ * Create role table row
+ */
+function createRoleRow(role) {
+    const row = document.createElement('tr');
+
+    const permissionBadges = role.permissions.length > 0
+        ? role.permissions.map(permission =>
+            `<span class="inline-block px-2 py-0.5 mr-1 mb-1 rounded bg-gray-100 text-gray-700 text-xs font-mono">${permission}</span>`
+        ).join('')
+        : '<span class="text-xs text-gray-400">None</span>';
+
+    const inheritBadges = role.inherits.length > 0
+        ? role.inherits.map(roleName =>
+            `<span class="inline-flex items-center px-2.5 py-0.5 mr-1 mb-1 rounded-full text-xs font-medium ${getRoleBadgeClass(roleName)}">${roleName}</span>`
+        ).join('')
+        : '<span class="text-xs text-gray-400">None</span>';
+
+    row.innerHTML = `
+        <td class="px-6 py-4 whitespace-nowrap">
+            <span class="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getRoleBadgeClass(role.name)}">
+                ${role.name}
+            </span>
+            ${role.is_system ? '<span class="ml-2 text-xs text-gray-400">System</span>' : ''}
+        </td>
+        <td class="px-6 py-4 text-sm text-gray-700" data-field="description"></td>
+        <td class="px-6 py-4">${permissionBadges}</td>
+        <td class="px-6 py-4">${inheritBadges}</td>
+        <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">${role.user_count}</td>
+        <td class="px-6 py-4 whitespace-nowrap text-sm font-medium">
+            <button data-action="edit" class="text-indigo-600 hover:text-indigo-900 mr-3">
+                <i class="fas fa-edit"></i> Edit
+            </button>
+            ${role.is_system ? '' : `
+                <button data-action="delete" class="text-red-600 hover:text-red-900">
+                    <i class="fas fa-trash"></i> Delete
+                </button>
+            `}
+        </td>
+    `;
+
+    // Descriptions are free text, so never render them as HTML
+    row.querySelector('[data-field="description"]').textContent = role.description || '';
+
+    row.querySelector('[data-action="edit"]').addEventListener('click', () => openEditRoleModal(role.id));
+
+    const deleteBtn = row.querySelector('[data-action="delete"]');
+    if (deleteBtn) {
+        deleteBtn.addEventListener('click', () => deleteRole(role.id));
+    }
+
+    return row;
+}
+
+/**
+ * Render a list of role checkboxes, optionally with an expiry input per role
+ */
+function renderRoleCheckboxes(containerId, roleNames, selected, expiryValues = null) {
+    const container = document.getElementById(containerId);
+    container.innerHTML = '';
+
+    roleNames.forEach(roleName => {
+        const label = document.createElement('label');
+        label.className = 'inline-flex items-center text-sm';
+
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.value = roleName;
+        input.className = 'mr-2';
+        input.checked = selected.includes(roleName);
+
+        label.appendChild(input);
+        label.appendChild(document.createTextNode(roleName));
+
+        if (!expiryValues) {
+            container.appendChild(label);
+            return;
+        }
+
+        const row = document.createElement('div');
+        row.className = 'flex items-center justify-between';
+        label.classList.add('w-1/3');
+
+        const expiry = document.createElement('input');
+        expiry.type = 'datetime-local';
+        expiry.dataset.expiresFor = roleName;
+        expiry.title = 'Expires (leave empty for a permanent role)';
+        expiry.className = 'border border-gray-300 rounded-md px-2 py-1 text-sm';
+        expiry.value = expiryValues[roleName] || '';
+
+        row.appendChild(label);
+        row.appendChild(expiry);
+        container.appendChild(row);
+    });
+}
+
+/**
+ * Expiry input values of the checked roles, for roles that have one
+ */
+function getRoleExpiryValues(containerId) {
+    const values = {};
+    getCheckedRoles(containerId).forEach(roleName => {
+        const expiry = document.querySelector(`#${containerId} [data-expires-for="${roleName}"]`);
+        if (expiry && expiry.value) {
+            values[roleName] = expiry.value;
+        }
+    });
+    return values;
+}
+
+/**
+ * Format a date for a datetime-local input (local time, minute precision)
+ */
+function toDateTimeLocal(date) {
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+/**
+ * Checked role names of a checkbox list, in list order
+ */
+function getCheckedRoles(containerId) {
+    return Array.from(document.querySelectorAll(`#${containerId} input[type="checkbox"]:checked`)).map(input => input.value);
+}
+
+/**
+ * Fill the MFA policy checkboxes
+ */
+function populateRoleOptions(roleList) {
+    // Keep the current policy selection when the list is rebuilt
+    const checkedRoles = getCheckedRoles('mfaRequiredRoles');
+    renderRoleCheckboxes('mfaRequiredRoles', roleList.map(role => role.name), checkedRoles);
+}
+
+/**
+ * Render the permission checkboxes of the role or group form
+ */
+function renderPermissionCheckboxes(selected, disabled, containerId = 'rolePermissions') {
+    const container = document.getElementById(containerId);
+    container.innerHTML = '';
+
+    permissionCatalog.forEach(permission => {
+        const label = document.createElement('label');
+        label.className = 'flex items-start text-sm';
+
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.value = permission.name;
+        input.className = 'mr-2 mt-1';
+        input.checked = selected.includes(permission.name);
+        input.disabled = disabled;
+
+        const text = document.createElement('span');
+        text.innerHTML = `<span class="font-mono text-xs">${permission.name}</span>`;
+        const description = document.createElement('span');
+        description.className = 'block text-xs text-gray-500';
+        description.textContent = permission.description || '';
+        text.appendChild(description);
+
+        label.appendChild(input);
+        label.appendChild(text);
+        container.appendChild(label);
+    });
+}
+
+/**
+ * Open add role modal
+ */
+function openAddRoleModal() {
+    editingRoleId = null;
+    document.getElementById('roleModalTitle').textContent = 'Add Role';
+    document.getElementById('roleForm').reset();
+    document.getElementById('roleName').disabled = false;
+    document.getElementById('rolePermissionsNote').classList.add('hidden');
+    renderRoleCheckboxes('roleInherits', roles.map(r => r.name), []);
+    renderPermissionCheckboxes([], false);
+    document.getElementById('roleModal').classList.remove('hidden');
+}
+
+/**
+ * Open edit role modal
+ */
+function openEditRoleModal(roleId) {
+    const role = roles.find(r => r.id === roleId);
+    if (!role) return;
+
+    const isAdminRole = role.name === 'admin';
+
+    editingRoleId = roleId;
+    document.getElementById('roleModalTitle').textContent = 'Edit Role';
+    document.getElementById('roleName').value = role.name;
+    document.getElementById('roleName').disabled = true;
+    document.getElementById('roleDescription').value = role.description || '';
+    document.getElementById('rolePermissionsNote').classList.toggle('hidden', !isAdminRole);
+    renderPermissionCheckboxes(role.permissions, isAdminRole);
+    renderRoleCheckboxes('roleInherits', roles.filter(r => r.id !== roleId).map(r => r.name), role.inherits);
+    document.getElementById('roleModal').classList.remove('hidden');
+}
+
+/**
+ * Save role (create or update)
+ */
+async function saveRole() {
+    const name = document.getElementById('roleName').value.trim();
+    const description = document.getElementById('roleDescription').value.trim();
+    const permissions = Array.from(document.querySelectorAll('#rolePermissions input:checked'))
+        .map(input => input.value);
+
+    if (!editingRoleId && !name) {
+        showAlert('Please enter a role name', 'error');
+        return;
+    }
+
+    const role = roles.find(r => r.id === editingRoleId);
+    const roleData = { description, inherits: getCheckedRoles('roleInherits') };
+
+    // The admin role's permissions are fixed
+    if (!role || role.name !== 'admin') {
+        roleData.permissions = permissions;
+    }
+
+    try {
+        let response;
+
+        if (editingRoleId) {
+            response = await fetchWithAuth(`/api/roles/${editingRoleId}`, {
+                method: 'PUT',
+                body: JSON.stringify(roleData)
+            });
+        } else {
+            response = await fetchWithAuth('/api/roles', {
+                method: 'POST',
+                body: JSON.stringify({ name, ...roleData })
+            });
+        }
+
+        const result = await response.json();
+
+        if (response.ok) {
+            showAlert(`Role ${editingRoleId ? 'updated' : 'created'} successfully`, 'success');
+            closeRoleModal();
+            loadRoles();
+        } else {
+            const message = result.errors && result.errors.length > 0
+                ? result.errors[0].msg
+                : result.message;
+            throw new Error(message || 'Failed to save role');
+        }
+    } catch (error) {
+        console.error('Error saving role:', error);
+        showAlert('Error saving role: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Delete role
+ */
+function deleteRole(roleId) {
+    document.getElementById('deleteRoleId').value = roleId;
+    document.getElementById('deleteRoleModal').classList.remove('hidden');
+}
+
+/**
+ * Confirm delete role
+ */
+async function confirmDeleteRole() {
+    const roleId = document.getElementById('deleteRoleId').value;
+
+    try {
+        const response = await fetchWithAuth(`/api/roles/${roleId}`, {
+            method: 'DELETE'
+        });
+
+        const result = await response.json();
+
+        if (response.ok) {
+            showAlert(result.message, 'success');
+            closeDeleteRoleModal();
+            loadRoles();
+        } else {
+            throw new Error(result.message || 'Failed to delete role');
+        }
+    } catch (error) {
+        console.error('Error deleting role:', error);
+        showAlert('Error deleting role: ' + error.message, 'error');
+        closeDeleteRoleModal();
+    }
+}
+
+/**
+ * Close role modal
+ */
+function closeRoleModal() {
+    document.getElementById('roleModal').classList.add('hidden');
+    document.getElementById('roleForm').reset();
+    editingRoleId = null;
+}
+
+/**
+ * Close delete role modal
+ */
+function closeDeleteRoleModal() {
+    document.getElementById('deleteRoleModal').classList.add('hidden');
+    document.getElementById('deleteRoleId').value = '';
+}
+
+/**
+ * Load pending role requests
+ */
+async function loadRoleRequests() {
+    try {
+        const response = await fetchWithAuth('/api/role-requests');
+        const data = await response.json();
+
+        if (response.status === 403) {
+            hideSection('roleRequestsSection');
+            return;
+        }
+
+        if (!response.ok) {
+            throw new Error(data.message || 'Failed to load role requests');
+        }
+
+        populateRoleRequestsTable(data);
+    } catch (error) {
+        console.error('Error loading role requests:', error);
+        showAlert('Error loading role requests: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Populate role requests table
+ */
+function populateRoleRequestsTable(requests) {
+    const tbody = document.getElementById('roleRequestsTableBody');
+    tbody.innerHTML = '';
+
+    if (requests.length === 0) {
+        const row = document.createElement('tr');
+        row.innerHTML = '<td colspan="6" class="px-6 py-4 text-sm text-gray-400">No pending requests</td>';
+        tbody.appendChild(row);
+        return;
+    }
+
+    requests.forEach(request => {
+        tbody.appendChild(createRoleRequestRow(request));
+    });
+}
+
+/**
+ * Create role request table row
+ */
+function createRoleRequestRow(request) {
+    const row = document.createElement('tr');
+
+    // Requesters cannot approve their own requests, only withdraw them
+    const ownRequest = request.requested_by === currentUser.id;
+
+    row.innerHTML = `
+        <td class="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">${request.username}</td>
+        <td class="px-6 py-4 whitespace-nowrap">
+            <span class="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getRoleBadgeClass(request.role)}">${request.role}</span>
+        </td>
+        <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+            ${request.expires_at ? new Date(request.expires_at).toLocaleString() : 'Never'}
+        </td>
+        <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+            ${request.requested_by_username || '—'}
+            <div class="text-xs text-gray-400">${getTimeAgo(new Date(request.created_at))}</div>
+        </td>
+        <td class="px-6 py-4 text-sm text-gray-700" data-field="reason"></td>
+        <td class="px-6 py-4 whitespace-nowrap text-sm font-medium">
+            ${ownRequest ? '<span class="text-gray-400 mr-3">Awaiting another admin</span>' : `
+                <button data-action="approve" class="text-green-600 hover:text-green-900 mr-3">
+                    <i class="fas fa-check"></i> Approve
+                </button>
+            `}
+            <button data-action="reject" class="text-red-600 hover:text-red-900">
+                <i class="fas fa-times"></i> ${ownRequest ? 'Withdraw' : 'Reject'}
+            </button>
+        </td>
+    `;
+
+    // Reasons are free text, so never render them as HTML
+    row.querySelector('[data-field="reason"]').textContent = request.reason || '';
+
+    const approveBtn = row.querySelector('[data-action="approve"]');
+    if (approveBtn) {
+        approveBtn.addEventListener('click', () => decideRoleRequest(request.id, 'approve'));
+    }
+    row.querySelector('[data-action="reject"]').addEventListener('click', () => decideRoleRequest(request.id, 'reject'));
+
+    return row;
+}
+
+/**
+ * Approve or reject a role request
+ */
+async function decideRoleRequest(requestId, decision) {
+    try {
+        const response = await fetchWithAuth(`/api/role-requests/${requestId}/${decision}`, {
+            method: 'POST'
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.message || `Failed to ${decision} role request`);
+        }
+
+        showAlert(result.message, 'success');
+        loadRoleRequests();
+        if (decision === 'approve') {
+            loadUsers(); // The user has a new role
+            loadRoles(); // User counts per role changed
+        }
+    } catch (error) {
+        console.error('Error deciding role request:', error);
+        showAlert('Error: ' + error.message, 'error');
+        loadRoleRequests();
+    }
+}
+
+/**
+ * Load groups
+ */
+async function loadGroups() {
+    try {
+        const response = await fetchWithAuth('/api/groups');
+        const data = await response.json();
+
+        if (response.status === 403) {
+            hideSection('groupsSection');
+            return;
+        }
+
+        if (!response.ok) {
+            throw new Error(data.message || 'Failed to load groups');
+        }
+
+        groups = data;
+        populateGroupsTable(groups);
+    } catch (error) {
+        console.error('Error loading groups:', error);
+        showAlert('Error loading groups: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Populate groups table
+ */
+function populateGroupsTable(groupList) {
+    const tbody = document.getElementById('groupsTableBody');
+    tbody.innerHTML = '';
+
+    groupList.forEach(group => {
+        tbody.appendChild(createGroupRow(group));
+    });
+}
+
+/**
+ * Create group table row
+ */
+function createGroupRow(group) {
+    const row = document.createElement('tr');
+
+    const roleBadges = group.roles.length > 0
+        ? group.roles.map(roleName =>
+            `<span class="inline-flex items-center px-2.5 py-0.5 mr-1 mb-1 rounded-full text-xs font-medium ${getRoleBadgeClass(roleName)}">${roleName}</span>`
+        ).join('')
+        : '<span class="text-xs text-gray-400">None</span>';
+
+    const permissionBadges = group.permissions.length > 0
+        ? group.permissions.map(permission =>
+            `<span class="inline-block px-2 py-0.5 mr-1 mb-1 rounded bg-gray-100 text-gray-700 text-xs font-mono">${permission}</span>`
+        ).join('')
+        : '<span class="text-xs text-gray-400">None</span>';
+
+    row.innerHTML = `
+        <td class="px-6 py-4">
+            <div class="text-sm font-medium text-gray-900" data-field="name"></div>
+            <div class="text-xs text-gray-500" data-field="description"></div>
+        </td>
+        <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500" data-field="parent"></td>
+        <td class="px-6 py-4">${roleBadges}</td>
+        <td class="px-6 py-4">${permissionBadges}</td>
+        <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">${group.member_count}</td>
+        <td class="px-6 py-4 whitespace-nowrap text-sm font-medium">
+            <button data-action="edit" class="text-indigo-600 hover:text-indigo-900 mr-3">
+                <i class="fas fa-edit"></i> Edit
+            </button>
+            <button data-action="delete" class="text-red-600 hover:text-red-900">
+                <i class="fas fa-trash"></i> Delete
+            </button>
+        </td>
+    `;
+
+    // Group names and descriptions are free text, so never render them as HTML
+    const parent = groups.find(g => g.id === group.parent_id);
+    row.querySelector('[data-field="name"]').textContent = group.name;
+    row.querySelector('[data-field="description"]').textContent = group.description || '';
+    row.querySelector('[data-field="parent"]').textContent = parent ? parent.name : '—';
+
+    row.querySelector('[data-action="edit"]').addEventListener('click', () => openEditGroupModal(group.id));
+    row.querySelector('[data-action="delete"]').addEventListener('click', () => deleteGroup(group.id));
+
+    return row;
+}
+
+/**
+ * Fill the parent group select, leaving out the group being edited
+ */
+function renderGroupParentOptions(excludedId, selectedId) {
+    const select = document.getElementById('groupParent');
+    select.innerHTML = '';
+    select.appendChild(new Option('None', ''));
+
+    groups
+        .filter(group => group.id !== excludedId)
+        .forEach(group => select.appendChild(new Option(group.name, group.id)));
+
+    select.value = selectedId ? String(selectedId) : '';
+}
+
+/**
+ * Render the member list and the user select of the group form
+ */
+function renderGroupMembers(members) {
+    const list = document.getElementById('groupMembersList');
+    list.innerHTML = '';
+
+    if (members.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'px-3 py-2 text-sm text-gray-400';
+        empty.textContent = 'No members yet';
+        list.appendChild(empty);
+    }
+
+    members.forEach(member => {
+        const item = document.createElement('li');
+        item.className = 'flex justify-between items-center px-3 py-2 text-sm';
+
+        const name = document.createElement('span');
+        name.textContent = `${member.username} (${member.email})`;
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'text-red-600 hover:text-red-900';
+        removeBtn.innerHTML = '<i class="fas fa-user-minus"></i> Remove';
+        removeBtn.addEventListener('click', () => removeGroupMember(member.id));
+
+        item.appendChild(name);
+        item.appendChild(removeBtn);
+        list.appendChild(item);
+    });
+
+    const memberIds = members.map(member => member.id);
+    const select = document.getElementById('groupMemberSelect');
+    select.innerHTML = '';
+    allUsers
+        .filter(user => !memberIds.includes(user.id))
+        .forEach(user => select.appendChild(new Option(user.username, user.id)));
+}
+
+/**
+ * Open add group modal
+ */
+function openAddGroupModal() {
+    editingGroupId = null;
+    document.getElementById('groupModalTitle').textContent = 'Add Group';
+    document.getElementById('groupForm').reset();
+    renderGroupParentOptions(null, null);
+    renderRoleCheckboxes('groupRoles', roles.map(role => role.name), []);
+    renderPermissionCheckboxes([], false, 'groupPermissions');
+    document.getElementById('groupMembersSection').classList.add('hidden');
+    document.getElementById('groupModal').classList.remove('hidden');
+}
+
+/**
+ * Open edit group modal
+ */
+async function openEditGroupModal(groupId) {
+    try {
+        const response = await fetchWithAuth(`/api/groups/${groupId}`);
+        const group = await response.json();
+
+        if (!response.ok) {
+            throw new Error(group.message || 'Failed to load group');
+        }
+
+        editingGroupId = groupId;
+        document.getElementById('groupModalTitle').textContent = 'Edit Group';
+        document.getElementById('groupName').value = group.name;
+        document.getElementById('groupDescription').value = group.description || '';
+        renderGroupParentOptions(group.id, group.parent_id);
+        renderRoleCheckboxes('groupRoles', roles.map(role => role.name), group.roles);
+        renderPermissionCheckboxes(group.permissions, false, 'groupPermissions');
+        renderGroupMembers(group.members);
+        document.getElementById('groupMembersSection').classList.remove('hidden');
+        document.getElementById('groupModal').classList.remove('hidden');
+    } catch (error) {
+        console.error('Error loading group:', error);
+        showAlert('Error loading group: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Save group (create or update)
+ */
+async function saveGroup() {
+    const parentValue = document.getElementById('groupParent').value;
+    const groupData = {
+        name: document.getElementById('groupName').value.trim(),
+        description: document.getElementById('groupDescription').value.trim(),
+        parentId: parentValue ? Number(parentValue) : null,
+        roles: getCheckedRoles('groupRoles'),
+        permissions: Array.from(document.querySelectorAll('#groupPermissions input:checked'))
+            .map(input => input.value)
+    };
+
+    if (!groupData.name) {
+        showAlert('Please enter a group name', 'error');
+        return;
+    }
+
+    try {
+        const response = editingGroupId
+            ? await fetchWithAuth(`/api/groups/${editingGroupId}`, {
+                method: 'PUT',
+                body: JSON.stringify(groupData)
+            })
+            : await fetchWithAuth('/api/groups', {
+                method: 'POST',
+                body: JSON.stringify(groupData)
+            });
+
+        const result = await response.json();
+
+        if (response.ok) {
+            showAlert(`Group ${editingGroupId ? 'updated' : 'created'} successfully`, 'success');
+            closeGroupModal();
+            loadGroups();
+        } else {
+            const message = result.errors && result.errors.length > 0
+                ? result.errors[0].msg
+                : result.message;
+            throw new Error(message || 'Failed to save group');
+        }
+    } catch (error) {
+        console.error('Error saving group:', error);
+        showAlert('Error saving group: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Add the selected user to the group being edited
+ */
+async function addGroupMember() {
+    const userId = document.getElementById('groupMemberSelect').value;
+    if (!editingGroupId || !userId) return;
+
+    try {
+        const response = await fetchWithAuth(`/api/groups/${editingGroupId}/members`, {
+            method: 'POST',
+            body: JSON.stringify({ userId: Number(userId) })
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.message || 'Failed to add member');
+        }
+
+        renderGroupMembers(result.members);
+        loadGroups(); // Member count changed
+    } catch (error) {
+        console.error('Error adding group member:', error);
+        showAlert('Error adding member: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Remove a user from the group being edited
+ */
+async function removeGroupMember(userId) {
+    if (!editingGroupId) return;
+
+    try {
+        const response = await fetchWithAuth(`/api/groups/${editingGroupId}/members/${userId}`, {
+            method: 'DELETE'
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.message || 'Failed to remove member');
+        }
+
+        renderGroupMembers(result.members);
+        loadGroups(); // Member count changed
+    } catch (error) {
+        console.error('Error removing group member:', error);
+        showAlert('Error removing member: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Delete group
+ */
+function deleteGroup(groupId) {
+    document.getElementById('deleteGroupId').value = groupId;
+    document.getElementById('deleteGroupModal').classList.remove('hidden');
+}
+
+/**
+ * Confirm delete group
+ */
+async function confirmDeleteGroup() {
+    const groupId = document.getElementById('deleteGroupId').value;
+
+    try {
+        const response = await fetchWithAuth(`/api/groups/${groupId}`, {
+            method: 'DELETE'
+        });
+
+        const result = await response.json();
+
+        if (response.ok) {
+            showAlert(result.message, 'success');
+            closeDeleteGroupModal();
+            loadGroups();
+        } else {
+            throw new Error(result.message || 'Failed to delete group');
+        }
+    } catch (error) {
+        console.error('Error deleting group:', error);
+        showAlert('Error deleting group: ' + error.message, 'error');
+        closeDeleteGroupModal();
+    }
+}
+
+/**
+ * Close group modal
+ */
+function closeGroupModal() {
+    document.getElementById('groupModal').classList.add('hidden');
+    document.getElementById('groupForm').reset();
+    editingGroupId = null;
+}
+
+/**
+ * Close delete group modal
+ */
+function closeDeleteGroupModal() {
+    document.getElementById('deleteGroupModal').classList.add('hidden');
+    document.getElementById('deleteGroupId').value = '';
+}
+
+/**
+ * Load organizations
+ */
+async function loadOrganizations() {
+    try {
+        const response = await fetchWithAuth('/api/organizations');
+        const data = await response.json();
+
+        if (response.status === 403) {
+            hideSection('organizationsSection');
+            return;
+        }
+
+        if (!response.ok) {
+            throw new Error(data.message || 'Failed to load organizations');
+        }
+
+        organizations = data;
+        populateOrganizationsTable(organizations);
+    } catch (error) {
+        console.error('Error loading organizations:', error);
+        showAlert('Error loading organizations: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Populate organizations table
+ */
+function populateOrganizationsTable(organizationList) {
+    const tbody = document.getElementById('organizationsTableBody');
+    tbody.innerHTML = '';
+
+    organizationList.forEach(organization => {
+        tbody.appendChild(createOrganizationRow(organization));
+    });
+}
+
+/**
+ * Create organization table row
+ */
+function createOrganizationRow(organization) {
+    const row = document.createElement('tr');
+
+    row.innerHTML = `
+        <td class="px-6 py-4">
+            <div class="text-sm font-medium text-gray-900" data-field="name"></div>
+            <div class="text-xs text-gray-500" data-field="description"></div>
+        </td>
+        <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">${organization.member_count}</td>
+        <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">${new Date(organization.created_at).toLocaleDateString()}</td>
+        <td class="px-6 py-4 whitespace-nowrap text-sm font-medium">
+            <button data-action="edit" class="text-indigo-600 hover:text-indigo-900 mr-3">
+                <i class="fas fa-edit"></i> Edit
+            </button>
+            <button data-action="delete" class="text-red-600 hover:text-red-900">
+                <i class="fas fa-trash"></i> Delete
+            </button>
+        </td>
+    `;
+
+    // Organization names and descriptions are free text, so never render them as HTML
+    row.querySelector('[data-field="name"]').textContent = organization.name;
+    row.querySelector('[data-field="description"]').textContent = organization.description || '';
+
+    row.querySelector('[data-action="edit"]').addEventListener('click', () => openEditOrganizationModal(organization.id));
+    row.querySelector('[data-action="delete"]').addEventListener('click', () => deleteOrganization(organization.id));
+
+    return row;
+}
+
+/**
+ * Render the organization checkboxes of the user form
+ */
+function renderOrganizationCheckboxes(selected) {
+    const container = document.getElementById('modalOrganizations');
+    container.innerHTML = '';
+
+    organizations.forEach(organization => {
+        const label = document.createElement('label');
+        label.className = 'inline-flex items-center text-sm';
+
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.value = organization.id;
+        input.className = 'mr-2';
+        input.checked = selected.includes(organization.id);
+
+        label.appendChild(input);
+        label.appendChild(document.createTextNode(organization.name));
+        container.appendChild(label);
+    });
+
+    // Nothing to choose from - leave memberships to the server
+    document.getElementById('modalOrganizationsField').classList.toggle('hidden', organizations.length === 0);
+}
+
+/**
+ * Open add organization modal
+ */
+function openAddOrganizationModal() {
+    editingOrganizationId = null;
+    document.getElementById('organizationModalTitle').textContent = 'Add Organization';
+    document.getElementById('organizationForm').reset();
+    document.getElementById('organizationModal').classList.remove('hidden');
+}
+
+/**
+ * Open edit organization modal
+ */
+function openEditOrganizationModal(organizationId) {
+    const organization = organizations.find(o => o.id === organizationId);
+    if (!organization) return;
+
+    editingOrganizationId = organizationId;
+    document.getElementById('organizationModalTitle').textContent = 'Edit Organization';
+    document.getElementById('organizationName').value = organization.name;
+    document.getElementById('organizationDescription').value = organization.description || '';
+    document.getElementById('organizationModal').classList.remove('hidden');
+}
+
+/**
+ * Save organization (create or update)
  */
-async function loadStatistics() {
+async function saveOrganization() {
+    const organizationData = {
+        name: document.getElementById('organizationName').value.trim(),
+        description: document.getElementById('organizationDescription').value.trim()
+    };
+
+    if (!organizationData.name) {
+        showAlert('Please enter an organization name', 'error');
+        return;
+    }
+
     try {
-        const response = await fetchWithAuth('/api/dashboard');
-        const data = await response.json();
+        const response = editingOrganizationId
+            ? await fetchWithAuth(`/api/organizations/${editingOrganizationId}`, {
+                method: 'PUT',
+                body: JSON.stringify(organizationData)
+            })
+            : await fetchWithAuth('/api/organizations', {
+                method: 'POST',
+                body: JSON.stringify(organizationData)
+            });
+
+        const result = await response.json();
 
         if (response.ok) {
-            document.getElementById('totalUsers').textContent = data.stats.totalUsers || data.stats.users || 0;
-            document.getElementById('activeUsers').textContent = data.stats.activeUsers || 0;
-            document.getElementById('newUsers').textContent = data.stats.newUsersToday || data.stats.newUsers || 0;
+            showAlert(`Organization ${editingOrganizationId ? 'updated' : 'created'} successfully`, 'success');
+            closeOrganizationModal();
+            await loadOrganizations();
+            loadUsers(); // Organization names changed
+        } else {
+            const message = result.errors && result.errors.length > 0
+                ? result.errors[0].msg
+                : result.message;
+            throw new Error(message || 'Failed to save organization');
         }
     } catch (error) {
-        console.error('Error loading statistics:', error);
+        console.error('Error saving organization:', error);
+        showAlert('Error saving organization: ' + error.message, 'error');
     }
 }
 
 /**
- * Load users list
+ * Delete organization
  */
-async function loadUsers() {
+function deleteOrganization(organizationId) {
+    document.getElementById('deleteOrganizationId').value = organizationId;
+    document.getElementById('deleteOrganizationModal').classList.remove('hidden');
+}
+
+/**
+ * Confirm delete organization
+ */
+async function confirmDeleteOrganization() {
+    const organizationId = document.getElementById('deleteOrganizationId').value;
+
     try {
-        const response = await fetchWithAuth('/api/users');
-        const users = await response.json();
+        const response = await fetchWithAuth(`/api/organizations/${organizationId}`, {
+            method: 'DELETE'
+        });
+
+        const result = await response.json();
 
         if (response.ok) {
-            populateUsersTable(users);
+            showAlert(result.message, 'success');
+            closeDeleteOrganizationModal();
+            await loadOrganizations();
+            loadUsers(); // Memberships changed
         } else {
-            throw new Error(users.message || 'Failed to load users');
+            throw new Error(result.message || 'Failed to delete organization');
         }
     } catch (error) {
-        console.error('Error loading users:', error);
-        showAlert('Error loading users: ' + error.message, 'error');
+        console.error('Error deleting organization:', error);
+        showAlert('Error deleting organization: ' + error.message, 'error');
+        closeDeleteOrganizationModal();
     }
 }
 
 /**
- * Populate users table
+ * Close organization modal
  */
-function populateUsersTable(users) {
-    const tbody = document.getElementById('usersTableBody');
-    tbody.innerHTML = '';
-
-    users.forEach(user => {
-        const row = createUserRow(user);
-        tbody.appendChild(row);
-    });
+function closeOrganizationModal() {
+    document.getElementById('organizationModal').classList.add('hidden');
+    document.getElementById('organizationForm').reset();
+    editingOrganizationId = null;
 }
 
 /**
- * Create user table row
+ * Close delete organization modal
  */
-function createUserRow(user) {
-    const row = document.createElement('tr');
-
-    // Format creation date
-    const createdDate = new Date(user.created_at).toLocaleDateString();
+function closeDeleteOrganizationModal() {
+    document.getElementById('deleteOrganizationModal').classList.add('hidden');
+    document.getElementById('deleteOrganizationId').value = '';
+}
 
-    // Role badge styling
-    const roleClass = user.role === 'admin' ? 'bg-red-100 text-red-800' : 'bg-green-100 text-green-800';
+/**
+ * Hide a dashboard section the current user has no access to
+ */
+function hideSection(sectionId) {
+    document.getElementById(sectionId).classList.add('hidden');
+}
 
-    row.innerHTML = `
-        <td class="px-6 py-4 whitespace-nowrap">
-            <div class="flex items-center">
-                <div class="flex-shrink-0 h-10 w-10">
-                    <div class="h-10 w-10 rounded-full bg-gray-300 flex items-center justify-center">
-                        <i class="fas fa-user text-gray-600"></i>
-                    </div>
-                </div>
-                <div class="ml-4">
-                    <div class="text-sm font-medium text-gray-900">${user.username}</div>
-                </div>
-            </div>
-        </td>
-        <td class="px-6 py-4 whitespace-nowrap">
-            <div class="text-sm text-gray-900">${user.email}</div>
-        </td>
-        <td class="px-6 py-4 whitespace-nowrap">
-            <span class="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${roleClass}">
-                ${user.role}
-            </span>
-        </td>
-        <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-            ${createdDate}
-        </td>
-        <td class="px-6 py-4 whitespace-nowrap text-sm font-medium">
-            <button data-action="edit" data-user-id="${user.id}" class="text-indigo-600 hover:text-indigo-900 mr-3">
-                <i class="fas fa-edit"></i> Edit
-            </button>
-            ${user.id !== currentUser.id ? `
-                <button data-action="delete" data-user-id="${user.id}" class="text-red-600 hover:text-red-900">
-                    <i class="fas fa-trash"></i> Delete
-                </button>
-            ` : '<span class="text-gray-400">Current User</span>'}
-        </td>
-    `;
+/**
+ * Load security policy settings
+ */
+async function loadSecuritySettings() {
+    try {
+        const response = await fetchWithAuth('/api/settings/security');
+        const settings = await response.json();
+
+        if (response.status === 403) {
+            hideSection('securitySection');
+        } else if (response.ok) {
+            document.querySelectorAll('#mfaRequiredRoles input').forEach(input => {
+                input.checked = settings.mfaRequiredRoles.includes(input.value);
+            });
+        }
+    } catch (error) {
+        console.error('Error loading security settings:', error);
+    }
+}
 
-    // Add event listeners to buttons
-    const editBtn = row.querySelector('[data-action="edit"]');
-    const deleteBtn = row.querySelector('[data-action="delete"]');
+/**
+ * Save security policy settings
+ */
+async function saveSecuritySettings() {
+    const mfaRequiredRoles = Array.from(document.querySelectorAll('#mfaRequiredRoles input:checked'))
+        .map(input => input.value);
 
-    if (editBtn) {
-        editBtn.addEventListener('click', () => editUser(user.id));
-    }
+    try {
+        const response = await fetchWithAuth('/api/settings/security', {
+            method: 'PUT',
+            body: JSON.stringify({ mfaRequiredRoles })
+        });
+        const result = await response.json();
 
-    if (deleteBtn) {
-        deleteBtn.addEventListener('click', () => deleteUser(user.id));
+        if (response.ok) {
+            showAlert('Security policy saved', 'success');
+        } else {
+            throw new Error(result.message || 'Failed to save security policy');
+        }
+    } catch (error) {
+        console.error('Error saving security settings:', error);
+        showAlert('Error saving security policy: ' + error.message, 'error');
+        loadSecuritySettings();
     }
-
-    return row;
 }
 
 /**
@@ -256,15 +1430,48 @@ function getTimeAgo(date) {
 function attachEventListeners() {
     // Logout button
     document.getElementById('logoutBtn').addEventListener('click', logout);
+    document.getElementById('logoutAllBtn').addEventListener('click', logoutAll);
 
     // Modal buttons
     document.getElementById('addUserBtn').addEventListener('click', openAddUserModal);
     document.getElementById('cancelBtn').addEventListener('click', closeUserModal);
     document.getElementById('saveUserBtn').addEventListener('click', saveUser);
 
+    // Security policy
+    document.getElementById('saveSecurityBtn').addEventListener('click', saveSecuritySettings);
+
+    // Role modal buttons
+    document.getElementById('addRoleBtn').addEventListener('click', openAddRoleModal);
+    document.getElementById('cancelRoleBtn').addEventListener('click', closeRoleModal);
+    document.getElementById('saveRoleBtn').addEventListener('click', saveRole);
+    document.getElementById('cancelDeleteRoleBtn').addEventListener('click', closeDeleteRoleModal);
+    document.getElementById('confirmDeleteRoleBtn').addEventListener('click', confirmDeleteRole);
+
+    // Group modal buttons
+    document.getElementById('addGroupBtn').addEventListener('click', openAddGroupModal);
+    document.getElementById('cancelGroupBtn').addEventListener('click', closeGroupModal);
+    document.getElementById('saveGroupBtn').addEventListener('click', saveGroup);
+    document.getElementById('addGroupMemberBtn').addEventListener('click', addGroupMember);
+    document.getElementById('cancelDeleteGroupBtn').addEventListener('click', closeDeleteGroupModal);
+    document.getElementById('confirmDeleteGroupBtn').addEventListener('click', confirmDeleteGroup);
+
+    // Organization modal buttons
+    document.getElementById('addOrganizationBtn').addEventListener('click', openAddOrganizationModal);
+    document.getElementById('cancelOrganizationBtn').addEventListener('click', closeOrganizationModal);
+    document.getElementById('saveOrganizationBtn').addEventListener('click', saveOrganization);
+    document.getElementById('cancelDeleteOrganizationBtn').addEventListener('click', closeDeleteOrganizationModal);
+    document.getElementById('confirmDeleteOrganizationBtn').addEventListener('click', confirmDeleteOrganization);
+
     // Delete modal buttons
     document.getElementById('cancelDeleteBtn').addEventListener('click', closeDeleteModal);
     document.getElementById('confirmDeleteBtn').addEventListener('click', confirmDeleteUser);
+
+    // Impersonate modal buttons
+    document.getElementById('cancelImpersonateBtn').addEventListener('click', closeImpersonateModal);
+    document.getElementById('confirmImpersonateBtn').addEventListener('click', confirmImpersonateUser);
+
+    // Sessions modal buttons
+    document.getElementById('closeSessionsBtn').addEventListener('click', closeSessionsModal);
 }
 
 /**
@@ -274,6 +1481,9 @@ function openAddUserModal() {
     editingUserId = null;
     document.getElementById('modalTitle').textContent = 'Add User';
     document.getElementById('userForm').reset();
+    editingUserExpiryValues = {};
+    renderRoleCheckboxes('modalRoles', roles.map(role => role.name), ['user'], editingUserExpiryValues);
+    renderOrganizationCheckboxes(organizations.length === 1 ? [organizations[0].id] : []);
     document.getElementById('modalUsername').disabled = false;
     document.getElementById('modalPassword').required = true;
     document.getElementById('userModal').classList.remove('hidden');
@@ -292,7 +1502,13 @@ async function editUser(userId) {
             document.getElementById('modalTitle').textContent = 'Edit User';
             document.getElementById('modalUsername').value = user.username;
             document.getElementById('modalEmail').value = user.email;
-            document.getElementById('modalRole').value = user.role;
+            editingUserExpiryValues = {};
+            Object.entries(user.role_expirations || {}).forEach(([roleName, expiresAt]) => {
+                editingUserExpiryValues[roleName] = toDateTimeLocal(new Date(expiresAt));
+            });
+            renderRoleCheckboxes('modalRoles', roles.map(role => role.name), user.roles || [user.role], editingUserExpiryValues);
+            editingUserPrimaryRole = user.role;
+            renderOrganizationCheckboxes(user.organization_ids || []);
             document.getElementById('modalUsername').disabled = true;
             document.getElementById('modalPassword').required = false;
             document.getElementById('modalPassword').value = '';
@@ -313,19 +1529,48 @@ async function saveUser() {
     const form = document.getElementById('userForm');
     const formData = new FormData(form);
 
+    // Keep the current primary role first if it is still selected
+    const selectedRoles = getCheckedRoles('modalRoles');
+    if (editingUserId && selectedRoles.includes(editingUserPrimaryRole)) {
+        selectedRoles.splice(selectedRoles.indexOf(editingUserPrimaryRole), 1);
+        selectedRoles.unshift(editingUserPrimaryRole);
+    }
+
     const userData = {
         username: formData.get('username'),
         email: formData.get('email'),
-        role: formData.get('role')
+        roles: selectedRoles
     };
 
+    // Expiry dates are only sent when changed, so editing your own profile still works
+    const expiryValues = getRoleExpiryValues('modalRoles');
+    const previousExpiryValues = Object.fromEntries(
+        Object.entries(editingUserExpiryValues).filter(([roleName]) => selectedRoles.includes(roleName))
+    );
+    const expiryUnchanged = Object.keys(expiryValues).length === Object.keys(previousExpiryValues).length
+        && Object.keys(expiryValues).every(roleName => expiryValues[roleName] === previousExpiryValues[roleName]);
+    if (!expiryUnchanged) {
+        userData.roleExpirations = {};
+        selectedRoles.forEach(roleName => {
+            userData.roleExpirations[roleName] = expiryValues[roleName]
+                ? new Date(expiryValues[roleName]).toISOString()
+                : null;
+        });
+    }
+
+    // Only the organizations shown are sent; the server keeps any others
+    if (organizations.length > 0) {
+        userData.organizationIds = Array.from(document.querySelectorAll('#modalOrganizations input:checked'))
+            .map(input => Number(input.value));
+    }
+
     // Add password for new users or if provided for existing users
     if (formData.get('password')) {
         userData.password = formData.get('password');
     }
 
     // Validation
-    if (!userData.username || !userData.email || !userData.role) {
+    if (!userData.username || !userData.email || userData.roles.length === 0) {
         showAlert('Please fill in all required fields', 'error');
         return;
     }
@@ -357,11 +1602,17 @@ async function saveUser() {
         const result = await response.json();
 
         if (response.ok) {
-            showAlert(`User ${editingUserId ? 'updated' : 'created'} successfully`, 'success');
+            showAlert(result.message || `User ${editingUserId ? 'updated' : 'created'} successfully`, 'success');
             closeUserModal();
             loadUsers(); // Refresh users list
+            loadRoles(); // User counts per role changed
+            loadRoleRequests(); // Roles needing approval were requested
+            loadOrganizations(); // Member counts changed
         } else {
-            throw new Error(result.message || 'Failed to save user');
+            const message = result.errors && result.errors.length > 0
+                ? result.errors[0].msg
+                : result.message;
+            throw new Error(message || 'Failed to save user');
         }
     } catch (error) {
         console.error('Error saving user:', error);
@@ -394,6 +1645,9 @@ async function confirmDeleteUser() {
             showAlert('User deleted successfully', 'success');
             closeDeleteModal();
             loadUsers(); // Refresh users list
+            loadRoles(); // User counts per role changed
+            loadGroups(); // Member counts changed
+            loadOrganizations(); // Member counts changed
         } else {
             throw new Error(result.message || 'Failed to delete user');
         }
@@ -403,6 +1657,200 @@ async function confirmDeleteUser() {
     }
 }
 
+/**
+ * Unlock user after failed login attempts
+ */
+async function unlockUser(userId) {
+    try {
+        const response = await fetchWithAuth(`/api/users/${userId}/unlock`, {
+            method: 'POST'
+        });
+
+        const result = await response.json();
+
+        if (response.ok) {
+            showAlert(result.message, 'success');
+            loadUsers(); // Refresh users list
+        } else {
+            throw new Error(result.message || 'Failed to unlock user');
+        }
+    } catch (error) {
+        console.error('Error unlocking user:', error);
+        showAlert('Error unlocking user: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Open the impersonation modal for a user
+ */
+function impersonateUser(user) {
+    document.getElementById('impersonateUserId').value = user.id;
+    document.getElementById('impersonateUsername').textContent = user.username;
+    document.getElementById('impersonateReason').value = '';
+    document.getElementById('impersonateModal').classList.remove('hidden');
+}
+
+/**
+ * Start impersonating - the admin's own tokens are kept aside so the
+ * user dashboard can switch back to them when impersonation stops
+ */
+async function confirmImpersonateUser() {
+    const userId = document.getElementById('impersonateUserId').value;
+    const reason = document.getElementById('impersonateReason').value.trim();
+
+    try {
+        const response = await fetchWithAuth(`/api/users/${userId}/impersonate`, {
+            method: 'POST',
+            body: JSON.stringify(reason ? { reason } : {})
+        });
+
+        const result = await response.json();
+
+        if (response.ok) {
+            // In cookie session mode the server has set an impersonation cookie instead
+            if (result.token) {
+                localStorage.setItem('impersonatorToken', localStorage.getItem('token'));
+                if (localStorage.getItem('refreshToken')) {
+                    localStorage.setItem('impersonatorRefreshToken', localStorage.getItem('refreshToken'));
+                }
+                localStorage.setItem('token', result.token);
+                localStorage.removeItem('refreshToken');
+            }
+            window.location.href = 'dashboard.html';
+        } else {
+            throw new Error(result.message || 'Failed to impersonate user');
+        }
+    } catch (error) {
+        console.error('Error impersonating user:', error);
+        showAlert('Error impersonating user: ' + error.message, 'error');
+        closeImpersonateModal();
+    }
+}
+
+/**
+ * Close impersonate modal
+ */
+function closeImpersonateModal() {
+    document.getElementById('impersonateModal').classList.add('hidden');
+    document.getElementById('impersonateUserId').value = '';
+}
+
+/**
+ * Open the sessions modal for a user
+ */
+function openSessionsModal(user) {
+    sessionsUser = user;
+    document.getElementById('sessionsUsername').textContent = user.username;
+    document.getElementById('sessionsTableBody').innerHTML = '';
+    document.getElementById('sessionsModal').classList.remove('hidden');
+    loadUserSessions();
+}
+
+/**
+ * Load the active sessions of the user shown in the sessions modal
+ */
+async function loadUserSessions() {
+    try {
+        const response = await fetchWithAuth(`/api/users/${sessionsUser.id}/sessions`);
+        const sessions = await response.json();
+
+        if (!response.ok) {
+            throw new Error(sessions.message || 'Failed to load sessions');
+        }
+
+        const tbody = document.getElementById('sessionsTableBody');
+        tbody.innerHTML = '';
+
+        if (sessions.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="5" class="px-4 py-3 text-gray-500">No active sessions</td></tr>';
+            return;
+        }
+
+        sessions.forEach(session => tbody.appendChild(createSessionRow(session)));
+    } catch (error) {
+        console.error('Error loading sessions:', error);
+        showAlert('Error loading sessions: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Create a table row for a session - user agents are client-controlled, so only textContent is used
+ */
+function createSessionRow(session) {
+    const row = document.createElement('tr');
+
+    const deviceCell = document.createElement('td');
+    deviceCell.className = 'px-4 py-2';
+    deviceCell.textContent = session.device;
+    deviceCell.title = session.user_agent || '';
+    if (session.current) {
+        const badge = document.createElement('span');
+        badge.className = 'ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800';
+        badge.textContent = 'Your session';
+        deviceCell.appendChild(badge);
+    }
+    if (session.impersonator_username) {
+        const note = document.createElement('div');
+        note.className = 'text-xs text-purple-700';
+        note.textContent = `Impersonation by ${session.impersonator_username}`;
+        deviceCell.appendChild(note);
+    }
+    row.appendChild(deviceCell);
+
+    const ipAddress = session.last_seen_ip && session.last_seen_ip !== session.ip_address
+        ? `${session.ip_address || 'Unknown'} (now ${session.last_seen_ip})`
+        : session.ip_address || 'Unknown';
+
+    [ipAddress, new Date(session.created_at).toLocaleString(), getTimeAgo(new Date(session.last_seen_at))].forEach(text => {
+        const cell = document.createElement('td');
+        cell.className = 'px-4 py-2';
+        cell.textContent = text;
+        row.appendChild(cell);
+    });
+
+    const actionCell = document.createElement('td');
+    actionCell.className = 'px-4 py-2 text-right';
+    const endBtn = document.createElement('button');
+    endBtn.className = 'text-red-600 hover:text-red-900';
+    endBtn.innerHTML = '<i class="fas fa-times-circle"></i> End';
+    endBtn.addEventListener('click', () => revokeUserSession(session.id));
+    actionCell.appendChild(endBtn);
+    row.appendChild(actionCell);
+
+    return row;
+}
+
+/**
+ * End a session of the user shown in the sessions modal
+ */
+async function revokeUserSession(sessionId) {
+    try {
+        const response = await fetchWithAuth(`/api/users/${sessionsUser.id}/sessions/${sessionId}`, {
+            method: 'DELETE'
+        });
+
+        const result = await response.json();
+
+        if (response.ok) {
+            showAlert(result.message, 'success');
+            loadUserSessions();
+        } else {
+            throw new Error(result.message || 'Failed to end session');
+        }
+    } catch (error) {
+        console.error('Error ending session:', error);
+        showAlert('Error ending session: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Close sessions modal
+ */
+function closeSessionsModal() {
+    document.getElementById('sessionsModal').classList.add('hidden');
+    sessionsUser = null;
+}
+
 /**
  * Close user modal
  */
@@ -410,6 +1858,8 @@ function closeUserModal() {
     document.getElementById('userModal').classList.add('hidden');
     document.getElementById('userForm').reset();
     editingUserId = null;
+    editingUserPrimaryRole = null;
+    editingUserExpiryValues = {};
 }
 
 /**
@@ -421,11 +1871,36 @@ function closeDeleteModal() {
 }
 
 /**
- * Logout user
+ * Logout user - ends the current session on the server
  */
 function logout() {
-    localStorage.removeItem('token');
-    window.location.href = 'login.html';
+    endSession('/api/auth/logout');
+}
+
+/**
+ * Logout user from every device
+ */
+function logoutAll() {
+    endSession('/api/auth/logout-all');
+}
+
+/**
+ * Revoke the session server-side, then clear local tokens.
+ * Local tokens are cleared even if the request fails.
+ */
+async function endSession(endpoint) {
+    if (localStorage.getItem('token') || hasCookieSession()) {
+        try {
+            await fetch(`http://localhost:3000${endpoint}`, {
+                method: 'POST',
+                headers: getAuthHeaders()
+            });
+        } catch (error) {
+            console.error('Error ending session:', error);
+        }
+    }
+
+    redirectToLogin();
 }
 
 /**
@@ -445,19 +1920,83 @@ function showAlert(message, type = 'error') {
 }
 
 /**
- * Fetch with authentication
+ * CSRF token of a cookie session, or null. The server only sets the
+ * readable csrf_token cookie in cookie session mode.
+ */
+function getCsrfToken() {
+    const match = document.cookie.match(/(?:^|;\s*)csrf_token=([^;]*)/);
+    return match ? decodeURIComponent(match[1]) : null;
+}
+
+/**
+ * Whether the browser holds a cookie session instead of stored tokens
+ */
+function hasCookieSession() {
+    return !localStorage.getItem('token') && !!getCsrfToken();
+}
+
+/**
+ * Headers that authenticate a request - the stored token, or for a
+ * cookie session (whose token the browser sends) the CSRF token
  */
-async function fetchWithAuth(url, options = {}) {
+function getAuthHeaders() {
     const token = localStorage.getItem('token');
+    return token ? { 'x-auth-token': token } : { 'X-CSRF-Token': getCsrfToken() || '' };
+}
+
+let refreshInFlight = null;
+
+/**
+ * Exchange the stored refresh token for a new token pair.
+ * Concurrent callers share one request, since a refresh token
+ * can only be used once. Cookie sessions send the refresh token
+ * as a cookie.
+ */
+function refreshAccessToken() {
+    if (!refreshInFlight) {
+        refreshInFlight = (async () => {
+            const refreshToken = localStorage.getItem('refreshToken');
+            if (!refreshToken && !hasCookieSession()) return false;
+
+            try {
+                const response = await fetch('http://localhost:3000/api/auth/refresh', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': getCsrfToken() || '' },
+                    body: JSON.stringify(refreshToken ? { refreshToken } : {})
+                });
+
+                if (!response.ok) return false;
+
+                const data = await response.json();
+                if (data.token) {
+                    localStorage.setItem('token', data.token);
+                    localStorage.setItem('refreshToken', data.refreshToken);
+                }
+                return true;
+            } catch (error) {
+                console.error('Error refreshing session:', error);
+                return false;
+            }
+        })().finally(() => {
+            refreshInFlight = null;
+        });
+    }
 
-    if (!token) {
+    return refreshInFlight;
+}
+
+/**
+ * Fetch with authentication
+ */
+async function fetchWithAuth(url, options = {}, retried = false) {
+    if (!localStorage.getItem('token') && !hasCookieSession()) {
         redirectToLogin();
         throw new Error('No authentication token');
     }
 
     const defaultOptions = {
         headers: {
-            'x-auth-token': token,
+            ...getAuthHeaders(),
             'Content-Type': 'application/json'
         }
     };
@@ -473,12 +2012,15 @@ async function fetchWithAuth(url, options = {}) {
 
     const response = await fetch(`http://localhost:3000${url}`, mergedOptions);
 
-    // Handle unauthorized responses
+    // Handle unauthorized responses - try to renew the session once
     if (response.status === 401) {
-        localStorage.removeItem('token');
+        if (!retried && await refreshAccessToken()) {
+            return fetchWithAuth(url, options, true);
+        }
+
         redirectToLogin();
         throw new Error('Session expired');
     }
 
     return response;
-}
\ No newline at end of file
+}
@@ -5,6 +5,19 @@
 
 let currentUser = null;
 
+// Administrator acting as currentUser, if this is an impersonation session
+let impersonator = null;
+
+// Login history outcomes - label and badge color
+const LOGIN_OUTCOME_LABELS = {
+    success: ['Signed in', 'bg-green-100 text-green-800'],
+    mfa_required: ['Password accepted, code requested', 'bg-blue-100 text-blue-800'],
+    email_not_verified: ['Refused, email not verified', 'bg-yellow-100 text-yellow-800'],
+    invalid_password: ['Wrong password', 'bg-red-100 text-red-800'],
+    invalid_mfa_code: ['Wrong authentication code', 'bg-red-100 text-red-800'],
+    throttled: ['Blocked, too many attempts', 'bg-red-100 text-red-800']
+};
+
 // Initialize dashboard when page loads
 document.addEventListener('DOMContentLoaded', function() {
     // Check authentication
@@ -24,6 +37,12 @@ function checkUserAuthentication() {
     const token = localStorage.getItem('token');
     console.log('Dashboard auth check - token exists:', !!token);
 
+    // Cookie sessions cannot be decoded here - the server says who is logged in
+    if (!token && hasCookieSession()) {
+        loadCookieSession();
+        return;
+    }
+
     if (!token) {
         console.log('Dashboard auth check - no token, redirecting to login');
         redirectToLogin();
@@ -42,12 +61,8 @@ function checkUserAuthentication() {
             return;
         }
 
-        // Update username in header and welcome message
-        document.getElementById('username').textContent = currentUser.username;
-        document.getElementById('welcomeMessage').textContent = `Welcome back, ${currentUser.username}!`;
-
-        // Load user profile data
-        loadUserProfile();
+        impersonator = payload.impersonator || null;
+        showSignedInUser();
 
     } catch (error) {
         console.error('Dashboard auth check - Token validation error:', error);
@@ -57,13 +72,121 @@ function checkUserAuthentication() {
 }
 
 /**
- * Redirect to login page
+ * Find out who is logged in with a cookie session
+ */
+async function loadCookieSession() {
+    try {
+        const response = await fetchWithAuth('/api/auth/me');
+        if (!response.ok) {
+            throw new Error(`HTTP error: ${response.status}`);
+        }
+
+        const data = await response.json();
+        currentUser = data.user;
+        impersonator = data.impersonator || null;
+        showSignedInUser();
+    } catch (error) {
+        console.error('Dashboard auth check - cookie session error:', error);
+    }
+}
+
+/**
+ * Show the logged-in user and load their data
+ */
+function showSignedInUser() {
+    if (impersonator) {
+        showImpersonationBanner();
+    }
+
+    // Update username in header and welcome message
+    document.getElementById('username').textContent = currentUser.username;
+    document.getElementById('welcomeMessage').textContent = `Welcome back, ${currentUser.username}!`;
+
+    // Load user profile data
+    loadUserProfile();
+
+    // Load two-factor authentication state
+    loadMfaStatus();
+
+    // Load whether passwordless sign-in links are turned on
+    loadMagicLinkSettings();
+
+    // Load personal access tokens
+    loadAccessTokens();
+
+    // Load the sessions the user is signed in with
+    loadSessions();
+
+    // Load recent login attempts
+    loadLoginHistory();
+}
+
+/**
+ * Redirect to login page - an ended impersonation returns to the
+ * administrator's own session instead
  */
 function redirectToLogin() {
+    if (localStorage.getItem('impersonatorToken') || (impersonator && hasCookieSession())) {
+        restoreImpersonatorSession();
+        return;
+    }
+
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
     window.location.href = 'login.html';
 }
 
+/**
+ * Show who is impersonating whom, and hide actions that are not available
+ */
+function showImpersonationBanner() {
+    document.getElementById('impersonatorName').textContent = impersonator.username;
+    document.getElementById('impersonatedName').textContent = currentUser.username;
+    document.getElementById('impersonationBanner').classList.remove('hidden');
+    document.getElementById('logoutAllBtn').classList.add('hidden');
+}
+
+/**
+ * Stop impersonating - ends the impersonation session on the server,
+ * then switches back to the administrator's session
+ */
+async function stopImpersonating() {
+    try {
+        await fetch('http://localhost:3000/api/auth/impersonation/stop', {
+            method: 'POST',
+            headers: getAuthHeaders()
+        });
+    } catch (error) {
+        console.error('Error stopping impersonation:', error);
+    }
+
+    restoreImpersonatorSession();
+}
+
+/**
+ * Put the administrator's own tokens back and return to the admin dashboard.
+ * A cookie session needs nothing here: without the impersonation cookie
+ * the administrator's own cookies are used again.
+ */
+function restoreImpersonatorSession() {
+    if (!localStorage.getItem('impersonatorToken')) {
+        window.location.href = 'admin-dashboard.html';
+        return;
+    }
+
+    localStorage.setItem('token', localStorage.getItem('impersonatorToken'));
+    const refreshToken = localStorage.getItem('impersonatorRefreshToken');
+    if (refreshToken) {
+        localStorage.setItem('refreshToken', refreshToken);
+    } else {
+        localStorage.removeItem('refreshToken');
+    }
+
+    localStorage.removeItem('impersonatorToken');
+    localStorage.removeItem('impersonatorRefreshToken');
+    window.location.href = 'admin-dashboard.html';
+}
+
 /**
  * Load all dashboard data
  */
@@ -105,10 +228,14 @@ function populateProfile(user) {
     document.getElementById('profileUsername').textContent = user.username;
     document.getElementById('profileEmail').textContent = user.email;
 
+    // Show verification notice for unverified addresses
+    document.getElementById('emailUnverifiedNotice').classList.toggle('hidden', Boolean(user.email_verified_at));
+
     // Set role badge
+    const roles = user.roles || [user.role];
     const roleElement = document.getElementById('profileRole');
-    roleElement.textContent = user.role;
-    roleElement.className = user.role === 'admin'
+    roleElement.textContent = roles.join(', ');
+    roleElement.className = roles.includes('admin')
         ? 'inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800'
         : 'inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800';
 
@@ -210,16 +337,51 @@ function getTimeAgo(date) {
 function attachEventListeners() {
     // Logout button
     document.getElementById('logoutBtn').addEventListener('click', logout);
+    document.getElementById('logoutAllBtn').addEventListener('click', logoutAll);
+    document.getElementById('stopImpersonatingBtn').addEventListener('click', stopImpersonating);
 
     // Edit profile button
     document.getElementById('editProfileBtn').addEventListener('click', openEditProfileModal);
 
+    // Resend email verification link
+    document.getElementById('resendVerificationBtn').addEventListener('click', resendVerification);
+
     // Edit profile modal buttons
     document.getElementById('cancelEditBtn').addEventListener('click', closeEditProfileModal);
     document.getElementById('saveProfileBtn').addEventListener('click', saveProfile);
 
+    // Change password modal buttons
+    document.getElementById('cancelPasswordBtn').addEventListener('click', closeChangePasswordModal);
+    document.getElementById('savePasswordBtn').addEventListener('click', changePassword);
+
+    // Two-factor authentication buttons
+    document.getElementById('enableMfaBtn').addEventListener('click', startMfaSetup);
+    document.getElementById('cancelMfaSetupBtn').addEventListener('click', closeMfaSetupModal);
+    document.getElementById('confirmMfaSetupBtn').addEventListener('click', confirmMfaSetup);
+    document.getElementById('disableMfaBtn').addEventListener('click', () => openMfaCodeModal('disable'));
+    document.getElementById('regenerateCodesBtn').addEventListener('click', () => openMfaCodeModal('regenerate'));
+    document.getElementById('cancelMfaCodeBtn').addEventListener('click', closeMfaCodeModal);
+    document.getElementById('confirmMfaCodeBtn').addEventListener('click', confirmMfaCodeAction);
+
+    // Passwordless sign-in links
+    document.getElementById('enableMagicLinkBtn').addEventListener('click', () => setMagicLinkEnabled(true));
+    document.getElementById('disableMagicLinkBtn').addEventListener('click', () => setMagicLinkEnabled(false));
+
+    // Personal access tokens
+    document.getElementById('createTokenBtn').addEventListener('click', openCreateTokenModal);
+    document.getElementById('cancelCreateTokenBtn').addEventListener('click', closeCreateTokenModal);
+    document.getElementById('confirmCreateTokenBtn').addEventListener('click', createAccessToken);
+    document.getElementById('closeNewTokenBtn').addEventListener('click', () => {
+        document.getElementById('newTokenValue').textContent = '';
+        document.getElementById('newTokenModal').classList.add('hidden');
+    });
+
+    document.getElementById('closeRecoveryCodesBtn').addEventListener('click', () => {
+        document.getElementById('recoveryCodesModal').classList.add('hidden');
+    });
+
     // Quick action buttons
-    const quickActionButtons = document.querySelectorAll('.grid button');
+    const quickActionButtons = document.querySelectorAll('#quickActions button');
     quickActionButtons.forEach((button, index) => {
         button.addEventListener('click', () => handleQuickAction(index));
     });
@@ -280,7 +442,10 @@ async function saveProfile() {
         const result = await response.json();
 
         if (response.ok) {
-            showAlert('Profile updated successfully', 'success');
+            const emailChanged = profileData.email !== document.getElementById('profileEmail').textContent;
+            showAlert(emailChanged
+                ? 'Profile updated, please verify your new email address'
+                : 'Profile updated successfully', 'success');
             closeEditProfileModal();
 
             // Refresh profile data
@@ -299,6 +464,643 @@ async function saveProfile() {
     }
 }
 
+/**
+ * Resend email verification link to the current address
+ */
+async function resendVerification() {
+    try {
+        const response = await fetch('http://localhost:3000/api/auth/resend-verification', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ email: document.getElementById('profileEmail').textContent })
+        });
+
+        const result = await response.json();
+
+        if (response.ok) {
+            showAlert('Verification email sent, please check your inbox', 'success');
+        } else {
+            throw new Error(result.message || 'Failed to send verification email');
+        }
+    } catch (error) {
+        console.error('Error resending verification:', error);
+        showAlert('Error resending verification: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Open change password modal
+ */
+function openChangePasswordModal() {
+    document.getElementById('changePasswordForm').reset();
+    document.getElementById('changePasswordModal').classList.remove('hidden');
+}
+
+/**
+ * Close change password modal
+ */
+function closeChangePasswordModal() {
+    document.getElementById('changePasswordModal').classList.add('hidden');
+    document.getElementById('changePasswordForm').reset();
+}
+
+/**
+ * Change password
+ */
+async function changePassword() {
+    const form = document.getElementById('changePasswordForm');
+    const formData = new FormData(form);
+
+    const currentPassword = formData.get('currentPassword');
+    const newPassword = formData.get('newPassword');
+    const confirmPassword = formData.get('confirmPassword');
+
+    // Basic validation
+    if (!currentPassword || !newPassword || !confirmPassword) {
+        showAlert('Please fill in all fields', 'error');
+        return;
+    }
+
+    if (newPassword !== confirmPassword) {
+        showAlert('New passwords do not match', 'error');
+        return;
+    }
+
+    try {
+        const response = await fetchWithAuth('/api/auth/me/password', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ currentPassword, newPassword })
+        });
+
+        const result = await response.json();
+
+        if (response.ok) {
+            showAlert('Password changed successfully', 'success');
+            closeChangePasswordModal();
+        } else {
+            const message = result.errors && result.errors.length > 0
+                ? result.errors[0].msg
+                : result.message;
+            throw new Error(message || 'Failed to change password');
+        }
+    } catch (error) {
+        console.error('Error changing password:', error);
+        showAlert('Error changing password: ' + error.message, 'error');
+    }
+}
+
+let mfaCodeAction = null;
+
+/**
+ * Load two-factor authentication status
+ */
+async function loadMfaStatus() {
+    try {
+        const response = await fetchWithAuth('/api/auth/mfa/status');
+        const status = await response.json();
+
+        if (!response.ok) {
+            throw new Error(status.message || 'Failed to load two-factor status');
+        }
+
+        let text = status.enabled
+            ? `Enabled. ${status.recoveryCodesRemaining} recovery codes remaining.`
+            : 'Not enabled. Protect your account with a code from an authenticator app.';
+        if (status.required && !status.enabled) {
+            text += ' Two-factor authentication is required for your role.';
+        }
+
+        document.getElementById('mfaStatusText').textContent = text;
+        document.getElementById('enableMfaBtn').classList.toggle('hidden', status.enabled);
+        document.getElementById('regenerateCodesBtn').classList.toggle('hidden', !status.enabled);
+        document.getElementById('disableMfaBtn').classList.toggle('hidden', !status.enabled || status.required);
+    } catch (error) {
+        console.error('Error loading MFA status:', error);
+    }
+}
+
+/**
+ * Start two-factor enrollment and show the QR code
+ */
+async function startMfaSetup() {
+    try {
+        const response = await fetchWithAuth('/api/auth/mfa/setup', { method: 'POST' });
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.message || 'Failed to start setup');
+        }
+
+        document.getElementById('mfaQrCode').src = result.qrCode;
+        document.getElementById('mfaSecret').textContent = result.secret;
+        document.getElementById('mfaSetupForm').reset();
+        document.getElementById('mfaSetupModal').classList.remove('hidden');
+    } catch (error) {
+        console.error('Error starting MFA setup:', error);
+        showAlert('Error starting two-factor setup: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Close two-factor setup modal
+ */
+function closeMfaSetupModal() {
+    document.getElementById('mfaSetupModal').classList.add('hidden');
+    document.getElementById('mfaSetupForm').reset();
+}
+
+/**
+ * Confirm enrollment with a code from the authenticator app
+ */
+async function confirmMfaSetup() {
+    const code = document.getElementById('mfaSetupCode').value.trim();
+    if (!code) {
+        showAlert('Please enter the code from your authenticator app', 'error');
+        return;
+    }
+
+    try {
+        const response = await fetchWithAuth('/api/auth/mfa/enable', {
+            method: 'POST',
+            body: JSON.stringify({ code })
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.message || 'Failed to enable two-factor authentication');
+        }
+
+        closeMfaSetupModal();
+        showRecoveryCodes(result.recoveryCodes);
+        showAlert('Two-factor authentication enabled', 'success');
+        loadMfaStatus();
+    } catch (error) {
+        console.error('Error enabling MFA:', error);
+        showAlert('Error enabling two-factor authentication: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Open the code confirmation modal for disabling or regenerating codes
+ */
+function openMfaCodeModal(action) {
+    mfaCodeAction = action;
+    document.getElementById('mfaCodeForm').reset();
+    document.getElementById('mfaCodeModalTitle').textContent = action === 'disable'
+        ? 'Disable Two-Factor Authentication'
+        : 'Generate New Recovery Codes';
+    document.getElementById('mfaPasswordField').classList.toggle('hidden', action !== 'disable');
+    document.getElementById('mfaCodeModal').classList.remove('hidden');
+}
+
+/**
+ * Close the code confirmation modal
+ */
+function closeMfaCodeModal() {
+    document.getElementById('mfaCodeModal').classList.add('hidden');
+    document.getElementById('mfaCodeForm').reset();
+    mfaCodeAction = null;
+}
+
+/**
+ * Disable MFA or regenerate recovery codes after confirming a code
+ */
+async function confirmMfaCodeAction() {
+    const code = document.getElementById('mfaConfirmCode').value.trim();
+    const password = document.getElementById('mfaPassword').value;
+
+    if (!code || (mfaCodeAction === 'disable' && !password)) {
+        showAlert('Please fill in all fields', 'error');
+        return;
+    }
+
+    const disabling = mfaCodeAction === 'disable';
+
+    try {
+        const response = await fetchWithAuth(disabling ? '/api/auth/mfa/disable' : '/api/auth/mfa/recovery-codes', {
+            method: 'POST',
+            body: JSON.stringify(disabling ? { password, code } : { code })
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.message || 'Request failed');
+        }
+
+        closeMfaCodeModal();
+        if (result.recoveryCodes) {
+            showRecoveryCodes(result.recoveryCodes);
+        }
+        showAlert(result.message, 'success');
+        loadMfaStatus();
+    } catch (error) {
+        console.error('Error updating MFA:', error);
+        showAlert('Error: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Load whether passwordless sign-in links are turned on
+ */
+async function loadMagicLinkSettings() {
+    try {
+        const response = await fetchWithAuth('/api/auth/magic-link/settings');
+        const settings = await response.json();
+
+        if (!response.ok) {
+            throw new Error(settings.message || 'Failed to load sign-in link settings');
+        }
+
+        let text;
+        if (!settings.available) {
+            text = 'Sign-in links are not available on this system.';
+        } else if (settings.enabled) {
+            text = 'On. You can sign in with a single-use link emailed to you instead of your password.';
+        } else if (!settings.emailVerified) {
+            text = 'Off. Verify your email address to sign in with emailed links instead of your password.';
+        } else {
+            text = 'Off. Turn on to sign in with a single-use link emailed to you instead of your password.';
+        }
+
+        // Cannot be changed while impersonating
+        const canChange = settings.available && !impersonator;
+        document.getElementById('magicLinkStatusText').textContent = text;
+        document.getElementById('enableMagicLinkBtn').classList.toggle('hidden',
+            !canChange || settings.enabled || !settings.emailVerified);
+        document.getElementById('disableMagicLinkBtn').classList.toggle('hidden', !!impersonator || !settings.enabled);
+    } catch (error) {
+        console.error('Error loading sign-in link settings:', error);
+    }
+}
+
+/**
+ * Turn passwordless sign-in links on or off
+ */
+async function setMagicLinkEnabled(enabled) {
+    try {
+        const response = await fetchWithAuth('/api/auth/magic-link/settings', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ enabled })
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.message || 'Failed to update sign-in link settings');
+        }
+
+        showAlert(result.message, 'success');
+        loadMagicLinkSettings();
+    } catch (error) {
+        console.error('Error updating sign-in link settings:', error);
+        showAlert('Error: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Show freshly generated recovery codes
+ */
+function showRecoveryCodes(codes) {
+    const list = document.getElementById('recoveryCodesList');
+    list.innerHTML = '';
+
+    codes.forEach(code => {
+        const item = document.createElement('li');
+        item.textContent = code;
+        list.appendChild(item);
+    });
+
+    document.getElementById('recoveryCodesModal').classList.remove('hidden');
+}
+
+/**
+ * Load personal access tokens
+ */
+async function loadAccessTokens() {
+    try {
+        const response = await fetchWithAuth('/api/auth/tokens');
+        const tokens = await response.json();
+
+        if (!response.ok) {
+            throw new Error(tokens.message || 'Failed to load tokens');
+        }
+
+        const tbody = document.getElementById('accessTokensTableBody');
+        tbody.innerHTML = '';
+
+        if (tokens.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="6" class="px-4 py-3 text-gray-500">No tokens yet</td></tr>';
+            return;
+        }
+
+        tokens.forEach(token => tbody.appendChild(createAccessTokenRow(token)));
+    } catch (error) {
+        console.error('Error loading tokens:', error);
+    }
+}
+
+/**
+ * Create a table row for a personal access token - names are free text, so only textContent is used
+ */
+function createAccessTokenRow(token) {
+    const row = document.createElement('tr');
+    const expired = new Date(token.expires_at) <= new Date();
+
+    const cells = [
+        token.name,
+        `${token.token_prefix}…`,
+        token.scopes.join(', '),
+        expired ? 'Expired' : new Date(token.expires_at).toLocaleDateString(),
+        token.last_used_at ? `${new Date(token.last_used_at).toLocaleString()} (${token.last_used_ip})` : 'Never'
+    ];
+
+    cells.forEach((text, index) => {
+        const cell = document.createElement('td');
+        cell.className = index === 1 ? 'px-4 py-2 font-mono text-xs' : 'px-4 py-2';
+        if (index === 3 && expired) cell.classList.add('text-red-600');
+        cell.textContent = text;
+        row.appendChild(cell);
+    });
+
+    const actionCell = document.createElement('td');
+    actionCell.className = 'px-4 py-2 text-right';
+    const revokeBtn = document.createElement('button');
+    revokeBtn.className = 'text-red-600 hover:text-red-900';
+    revokeBtn.innerHTML = '<i class="fas fa-trash"></i> Revoke';
+    revokeBtn.addEventListener('click', () => revokeAccessToken(token.id));
+    actionCell.appendChild(revokeBtn);
+    row.appendChild(actionCell);
+
+    return row;
+}
+
+/**
+ * Open the create token modal with the scopes the user can grant
+ */
+async function openCreateTokenModal() {
+    try {
+        const response = await fetchWithAuth('/api/auth/tokens/scopes');
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.message || 'Failed to load scopes');
+        }
+
+        const container = document.getElementById('tokenScopes');
+        container.innerHTML = '';
+        result.scopes.forEach(scope => {
+            const label = document.createElement('label');
+            label.className = 'flex items-center text-sm';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = scope;
+            checkbox.className = 'mr-2';
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(scope));
+            container.appendChild(label);
+        });
+
+        const expiresInput = document.getElementById('tokenExpiresInDays');
+        expiresInput.max = result.maxLifetimeDays;
+        expiresInput.value = result.defaultLifetimeDays;
+
+        document.getElementById('createTokenModal').classList.remove('hidden');
+    } catch (error) {
+        console.error('Error opening token form:', error);
+        showAlert('Error: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Close the create token modal
+ */
+function closeCreateTokenModal() {
+    document.getElementById('createTokenModal').classList.add('hidden');
+    document.getElementById('createTokenForm').reset();
+}
+
+/**
+ * Create a personal access token and show its value once
+ */
+async function createAccessToken() {
+    const name = document.getElementById('tokenName').value.trim();
+    const expiresInDays = parseInt(document.getElementById('tokenExpiresInDays').value, 10);
+    const scopes = Array.from(document.querySelectorAll('#tokenScopes input:checked')).map(input => input.value);
+
+    if (!name || scopes.length === 0) {
+        showAlert('Please enter a name and choose at least one scope', 'error');
+        return;
+    }
+
+    try {
+        const response = await fetchWithAuth('/api/auth/tokens', {
+            method: 'POST',
+            body: JSON.stringify({ name, scopes, expiresInDays })
+        });
+
+        const result = await response.json();
+
+        if (response.ok) {
+            closeCreateTokenModal();
+            document.getElementById('newTokenValue').textContent = result.token;
+            document.getElementById('newTokenModal').classList.remove('hidden');
+            loadAccessTokens();
+        } else {
+            const message = result.errors && result.errors.length > 0
+                ? result.errors[0].msg
+                : result.message;
+            throw new Error(message || 'Failed to create token');
+        }
+    } catch (error) {
+        console.error('Error creating token:', error);
+        showAlert('Error creating token: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Revoke a personal access token
+ */
+async function revokeAccessToken(tokenId) {
+    try {
+        const response = await fetchWithAuth(`/api/auth/tokens/${tokenId}`, { method: 'DELETE' });
+        const result = await response.json();
+
+        if (response.ok) {
+            showAlert('Token revoked', 'success');
+            loadAccessTokens();
+        } else {
+            throw new Error(result.message || 'Failed to revoke token');
+        }
+    } catch (error) {
+        console.error('Error revoking token:', error);
+        showAlert('Error revoking token: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Load the active sessions of the current user
+ */
+async function loadSessions() {
+    try {
+        const response = await fetchWithAuth('/api/auth/sessions');
+        const sessions = await response.json();
+
+        if (!response.ok) {
+            throw new Error(sessions.message || 'Failed to load sessions');
+        }
+
+        const tbody = document.getElementById('sessionsTableBody');
+        tbody.innerHTML = '';
+
+        if (sessions.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="5" class="px-4 py-3 text-gray-500">No active sessions</td></tr>';
+            return;
+        }
+
+        sessions.forEach(session => tbody.appendChild(createSessionRow(session)));
+    } catch (error) {
+        console.error('Error loading sessions:', error);
+    }
+}
+
+/**
+ * Create a table row for a session - user agents are client-controlled, so only textContent is used
+ */
+function createSessionRow(session) {
+    const row = document.createElement('tr');
+
+    const deviceCell = document.createElement('td');
+    deviceCell.className = 'px-4 py-2';
+    deviceCell.textContent = session.device;
+    deviceCell.title = session.user_agent || '';
+    if (session.current) {
+        const badge = document.createElement('span');
+        badge.className = 'ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800';
+        badge.textContent = 'This device';
+        deviceCell.appendChild(badge);
+    }
+    if (session.impersonator_username) {
+        const note = document.createElement('div');
+        note.className = 'text-xs text-purple-700';
+        note.textContent = `Impersonation by ${session.impersonator_username}`;
+        deviceCell.appendChild(note);
+    }
+    row.appendChild(deviceCell);
+
+    const ipAddress = session.last_seen_ip && session.last_seen_ip !== session.ip_address
+        ? `${session.ip_address || 'Unknown'} (now ${session.last_seen_ip})`
+        : session.ip_address || 'Unknown';
+
+    [ipAddress, new Date(session.created_at).toLocaleString(), getTimeAgo(new Date(session.last_seen_at))].forEach(text => {
+        const cell = document.createElement('td');
+        cell.className = 'px-4 py-2';
+        cell.textContent = text;
+        row.appendChild(cell);
+    });
+
+    // Sessions cannot be ended while impersonating
+    const actionCell = document.createElement('td');
+    actionCell.className = 'px-4 py-2 text-right';
+    if (!impersonator) {
+        const endBtn = document.createElement('button');
+        endBtn.className = 'text-red-600 hover:text-red-900';
+        endBtn.innerHTML = session.current
+            ? '<i class="fas fa-sign-out-alt"></i> Log Out'
+            : '<i class="fas fa-times-circle"></i> End';
+        endBtn.addEventListener('click', () => revokeSession(session));
+        actionCell.appendChild(endBtn);
+    }
+    row.appendChild(actionCell);
+
+    return row;
+}
+
+/**
+ * End one of the current user's sessions - ending this one logs out
+ */
+async function revokeSession(session) {
+    if (session.current) {
+        logout();
+        return;
+    }
+
+    try {
+        const response = await fetchWithAuth(`/api/auth/sessions/${session.id}`, { method: 'DELETE' });
+        const result = await response.json();
+
+        if (response.ok) {
+            showAlert('Session ended', 'success');
+            loadSessions();
+        } else {
+            throw new Error(result.message || 'Failed to end session');
+        }
+    } catch (error) {
+        console.error('Error ending session:', error);
+        showAlert('Error ending session: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Load the latest login attempts on the current user's account
+ */
+async function loadLoginHistory() {
+    try {
+        const response = await fetchWithAuth('/api/auth/login-history');
+        const attempts = await response.json();
+
+        if (!response.ok) {
+            throw new Error(attempts.message || 'Failed to load login history');
+        }
+
+        const tbody = document.getElementById('loginHistoryTableBody');
+        tbody.innerHTML = '';
+
+        if (attempts.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="4" class="px-4 py-3 text-gray-500">No login attempts yet</td></tr>';
+            return;
+        }
+
+        attempts.forEach(attempt => tbody.appendChild(createLoginHistoryRow(attempt)));
+    } catch (error) {
+        console.error('Error loading login history:', error);
+    }
+}
+
+/**
+ * Create a table row for a login attempt - user agents are client-controlled, so only textContent is used
+ */
+function createLoginHistoryRow(attempt) {
+    const row = document.createElement('tr');
+    const [label, badgeClass] = LOGIN_OUTCOME_LABELS[attempt.outcome] || [attempt.outcome, 'bg-gray-100 text-gray-800'];
+
+    const timeCell = document.createElement('td');
+    timeCell.className = 'px-4 py-2';
+    timeCell.textContent = new Date(attempt.created_at).toLocaleString();
+    row.appendChild(timeCell);
+
+    const outcomeCell = document.createElement('td');
+    outcomeCell.className = 'px-4 py-2';
+    const badge = document.createElement('span');
+    badge.className = `inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${badgeClass}`;
+    badge.textContent = label;
+    outcomeCell.appendChild(badge);
+    row.appendChild(outcomeCell);
+
+    const deviceCell = document.createElement('td');
+    deviceCell.className = 'px-4 py-2';
+    deviceCell.textContent = attempt.device;
+    deviceCell.title = attempt.user_agent || '';
+    row.appendChild(deviceCell);
+
+    const ipCell = document.createElement('td');
+    ipCell.className = 'px-4 py-2';
+    ipCell.textContent = attempt.ip_address;
+    row.appendChild(ipCell);
+
+    return row;
+}
+
 /**
  * Handle quick action button clicks
  */
@@ -308,7 +1110,7 @@ function handleQuickAction(actionIndex) {
             openEditProfileModal();
             break;
         case 1: // Change Password
-            showAlert('Password change functionality coming soon', 'info');
+            openChangePasswordModal();
             break;
         case 2: // Notifications
             showAlert('Notifications feature coming soon', 'info');
@@ -322,11 +1124,36 @@ function handleQuickAction(actionIndex) {
 }
 
 /**
- * Logout user
+ * Logout user - ends the current session on the server
  */
 function logout() {
-    localStorage.removeItem('token');
-    window.location.href = 'login.html';
+    endSession('/api/auth/logout');
+}
+
+/**
+ * Logout user from every device
+ */
+function logoutAll() {
+    endSession('/api/auth/logout-all');
+}
+
+/**
+ * Revoke the session server-side, then clear local tokens.
+ * Local tokens are cleared even if the request fails.
+ */
+async function endSession(endpoint) {
+    if (localStorage.getItem('token') || hasCookieSession()) {
+        try {
+            await fetch(`http://localhost:3000${endpoint}`, {
+                method: 'POST',
+                headers: getAuthHeaders()
+            });
+        } catch (error) {
+            console.error('Error ending session:', error);
+        }
+    }
+
+    redirectToLogin();
 }
 
 /**
@@ -349,19 +1176,83 @@ function showAlert(message, type = 'error') {
 }
 
 /**
- * Fetch with authentication
+ * CSRF token of a cookie session, or null. The server only sets the
+ * readable csrf_token cookie in cookie session mode.
  */
-async function fetchWithAuth(url, options = {}) {
+function getCsrfToken() {
+    const match = document.cookie.match(/(?:^|;\s*)csrf_token=([^;]*)/);
+    return match ? decodeURIComponent(match[1]) : null;
+}
+
+/**
+ * Whether the browser holds a cookie session instead of stored tokens
+ */
+function hasCookieSession() {
+    return !localStorage.getItem('token') && !!getCsrfToken();
+}
+
+/**
+ * Headers that authenticate a request - the stored token, or for a
+ * cookie session (whose token the browser sends) the CSRF token
+ */
+function getAuthHeaders() {
     const token = localStorage.getItem('token');
+    return token ? { 'x-auth-token': token } : { 'X-CSRF-Token': getCsrfToken() || '' };
+}
 
-    if (!token) {
+let refreshInFlight = null;
+
+/**
+ * Exchange the stored refresh token for a new token pair.
+ * Concurrent callers share one request, since a refresh token
+ * can only be used once. Cookie sessions send the refresh token
+ * as a cookie.
+ */
+function refreshAccessToken() {
+    if (!refreshInFlight) {
+        refreshInFlight = (async () => {
+            const refreshToken = localStorage.getItem('refreshToken');
+            if (!refreshToken && !hasCookieSession()) return false;
+
+            try {
+                const response = await fetch('http://localhost:3000/api/auth/refresh', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': getCsrfToken() || '' },
+                    body: JSON.stringify(refreshToken ? { refreshToken } : {})
+                });
+
+                if (!response.ok) return false;
+
+                const data = await response.json();
+                if (data.token) {
+                    localStorage.setItem('token', data.token);
+                    localStorage.setItem('refreshToken', data.refreshToken);
+                }
+                return true;
+            } catch (error) {
+                console.error('Error refreshing session:', error);
+                return false;
+            }
+        })().finally(() => {
+            refreshInFlight = null;
+        });
+    }
+
+    return refreshInFlight;
+}
+
+/**
+ * Fetch with authentication
+ */
+async function fetchWithAuth(url, options = {}, retried = false) {
+    if (!localStorage.getItem('token') && !hasCookieSession()) {
         redirectToLogin();
         throw new Error('No authentication token');
     }
 
     const defaultOptions = {
         headers: {
-            'x-auth-token': token,
+            ...getAuthHeaders(),
             'Content-Type': 'application/json'
         }
     };
@@ -377,12 +1268,16 @@ async function fetchWithAuth(url, options = {}) {
 
     const response = await fetch(`http://localhost:3000${url}`, mergedOptions);
 
-    // Handle unauthorized responses
+    // Handle unauthorized responses - try to renew the session once.
+    // An ended impersonation is not renewed; redirectToLogin returns to the administrator
     if (response.status === 401) {
-        localStorage.removeItem('token');
+        if (!retried && !impersonator && await refreshAccessToken()) {
+            return fetchWithAuth(url, options, true);
+        }
+
         redirectToLogin();
         throw new Error('Session expired');
     }
 
     return response;
-}
\ No newline at end of file
+}
@@ -13,6 +13,26 @@ document.addEventListener('DOMContentLoaded', function() {
 
   // Attach event listeners for forms
   attachFormListeners();
+
+  // Verification links land on the verify page with a token
+  if (currentPage === 'verify-email') {
+    verifyEmailFromLink();
+  }
+
+  // Sign-in links land on the magic link page with a token
+  if (currentPage === 'magic-link') {
+    showMagicLinkSignIn();
+  }
+
+  // Relying parties send the browser to the consent page to sign in
+  if (currentPage === 'consent') {
+    loadConsentRequest();
+  }
+
+  // Pages where a password is chosen show the password rules
+  if (document.getElementById('passwordRules')) {
+    loadPasswordPolicy();
+  }
 });
 
 /**
@@ -21,6 +41,11 @@ document.addEventListener('DOMContentLoaded', function() {
 function getCurrentPage(path) {
   if (path.includes('login.html')) return 'login';
   if (path.includes('register.html')) return 'register';
+  if (path.includes('forgot-password.html')) return 'forgot-password';
+  if (path.includes('reset-password.html')) return 'reset-password';
+  if (path.includes('verify-email.html')) return 'verify-email';
+  if (path.includes('magic-link.html')) return 'magic-link';
+  if (path.includes('consent.html')) return 'consent';
   if (path.includes('admin-dashboard.html')) return 'admin-dashboard';
   if (path.includes('dashboard.html')) return 'user-dashboard';
   if (path === '/' || path.includes('index.html')) return 'home';
@@ -39,33 +64,30 @@ function handleAuthenticationRouting(currentPage) {
     return;
   }
 
+  // Emailed links must work regardless of any existing session
+  if (currentPage === 'reset-password' || currentPage === 'verify-email' || currentPage === 'magic-link') {
+    return;
+  }
+
+  // The consent page sends the user to log in and back itself
+  if (currentPage === 'consent') {
+    return;
+  }
+
   if (token) {
     try {
       const payload = JSON.parse(atob(token.split('.')[1]));
       const user = payload.user;
 
-      // Check if token is expired
-      if (payload.exp && Date.now() >= payload.exp * 1000) {
+      // Check if token is expired and cannot be renewed by the dashboard
+      if (payload.exp && Date.now() >= payload.exp * 1000 && !localStorage.getItem('refreshToken')) {
         localStorage.removeItem('token');
         redirectToLogin();
         return;
       }
 
       if (user && user.role) {
-        // Handle routing based on current page and user role
-        switch (currentPage) {
-          case 'home':
-          case 'login':
-          case 'register':
-            // Already logged in, redirect to appropriate dashboard
-            console.log('Auth routing: redirecting logged-in user from', currentPage, 'with role', user.role);
-            redirectToDashboard(user.role);
-            break;
-
-          default:
-            // Unknown page, redirect to appropriate dashboard
-            redirectToDashboard(user.role);
-        }
+        routeLoggedInUser(currentPage, user);
       } else {
         // Invalid user data in token
         localStorage.removeItem('token');
@@ -77,6 +99,17 @@ function handleAuthenticationRouting(currentPage) {
       localStorage.removeItem('token');
       redirectToLogin();
     }
+  } else if (hasCookieSession()) {
+    // Cookie sessions cannot be read by the page - ask the server who is logged in
+    fetch('http://localhost:3000/api/auth/me')
+      .then(async (res) => {
+        if (!res.ok) return;
+        const data = await res.json();
+        routeLoggedInUser(currentPage, data.user);
+      })
+      .catch((error) => {
+        console.error('Could not check cookie session:', error);
+      });
   } else {
     // No token - only redirect if on a page that requires auth but doesn't handle it itself
     console.log('Auth routing: no token found, staying on current page');
@@ -84,11 +117,76 @@ function handleAuthenticationRouting(currentPage) {
 }
 
 /**
- * Redirect to appropriate dashboard based on role
+ * Send a logged-in user from a public page to where they belong
+ */
+function routeLoggedInUser(currentPage, user) {
+  const roles = user.roles || [user.role];
+
+  // Handle routing based on current page and user role
+  switch (currentPage) {
+    case 'login':
+      // Already logged in, continue where the login was asked for
+      if (getReturnTo()) {
+        window.location.href = getReturnTo();
+        break;
+      }
+      redirectToDashboard(roles);
+      break;
+
+    case 'home':
+    case 'register':
+    case 'forgot-password':
+      // Already logged in, redirect to appropriate dashboard
+      console.log('Auth routing: redirecting logged-in user from', currentPage, 'with roles', roles);
+      redirectToDashboard(roles);
+      break;
+
+    default:
+      // Unknown page, redirect to appropriate dashboard
+      redirectToDashboard(roles);
+  }
+}
+
+/**
+ * CSRF token of a cookie session, or null. The server only sets the
+ * readable csrf_token cookie in cookie session mode, next to the
+ * HttpOnly token cookies.
+ */
+function getCsrfToken() {
+  const match = document.cookie.match(/(?:^|;\s*)csrf_token=([^;]*)/);
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+/**
+ * Whether the browser holds a cookie session instead of stored tokens
+ */
+function hasCookieSession() {
+  return !localStorage.getItem('token') && !!getCsrfToken();
+}
+
+/**
+ * Keep the tokens of a new session. In cookie session mode the response
+ * carries none - they are already set as cookies.
+ */
+function storeSession(data) {
+  if (data.token) {
+    localStorage.setItem('token', data.token);
+    localStorage.setItem('refreshToken', data.refreshToken);
+  } else {
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+  }
+}
+
+// Roles that open the admin dashboard; organization admins see their own organizations there
+const ADMIN_DASHBOARD_ROLES = ['admin', 'org_admin'];
+
+/**
+ * Redirect to appropriate dashboard based on roles
  */
-function redirectToDashboard(role) {
-  console.log('redirectToDashboard called with role:', role);
-  if (role === 'admin') {
+function redirectToDashboard(roles) {
+  console.log('redirectToDashboard called with roles:', roles);
+  if (roles.some(role => ADMIN_DASHBOARD_ROLES.includes(role))) {
     console.log('Redirecting to admin-dashboard.html');
     window.location.href = 'admin-dashboard.html';
   } else {
@@ -104,12 +202,34 @@ function redirectToLogin() {
   window.location.href = 'login.html';
 }
 
+/**
+ * Page to open after login, from the returnTo parameter of login.html.
+ * Only paths on this site are accepted, never another origin.
+ */
+function getReturnTo() {
+  const returnTo = new URLSearchParams(window.location.search).get('returnTo');
+  if (!returnTo || !returnTo.startsWith('/') || returnTo.startsWith('//') || returnTo.startsWith('/\\')) {
+    return null;
+  }
+  return returnTo;
+}
+
 /**
  * Attach form event listeners
  */
 function attachFormListeners() {
   const registerBtn = document.getElementById('registerUser');
   const loginBtn = document.getElementById('loginUser');
+  const sendResetLinkBtn = document.getElementById('sendResetLink');
+  const resetPasswordBtn = document.getElementById('resetPasswordBtn');
+  const resendVerificationBtn = document.getElementById('resendVerification');
+  const verifyMfaBtn = document.getElementById('verifyMfa');
+  const sendMagicLinkBtn = document.getElementById('sendMagicLink');
+  const confirmMagicLinkBtn = document.getElementById('confirmMagicLink');
+  const toggleRecoveryCodeBtn = document.getElementById('toggleRecoveryCode');
+  const allowConsentBtn = document.getElementById('allowConsent');
+  const denyConsentBtn = document.getElementById('denyConsent');
+  const switchAccountBtn = document.getElementById('consentSwitchAccount');
 
   if (registerBtn) {
     registerBtn.addEventListener('click', registerUser);
@@ -118,6 +238,46 @@ function attachFormListeners() {
   if (loginBtn) {
     loginBtn.addEventListener('click', loginUser);
   }
+
+  if (sendResetLinkBtn) {
+    sendResetLinkBtn.addEventListener('click', requestPasswordReset);
+  }
+
+  if (resetPasswordBtn) {
+    resetPasswordBtn.addEventListener('click', resetPassword);
+  }
+
+  if (resendVerificationBtn) {
+    resendVerificationBtn.addEventListener('click', resendVerificationEmail);
+  }
+
+  if (verifyMfaBtn) {
+    verifyMfaBtn.addEventListener('click', verifyMfaLogin);
+  }
+
+  if (sendMagicLinkBtn) {
+    sendMagicLinkBtn.addEventListener('click', requestMagicLink);
+  }
+
+  if (confirmMagicLinkBtn) {
+    confirmMagicLinkBtn.addEventListener('click', signInWithMagicLink);
+  }
+
+  if (toggleRecoveryCodeBtn) {
+    toggleRecoveryCodeBtn.addEventListener('click', toggleRecoveryCodeInput);
+  }
+
+  if (allowConsentBtn) {
+    allowConsentBtn.addEventListener('click', () => respondToConsent(true));
+  }
+
+  if (denyConsentBtn) {
+    denyConsentBtn.addEventListener('click', () => respondToConsent(false));
+  }
+
+  if (switchAccountBtn) {
+    switchAccountBtn.addEventListener('click', switchConsentAccount);
+  }
 }
 
 // Show custom alert box
@@ -136,6 +296,71 @@ function showAlert(message, type = 'error') {
   }, 3000);
 }
 
+// Password policy from the server, loaded on pages that set a password
+let passwordPolicy = null;
+
+// Fetch the password policy and list its rules below the password field
+function loadPasswordPolicy() {
+  fetch('http://localhost:3000/api/auth/password-policy')
+    .then(async (res) => {
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || `HTTP error: ${res.status}`);
+      return data;
+    })
+    .then((policy) => {
+      passwordPolicy = policy;
+
+      const rulesList = document.getElementById('passwordRules');
+      rulesList.innerHTML = '';
+      policy.rules.forEach((rule) => {
+        const item = document.createElement('li');
+        item.textContent = rule;
+        rulesList.appendChild(item);
+      });
+      rulesList.classList.remove('hidden');
+    })
+    .catch((error) => {
+      // The server still enforces the policy, the list is only a hint
+      console.error('Could not load password policy:', error);
+    });
+}
+
+// Check the rules that can be verified in the browser, returns the first problem
+function checkPasswordPolicy(password, username, email) {
+  if (!passwordPolicy) return null;
+
+  if (password.length < passwordPolicy.minLength) {
+    return `Password must be at least ${passwordPolicy.minLength} characters long.`;
+  }
+  if (password.length > passwordPolicy.maxLength) {
+    return `Password must be at most ${passwordPolicy.maxLength} characters long.`;
+  }
+  if (passwordPolicy.requireUppercase && !/[A-Z]/.test(password)) {
+    return 'Password must contain an uppercase letter.';
+  }
+  if (passwordPolicy.requireLowercase && !/[a-z]/.test(password)) {
+    return 'Password must contain a lowercase letter.';
+  }
+  if (passwordPolicy.requireDigit && !/\d/.test(password)) {
+    return 'Password must contain a number.';
+  }
+  if (passwordPolicy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    return 'Password must contain a symbol.';
+  }
+
+  if (passwordPolicy.disallowPersonalInfo) {
+    const lowered = password.toLowerCase();
+    const parts = [username, email, email ? email.split('@')[0] : '']
+      .filter((part) => part && part.length >= 3)
+      .map((part) => part.toLowerCase());
+    if (parts.some((part) => lowered.includes(part))) {
+      return 'Password must not contain your username or email address.';
+    }
+  }
+
+  return null;
+}
+
 // Form validation
 function validateForm(username, email, password) {
   if (!username || !email || !password) {
@@ -149,8 +374,9 @@ function validateForm(username, email, password) {
     return false;
   }
 
-  if (password.length < 6) {
-    showAlert('Password must be at least 6 characters long.');
+  const passwordProblem = checkPasswordPolicy(password, username, email);
+  if (passwordProblem) {
+    showAlert(passwordProblem);
     return false;
   }
 
@@ -176,19 +402,31 @@ function registerUser() {
   })
     .then(async (res) => {
       const data = await res.json();
-      if (!res.ok) throw new Error(data.message || `HTTP error: ${res.status}`);
+      if (!res.ok) {
+        const message = data.errors && data.errors.length > 0 ? data.errors[0].msg : data.message;
+        throw new Error(message || `HTTP error: ${res.status}`);
+      }
       return data;
     })
     .then((data) => {
-      // Store token
-      localStorage.setItem('token', data.token);
-      
-      showAlert('Registered successfully!', 'success');
-      
       // Clear form
       document.getElementById('username').value = '';
       document.getElementById('email').value = '';
       document.getElementById('password').value = '';
+
+      // No session until the email address is verified
+      if (data.verificationRequired) {
+        showAlert(data.message, 'success');
+        setTimeout(() => {
+          window.location.href = 'login.html';
+        }, 3000);
+        return;
+      }
+
+      // Store tokens
+      storeSession(data);
+      
+      showAlert('Registered successfully!', 'success');
       
       // Redirect to dashboard after delay
       setTimeout(() => {
@@ -206,12 +444,45 @@ function registerUser() {
     });
 }
 
+// Challenge token between the password step and the MFA step
+let pendingMfaToken = null;
+
+// Store the session and go to the dashboard for the user's role
+function completeLogin(data) {
+  // Store tokens
+  storeSession(data);
+  // A new login replaces any impersonation left behind
+  localStorage.removeItem('impersonatorToken');
+  localStorage.removeItem('impersonatorRefreshToken');
+
+  // Show success message and redirect immediately
+  showAlert('Login successful! Redirecting...', 'success');
+
+  // Logins started elsewhere, e.g. by the consent page, go back there
+  const returnTo = getReturnTo();
+  if (returnTo) {
+    window.location.href = returnTo;
+    return;
+  }
+
+  // Redirect immediately to appropriate dashboard based on user role
+  const roles = data.user ? data.user.roles || [data.user.role] : [];
+  console.log('Redirecting user with roles:', roles);
+  if (roles.some(role => ADMIN_DASHBOARD_ROLES.includes(role))) {
+    console.log('Redirecting to admin dashboard');
+    window.location.href = 'admin-dashboard.html';
+  } else {
+    console.log('Redirecting to user dashboard');
+    window.location.href = 'dashboard.html';
+  }
+}
+
 // Login user
 function loginUser() {
-  const username = document.getElementById('loginUsername').value.trim();
+  const identifier = document.getElementById('loginUsername').value.trim();
   const password = document.getElementById('loginPassword').value;
 
-  if (!username || !password) {
+  if (!identifier || !password) {
     showAlert('Please fill in all fields.');
     return;
   }
@@ -220,12 +491,12 @@ function loginUser() {
   loginButton.disabled = true;
   loginButton.textContent = 'Logging in...';
 
-  console.log('Attempting login for:', username);
+  console.log('Attempting login for:', identifier);
   
   fetch('http://localhost:3000/api/auth/login', {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ username, password })
+    body: JSON.stringify({ identifier, password })
   })
     .then(async (res) => {
       let data;
@@ -238,33 +509,503 @@ function loginUser() {
       
       if (!res.ok) {
         console.error('Login response not OK:', res.status, data);
-        throw new Error(data.message || `HTTP error: ${res.status}`);
+        const error = new Error(data.message || `HTTP error: ${res.status}`);
+        error.code = data.code;
+        throw error;
       }
       return data;
     })
     .then((data) => {
-      // Store token
-      localStorage.setItem('token', data.token);
-
-      // Show success message and redirect immediately
-      showAlert('Login successful! Redirecting...', 'success');
-
-      // Redirect immediately to appropriate dashboard based on user role
-      console.log('Redirecting user with role:', data.user?.role);
-      if (data.user && data.user.role === 'admin') {
-        console.log('Redirecting to admin dashboard');
-        window.location.href = 'admin-dashboard.html';
-      } else {
-        console.log('Redirecting to user dashboard');
-        window.location.href = 'dashboard.html';
+      // Password accepted, but a second factor is needed
+      if (data.mfaRequired) {
+        pendingMfaToken = data.mfaToken;
+        document.getElementById('loginForm').classList.add('hidden');
+        document.getElementById('mfaForm').classList.remove('hidden');
+        document.getElementById('mfaCode').focus();
+        return;
       }
+
+      completeLogin(data);
     })
     .catch((err) => {
       console.error('Login error:', err);
       showAlert(err.message || 'Login failed. Check your credentials.');
+
+      // Offer to resend the verification link
+      const resendHint = document.getElementById('resendVerificationHint');
+      if (resendHint && err.code === 'EMAIL_NOT_VERIFIED') {
+        resendHint.classList.remove('hidden');
+      }
     })
     .finally(() => {
       loginButton.disabled = false;
       loginButton.textContent = 'Login';
     });
 }
+
+// Request a password reset email
+function requestPasswordReset() {
+  const email = document.getElementById('forgotEmail').value.trim();
+
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  if (!emailRegex.test(email)) {
+    showAlert('Please enter a valid email address.');
+    return;
+  }
+
+  const submitButton = document.getElementById('sendResetLink');
+  submitButton.disabled = true;
+  submitButton.textContent = 'Sending...';
+
+  fetch('http://localhost:3000/api/auth/forgot-password', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email })
+  })
+    .then(async (res) => {
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || `HTTP error: ${res.status}`);
+      return data;
+    })
+    .then((data) => {
+      showAlert(data.message, 'success');
+      document.getElementById('forgotEmail').value = '';
+    })
+    .catch((err) => {
+      console.error('Password reset request error:', err);
+      showAlert(err.message || 'Could not send reset link. Try again.');
+    })
+    .finally(() => {
+      submitButton.disabled = false;
+      submitButton.textContent = 'Send Reset Link';
+    });
+}
+
+// Set a new password using the token from the reset link
+function resetPassword() {
+  const token = new URLSearchParams(window.location.search).get('token');
+  const password = document.getElementById('resetPassword').value;
+  const confirmPassword = document.getElementById('resetPasswordConfirm').value;
+
+  if (!token) {
+    showAlert('This reset link is invalid. Please request a new one.');
+    return;
+  }
+
+  if (!password || !confirmPassword) {
+    showAlert('Please fill in all fields.');
+    return;
+  }
+
+  if (password !== confirmPassword) {
+    showAlert('Passwords do not match.');
+    return;
+  }
+
+  const passwordProblem = checkPasswordPolicy(password);
+  if (passwordProblem) {
+    showAlert(passwordProblem);
+    return;
+  }
+
+  const submitButton = document.getElementById('resetPasswordBtn');
+  submitButton.disabled = true;
+  submitButton.textContent = 'Resetting...';
+
+  fetch('http://localhost:3000/api/auth/reset-password', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ token, password })
+  })
+    .then(async (res) => {
+      const data = await res.json();
+      if (!res.ok) {
+        const message = data.errors && data.errors.length > 0 ? data.errors[0].msg : data.message;
+        throw new Error(message || `HTTP error: ${res.status}`);
+      }
+      return data;
+    })
+    .then((data) => {
+      // Any stored session was revoked by the reset
+      localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
+
+      showAlert(data.message, 'success');
+      setTimeout(() => {
+        window.location.href = 'login.html';
+      }, 1500);
+    })
+    .catch((err) => {
+      console.error('Password reset error:', err);
+      showAlert(err.message || 'Could not reset password. Try again.');
+    })
+    .finally(() => {
+      submitButton.disabled = false;
+      submitButton.textContent = 'Reset Password';
+    });
+}
+
+// Verify the email address using the token from the verification link
+function verifyEmailFromLink() {
+  const token = new URLSearchParams(window.location.search).get('token');
+  if (!token) return;
+
+  const status = document.getElementById('verifyStatus');
+  status.textContent = 'Verifying your email address...';
+
+  fetch('http://localhost:3000/api/auth/verify-email', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ token })
+  })
+    .then(async (res) => {
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || `HTTP error: ${res.status}`);
+      return data;
+    })
+    .then((data) => {
+      status.textContent = data.message + ' You can now log in.';
+      document.getElementById('resendVerificationForm').classList.add('hidden');
+      showAlert(data.message, 'success');
+    })
+    .catch((err) => {
+      console.error('Email verification error:', err);
+      status.textContent = err.message || 'Could not verify your email address.';
+      showAlert(err.message || 'Could not verify your email address.');
+    });
+}
+
+// Request a new verification email
+function resendVerificationEmail() {
+  const email = document.getElementById('verifyEmail').value.trim();
+
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  if (!emailRegex.test(email)) {
+    showAlert('Please enter a valid email address.');
+    return;
+  }
+
+  const submitButton = document.getElementById('resendVerification');
+  submitButton.disabled = true;
+  submitButton.textContent = 'Sending...';
+
+  fetch('http://localhost:3000/api/auth/resend-verification', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email })
+  })
+    .then(async (res) => {
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || `HTTP error: ${res.status}`);
+      return data;
+    })
+    .then((data) => {
+      showAlert(data.message, 'success');
+    })
+    .catch((err) => {
+      console.error('Resend verification error:', err);
+      showAlert(err.message || 'Could not send verification email. Try again.');
+    })
+    .finally(() => {
+      submitButton.disabled = false;
+      submitButton.textContent = 'Resend Verification Email';
+    });
+}
+
+// Request a sign-in link by email
+function requestMagicLink() {
+  const email = document.getElementById('magicLinkEmail').value.trim();
+
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  if (!emailRegex.test(email)) {
+    showAlert('Please enter a valid email address.');
+    return;
+  }
+
+  const submitButton = document.getElementById('sendMagicLink');
+  submitButton.disabled = true;
+  submitButton.textContent = 'Sending...';
+
+  fetch('http://localhost:3000/api/auth/magic-link', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email })
+  })
+    .then(async (res) => {
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || `HTTP error: ${res.status}`);
+      return data;
+    })
+    .then((data) => {
+      showAlert(data.message, 'success');
+      document.getElementById('magicLinkEmail').value = '';
+    })
+    .catch((err) => {
+      console.error('Sign-in link request error:', err);
+      showAlert(err.message || 'Could not send sign-in link. Try again.');
+    })
+    .finally(() => {
+      submitButton.disabled = false;
+      submitButton.textContent = 'Email Me a Sign-In Link';
+    });
+}
+
+// Offer to sign in with the token from an emailed sign-in link. The
+// token is only sent once the user clicks, so mail scanners that open
+// and render the link cannot use it up.
+function showMagicLinkSignIn() {
+  const token = new URLSearchParams(window.location.search).get('token');
+  if (!token) return;
+
+  document.getElementById('magicLinkForm').classList.add('hidden');
+  document.getElementById('magicLinkStatusBox').classList.remove('hidden');
+}
+
+// Sign in with the token from an emailed sign-in link
+function signInWithMagicLink() {
+  const token = new URLSearchParams(window.location.search).get('token');
+  if (!token) return;
+
+  const form = document.getElementById('magicLinkForm');
+  const statusBox = document.getElementById('magicLinkStatusBox');
+  const confirmButton = document.getElementById('confirmMagicLink');
+  confirmButton.disabled = true;
+  confirmButton.textContent = 'Signing in...';
+
+  fetch('http://localhost:3000/api/auth/magic-link/verify', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ token })
+  })
+    .then(async (res) => {
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || `HTTP error: ${res.status}`);
+      return data;
+    })
+    .then((data) => {
+      // Link accepted, but a second factor is needed
+      if (data.mfaRequired) {
+        pendingMfaToken = data.mfaToken;
+        statusBox.classList.add('hidden');
+        document.getElementById('mfaForm').classList.remove('hidden');
+        document.getElementById('mfaCode').focus();
+        return;
+      }
+
+      completeLogin(data);
+    })
+    .catch((err) => {
+      console.error('Sign-in link error:', err);
+      statusBox.classList.add('hidden');
+      form.classList.remove('hidden');
+      showAlert((err.message || 'Could not sign you in.') + ' You can request a new link below.');
+    })
+    .finally(() => {
+      confirmButton.disabled = false;
+      confirmButton.textContent = 'Sign In';
+    });
+}
+
+// Switch the MFA step between authenticator code and recovery code
+function toggleRecoveryCodeInput() {
+  const recoveryField = document.getElementById('mfaRecoveryField');
+  const usingRecovery = recoveryField.classList.toggle('hidden') === false;
+
+  document.getElementById('mfaCodeField').classList.toggle('hidden', usingRecovery);
+  document.getElementById('toggleRecoveryCode').textContent = usingRecovery
+    ? 'Use your authenticator app instead'
+    : 'Use a recovery code instead';
+}
+
+// Complete login with the second factor
+function verifyMfaLogin() {
+  const usingRecovery = !document.getElementById('mfaRecoveryField').classList.contains('hidden');
+  const code = document.getElementById('mfaCode').value.trim();
+  const recoveryCode = document.getElementById('mfaRecoveryCode').value.trim();
+
+  if (usingRecovery ? !recoveryCode : !code) {
+    showAlert('Please enter your code.');
+    return;
+  }
+
+  const verifyButton = document.getElementById('verifyMfa');
+  verifyButton.disabled = true;
+  verifyButton.textContent = 'Verifying...';
+
+  fetch('http://localhost:3000/api/auth/mfa/verify', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(usingRecovery
+      ? { mfaToken: pendingMfaToken, recoveryCode }
+      : { mfaToken: pendingMfaToken, code })
+  })
+    .then(async (res) => {
+      const data = await res.json();
+      if (!res.ok) {
+        const error = new Error(data.message || `HTTP error: ${res.status}`);
+        error.status = res.status;
+        throw error;
+      }
+      return data;
+    })
+    .then(completeLogin)
+    .catch((err) => {
+      console.error('MFA verification error:', err);
+      showAlert(err.message || 'Verification failed. Try again.');
+
+      // Challenge expired - start over with the password, or a new sign-in link
+      if (err.status === 401) {
+        pendingMfaToken = null;
+        document.getElementById('mfaForm').classList.add('hidden');
+        (document.getElementById('loginForm') || document.getElementById('magicLinkForm')).classList.remove('hidden');
+      }
+    })
+    .finally(() => {
+      verifyButton.disabled = false;
+      verifyButton.textContent = 'Verify';
+    });
+}
+
+// Send the user to log in, coming back to the consent page afterwards
+function loginAndReturnToConsent() {
+  localStorage.removeItem('token');
+  const returnTo = window.location.pathname + window.location.search;
+  window.location.href = 'login.html?returnTo=' + encodeURIComponent(returnTo);
+}
+
+// Log out of the current account and log in with another, coming back to the consent page
+function switchConsentAccount() {
+  localStorage.removeItem('refreshToken');
+
+  // A cookie session would log the user straight back in, so end it first
+  const logout = hasCookieSession()
+    ? fetch('http://localhost:3000/api/auth/logout', {
+        method: 'POST',
+        headers: { 'X-CSRF-Token': getCsrfToken() }
+      }).catch(() => {})
+    : Promise.resolve();
+
+  logout.then(loginAndReturnToConsent);
+}
+
+// Renew the access token with the refresh token; resolves to false if that is not possible
+function refreshSession() {
+  const refreshToken = localStorage.getItem('refreshToken');
+  // Cookie sessions send the refresh token as a cookie
+  if (!refreshToken && !hasCookieSession()) return Promise.resolve(false);
+
+  return fetch('http://localhost:3000/api/auth/refresh', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': getCsrfToken() || '' },
+    body: JSON.stringify(refreshToken ? { refreshToken } : {})
+  })
+    .then(async (res) => {
+      if (!res.ok) return false;
+      storeSession(await res.json());
+      return true;
+    })
+    .catch(() => false);
+}
+
+// Call the consent API with the session token, renewing it once if it has expired
+async function fetchConsent(options = {}, retried = false) {
+  const query = options.method === 'POST' ? '' : window.location.search;
+  const token = localStorage.getItem('token');
+  const res = await fetch('http://localhost:3000/api/oauth/consent' + query, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      // Cookie sessions send the token as a cookie and need the CSRF token instead
+      ...(token ? { 'x-auth-token': token } : { 'X-CSRF-Token': getCsrfToken() || '' })
+    }
+  });
+
+  if (res.status === 401) {
+    if (!retried && await refreshSession()) {
+      return fetchConsent(options, true);
+    }
+    loginAndReturnToConsent();
+    throw new Error('Please log in to continue.');
+  }
+
+  const data = await res.json();
+  if (!res.ok) {
+    const error = new Error(data.message || `HTTP error: ${res.status}`);
+    error.redirectTo = data.redirectTo || null;
+    throw error;
+  }
+  return data;
+}
+
+// Show why the sign-in cannot continue
+function showConsentError(message) {
+  document.getElementById('consentLoading').classList.add('hidden');
+  document.getElementById('consentPanel').classList.add('hidden');
+  document.getElementById('consentErrorMessage').textContent = message;
+  document.getElementById('consentError').classList.remove('hidden');
+}
+
+// Load the sign-in request and ask the user to allow it
+function loadConsentRequest() {
+  const params = new URLSearchParams(window.location.search);
+
+  // Requests the server could not send back to the application
+  if (params.get('error')) {
+    showConsentError(params.get('error_description') || 'This sign-in request is invalid.');
+    return;
+  }
+
+  if (!localStorage.getItem('token') && !hasCookieSession()) {
+    loginAndReturnToConsent();
+    return;
+  }
+
+  fetchConsent()
+    .then((data) => {
+      document.getElementById('consentClientName').textContent = data.client.name;
+      document.getElementById('consentUsername').textContent = data.user.username;
+
+      const scopeList = document.getElementById('consentScopes');
+      scopeList.innerHTML = '';
+      data.scopes.forEach((scope) => {
+        const item = document.createElement('li');
+        item.textContent = scope.description;
+        scopeList.appendChild(item);
+      });
+
+      document.getElementById('consentLoading').classList.add('hidden');
+      document.getElementById('consentPanel').classList.remove('hidden');
+    })
+    .catch((err) => {
+      console.error('Consent request error:', err);
+      if (err.redirectTo) {
+        window.location.href = err.redirectTo;
+        return;
+      }
+      showConsentError(err.message || 'Could not load this sign-in request.');
+    });
+}
+
+// Allow or deny the sign-in, then return to the application
+function respondToConsent(approved) {
+  const request = Object.fromEntries(new URLSearchParams(window.location.search));
+  const allowButton = document.getElementById('allowConsent');
+  const denyButton = document.getElementById('denyConsent');
+  allowButton.disabled = true;
+  denyButton.disabled = true;
+
+  fetchConsent({ method: 'POST', body: JSON.stringify({ ...request, approved }) })
+    .then((data) => {
+      window.location.href = data.redirectTo;
+    })
+    .catch((err) => {
+      console.error('Consent error:', err);
+      if (err.redirectTo) {
+        window.location.href = err.redirectTo;
+        return;
+      }
+      showAlert(err.message || 'Could not complete the sign-in. Try again.');
+      allowButton.disabled = false;
+      denyButton.disabled = false;
+    });
+}
@@ -0,0 +1,72 @@
+/**
+ * Audit Log Routes - User Management System
+ *
+ * This module lets administrators read the audit log, which records
+ * security-relevant actions such as impersonation: who started it, for
+ * which user and why, every change made during it, and when it ended.
+ *
+ * Available endpoints:
+ * - GET /api/audit-log - Retrieve audit entries, newest first
+ *
+ * @author Development Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+
+const { AuditLog, AUDIT_ACTIONS } = require('../models/AuditLog');
+const { PERMISSIONS } = require('../models/Permission');
+const {
+  authenticateToken,
+  requirePermission,
+  requireVerifiedEmail,
+  requireMfaEnrollment
+} = require('../middleware/auth');
+
+/**
+ * Retrieve Audit Entries
+ * GET /api/audit-log
+ *
+ * Requires the audit:read permission.
+ *
+ * @query {string} [action] - Only entries of this action, e.g. impersonation.start
+ * @query {number} [userId] - Only entries the user acted in, impersonated in, or was the target of
+ * @query {number} [limit=100] - Maximum number of entries (at most 500)
+ * @returns {Array} Audit entries
+ */
+router.get('/', [
+  authenticateToken,
+  requirePermission(PERMISSIONS.AUDIT_READ),
+  requireVerifiedEmail,
+  requireMfaEnrollment,
+
+  check('action', 'Unknown audit action').optional().isIn(Object.values(AUDIT_ACTIONS)),
+  check('userId', 'User ID must be a number').optional().isInt({ min: 1 }),
+  check('limit', 'Limit must be between 1 and 500').optional().isInt({ min: 1, max: 500 })
+], async (req, res) => {
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Invalid input data',
+      errors: errors.array()
+    });
+  }
+
+  try {
+    // Query values stay strings in Express 5, so convert them here
+    const { action, userId, limit } = req.query;
+    res.json(await AuditLog.find({
+      action,
+      userId: userId ? Number(userId) : undefined,
+      limit: limit ? Number(limit) : undefined
+    }));
+  } catch (error) {
+    console.error('Error getting audit log:', error.message);
+    res.status(500).json({ message: 'Could not retrieve audit log' });
+  }
+});
+
+module.exports = router;
@@ -3,11 +3,25 @@
  *
  * This module handles user authentication operations including
  * registration, login, and profile management with JWT token support.
+ * In cookie session mode (config.session.mode) the session tokens are
+ * set as HttpOnly cookies instead of being returned; see
+ * utils/sessionCookies.
  *
  * Available endpoints:
  * - POST /api/auth/register - User registration
  * - POST /api/auth/login - User authentication
+ * - POST /api/auth/refresh - Access token renewal
+ * - POST /api/auth/logout - End the current session
+ * - POST /api/auth/logout-all - End every session of the current user
+ * - POST /api/auth/impersonation/stop - End an impersonation session
  * - GET /api/auth/me - Profile retrieval
+ * - PUT /api/auth/me - Profile update
+ * - PUT /api/auth/me/password - Password change
+ * - POST /api/auth/forgot-password - Password reset request
+ * - POST /api/auth/reset-password - Password reset with emailed token
+ * - POST /api/auth/verify-email - Email address verification
+ * - POST /api/auth/resend-verification - Resend the verification email
+ * - GET /api/auth/password-policy - Password rules for new passwords
  *
  * @author Development Team
  * @version 1.0.0
@@ -15,29 +29,96 @@
 
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
+const rateLimit = require('express-rate-limit');
 const { check, validationResult } = require('express-validator');
 const config = require('../config/default');
 const { User, ROLES } = require('../models/User');
-const { authenticateToken } = require('../middleware/auth');
+const { RefreshToken } = require('../models/RefreshToken');
+const { PersonalAccessToken } = require('../models/PersonalAccessToken');
+const { PasswordReset } = require('../models/PasswordReset');
+const { EmailVerification } = require('../models/EmailVerification');
+const { AuditLog, AUDIT_ACTIONS } = require('../models/AuditLog');
+const { LOGIN_OUTCOMES } = require('../models/LoginAttempt');
+const {
+  authenticateToken,
+  requireScope,
+  requireInteractiveSession,
+  blockWhileImpersonating
+} = require('../middleware/auth');
+const {
+  createSession,
+  rotateSession,
+  generateToken,
+  hashToken,
+  signMfaChallengeToken
+} = require('../utils/tokens');
+const { sendMail } = require('../utils/mailer');
+const { PROFILE_SCOPE } = require('../utils/personalAccessTokens');
+const { checkLoginAllowed, recordLoginResult, sendLoginThrottled } = require('../utils/loginThrottle');
+const { sendVerificationEmail, isLoginBlockedUntilVerified } = require('../utils/emailVerification');
+const { getPasswordPolicy, validatePassword, setPassword } = require('../utils/passwordPolicy');
+const { verifyDummyPassword } = require('../utils/passwordHash');
+const { getRefreshToken, sendSessionTokens, clearSessionCookies, checkCsrfToken } = require('../utils/sessionCookies');
+const { getClientInfo } = require('../utils/clientInfo');
+const { notifyNewLoginClient } = require('../utils/loginNotifications');
+
+// Stricter rate limit for password reset endpoints, which send email
+const passwordResetLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5,
+  message: {
+    message: 'Too many password reset attempts, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Rate limit for resending verification email
+const verificationLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5,
+  message: {
+    message: 'Too many verification requests, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+/**
+ * Record Impersonation Stop
+ *
+ * @param {Object} req - Request authenticated with an impersonation token
+ * @returns {Promise<void>}
+ */
+async function recordImpersonationStop(req) {
+  await AuditLog.record({
+    action: AUDIT_ACTIONS.IMPERSONATION_STOP,
+    actor: req.impersonator,
+    targetUserId: req.user.id,
+    details: { sessionId: req.sessionId, username: req.user.username },
+    ipAddress: req.ip
+  });
+}
 
 /**
  * User Registration
  * POST /api/auth/register
  *
- * Creates a new user account with validation and returns JWT token.
+ * Creates a new user account with validation, sends a verification
+ * email and returns JWT token. When the verification policy is 'block',
+ * no token is issued until the address has been verified.
  * Public endpoint - no authentication required.
  *
  * @body {string} username - Unique username
  * @body {string} email - Valid email address
- * @body {string} password - Password (minimum 6 characters)
- * @returns {Object} JWT token and user data
+ * @body {string} password - Password meeting the password policy
+ * @returns {Object} JWT token, refresh token (in cookie mode, a CSRF token) and user data
  */
 router.post('/register', [
   // Input validation rules
   check('username', 'Username is required').notEmpty(),
   check('email', 'Please provide a valid email').isEmail(),
-  check('password', 'Password must be at least 6 characters').isLength({ min: 6 })
+  check('password', 'Password is required').isString().notEmpty()
 ], async (req, res) => {
 
   // Check if the input data is valid
@@ -52,6 +133,15 @@ router.post('/register', [
   const { username, email, password } = req.body;
 
   try {
+    const passwordProblems = await validatePassword(password, { username, email });
+    if (passwordProblems.length > 0) {
+      return res.status(400).json({
+        message: 'Password does not meet the password policy',
+        field: 'password',
+        errors: passwordProblems.map(msg => ({ msg, path: 'password' }))
+      });
+    }
+
     // Check if username is already taken
     const existingUserByUsername = await User.findByUsername(username);
     if (existingUserByUsername) {
@@ -74,31 +164,41 @@ router.post('/register', [
 
     console.log(`New user registered: ${username}`);
 
-    // Create a JWT token for immediate login after registration
-    const tokenPayload = {
-      user: {
-        id: newUser.id,
-        username: newUser.username,
-        role: newUser.role
-      }
-    };
+    // A failed email should not fail the registration - the link can be resent
+    try {
+      await sendVerificationEmail(newUser);
+    } catch (mailError) {
+      console.error('Error sending verification email:', mailError.message);
+    }
 
-    // Generate the JWT token
-    const token = jwt.sign(
-      tokenPayload,
-      config.jwtSecret,
-      { expiresIn: config.jwtExpiration }
-    );
+    if (isLoginBlockedUntilVerified()) {
+      return res.status(201).json({
+        message: 'Registration successful, please check your email to verify your address',
+        verificationRequired: true,
+        user: {
+          id: newUser.id,
+          username: newUser.username,
+          email: newUser.email,
+          role: newUser.role,
+          roles: newUser.roles
+        }
+      });
+    }
 
-    // Send back the token and basic user info (no password)
+    // Start a session for immediate login after registration
+    const session = await createSession(newUser, getClientInfo(req));
+
+    // Send back the tokens and basic user info (no password)
     res.status(201).json({
       message: 'Registration successful',
-      token,
+      ...sendSessionTokens(res, session),
       user: {
         id: newUser.id,
         username: newUser.username,
         email: newUser.email,
-        role: newUser.role
+        role: newUser.role,
+        roles: newUser.roles,
+        emailVerified: newUser.isEmailVerified()
       }
     });
 
@@ -112,16 +212,27 @@ router.post('/register', [
  * User Authentication
  * POST /api/auth/login
  *
- * Authenticates user credentials and returns JWT token.
+ * Authenticates user credentials and returns JWT token. Repeated failures
+ * per account or IP are answered with 429 and a Retry-After delay that
+ * grows with every failure, up to a temporary lockout. For users with
+ * two-factor authentication the response instead carries mfaRequired and
+ * an mfaToken to complete the login at POST /api/auth/mfa/verify. Every
+ * attempt is kept in the login history, and the user is emailed when
+ * the login comes from a new device or IP address.
  * Public endpoint for user login.
  *
- * @body {string} username - User's username
+ * @body {string} identifier - User's username or email address
+ * @body {string} [username] - Older clients send the username here instead
  * @body {string} password - User's password
- * @returns {Object} JWT token and user data
+ * @returns {Object} JWT token, refresh token (in cookie mode, a CSRF token) and user data
  */
 router.post('/login', [
   // Input validation
-  check('username', 'Username is required').notEmpty(),
+  check('identifier', 'Username or email is required')
+    .if(check('username').not().exists())
+    .isString().notEmpty(),
+  check(['identifier', 'username'], 'Username or email is required')
+    .optional().isString().notEmpty().isLength({ max: 100 }),
   check('password', 'Password is required').notEmpty()
 ], async (req, res) => {
 
@@ -129,53 +240,78 @@ router.post('/login', [
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({
-      message: 'Please provide username and password',
+      message: 'Please provide username or email and password',
       errors: errors.array()
     });
   }
 
-  const { username, password } = req.body;
+  const identifier = (req.body.identifier || req.body.username).trim();
+  const { password } = req.body;
+  const client = getClientInfo(req);
+  const attempt = { identifier, ipAddress: req.ip, userAgent: client.userAgent };
 
   try {
-    // Find the user by username
-    const user = await User.findByUsername(username);
+    // Find the user by username or email
+    const user = await User.findByLoginIdentifier(identifier);
+
+    // Refuse attempts while the account or IP is throttled or locked out
+    const throttle = await checkLoginAllowed({ user, ipAddress: req.ip });
+    if (!throttle.allowed) {
+      await recordLoginResult({ ...attempt, user, outcome: LOGIN_OUTCOMES.THROTTLED });
+      return sendLoginThrottled(res, throttle.retryAfter);
+    }
+
     if (!user) {
+      // Spend as long as a password check, so timing does not reveal unknown accounts
+      await verifyDummyPassword(password);
+      await recordLoginResult({ ...attempt, user: null, outcome: LOGIN_OUTCOMES.UNKNOWN_USER });
       return res.status(400).json({ message: 'Invalid username or password' });
     }
 
     // Check if the password matches (using the User model method)
     const isPasswordValid = await user.checkPassword(password);
     if (!isPasswordValid) {
+      await recordLoginResult({ ...attempt, user, outcome: LOGIN_OUTCOMES.INVALID_PASSWORD });
       return res.status(400).json({ message: 'Invalid username or password' });
     }
 
-    console.log(`User authenticated: ${username} (${user.role})`);
+    if (isLoginBlockedUntilVerified() && !user.isEmailVerified()) {
+      await recordLoginResult({ ...attempt, user, outcome: LOGIN_OUTCOMES.EMAIL_NOT_VERIFIED });
+      return res.status(403).json({
+        message: 'Please verify your email address before logging in',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+
+    // Two-factor users get a short-lived challenge token instead of a session
+    if (user.mfa_enabled) {
+      await recordLoginResult({ ...attempt, user, outcome: LOGIN_OUTCOMES.MFA_REQUIRED });
+      console.log(`Password accepted, awaiting MFA code: ${user.username}`);
+      return res.json({
+        message: 'Two-factor authentication required',
+        mfaRequired: true,
+        mfaToken: signMfaChallengeToken(user)
+      });
+    }
 
-    // Create JWT token payload
-    const tokenPayload = {
-      user: {
-        id: user.id,
-        username: user.username,
-        role: user.role
-      }
-    };
+    const attemptId = await recordLoginResult({ ...attempt, user, outcome: LOGIN_OUTCOMES.SUCCESS });
+    console.log(`User authenticated: ${user.username} (${user.role})`);
 
-    // Generate JWT token
-    const token = jwt.sign(
-      tokenPayload,
-      config.jwtSecret,
-      { expiresIn: config.jwtExpiration }
-    );
+    // Start a new session (access token + refresh token)
+    const session = await createSession(user, client);
+    await notifyNewLoginClient(user, client, attemptId);
 
-    // Send back token and user info
+    // Send back tokens and user info
     res.json({
       message: 'Login successful',
-      token,
+      ...sendSessionTokens(res, session),
       user: {
         id: user.id,
         username: user.username,
         email: user.email,
-        role: user.role
+        role: user.role,
+        roles: user.roles,
+        emailVerified: user.isEmailVerified()
       }
     });
 
@@ -185,6 +321,375 @@ router.post('/login', [
   }
 });
 
+/**
+ * Token Refresh
+ * POST /api/auth/refresh
+ *
+ * Exchanges a refresh token for a new access token and refresh token.
+ * The presented refresh token is rotated and can never be used again;
+ * reusing an already-rotated token revokes the whole session.
+ *
+ * @body {string} [refreshToken] - Refresh token from login or a previous refresh;
+ *   in cookie mode it is read from the refresh cookie instead, and the
+ *   X-CSRF-Token header must match the CSRF cookie
+ * @returns {Object} New JWT token and refresh token (in cookie mode, the CSRF token)
+ */
+router.post('/refresh', [
+  check('refreshToken', 'Refresh token is required').optional().isString().notEmpty()
+], async (req, res) => {
+
+  const errors = validationResult(req);
+  const { refreshToken, fromCookie } = getRefreshToken(req);
+  if (!errors.isEmpty() || !refreshToken) {
+    return res.status(400).json({
+      message: 'Please provide a refresh token',
+      errors: errors.array()
+    });
+  }
+
+  if (fromCookie && !checkCsrfToken(req)) {
+    return res.status(403).json({
+      message: 'Missing or invalid CSRF token',
+      code: 'CSRF_TOKEN_INVALID'
+    });
+  }
+
+  try {
+    const session = await rotateSession(refreshToken, getClientInfo(req));
+    if (!session) {
+      if (fromCookie) {
+        clearSessionCookies(res);
+      }
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
+
+    // Clients that sent the refresh token themselves get the new pair back the same way
+    res.json({
+      message: 'Token refreshed successfully',
+      ...(fromCookie
+        ? sendSessionTokens(res, session)
+        : { token: session.token, refreshToken: session.refreshToken })
+    });
+
+  } catch (error) {
+    console.error('Token refresh error:', error.message);
+    res.status(500).json({ message: 'Token refresh failed, please try again' });
+  }
+});
+
+/**
+ * Logout
+ * POST /api/auth/logout
+ *
+ * Ends the session the access token belongs to. Its refresh tokens are
+ * revoked and the access token is rejected from then on. In cookie mode
+ * the session cookies are cleared; ending an impersonation only clears
+ * the impersonation cookie, so the administrator stays signed in.
+ *
+ * @header {string} x-auth-token - JWT token
+ * @returns {Object} Success confirmation
+ */
+router.post('/logout', authenticateToken, requireInteractiveSession, async (req, res) => {
+  try {
+    await RefreshToken.revokeFamily(req.sessionId);
+
+    if (req.impersonator) {
+      await recordImpersonationStop(req);
+    }
+
+    clearSessionCookies(res, { impersonationOnly: Boolean(req.impersonator) });
+
+    console.log(`User logged out: ${req.user.username}`);
+    res.json({ message: 'Logged out successfully' });
+
+  } catch (error) {
+    console.error('Logout error:', error.message);
+    res.status(500).json({ message: 'Logout failed, please try again' });
+  }
+});
+
+/**
+ * Logout Everywhere
+ * POST /api/auth/logout-all
+ *
+ * Ends every session of the current user, on all devices. Not
+ * available while impersonating.
+ *
+ * @header {string} x-auth-token - JWT token
+ * @returns {Object} Success confirmation
+ */
+router.post('/logout-all', authenticateToken, requireInteractiveSession, blockWhileImpersonating, async (req, res) => {
+  try {
+    await RefreshToken.revokeAllForUser(req.user.id);
+    clearSessionCookies(res);
+
+    console.log(`User logged out everywhere: ${req.user.username}`);
+    res.json({ message: 'Logged out from all devices' });
+
+  } catch (error) {
+    console.error('Logout-all error:', error.message);
+    res.status(500).json({ message: 'Logout failed, please try again' });
+  }
+});
+
+/**
+ * Stop Impersonating
+ * POST /api/auth/impersonation/stop
+ *
+ * Ends the impersonation session the access token belongs to. The
+ * administrator's own session is not affected; the dashboard switches
+ * back to it (in cookie mode, by clearing the impersonation cookie).
+ *
+ * @header {string} x-auth-token - Impersonation token
+ * @returns {Object} Success confirmation
+ */
+router.post('/impersonation/stop', authenticateToken, requireInteractiveSession, async (req, res) => {
+  if (!req.impersonator) {
+    return res.status(400).json({ message: 'This session is not an impersonation' });
+  }
+
+  try {
+    await RefreshToken.revokeFamily(req.sessionId);
+    await recordImpersonationStop(req);
+    clearSessionCookies(res, { impersonationOnly: true });
+
+    console.log(`Impersonation ended: ${req.user.username} by ${req.impersonator.username}`);
+    res.json({ message: `Stopped impersonating ${req.user.username}` });
+
+  } catch (error) {
+    console.error('Error stopping impersonation:', error.message);
+    res.status(500).json({ message: 'Could not stop impersonating, please try again' });
+  }
+});
+
+/**
+ * Forgot Password
+ * POST /api/auth/forgot-password
+ *
+ * Emails a single-use password reset link if an account exists for the
+ * address. The response is the same either way so it cannot be used to
+ * discover which emails are registered.
+ *
+ * @body {string} email - Account email address
+ * @returns {Object} Generic confirmation message
+ */
+router.post('/forgot-password', [
+  passwordResetLimiter,
+  check('email', 'Please provide a valid email').isEmail()
+], async (req, res) => {
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Please check your input',
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const user = await User.findByEmail(req.body.email);
+
+    if (user) {
+      const token = generateToken();
+      await PasswordReset.create({
+        userId: user.id,
+        tokenHash: hashToken(token),
+        expiresIn: config.passwordResetExpiration
+      });
+
+      const resetLink = `${config.appBaseUrl}/reset-password.html?token=${token}`;
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your password',
+        text: [
+          `Hello ${user.username},`,
+          '',
+          'We received a request to reset your password. Use the link below to choose a new one:',
+          resetLink,
+          '',
+          `This link expires in ${Math.round(config.passwordResetExpiration / 60)} minutes and can only be used once.`,
+          'If you did not request a password reset, you can ignore this email.'
+        ].join('\n')
+      });
+
+      console.log(`Password reset requested: ${user.username}`);
+    }
+
+    res.json({
+      message: 'If an account exists for that email, a password reset link has been sent'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error.message);
+    res.status(500).json({ message: 'Could not process password reset request' });
+  }
+});
+
+/**
+ * Reset Password
+ * POST /api/auth/reset-password
+ *
+ * Sets a new password using a token from a password reset email. The
+ * token is consumed and every session and personal access token of the
+ * user is revoked.
+ *
+ * @body {string} token - Reset token from the emailed link
+ * @body {string} password - New password meeting the password policy
+ * @returns {Object} Success confirmation
+ */
+router.post('/reset-password', [
+  passwordResetLimiter,
+  check('token', 'Reset token is required').isString().notEmpty(),
+  check('password', 'Password is required').isString().notEmpty()
+], async (req, res) => {
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Please check your input',
+      errors: errors.array()
+    });
+  }
+
+  const { token, password } = req.body;
+
+  try {
+    const reset = await PasswordReset.findValidByHash(hashToken(token));
+    if (!reset) {
+      return res.status(400).json({ message: 'Invalid or expired reset link' });
+    }
+
+    const user = await User.findById(reset.user_id);
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired reset link' });
+    }
+
+    // Checked before the token is consumed so the user can try another password
+    const passwordProblems = await validatePassword(password, {
+      username: user.username,
+      email: user.email,
+      userId: user.id
+    });
+    if (passwordProblems.length > 0) {
+      return res.status(400).json({
+        message: 'Password does not meet the password policy',
+        field: 'password',
+        errors: passwordProblems.map(msg => ({ msg, path: 'password' }))
+      });
+    }
+
+    // Consume the token before changing anything so it cannot be replayed
+    const consumed = await PasswordReset.markUsed(reset.id);
+    if (!consumed) {
+      return res.status(400).json({ message: 'Invalid or expired reset link' });
+    }
+
+    await setPassword(user, password);
+
+    // Whoever knew the old password must not stay signed in, nor keep
+    // using tokens they created with it
+    await RefreshToken.revokeAllForUser(reset.user_id);
+    await PersonalAccessToken.revokeAllForUser(reset.user_id);
+
+    console.log(`Password reset completed for user ID ${reset.user_id}`);
+    res.json({ message: 'Password has been reset, please log in' });
+
+  } catch (error) {
+    console.error('Reset password error:', error.message);
+    res.status(500).json({ message: 'Could not reset password' });
+  }
+});
+
+/**
+ * Verify Email
+ * POST /api/auth/verify-email
+ *
+ * Marks the user's email address as verified using the token from the
+ * verification email. The token only works while the account still has
+ * the address it was sent to.
+ *
+ * @body {string} token - Verification token from the emailed link
+ * @returns {Object} Success confirmation
+ */
+router.post('/verify-email', [
+  check('token', 'Verification token is required').isString().notEmpty()
+], async (req, res) => {
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Please check your input',
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const verification = await EmailVerification.findValidByHash(hashToken(req.body.token));
+    if (!verification) {
+      return res.status(400).json({ message: 'Invalid or expired verification link' });
+    }
+
+    const consumed = await EmailVerification.markUsed(verification.id);
+    if (!consumed) {
+      return res.status(400).json({ message: 'Invalid or expired verification link' });
+    }
+
+    const verified = await User.markEmailVerified(verification.user_id, verification.email);
+    if (!verified) {
+      return res.status(400).json({ message: 'This link is for an email address no longer on the account' });
+    }
+
+    console.log(`Email verified for user ID ${verification.user_id}`);
+    res.json({ message: 'Email address verified successfully' });
+
+  } catch (error) {
+    console.error('Email verification error:', error.message);
+    res.status(500).json({ message: 'Could not verify email address' });
+  }
+});
+
+/**
+ * Resend Verification Email
+ * POST /api/auth/resend-verification
+ *
+ * Sends a new verification link if the address belongs to an unverified
+ * account. Public so that users blocked from logging in can use it; the
+ * response is the same whether or not the account exists.
+ *
+ * @body {string} email - Account email address
+ * @returns {Object} Generic confirmation message
+ */
+router.post('/resend-verification', [
+  verificationLimiter,
+  check('email', 'Please provide a valid email').isEmail()
+], async (req, res) => {
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Please check your input',
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const user = await User.findByEmail(req.body.email);
+
+    if (user && !user.isEmailVerified()) {
+      await sendVerificationEmail(user);
+      console.log(`Verification email resent: ${user.username}`);
+    }
+
+    res.json({
+      message: 'If an unverified account exists for that email, a verification link has been sent'
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error.message);
+    res.status(500).json({ message: 'Could not send verification email' });
+  }
+});
+
 /**
  * User Profile Retrieval
  * GET /api/auth/me
@@ -195,7 +700,7 @@ router.post('/login', [
  * @header {string} Authorization - Bearer JWT token
  * @returns {Object} User profile data
  */
-router.get('/me', authenticateToken, async (req, res) => {
+router.get('/me', authenticateToken, requireScope(PROFILE_SCOPE), async (req, res) => {
   try {
     // req.user is set by the authenticateToken middleware
     const userId = req.user.id;
@@ -209,7 +714,8 @@ router.get('/me', authenticateToken, async (req, res) => {
     // Return user profile (password automatically excluded by toJSON method)
     res.json({
       message: 'Profile retrieved successfully',
-      user: user.toJSON()
+      user: user.toJSON(),
+      impersonator: req.impersonator
     });
 
   } catch (error) {
@@ -224,6 +730,9 @@ router.get('/me', authenticateToken, async (req, res) => {
  *
  * Allows authenticated users to update their own profile information.
  * Users can only update their own profile, not other users' profiles.
+ * Changing the email address marks it unverified and sends a new
+ * verification link to the new address. Not available while
+ * impersonating.
  *
  * @param {string} username - New username (optional)
  * @param {string} email - New email address (optional)
@@ -232,6 +741,8 @@ router.get('/me', authenticateToken, async (req, res) => {
  */
 router.put('/me', [
   authenticateToken,
+  requireInteractiveSession,
+  blockWhileImpersonating,
   // Input validation
   check('username', 'Username must be at least 3 characters').optional().isLength({ min: 3 }),
   check('email', 'Please provide a valid email').optional().isEmail()
@@ -278,12 +789,24 @@ router.put('/me', [
     }
 
     // Update the user profile
-    const updatedUser = await User.updateUser(userId, {
+    let updatedUser = await User.updateUser(userId, {
       username: username || existingUser.username,
       email: email || existingUser.email,
       role: existingUser.role // Keep the same role
     });
 
+    // A new address has to be verified again
+    if (email && email !== existingUser.email) {
+      await User.resetEmailVerification(userId);
+      updatedUser = await User.findById(userId);
+
+      try {
+        await sendVerificationEmail(updatedUser);
+      } catch (mailError) {
+        console.error('Error sending verification email:', mailError.message);
+      }
+    }
+
     res.json({
       message: 'Profile updated successfully',
       user: updatedUser.toJSON()
@@ -314,4 +837,106 @@ router.put('/me', [
   }
 });
 
+/**
+ * Password Policy
+ * GET /api/auth/password-policy
+ *
+ * Returns the rules new passwords must meet, so forms can show them.
+ * Public endpoint - no authentication required.
+ *
+ * @returns {Object} Password policy settings and rule descriptions
+ */
+router.get('/password-policy', (req, res) => {
+  res.json(getPasswordPolicy());
+});
+
+/**
+ * Change Password
+ * PUT /api/auth/me/password
+ *
+ * Changes the current user's password after verifying the current one.
+ * Every other session of the user is revoked; the session making the
+ * change stays signed in. Wrong current passwords count towards the
+ * same account and IP throttle as failed logins. Not available while
+ * impersonating.
+ *
+ * @body {string} currentPassword - User's current password
+ * @body {string} newPassword - New password meeting the password policy
+ * @header {string} x-auth-token - JWT token
+ * @returns {Object} Success confirmation
+ */
+router.put('/me/password', [
+  authenticateToken,
+  requireInteractiveSession,
+  blockWhileImpersonating,
+  // Input validation
+  check('currentPassword', 'Current password is required').notEmpty(),
+  check('newPassword', 'New password is required').isString().notEmpty(),
+  check('newPassword', 'New password must be different from the current password')
+    .custom((value, { req }) => value !== req.body.currentPassword)
+], async (req, res) => {
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Invalid input data',
+      errors: errors.array()
+    });
+  }
+
+  const { currentPassword, newPassword } = req.body;
+
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const client = getClientInfo(req);
+    const attempt = { user, identifier: user.username, ipAddress: req.ip, userAgent: client.userAgent };
+
+    // Throttled like a login, so a hijacked session cannot guess the password either
+    const throttle = await checkLoginAllowed({ user, ipAddress: req.ip });
+    if (!throttle.allowed) {
+      await recordLoginResult({ ...attempt, outcome: LOGIN_OUTCOMES.THROTTLED });
+      return sendLoginThrottled(res, throttle.retryAfter);
+    }
+
+    // Require the current password so a hijacked session cannot take over the account
+    const isPasswordValid = await user.checkPassword(currentPassword);
+    if (!isPasswordValid) {
+      await recordLoginResult({ ...attempt, outcome: LOGIN_OUTCOMES.INVALID_PASSWORD });
+      return res.status(400).json({
+        message: 'Current password is incorrect',
+        field: 'currentPassword'
+      });
+    }
+
+    const passwordProblems = await validatePassword(newPassword, {
+      username: user.username,
+      email: user.email,
+      userId: user.id
+    });
+    if (passwordProblems.length > 0) {
+      return res.status(400).json({
+        message: 'Password does not meet the password policy',
+        field: 'newPassword',
+        errors: passwordProblems.map(msg => ({ msg, path: 'newPassword' }))
+      });
+    }
+
+    await setPassword(user, newPassword);
+
+    // Sign out every other device
+    await RefreshToken.revokeAllForUser(user.id, req.sessionId);
+
+    console.log(`Password changed: ${user.username}`);
+    res.json({ message: 'Password changed successfully' });
+
+  } catch (error) {
+    console.error('Error changing password:', error.message);
+    res.status(500).json({ message: 'Could not change password' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,549 @@
+/**
+ * Group Management Routes - User Management System
+ *
+ * This module lets administrators manage groups (teams) of users. Roles
+ * and individual permissions granted to a group apply to all of its
+ * members, and to the members of its child groups. Nobody can grant,
+ * or add users to, access they do not hold themselves. Roles that need
+ * a second administrator's approval cannot be granted through groups.
+ *
+ * Available endpoints:
+ * - GET /api/groups - Retrieve all groups
+ * - GET /api/groups/:id - Retrieve specific group with its members
+ * - POST /api/groups - Create group
+ * - PUT /api/groups/:id - Update group name, parent and grants
+ * - DELETE /api/groups/:id - Delete group
+ * - POST /api/groups/:id/members - Add a member
+ * - DELETE /api/groups/:id/members/:userId - Remove a member
+ *
+ * @author Development Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+
+const { User } = require('../models/User');
+const { Role } = require('../models/Role');
+const { Group } = require('../models/Group');
+const { PERMISSIONS } = require('../models/Permission');
+const {
+  authenticateToken,
+  authenticateUserOrClient,
+  requirePermission,
+  resolveOrganizationScope,
+  requireVerifiedEmail,
+  requireMfaEnrollment
+} = require('../middleware/auth');
+const { resolveGrants, resolveAccess, isInOrganizationScope } = require('../utils/access');
+const { findApprovalRequiredRoles, findApprovalRequiredPermissions } = require('../utils/roleGrants');
+
+/**
+ * Get Group Permissions
+ *
+ * Every permission the members of a group would receive, through its
+ * roles, its individual permissions and its parent groups.
+ *
+ * @param {Object} grants - What the group grants
+ * @param {string[]} grants.roles - Role names
+ * @param {string[]} grants.permissions - Permission names
+ * @param {number|null} grants.parentId - Parent group ID
+ * @returns {Promise<string[]>} Effective permission names
+ */
+async function getGroupPermissions({ roles, permissions, parentId }) {
+  const inherited = parentId
+    ? await Group.getGrants([parentId])
+    : { roles: [], permissions: [] };
+
+  const resolved = await resolveGrants(
+    [...roles, ...inherited.roles],
+    [...permissions, ...inherited.permissions]
+  );
+  return resolved.permissions;
+}
+
+/**
+ * Find Ungranted Permissions
+ *
+ * @param {Object} req - Request with permissions set by requirePermission
+ * @param {string[]} permissions - Permissions about to be granted
+ * @returns {string[]} Permissions the acting user does not hold
+ */
+function findUngrantedPermissions(req, permissions) {
+  return permissions.filter(permission => !req.permissions.includes(permission));
+}
+
+// Validator for role lists - every role must exist
+const rolesExist = async (value) => {
+  for (const roleName of value) {
+    if (typeof roleName !== 'string' || !(await Role.findByName(roleName))) {
+      throw new Error(`Unknown role: ${roleName}`);
+    }
+  }
+  return true;
+};
+
+// Validator for permission lists - every entry must be in the catalog
+const permissionsInCatalog = (value) => {
+  const known = Object.values(PERMISSIONS);
+  const unknown = value.filter(permission => !known.includes(permission));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown permissions: ${unknown.join(', ')}`);
+  }
+  return true;
+};
+
+/**
+ * Retrieve All Groups
+ * GET /api/groups
+ *
+ * Requires the groups:read permission.
+ *
+ * @returns {Array} Groups with their grants and number of members
+ */
+router.get('/', authenticateUserOrClient, requirePermission(PERMISSIONS.GROUPS_READ), requireVerifiedEmail, requireMfaEnrollment, async (req, res) => {
+  try {
+    res.json(await Group.findAll());
+  } catch (error) {
+    console.error('Error getting groups:', error.message);
+    res.status(500).json({ message: 'Could not retrieve groups' });
+  }
+});
+
+/**
+ * Retrieve Group by ID
+ * GET /api/groups/:id
+ *
+ * Requires the groups:read permission.
+ *
+ * @param {number} id - Group ID
+ * @returns {Object} Group with its grants and members
+ */
+router.get('/:id', authenticateUserOrClient, requirePermission(PERMISSIONS.GROUPS_READ), requireVerifiedEmail, requireMfaEnrollment, async (req, res) => {
+  try {
+    const group = await Group.findById(req.params.id);
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    res.json({
+      ...group,
+      members: await Group.getMembers(group.id)
+    });
+  } catch (error) {
+    console.error(`Error getting group ${req.params.id}:`, error.message);
+    res.status(500).json({ message: 'Could not retrieve group' });
+  }
+});
+
+/**
+ * Create Group
+ * POST /api/groups
+ *
+ * A group cannot grant roles or permissions that need a second
+ * administrator's approval; those are requested per user instead.
+ * Requires the groups:manage permission.
+ *
+ * @body {string} name - Unique group name, e.g. "Support Team"
+ * @body {string} [description] - What the group is for
+ * @body {number} [parentId] - Parent group whose grants members also receive
+ * @body {string[]} [roles] - Role names granted to members
+ * @body {string[]} [permissions] - Permission names granted to members
+ * @returns {Object} Created group
+ */
+router.post('/', [
+  authenticateToken,
+  requirePermission(PERMISSIONS.GROUPS_MANAGE),
+  requireVerifiedEmail,
+  requireMfaEnrollment,
+
+  check('name', 'Group name must be 2-100 characters').isString().trim().isLength({ min: 2, max: 100 }),
+  check('description', 'Description must be at most 255 characters').optional({ values: 'null' }).isString().isLength({ max: 255 }),
+  check('parentId', 'Parent group must be a group ID').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+  check('roles', 'Roles must be a list').optional().isArray().bail().custom(rolesExist),
+  check('permissions', 'Permissions must be a list').optional().isArray().bail().custom(permissionsInCatalog)
+], async (req, res) => {
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Invalid input data',
+      errors: errors.array()
+    });
+  }
+
+  const { name, description = null, parentId = null } = req.body;
+  const roles = [...new Set(req.body.roles || [])];
+  const permissions = [...new Set(req.body.permissions || [])];
+
+  try {
+    if (parentId && !(await Group.findById(parentId))) {
+      return res.status(400).json({
+        message: 'Parent group not found',
+        field: 'parentId'
+      });
+    }
+
+    const gatedRoles = await findApprovalRequiredRoles(roles);
+    if (gatedRoles.length > 0) {
+      return res.status(400).json({
+        message: `Roles that need approval cannot be granted through a group: ${gatedRoles.join(', ')}`,
+        field: 'roles'
+      });
+    }
+
+    const groupPermissions = await getGroupPermissions({ roles, permissions, parentId });
+    const gatedPermissions = await findApprovalRequiredPermissions(groupPermissions);
+    if (gatedPermissions.length > 0) {
+      return res.status(400).json({
+        message: `Permissions that need approval cannot be granted through a group: ${gatedPermissions.join(', ')}`,
+        field: 'permissions'
+      });
+    }
+
+    const ungranted = findUngrantedPermissions(req, groupPermissions);
+    if (ungranted.length > 0) {
+      return res.status(403).json({
+        message: `You cannot grant permissions you do not have: ${ungranted.join(', ')}`
+      });
+    }
+
+    if (await Group.findByName(name)) {
+      return res.status(400).json({
+        message: 'Group already exists',
+        field: 'name'
+      });
+    }
+
+    const group = await Group.create({ name, description, parentId, roles, permissions });
+
+    console.log(`Group created: ${name} by ${req.user.username}`);
+    res.status(201).json({
+      message: 'Group created successfully',
+      group
+    });
+
+  } catch (error) {
+    console.error('Error creating group:', error.message);
+    res.status(500).json({ message: 'Could not create group' });
+  }
+});
+
+/**
+ * Update Group
+ * PUT /api/groups/:id
+ *
+ * Changing what a group grants requires holding every permission that
+ * is added or removed, including through roles and the parent group.
+ * Roles and permissions that need approval cannot be added.
+ * Requires the groups:manage permission.
+ *
+ * @param {number} id - Group ID
+ * @body {string} [name] - New name
+ * @body {string} [description] - New description
+ * @body {number|null} [parentId] - New parent group, null for none
+ * @body {string[]} [roles] - Replaces all granted roles
+ * @body {string[]} [permissions] - Replaces all granted permissions
+ * @returns {Object} Updated group
+ */
+router.put('/:id', [
+  authenticateToken,
+  requirePermission(PERMISSIONS.GROUPS_MANAGE),
+  requireVerifiedEmail,
+  requireMfaEnrollment,
+
+  check('name', 'Group name must be 2-100 characters').optional().isString().trim().isLength({ min: 2, max: 100 }),
+  check('description', 'Description must be at most 255 characters').optional({ values: 'null' }).isString().isLength({ max: 255 }),
+  check('parentId', 'Parent group must be a group ID').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+  check('roles', 'Roles must be a list').optional().isArray().bail().custom(rolesExist),
+  check('permissions', 'Permissions must be a list').optional().isArray().bail().custom(permissionsInCatalog)
+], async (req, res) => {
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Invalid input data',
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const group = await Group.findById(req.params.id);
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    const { name, description, parentId } = req.body;
+    const roles = req.body.roles !== undefined ? [...new Set(req.body.roles)] : undefined;
+    const permissions = req.body.permissions !== undefined ? [...new Set(req.body.permissions)] : undefined;
+
+    if (parentId) {
+      if (!(await Group.findById(parentId))) {
+        return res.status(400).json({
+          message: 'Parent group not found',
+          field: 'parentId'
+        });
+      }
+
+      // The group must not end up as its own ancestor
+      const ancestors = await Group.expandWithAncestors([parentId]);
+      if (ancestors.some(ancestor => ancestor.id === group.id)) {
+        return res.status(400).json({
+          message: 'A group cannot be nested inside itself',
+          field: 'parentId'
+        });
+      }
+    }
+
+    if (roles !== undefined) {
+      const gatedRoles = await findApprovalRequiredRoles(roles.filter(role => !group.roles.includes(role)));
+      if (gatedRoles.length > 0) {
+        return res.status(400).json({
+          message: `Roles that need approval cannot be granted through a group: ${gatedRoles.join(', ')}`,
+          field: 'roles'
+        });
+      }
+    }
+
+    if (name && name !== group.name) {
+      const existing = await Group.findByName(name);
+      if (existing && existing.id !== group.id) {
+        return res.status(400).json({
+          message: 'Group already exists',
+          field: 'name'
+        });
+      }
+    }
+
+    // Both granting and revoking a permission require holding it
+    const before = await getGroupPermissions({
+      roles: group.roles,
+      permissions: group.permissions,
+      parentId: group.parent_id
+    });
+    const after = await getGroupPermissions({
+      roles: roles !== undefined ? roles : group.roles,
+      permissions: permissions !== undefined ? permissions : group.permissions,
+      parentId: parentId !== undefined ? parentId : group.parent_id
+    });
+    const added = after.filter(permission => !before.includes(permission));
+    const gatedPermissions = await findApprovalRequiredPermissions(added);
+    if (gatedPermissions.length > 0) {
+      return res.status(400).json({
+        message: `Permissions that need approval cannot be granted through a group: ${gatedPermissions.join(', ')}`,
+        field: 'permissions'
+      });
+    }
+
+    const changed = [
+      ...added,
+      ...before.filter(permission => !after.includes(permission))
+    ];
+    const ungranted = findUngrantedPermissions(req, changed);
+    if (ungranted.length > 0) {
+      return res.status(403).json({
+        message: `You cannot change permissions you do not have: ${ungranted.join(', ')}`
+      });
+    }
+
+    const updatedGroup = await Group.update(group.id, {
+      name,
+      description,
+      parentId,
+      roles,
+      permissions
+    });
+
+    console.log(`Group updated: ${updatedGroup.name} by ${req.user.username}`);
+    res.json({
+      message: 'Group updated successfully',
+      group: updatedGroup
+    });
+
+  } catch (error) {
+    console.error('Error updating group:', error.message);
+    res.status(500).json({ message: 'Could not update group' });
+  }
+});
+
+/**
+ * Delete Group
+ * DELETE /api/groups/:id
+ *
+ * Members lose everything the group granted; child groups become
+ * top-level groups.
+ * Requires the groups:manage permission.
+ *
+ * @param {number} id - Group ID
+ * @returns {Object} Success confirmation
+ */
+router.delete('/:id', authenticateToken, requirePermission(PERMISSIONS.GROUPS_MANAGE), requireVerifiedEmail, requireMfaEnrollment, async (req, res) => {
+  try {
+    const group = await Group.findById(req.params.id);
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    const groupPermissions = await getGroupPermissions({
+      roles: group.roles,
+      permissions: group.permissions,
+      parentId: group.parent_id
+    });
+    if (findUngrantedPermissions(req, groupPermissions).length > 0) {
+      return res.status(403).json({
+        message: 'You cannot delete a group with permissions you do not have'
+      });
+    }
+
+    const deleted = await Group.delete(group.id);
+    if (!deleted) {
+      return res.status(500).json({ message: 'Failed to delete group' });
+    }
+
+    console.log(`Group deleted: ${group.name} by ${req.user.username}`);
+    res.json({ message: `Group '${group.name}' deleted successfully` });
+
+  } catch (error) {
+    console.error('Error deleting group:', error.message);
+    res.status(500).json({ message: 'Could not delete group' });
+  }
+});
+
+/**
+ * Add Group Member
+ * POST /api/groups/:id/members
+ *
+ * Requires the groups:manage permission and every permission the group
+ * grants. A user cannot be added to a group that would give them
+ * permissions needing approval they do not already have. Only users in
+ * your organizations can be added, unless you have users:global.
+ *
+ * @param {number} id - Group ID
+ * @body {number} userId - User to add
+ * @returns {Object} Updated member list
+ */
+router.post('/:id/members', [
+  authenticateToken,
+  requirePermission(PERMISSIONS.GROUPS_MANAGE),
+  resolveOrganizationScope,
+  requireVerifiedEmail,
+  requireMfaEnrollment,
+
+  check('userId', 'User ID is required').isInt({ min: 1 }).toInt()
+], async (req, res) => {
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Invalid input data',
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const group = await Group.findById(req.params.id);
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    const user = await User.findById(req.body.userId);
+    if (!user || !isInOrganizationScope(req.organizationScope, user)) {
+      return res.status(404).json({
+        message: 'User not found',
+        field: 'userId'
+      });
+    }
+
+    const groupPermissions = await getGroupPermissions({
+      roles: group.roles,
+      permissions: group.permissions,
+      parentId: group.parent_id
+    });
+    if (findUngrantedPermissions(req, groupPermissions).length > 0) {
+      return res.status(403).json({
+        message: 'You cannot add members to a group with permissions you do not have'
+      });
+    }
+
+    const userAccess = await resolveAccess(user);
+    const gatedPermissions = await findApprovalRequiredPermissions(
+      groupPermissions.filter(permission => !userAccess.permissions.includes(permission))
+    );
+    if (gatedPermissions.length > 0) {
+      return res.status(400).json({
+        message: `Members cannot be added to a group granting permissions that need approval: ${gatedPermissions.join(', ')}`,
+        field: 'userId'
+      });
+    }
+
+    const added = await Group.addMember(group.id, user.id);
+    if (!added) {
+      return res.status(409).json({ message: `${user.username} is already a member of this group` });
+    }
+
+    console.log(`Group member added: ${user.username} to ${group.name} by ${req.user.username}`);
+    res.status(201).json({
+      message: `${user.username} added to '${group.name}'`,
+      members: await Group.getMembers(group.id)
+    });
+
+  } catch (error) {
+    console.error('Error adding group member:', error.message);
+    res.status(500).json({ message: 'Could not add group member' });
+  }
+});
+
+/**
+ * Remove Group Member
+ * DELETE /api/groups/:id/members/:userId
+ *
+ * Requires the groups:manage permission and every permission the group
+ * grants. Only users in your organizations can be removed, unless you
+ * have users:global.
+ *
+ * @param {number} id - Group ID
+ * @param {number} userId - User to remove
+ * @returns {Object} Updated member list
+ */
+router.delete('/:id/members/:userId', authenticateToken, requirePermission(PERMISSIONS.GROUPS_MANAGE), resolveOrganizationScope, requireVerifiedEmail, requireMfaEnrollment, async (req, res) => {
+  try {
+    const group = await Group.findById(req.params.id);
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    const groupPermissions = await getGroupPermissions({
+      roles: group.roles,
+      permissions: group.permissions,
+      parentId: group.parent_id
+    });
+    if (findUngrantedPermissions(req, groupPermissions).length > 0) {
+      return res.status(403).json({
+        message: 'You cannot remove members from a group with permissions you do not have'
+      });
+    }
+
+    const user = await User.findById(req.params.userId);
+    if (!user || !isInOrganizationScope(req.organizationScope, user)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const removed = await Group.removeMember(group.id, user.id);
+    if (!removed) {
+      return res.status(404).json({ message: 'User is not a member of this group' });
+    }
+
+    console.log(`Group member removed: ${user.username} from ${group.name} by ${req.user.username}`);
+    res.json({
+      message: `Member removed from '${group.name}'`,
+      members: await Group.getMembers(group.id)
+    });
+
+  } catch (error) {
+    console.error('Error removing group member:', error.message);
+    res.status(500).json({ message: 'Could not remove group member' });
+  }
+});
+
+module.exports = router;
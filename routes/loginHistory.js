@@ -0,0 +1,39 @@
+/**
+ * Login History Routes - User Management System
+ *
+ * This module lets users review the login attempts made on their
+ * account - successful and failed, with the IP address, device and
+ * outcome of each - so they can spot attempts that were not theirs.
+ * Attempts with an unknown username belong to no account and are not
+ * listed.
+ *
+ * Available endpoints:
+ * - GET /api/auth/login-history - Your latest login attempts
+ *
+ * @author Development Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const router = express.Router();
+const config = require('../config/default');
+const { LoginAttempt } = require('../models/LoginAttempt');
+const { authenticateToken, requireInteractiveSession } = require('../middleware/auth');
+
+/**
+ * Login History
+ * GET /api/auth/login-history
+ *
+ * @header {string} x-auth-token - JWT token
+ * @returns {Array} Your latest login attempts (config.loginHistory.maxEntries), newest first
+ */
+router.get('/', authenticateToken, requireInteractiveSession, async (req, res) => {
+  try {
+    res.json(await LoginAttempt.findByUser(req.user.id, config.loginHistory.maxEntries));
+  } catch (error) {
+    console.error('Error getting login history:', error.message);
+    res.status(500).json({ message: 'Could not retrieve login history' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,339 @@
+/**
+ * Magic Link Routes - User Management System
+ *
+ * This module handles passwordless sign-in: users who opted in can ask
+ * for a single-use, short-lived link by email and exchange it for a
+ * normal session. Opening the link does not sign in: the link page only
+ * posts the token back once the user clicks its sign-in button, so mail
+ * scanners that open links, even ones that run scripts, cannot use it
+ * up. Two-factor users still need their code after the link. Every
+ * link issued is written to the audit log.
+ *
+ * Available endpoints:
+ * - POST /api/auth/magic-link - Email a sign-in link
+ * - POST /api/auth/magic-link/verify - Exchange a sign-in link for a session
+ * - GET /api/auth/magic-link/settings - Whether sign-in links are on for you
+ * - PUT /api/auth/magic-link/settings - Turn sign-in links on or off
+ *
+ * @author Development Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const { check, validationResult } = require('express-validator');
+const config = require('../config/default');
+const { User } = require('../models/User');
+const { MagicLink } = require('../models/MagicLink');
+const { AuditLog, AUDIT_ACTIONS } = require('../models/AuditLog');
+const { LOGIN_OUTCOMES } = require('../models/LoginAttempt');
+const {
+  authenticateToken,
+  requireScope,
+  requireInteractiveSession,
+  blockWhileImpersonating
+} = require('../middleware/auth');
+const { createSession, generateToken, hashToken, signMfaChallengeToken } = require('../utils/tokens');
+const { sendMail } = require('../utils/mailer');
+const { sendSessionTokens } = require('../utils/sessionCookies');
+const { getClientInfo, describeDevice } = require('../utils/clientInfo');
+const { checkLoginAllowed, recordLoginResult, sendLoginThrottled } = require('../utils/loginThrottle');
+const { notifyNewLoginClient } = require('../utils/loginNotifications');
+const { PROFILE_SCOPE } = require('../utils/personalAccessTokens');
+
+// One hour in seconds, the window of the per-user link cap
+const LINK_CAP_WINDOW = 3600;
+
+// Rate limit for requesting sign-in links, which send email
+const magicLinkLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5,
+  message: {
+    message: 'Too many sign-in link requests, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Rate limit for exchanging sign-in links
+const magicLinkVerifyLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  message: {
+    message: 'Too many sign-in attempts, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+/**
+ * Can Use Magic Links
+ *
+ * Links are only sent to, and only accepted for, users who opted in and
+ * whose email address is verified.
+ *
+ * @param {User|null} user - User to check
+ * @returns {boolean} True if the user can sign in by link
+ */
+function canUseMagicLinks(user) {
+  return Boolean(config.magicLinks.enabled && user && user.magic_link_enabled && user.isEmailVerified());
+}
+
+/**
+ * Request Sign-In Link
+ * POST /api/auth/magic-link
+ *
+ * Emails a single-use sign-in link if the address belongs to an account
+ * that opted in to sign-in links and is verified, and the account has
+ * not reached its hourly cap. The response is the same either way so it
+ * cannot be used to discover which emails are registered.
+ *
+ * @body {string} email - Account email address
+ * @returns {Object} Generic confirmation message
+ */
+router.post('/', [
+  magicLinkLimiter,
+  check('email', 'Please provide a valid email').isEmail()
+], async (req, res) => {
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Please check your input',
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const user = await User.findByEmail(req.body.email);
+
+    if (canUseMagicLinks(user)) {
+      const { expiration, maxPerHour } = config.magicLinks;
+      const recent = await MagicLink.countRecentByUser(user.id, LINK_CAP_WINDOW);
+
+      if (recent >= maxPerHour) {
+        console.log(`Sign-in link not sent, hourly cap reached: ${user.username}`);
+      } else {
+        const client = getClientInfo(req);
+        const token = generateToken();
+        const linkId = await MagicLink.create({
+          userId: user.id,
+          tokenHash: hashToken(token),
+          expiresIn: expiration,
+          ipAddress: client.ipAddress
+        });
+
+        await AuditLog.record({
+          action: AUDIT_ACTIONS.MAGIC_LINK_ISSUE,
+          actor: null,
+          targetUserId: user.id,
+          details: { linkId, username: user.username, device: describeDevice(client.userAgent) },
+          ipAddress: client.ipAddress
+        });
+
+        const signInLink = `${config.appBaseUrl}/magic-link.html?token=${token}`;
+        await sendMail({
+          to: user.email,
+          subject: 'Your sign-in link',
+          text: [
+            `Hello ${user.username},`,
+            '',
+            'Use the link below to sign in to your account:',
+            signInLink,
+            '',
+            `This link expires in ${Math.round(expiration / 60)} minutes and can only be used once.`,
+            `It was requested from ${describeDevice(client.userAgent)} at IP address ${client.ipAddress || 'Unknown'}.`,
+            'If you did not request it, you can ignore this email.'
+          ].join('\n')
+        });
+
+        console.log(`Sign-in link sent: ${user.username}`);
+      }
+    }
+
+    res.json({
+      message: 'If sign-in links are turned on for that email, a link has been sent'
+    });
+
+  } catch (error) {
+    console.error('Sign-in link request error:', error.message);
+    res.status(500).json({ message: 'Could not send sign-in link' });
+  }
+});
+
+/**
+ * Sign In with Link
+ * POST /api/auth/magic-link/verify
+ *
+ * Exchanges the token of an emailed sign-in link for a session, like a
+ * password login. Like it, the exchange is refused with 429 while the
+ * account or IP is throttled or locked out; the link is then left
+ * unused. The link is used up even when the user still has to enter a
+ * two-factor code; the response then carries mfaRequired and an
+ * mfaToken to complete the login at POST /api/auth/mfa/verify. The login
+ * is kept in the login history.
+ *
+ * @body {string} token - Token from the emailed link
+ * @returns {Object} JWT token, refresh token (in cookie mode, a CSRF token) and user data
+ */
+router.post('/verify', [
+  magicLinkVerifyLimiter,
+  check('token', 'Sign-in token is required').isString().notEmpty()
+], async (req, res) => {
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Please check your input',
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const link = await MagicLink.findValidByHash(hashToken(req.body.token));
+    if (!link) {
+      return res.status(400).json({ message: 'Invalid or expired sign-in link' });
+    }
+
+    // Links stop working once the user opts out or their address changes
+    const user = await User.findById(link.user_id);
+    if (!canUseMagicLinks(user)) {
+      return res.status(400).json({ message: 'Invalid or expired sign-in link' });
+    }
+
+    const client = getClientInfo(req);
+    const attempt = { user, identifier: user.email, ipAddress: req.ip, userAgent: client.userAgent };
+
+    // A link must not get around a lockout any more than a correct password does
+    const throttle = await checkLoginAllowed({ user, ipAddress: req.ip });
+    if (!throttle.allowed) {
+      await recordLoginResult({ ...attempt, outcome: LOGIN_OUTCOMES.THROTTLED });
+      return sendLoginThrottled(res, throttle.retryAfter);
+    }
+
+    // Consume the link before signing in so it cannot be replayed
+    const consumed = await MagicLink.markUsed(link.id);
+    if (!consumed) {
+      return res.status(400).json({ message: 'Invalid or expired sign-in link' });
+    }
+
+    if (user.mfa_enabled) {
+      await recordLoginResult({ ...attempt, outcome: LOGIN_OUTCOMES.MFA_REQUIRED });
+      console.log(`Sign-in link accepted, awaiting MFA code: ${user.username}`);
+      return res.json({
+        message: 'Two-factor authentication required',
+        mfaRequired: true,
+        mfaToken: signMfaChallengeToken(user)
+      });
+    }
+
+    const attemptId = await recordLoginResult({ ...attempt, outcome: LOGIN_OUTCOMES.SUCCESS });
+    console.log(`User authenticated with sign-in link: ${user.username} (${user.role})`);
+
+    const session = await createSession(user, client);
+    await notifyNewLoginClient(user, client, attemptId);
+
+    res.json({
+      message: 'Login successful',
+      ...sendSessionTokens(res, session),
+      user: {
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        role: user.role,
+        roles: user.roles,
+        emailVerified: user.isEmailVerified()
+      }
+    });
+
+  } catch (error) {
+    console.error('Sign-in link error:', error.message);
+    res.status(500).json({ message: 'Login failed, please try again' });
+  }
+});
+
+/**
+ * Sign-In Link Settings
+ * GET /api/auth/magic-link/settings
+ *
+ * @header {string} x-auth-token - JWT token
+ * @returns {Object} Whether sign-in links are available on this system and turned on for you
+ */
+router.get('/settings', authenticateToken, requireScope(PROFILE_SCOPE), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({
+      available: config.magicLinks.enabled,
+      enabled: user.magic_link_enabled,
+      emailVerified: user.isEmailVerified()
+    });
+
+  } catch (error) {
+    console.error('Error getting sign-in link settings:', error.message);
+    res.status(500).json({ message: 'Could not retrieve sign-in link settings' });
+  }
+});
+
+/**
+ * Update Sign-In Link Settings
+ * PUT /api/auth/magic-link/settings
+ *
+ * Turns passwordless sign-in by emailed link on or off for the current
+ * user. Turning it on needs a verified email address. Not available
+ * while impersonating.
+ *
+ * @body {boolean} enabled - Whether sign-in links may be sent to you
+ * @header {string} x-auth-token - JWT token
+ * @returns {Object} Success confirmation
+ */
+router.put('/settings', [
+  authenticateToken,
+  requireInteractiveSession,
+  blockWhileImpersonating,
+  check('enabled', 'Enabled must be true or false').isBoolean({ strict: true })
+], async (req, res) => {
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Invalid input data',
+      errors: errors.array()
+    });
+  }
+
+  const enabled = req.body.enabled;
+
+  try {
+    if (enabled && !config.magicLinks.enabled) {
+      return res.status(400).json({ message: 'Sign-in links are not available' });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (enabled && !user.isEmailVerified()) {
+      return res.status(400).json({ message: 'Please verify your email address before turning on sign-in links' });
+    }
+
+    await User.setMagicLinkEnabled(user.id, enabled);
+
+    console.log(`Sign-in links ${enabled ? 'enabled' : 'disabled'}: ${user.username}`);
+    res.json({
+      message: enabled ? 'Sign-in links turned on' : 'Sign-in links turned off',
+      enabled
+    });
+
+  } catch (error) {
+    console.error('Error updating sign-in link settings:', error.message);
+    res.status(500).json({ message: 'Could not update sign-in link settings' });
+  }
+});
+
+module.exports = router;
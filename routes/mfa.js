@@ -0,0 +1,428 @@
+/**
+ * Two-Factor Authentication Routes - User Management System
+ *
+ * This module handles TOTP two-factor authentication: enrollment,
+ * recovery codes, and the second login step that exchanges an MFA
+ * challenge token plus a code for a normal session. Enrollment cannot
+ * be changed while an administrator is impersonating the user.
+ *
+ * Available endpoints:
+ * - GET /api/auth/mfa/status - Current MFA state
+ * - POST /api/auth/mfa/setup - Start enrollment (new secret and QR code)
+ * - POST /api/auth/mfa/enable - Confirm enrollment with a code
+ * - POST /api/auth/mfa/disable - Turn MFA off
+ * - POST /api/auth/mfa/recovery-codes - Regenerate recovery codes
+ * - POST /api/auth/mfa/verify - Second login step
+ *
+ * @author Development Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const QRCode = require('qrcode');
+const { check, validationResult } = require('express-validator');
+const config = require('../config/default');
+const { User } = require('../models/User');
+const { MfaRecoveryCode } = require('../models/MfaRecoveryCode');
+const { LoginAttempt, LOGIN_OUTCOMES } = require('../models/LoginAttempt');
+const {
+  authenticateToken,
+  requireScope,
+  requireInteractiveSession,
+  blockWhileImpersonating
+} = require('../middleware/auth');
+const { createSession, verifyMfaChallengeToken } = require('../utils/tokens');
+const { sendSessionTokens } = require('../utils/sessionCookies');
+const { getClientInfo } = require('../utils/clientInfo');
+const { checkLoginAllowed, recordLoginResult, sendLoginThrottled } = require('../utils/loginThrottle');
+const { notifyNewLoginClient } = require('../utils/loginNotifications');
+const { generateSecret, buildOtpauthUrl } = require('../utils/totp');
+const {
+  generateRecoveryCodes,
+  verifyTotp,
+  verifySecondFactor,
+  isMfaRequiredForRoles
+} = require('../utils/mfa');
+const { resolveAccess } = require('../utils/access');
+const { PROFILE_SCOPE } = require('../utils/personalAccessTokens');
+
+// Limit guessing of 6-digit codes
+const mfaVerifyLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  message: {
+    message: 'Too many verification attempts, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+/**
+ * MFA Status
+ * GET /api/auth/mfa/status
+ *
+ * @header {string} x-auth-token - JWT token
+ * @returns {Object} Whether MFA is enabled or required and remaining recovery codes
+ */
+router.get('/status', authenticateToken, requireScope(PROFILE_SCOPE), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const { roles } = await resolveAccess(user);
+
+    res.json({
+      enabled: user.mfa_enabled,
+      required: await isMfaRequiredForRoles(roles),
+      recoveryCodesRemaining: user.mfa_enabled ? await MfaRecoveryCode.countRemaining(user.id) : 0
+    });
+
+  } catch (error) {
+    console.error('Error getting MFA status:', error.message);
+    res.status(500).json({ message: 'Could not retrieve MFA status' });
+  }
+});
+
+/**
+ * Start MFA Enrollment
+ * POST /api/auth/mfa/setup
+ *
+ * Generates a new TOTP secret and returns it with a provisioning URI and
+ * QR code for authenticator apps. MFA stays off until confirmed through
+ * /enable.
+ *
+ * @header {string} x-auth-token - JWT token
+ * @returns {Object} Secret, otpauth URI and QR code data URL
+ */
+router.post('/setup', authenticateToken, requireInteractiveSession, blockWhileImpersonating, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.mfa_enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+    await User.setPendingMfaSecret(user.id, secret);
+
+    const otpauthUrl = buildOtpauthUrl({
+      secret,
+      accountName: user.username,
+      issuer: config.mfa.issuer
+    });
+
+    res.json({
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUrl,
+      qrCode: await QRCode.toDataURL(otpauthUrl)
+    });
+
+  } catch (error) {
+    console.error('Error starting MFA setup:', error.message);
+    res.status(500).json({ message: 'Could not start two-factor setup' });
+  }
+});
+
+/**
+ * Confirm MFA Enrollment
+ * POST /api/auth/mfa/enable
+ *
+ * Enables MFA once the user proves the authenticator app works, and
+ * returns a set of recovery codes. The codes are only shown once.
+ *
+ * @body {string} code - Current code from the authenticator app
+ * @header {string} x-auth-token - JWT token
+ * @returns {Object} Recovery codes
+ */
+router.post('/enable', [
+  authenticateToken,
+  requireInteractiveSession,
+  blockWhileImpersonating,
+  check('code', 'Authentication code is required').notEmpty()
+], async (req, res) => {
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Invalid input data',
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.mfa_enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.mfa_secret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+
+    const valid = await verifyTotp(user, req.body.code);
+    if (!valid) {
+      return res.status(400).json({ message: 'Invalid authentication code', field: 'code' });
+    }
+
+    await User.enableMfa(user.id);
+    const recoveryCodes = await generateRecoveryCodes(user.id);
+
+    console.log(`MFA enabled: ${user.username}`);
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes
+    });
+
+  } catch (error) {
+    console.error('Error enabling MFA:', error.message);
+    res.status(500).json({ message: 'Could not enable two-factor authentication' });
+  }
+});
+
+/**
+ * Disable MFA
+ * POST /api/auth/mfa/disable
+ *
+ * Requires the password and a current code or recovery code. Not allowed
+ * while any of the user's roles is covered by the MFA policy. Wrong
+ * passwords and codes count towards the same account and IP throttle as
+ * failed logins.
+ *
+ * @body {string} password - Current password
+ * @body {string} [code] - Code from the authenticator app
+ * @body {string} [recoveryCode] - Unused recovery code
+ * @header {string} x-auth-token - JWT token
+ * @returns {Object} Success confirmation
+ */
+router.post('/disable', [
+  mfaVerifyLimiter,
+  authenticateToken,
+  requireInteractiveSession,
+  blockWhileImpersonating,
+  check('password', 'Password is required').notEmpty()
+], async (req, res) => {
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Invalid input data',
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.mfa_enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    const { roles } = await resolveAccess(user);
+    if (await isMfaRequiredForRoles(roles)) {
+      return res.status(403).json({ message: 'Two-factor authentication is required for your role' });
+    }
+
+    const client = getClientInfo(req);
+    const attempt = { user, identifier: user.username, ipAddress: req.ip, userAgent: client.userAgent };
+
+    const throttle = await checkLoginAllowed({ user, ipAddress: req.ip });
+    if (!throttle.allowed) {
+      await recordLoginResult({ ...attempt, outcome: LOGIN_OUTCOMES.THROTTLED });
+      return sendLoginThrottled(res, throttle.retryAfter);
+    }
+
+    const isPasswordValid = await user.checkPassword(req.body.password);
+    if (!isPasswordValid) {
+      await recordLoginResult({ ...attempt, outcome: LOGIN_OUTCOMES.INVALID_PASSWORD });
+      return res.status(400).json({ message: 'Password is incorrect', field: 'password' });
+    }
+
+    const valid = await verifySecondFactor(user, req.body);
+    if (!valid) {
+      await recordLoginResult({ ...attempt, outcome: LOGIN_OUTCOMES.INVALID_MFA_CODE });
+      return res.status(400).json({ message: 'Invalid authentication code', field: 'code' });
+    }
+
+    await User.disableMfa(user.id);
+    await MfaRecoveryCode.deleteForUser(user.id);
+
+    console.log(`MFA disabled: ${user.username}`);
+    res.json({ message: 'Two-factor authentication disabled' });
+
+  } catch (error) {
+    console.error('Error disabling MFA:', error.message);
+    res.status(500).json({ message: 'Could not disable two-factor authentication' });
+  }
+});
+
+/**
+ * Regenerate Recovery Codes
+ * POST /api/auth/mfa/recovery-codes
+ *
+ * Replaces all recovery codes. Requires a current authenticator code;
+ * wrong codes count towards the same account and IP throttle as failed
+ * logins.
+ *
+ * @body {string} code - Code from the authenticator app
+ * @header {string} x-auth-token - JWT token
+ * @returns {Object} New recovery codes
+ */
+router.post('/recovery-codes', [
+  mfaVerifyLimiter,
+  authenticateToken,
+  requireInteractiveSession,
+  blockWhileImpersonating,
+  check('code', 'Authentication code is required').notEmpty()
+], async (req, res) => {
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Invalid input data',
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.mfa_enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    const client = getClientInfo(req);
+    const attempt = { user, identifier: user.username, ipAddress: req.ip, userAgent: client.userAgent };
+
+    const throttle = await checkLoginAllowed({ user, ipAddress: req.ip });
+    if (!throttle.allowed) {
+      await recordLoginResult({ ...attempt, outcome: LOGIN_OUTCOMES.THROTTLED });
+      return sendLoginThrottled(res, throttle.retryAfter);
+    }
+
+    const valid = await verifyTotp(user, req.body.code);
+    if (!valid) {
+      await recordLoginResult({ ...attempt, outcome: LOGIN_OUTCOMES.INVALID_MFA_CODE });
+      return res.status(400).json({ message: 'Invalid authentication code', field: 'code' });
+    }
+
+    const recoveryCodes = await generateRecoveryCodes(user.id);
+
+    res.json({
+      message: 'Recovery codes regenerated',
+      recoveryCodes
+    });
+
+  } catch (error) {
+    console.error('Error regenerating recovery codes:', error.message);
+    res.status(500).json({ message: 'Could not regenerate recovery codes' });
+  }
+});
+
+/**
+ * Second Login Step
+ * POST /api/auth/mfa/verify
+ *
+ * Exchanges the MFA challenge token from /api/auth/login plus a TOTP
+ * code or recovery code for a normal session. Wrong codes count towards
+ * the same account and IP throttle as wrong passwords, and a challenge
+ * stops working after config.mfa.maxChallengeFailures wrong codes. The
+ * result is kept in the login history, and a login from a new device or
+ * IP address is reported to the user by email.
+ *
+ * @body {string} mfaToken - Challenge token from the login response
+ * @body {string} [code] - Code from the authenticator app
+ * @body {string} [recoveryCode] - Unused recovery code
+ * @returns {Object} JWT token, refresh token (in cookie mode, a CSRF token) and user data
+ */
+router.post('/verify', [
+  mfaVerifyLimiter,
+  check('mfaToken', 'MFA token is required').isString().notEmpty(),
+  check('code').if(check('recoveryCode').not().exists())
+    .notEmpty().withMessage('Authentication code or recovery code is required')
+], async (req, res) => {
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Invalid input data',
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const challenge = verifyMfaChallengeToken(req.body.mfaToken);
+    if (!challenge) {
+      return res.status(401).json({ message: 'Login session expired, please log in again' });
+    }
+
+    const user = await User.findById(challenge.userId);
+    if (!user || !user.mfa_enabled) {
+      return res.status(401).json({ message: 'Login session expired, please log in again' });
+    }
+
+    const client = getClientInfo(req);
+    const attempt = { user, identifier: user.username, ipAddress: req.ip, userAgent: client.userAgent };
+
+    // Refuse codes while the account or IP is throttled or locked out
+    const throttle = await checkLoginAllowed({ user, ipAddress: req.ip });
+    if (!throttle.allowed) {
+      await recordLoginResult({ ...attempt, outcome: LOGIN_OUTCOMES.THROTTLED });
+      return sendLoginThrottled(res, throttle.retryAfter);
+    }
+
+    // A challenge only allows a few guesses; after that the password is needed again
+    const failures = await LoginAttempt.countByUserSince(user.id, LOGIN_OUTCOMES.INVALID_MFA_CODE, challenge.issuedAt);
+    if (failures >= config.mfa.maxChallengeFailures) {
+      return res.status(401).json({ message: 'Too many wrong codes, please log in again' });
+    }
+
+    const valid = await verifySecondFactor(user, req.body);
+    if (!valid) {
+      await recordLoginResult({ ...attempt, outcome: LOGIN_OUTCOMES.INVALID_MFA_CODE });
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const attemptId = await recordLoginResult({ ...attempt, outcome: LOGIN_OUTCOMES.SUCCESS });
+    console.log(`User authenticated with MFA: ${user.username} (${user.role})`);
+
+    const session = await createSession(user, client);
+    await notifyNewLoginClient(user, client, attemptId);
+
+    res.json({
+      message: 'Login successful',
+      ...sendSessionTokens(res, session),
+      user: {
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        role: user.role,
+        roles: user.roles,
+        emailVerified: user.isEmailVerified()
+      }
+    });
+
+  } catch (error) {
+    console.error('MFA verification error:', error.message);
+    res.status(500).json({ message: 'Login failed, please try again' });
+  }
+});
+
+module.exports = router;
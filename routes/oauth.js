@@ -0,0 +1,489 @@
+/**
+ * OAuth2 and OpenID Connect Routes - User Management System
+ *
+ * This module is the authorization server. Service accounts get access
+ * tokens through the OAuth2 client_credentials grant (RFC 6749, section
+ * 4.4); those tokens are only accepted by endpoints open to service
+ * accounts. Relying parties sign users in with the OpenID Connect
+ * authorization code flow and PKCE: /authorize sends the browser to the
+ * consent screen (public/consent.html), which records the signed-in
+ * user's decision through /consent and returns them to the relying
+ * party with a code to exchange at /token. Resource servers holding a
+ * service account with the tokens:introspect scope can ask /introspect
+ * whether a token is still active.
+ *
+ * Clients authenticate with HTTP Basic or with client_id and
+ * client_secret in the body; public relying parties send only client_id.
+ * Errors use the OAuth2 format ({ error, error_description }) rather
+ * than the API's usual one.
+ *
+ * Available endpoints:
+ * - GET /api/oauth/authorize - Start an OpenID Connect sign-in
+ * - GET /api/oauth/consent - Details for the consent screen
+ * - POST /api/oauth/consent - Allow or deny a sign-in
+ * - POST /api/oauth/token - Exchange client credentials or an authorization code for tokens
+ * - GET|POST /api/oauth/userinfo - Claims about the signed-in user
+ * - POST /api/oauth/introspect - Whether a token is active, with its claims
+ *
+ * @author Development Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const config = require('../config/default');
+const { User } = require('../models/User');
+const { ServiceAccount } = require('../models/ServiceAccount');
+const { RelyingParty } = require('../models/RelyingParty');
+const { AuthorizationCode } = require('../models/AuthorizationCode');
+const { PERMISSIONS } = require('../models/Permission');
+const {
+  authenticateToken,
+  requireInteractiveSession,
+  blockWhileImpersonating
+} = require('../middleware/auth');
+const { signClientToken, hashToken } = require('../utils/tokens');
+const { verifyClientSecret, resolveRequestedScopes } = require('../utils/serviceAccounts');
+const { introspectToken } = require('../utils/introspection');
+const {
+  OIDC_SCOPES,
+  buildRedirect,
+  validateAuthorizationRequest,
+  verifyCodeVerifier,
+  issueAuthorizationCode,
+  buildUserClaims,
+  issueRelyingPartyTokens,
+  verifyRelyingPartyAccessToken
+} = require('../utils/oidc');
+
+// Page of public/ that asks the user to allow a sign-in
+const CONSENT_PAGE = '/consent.html';
+
+// Rate limit for failed client authentication
+const tokenLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20,
+  skipSuccessfulRequests: true,
+  message: {
+    error: 'invalid_request',
+    error_description: 'Too many failed token requests, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Sends an OAuth2 error response
+function oauthError(res, status, error, description) {
+  return res.status(status).json({ error, error_description: description });
+}
+
+// Sends an authorization error back to the relying party, or to the consent screen
+// when the redirect URI cannot be trusted
+function redirectWithError(res, { error, description, state, redirectUri }) {
+  if (redirectUri) {
+    return res.redirect(buildRedirect(redirectUri, { error, error_description: description, state }));
+  }
+  res.redirect(`${CONSENT_PAGE}?${new URLSearchParams({ error, error_description: description })}`);
+}
+
+// Error body for the consent screen, with the redirect for errors the relying party should see
+function consentError({ error, description, state, redirectUri }) {
+  return {
+    message: description,
+    code: error,
+    redirectTo: redirectUri ? buildRedirect(redirectUri, { error, error_description: description, state }) : null
+  };
+}
+
+// Reads the client credentials from the Authorization header or the body
+function getClientCredentials(req) {
+  const header = req.headers.authorization;
+  if (header && header.startsWith('Basic ')) {
+    const decoded = Buffer.from(header.slice(6), 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    if (separator === -1) {
+      return null;
+    }
+
+    try {
+      // RFC 6749 form-encodes both parts before joining them
+      return {
+        clientId: decodeURIComponent(decoded.slice(0, separator)),
+        clientSecret: decodeURIComponent(decoded.slice(separator + 1))
+      };
+    } catch (err) {
+      return null;
+    }
+  }
+
+  const { client_id: clientId, client_secret: clientSecret } = req.body || {};
+  if (typeof clientId === 'string' && typeof clientSecret === 'string') {
+    return { clientId, clientSecret };
+  }
+  return null;
+}
+
+// Finds the enabled service account matching the credentials, or null
+async function findServiceAccount(credentials) {
+  const account = await ServiceAccount.findByClientId(credentials.clientId);
+  if (!account || account.disabled_at || !verifyClientSecret(account, credentials.clientSecret)) {
+    return null;
+  }
+  return account;
+}
+
+/**
+ * Client Credentials Grant
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function grantClientCredentials(req, res) {
+  const { scope } = req.body;
+
+  if (scope !== undefined && typeof scope !== 'string') {
+    return oauthError(res, 400, 'invalid_request', 'scope must be a space-separated string');
+  }
+
+  const credentials = getClientCredentials(req);
+  if (!credentials) {
+    res.set('WWW-Authenticate', 'Basic realm="oauth"');
+    return oauthError(res, 401, 'invalid_client', 'Client authentication is required');
+  }
+
+  const account = await findServiceAccount(credentials);
+  if (!account) {
+    res.set('WWW-Authenticate', 'Basic realm="oauth"');
+    return oauthError(res, 401, 'invalid_client', 'Client authentication failed');
+  }
+
+  const scopes = resolveRequestedScopes(account, scope);
+  if (!scopes) {
+    return oauthError(res, 400, 'invalid_scope', 'The requested scope exceeds the scopes of this client');
+  }
+
+  await ServiceAccount.recordUse(account.id);
+
+  console.log(`Client token issued: ${account.name} (${scopes.join(' ') || 'no scopes'})`);
+  res.json({
+    access_token: signClientToken(account, scopes),
+    token_type: 'Bearer',
+    expires_in: config.serviceAccounts.tokenExpiration,
+    scope: scopes.join(' ')
+  });
+}
+
+/**
+ * Authorization Code Grant
+ *
+ * Confidential relying parties must authenticate; public ones only
+ * name themselves with client_id. Either way the code verifier must
+ * match the PKCE challenge of the authorization request.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function grantAuthorizationCode(req, res) {
+  const { code, redirect_uri: redirectUri, code_verifier: codeVerifier } = req.body;
+
+  const credentials = getClientCredentials(req);
+  const clientId = credentials ? credentials.clientId : req.body.client_id;
+  if (typeof clientId !== 'string') {
+    return oauthError(res, 401, 'invalid_client', 'client_id is required');
+  }
+
+  const relyingParty = await RelyingParty.findByClientId(clientId);
+  if (!relyingParty) {
+    return oauthError(res, 401, 'invalid_client', 'Client authentication failed');
+  }
+
+  if (!relyingParty.isPublic() && (!credentials || !verifyClientSecret(relyingParty, credentials.clientSecret))) {
+    res.set('WWW-Authenticate', 'Basic realm="oauth"');
+    return oauthError(res, 401, 'invalid_client', 'Client authentication failed');
+  }
+
+  if (typeof code !== 'string' || typeof redirectUri !== 'string' || typeof codeVerifier !== 'string') {
+    return oauthError(res, 400, 'invalid_request', 'code, redirect_uri and code_verifier are required');
+  }
+
+  const authorizationCode = await AuthorizationCode.findValidByHash(hashToken(code));
+  if (!authorizationCode || authorizationCode.relying_party_id !== relyingParty.id) {
+    return oauthError(res, 400, 'invalid_grant', 'The authorization code is invalid or has expired');
+  }
+
+  if (authorizationCode.redirect_uri !== redirectUri) {
+    return oauthError(res, 400, 'invalid_grant', 'redirect_uri does not match the authorization request');
+  }
+
+  if (!verifyCodeVerifier(codeVerifier, authorizationCode.code_challenge)) {
+    return oauthError(res, 400, 'invalid_grant', 'code_verifier does not match the code challenge');
+  }
+
+  // A code can only be exchanged once, even by concurrent requests
+  if (!(await AuthorizationCode.markUsed(authorizationCode.id))) {
+    return oauthError(res, 400, 'invalid_grant', 'The authorization code is invalid or has expired');
+  }
+
+  const user = await User.findById(authorizationCode.user_id);
+  if (!user) {
+    return oauthError(res, 400, 'invalid_grant', 'The user no longer exists');
+  }
+
+  const tokens = issueRelyingPartyTokens(user, relyingParty, authorizationCode);
+
+  console.log(`OpenID Connect tokens issued: ${user.username} to ${relyingParty.name}`);
+  res.json(tokens);
+}
+
+/**
+ * Authorization Endpoint
+ * GET /api/oauth/authorize
+ *
+ * Checks the request and sends the browser to the consent screen with
+ * the same parameters. Problems with the client or redirect URI are
+ * shown on the consent screen; anything else goes back to the relying
+ * party as an error.
+ *
+ * @query {string} response_type - Must be "code"
+ * @query {string} client_id - Relying party client ID
+ * @query {string} redirect_uri - One of the relying party's registered redirect URIs
+ * @query {string} scope - Space-separated scopes, including "openid"
+ * @query {string} code_challenge - PKCE S256 challenge
+ * @query {string} code_challenge_method - Must be "S256"
+ * @query {string} [state] - Returned unchanged to the relying party
+ * @query {string} [nonce] - Copied into the ID token
+ * @returns {void} Redirect to the consent screen or the relying party
+ */
+router.get('/authorize', async (req, res) => {
+  try {
+    const result = await validateAuthorizationRequest(req.query);
+    if (result.error) {
+      return redirectWithError(res, result);
+    }
+
+    const query = new URLSearchParams(req.query).toString();
+    res.redirect(`${CONSENT_PAGE}?${query}`);
+
+  } catch (error) {
+    console.error('Error starting authorization:', error.message);
+    res.redirect(`${CONSENT_PAGE}?${new URLSearchParams({ error: 'server_error', error_description: 'Could not start sign-in' })}`);
+  }
+});
+
+/**
+ * Consent Screen Details
+ * GET /api/oauth/consent
+ *
+ * Takes the parameters of the authorization request.
+ *
+ * @header {string} x-auth-token - JWT token
+ * @returns {Object} The relying party's name and the requested scopes with descriptions
+ */
+router.get('/consent', authenticateToken, requireInteractiveSession, blockWhileImpersonating, async (req, res) => {
+  try {
+    const result = await validateAuthorizationRequest(req.query);
+    if (result.error) {
+      return res.status(400).json(consentError(result));
+    }
+
+    const { relyingParty, scopes } = result.request;
+    res.json({
+      client: { name: relyingParty.name, clientId: relyingParty.client_id },
+      scopes: scopes.map(name => ({ name, description: OIDC_SCOPES[name] })),
+      user: { username: req.user.username }
+    });
+
+  } catch (error) {
+    console.error('Error getting consent details:', error.message);
+    res.status(500).json({ message: 'Could not load sign-in request' });
+  }
+});
+
+/**
+ * Record Consent
+ * POST /api/oauth/consent
+ *
+ * Takes the parameters of the authorization request and the user's
+ * decision. Impersonating administrators cannot sign in to other
+ * applications as the user.
+ *
+ * @body {boolean} approved - Whether the user allows the sign-in
+ * @header {string} x-auth-token - JWT token
+ * @returns {Object} redirectTo - Where to send the browser: the relying party with a code or an error
+ */
+router.post('/consent', authenticateToken, requireInteractiveSession, blockWhileImpersonating, async (req, res) => {
+  try {
+    const result = await validateAuthorizationRequest(req.body);
+    if (result.error) {
+      return res.status(400).json(consentError(result));
+    }
+
+    const request = result.request;
+    if (req.body.approved !== true) {
+      console.log(`OpenID Connect sign-in denied: ${req.user.username} to ${request.relyingParty.name}`);
+      return res.json({
+        redirectTo: buildRedirect(request.redirectUri, {
+          error: 'access_denied',
+          error_description: 'The user denied the request',
+          state: request.state
+        })
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const code = await issueAuthorizationCode(user, request);
+
+    console.log(`OpenID Connect sign-in allowed: ${user.username} to ${request.relyingParty.name}`);
+    res.json({
+      redirectTo: buildRedirect(request.redirectUri, { code, state: request.state })
+    });
+
+  } catch (error) {
+    console.error('Error recording consent:', error.message);
+    res.status(500).json({ message: 'Could not complete sign-in' });
+  }
+});
+
+/**
+ * Token Endpoint
+ * POST /api/oauth/token
+ *
+ * Accepts form-encoded or JSON bodies.
+ *
+ * @body {string} grant_type - "client_credentials" or "authorization_code"
+ * @body {string} [scope] - client_credentials: space-separated scopes; all of the client's scopes if omitted
+ * @body {string} [code] - authorization_code: the code from the redirect
+ * @body {string} [redirect_uri] - authorization_code: same as in the authorization request
+ * @body {string} [code_verifier] - authorization_code: PKCE code verifier
+ * @body {string} [client_id] - Client ID, unless sent with HTTP Basic
+ * @body {string} [client_secret] - Client secret, unless sent with HTTP Basic or a public client
+ * @returns {Object} access_token, token_type, expires_in and scope, plus id_token for authorization_code
+ */
+router.post('/token', tokenLimiter, async (req, res) => {
+  // Tokens must never be cached
+  res.set('Cache-Control', 'no-store');
+  res.set('Pragma', 'no-cache');
+
+  const { grant_type: grantType } = req.body || {};
+
+  if (!grantType) {
+    return oauthError(res, 400, 'invalid_request', 'grant_type is required');
+  }
+
+  try {
+    if (grantType === 'client_credentials') {
+      return await grantClientCredentials(req, res);
+    }
+
+    if (grantType === 'authorization_code') {
+      return await grantAuthorizationCode(req, res);
+    }
+
+    oauthError(res, 400, 'unsupported_grant_type', 'Supported grants are client_credentials and authorization_code');
+
+  } catch (error) {
+    console.error('Error issuing token:', error.message);
+    oauthError(res, 500, 'server_error', 'Could not issue token');
+  }
+});
+
+/**
+ * UserInfo Endpoint
+ * GET|POST /api/oauth/userinfo
+ *
+ * Access tokens stop working here once their relying party is deleted.
+ *
+ * @header {string} Authorization - "Bearer" and an access token from the authorization_code grant
+ * @returns {Object} Claims about the user for the scopes they consented to
+ */
+const userinfo = async (req, res) => {
+  const header = req.headers.authorization;
+  const claims = header && header.startsWith('Bearer ')
+    ? verifyRelyingPartyAccessToken(header.slice(7))
+    : null;
+
+  if (!claims) {
+    res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+    return oauthError(res, 401, 'invalid_token', 'The access token is invalid or has expired');
+  }
+
+  const scopes = String(claims.scope || '').split(' ');
+  if (!scopes.includes('openid')) {
+    res.set('WWW-Authenticate', 'Bearer error="insufficient_scope"');
+    return oauthError(res, 403, 'insufficient_scope', 'The access token does not have the openid scope');
+  }
+
+  try {
+    if (!await RelyingParty.findByClientId(claims.client_id)) {
+      res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+      return oauthError(res, 401, 'invalid_token', 'The client no longer exists');
+    }
+
+    const user = await User.findById(claims.sub);
+    if (!user) {
+      res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+      return oauthError(res, 401, 'invalid_token', 'The user no longer exists');
+    }
+
+    res.json(buildUserClaims(user, scopes));
+
+  } catch (error) {
+    console.error('Error getting userinfo:', error.message);
+    oauthError(res, 500, 'server_error', 'Could not retrieve user information');
+  }
+};
+
+router.get('/userinfo', userinfo);
+router.post('/userinfo', userinfo);
+
+/**
+ * Token Introspection
+ * POST /api/oauth/introspect
+ *
+ * For resource servers (RFC 7662). The caller authenticates as a
+ * service account whose scopes include tokens:introspect. Unknown,
+ * expired and revoked tokens, and tokens of deleted relying parties, all
+ * get { active: false }.
+ *
+ * @body {string} token - Token to check
+ * @body {string} [token_type_hint] - Accepted but not needed; the token type is recognized
+ * @body {string} [client_id] - Client ID, unless sent with HTTP Basic
+ * @body {string} [client_secret] - Client secret, unless sent with HTTP Basic
+ * @returns {Object} active, plus scope, client_id, sub, username, exp, iat and iss when active
+ */
+router.post('/introspect', tokenLimiter, async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.set('Pragma', 'no-cache');
+
+  const { token, token_type_hint: tokenTypeHint } = req.body || {};
+
+  try {
+    const credentials = getClientCredentials(req);
+    const account = credentials ? await findServiceAccount(credentials) : null;
+    if (!account) {
+      res.set('WWW-Authenticate', 'Basic realm="oauth"');
+      return oauthError(res, 401, 'invalid_client', 'Client authentication failed');
+    }
+
+    if (!account.scopes.includes(PERMISSIONS.TOKENS_INTROSPECT)) {
+      return oauthError(res, 403, 'insufficient_scope', `This client needs the ${PERMISSIONS.TOKENS_INTROSPECT} scope`);
+    }
+
+    if (typeof token !== 'string' || !token || (tokenTypeHint !== undefined && typeof tokenTypeHint !== 'string')) {
+      return oauthError(res, 400, 'invalid_request', 'token is required');
+    }
+
+    res.json(await introspectToken(token));
+
+  } catch (error) {
+    console.error('Error introspecting token:', error.message);
+    oauthError(res, 500, 'server_error', 'Could not introspect token');
+  }
+});
+
+module.exports = router;
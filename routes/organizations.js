@@ -0,0 +1,220 @@
+/**
+ * Organization Management Routes - User Management System
+ *
+ * This module lets administrators manage organizations (tenants). Users
+ * join organizations through the user routes. Administrators without
+ * users:global only see the organizations they belong to; creating,
+ * renaming and deleting organizations requires organizations:manage.
+ *
+ * Available endpoints:
+ * - GET /api/organizations - Retrieve organizations
+ * - GET /api/organizations/:id - Retrieve specific organization
+ * - POST /api/organizations - Create organization
+ * - PUT /api/organizations/:id - Update organization name and description
+ * - DELETE /api/organizations/:id - Delete organization
+ *
+ * @author Development Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+
+const { Organization } = require('../models/Organization');
+const { PERMISSIONS } = require('../models/Permission');
+const {
+  authenticateToken,
+  authenticateUserOrClient,
+  requirePermission,
+  resolveOrganizationScope,
+  requireVerifiedEmail,
+  requireMfaEnrollment
+} = require('../middleware/auth');
+
+/**
+ * Retrieve Organizations
+ * GET /api/organizations
+ *
+ * Returns every organization, or only the acting user's own unless they
+ * hold users:global. Requires the organizations:read permission.
+ *
+ * @returns {Array} Organizations with their number of members
+ */
+router.get('/', authenticateUserOrClient, requirePermission(PERMISSIONS.ORGANIZATIONS_READ), resolveOrganizationScope, requireVerifiedEmail, requireMfaEnrollment, async (req, res) => {
+  try {
+    res.json(await Organization.findAll(req.organizationScope));
+  } catch (error) {
+    console.error('Error getting organizations:', error.message);
+    res.status(500).json({ message: 'Could not retrieve organizations' });
+  }
+});
+
+/**
+ * Retrieve Organization by ID
+ * GET /api/organizations/:id
+ *
+ * Requires the organizations:read permission.
+ *
+ * @param {number} id - Organization ID
+ * @returns {Object} Organization with its number of members
+ */
+router.get('/:id', authenticateUserOrClient, requirePermission(PERMISSIONS.ORGANIZATIONS_READ), resolveOrganizationScope, requireVerifiedEmail, requireMfaEnrollment, async (req, res) => {
+  try {
+    const organization = await Organization.findById(req.params.id);
+    const scope = req.organizationScope;
+    if (!organization || (scope !== null && !scope.includes(organization.id))) {
+      return res.status(404).json({ message: 'Organization not found' });
+    }
+
+    res.json(organization);
+  } catch (error) {
+    console.error(`Error getting organization ${req.params.id}:`, error.message);
+    res.status(500).json({ message: 'Could not retrieve organization' });
+  }
+});
+
+/**
+ * Create Organization
+ * POST /api/organizations
+ *
+ * Requires the organizations:manage permission.
+ *
+ * @body {string} name - Unique organization name
+ * @body {string} [description] - What the organization is
+ * @returns {Object} Created organization
+ */
+router.post('/', [
+  authenticateToken,
+  requirePermission(PERMISSIONS.ORGANIZATIONS_MANAGE),
+  requireVerifiedEmail,
+  requireMfaEnrollment,
+
+  check('name', 'Organization name must be 2-100 characters').isString().trim().isLength({ min: 2, max: 100 }),
+  check('description', 'Description must be at most 255 characters').optional({ values: 'null' }).isString().isLength({ max: 255 })
+], async (req, res) => {
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Invalid input data',
+      errors: errors.array()
+    });
+  }
+
+  const { name, description = null } = req.body;
+
+  try {
+    if (await Organization.findByName(name)) {
+      return res.status(400).json({
+        message: 'Organization already exists',
+        field: 'name'
+      });
+    }
+
+    const organization = await Organization.create({ name, description });
+
+    console.log(`Organization created: ${name} by ${req.user.username}`);
+    res.status(201).json({
+      message: 'Organization created successfully',
+      organization
+    });
+
+  } catch (error) {
+    console.error('Error creating organization:', error.message);
+    res.status(500).json({ message: 'Could not create organization' });
+  }
+});
+
+/**
+ * Update Organization
+ * PUT /api/organizations/:id
+ *
+ * Requires the organizations:manage permission.
+ *
+ * @param {number} id - Organization ID
+ * @body {string} [name] - New unique name
+ * @body {string} [description] - New description
+ * @returns {Object} Updated organization
+ */
+router.put('/:id', [
+  authenticateToken,
+  requirePermission(PERMISSIONS.ORGANIZATIONS_MANAGE),
+  requireVerifiedEmail,
+  requireMfaEnrollment,
+
+  check('name', 'Organization name must be 2-100 characters').optional().isString().trim().isLength({ min: 2, max: 100 }),
+  check('description', 'Description must be at most 255 characters').optional({ values: 'null' }).isString().isLength({ max: 255 })
+], async (req, res) => {
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Invalid input data',
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const organization = await Organization.findById(req.params.id);
+    if (!organization) {
+      return res.status(404).json({ message: 'Organization not found' });
+    }
+
+    const { name, description } = req.body;
+    if (name !== undefined && name !== organization.name) {
+      const existing = await Organization.findByName(name);
+      if (existing && existing.id !== organization.id) {
+        return res.status(400).json({
+          message: 'Organization already exists',
+          field: 'name'
+        });
+      }
+    }
+
+    const updatedOrganization = await Organization.update(organization.id, { name, description });
+
+    console.log(`Organization updated: ${updatedOrganization.name} by ${req.user.username}`);
+    res.json({
+      message: 'Organization updated successfully',
+      organization: updatedOrganization
+    });
+
+  } catch (error) {
+    console.error('Error updating organization:', error.message);
+    res.status(500).json({ message: 'Could not update organization' });
+  }
+});
+
+/**
+ * Delete Organization
+ * DELETE /api/organizations/:id
+ *
+ * Removes the organization and its memberships; its users keep their
+ * accounts. Requires the organizations:manage permission.
+ *
+ * @param {number} id - Organization ID
+ * @returns {Object} Success confirmation
+ */
+router.delete('/:id', authenticateToken, requirePermission(PERMISSIONS.ORGANIZATIONS_MANAGE), requireVerifiedEmail, requireMfaEnrollment, async (req, res) => {
+  try {
+    const organization = await Organization.findById(req.params.id);
+    if (!organization) {
+      return res.status(404).json({ message: 'Organization not found' });
+    }
+
+    const deleted = await Organization.delete(organization.id);
+    if (!deleted) {
+      return res.status(500).json({ message: 'Failed to delete organization' });
+    }
+
+    console.log(`Organization deleted: ${organization.name} by ${req.user.username}`);
+    res.json({ message: `Organization '${organization.name}' deleted successfully` });
+
+  } catch (error) {
+    console.error('Error deleting organization:', error.message);
+    res.status(500).json({ message: 'Could not delete organization' });
+  }
+});
+
+module.exports = router;
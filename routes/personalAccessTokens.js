@@ -0,0 +1,183 @@
+/**
+ * Personal Access Token Routes - User Management System
+ *
+ * This module lets users manage personal access tokens for scripts and
+ * integrations. Tokens are sent as "Authorization: Bearer pat_...",
+ * act as their owner limited to the scopes chosen here, and expire.
+ * The raw token is returned once, when it is created. Tokens can only
+ * be managed from a signed-in session, never with another token, and
+ * not while impersonating.
+ *
+ * Available endpoints:
+ * - GET /api/auth/tokens - List your tokens
+ * - GET /api/auth/tokens/scopes - Scopes you can give a token
+ * - POST /api/auth/tokens - Create a token
+ * - DELETE /api/auth/tokens/:id - Revoke a token
+ *
+ * @author Development Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const config = require('../config/default');
+const { User } = require('../models/User');
+const { PersonalAccessToken } = require('../models/PersonalAccessToken');
+const {
+  authenticateToken,
+  requireInteractiveSession,
+  blockWhileImpersonating
+} = require('../middleware/auth');
+const { getAvailableScopes, issuePersonalAccessToken } = require('../utils/personalAccessTokens');
+
+/**
+ * List Personal Access Tokens
+ * GET /api/auth/tokens
+ *
+ * @header {string} x-auth-token - JWT token
+ * @returns {Array} Your tokens without their values, newest first
+ */
+router.get('/', authenticateToken, requireInteractiveSession, async (req, res) => {
+  try {
+    res.json(await PersonalAccessToken.findByUser(req.user.id));
+  } catch (error) {
+    console.error('Error getting personal access tokens:', error.message);
+    res.status(500).json({ message: 'Could not retrieve tokens' });
+  }
+});
+
+/**
+ * Available Scopes
+ * GET /api/auth/tokens/scopes
+ *
+ * @header {string} x-auth-token - JWT token
+ * @returns {Object} Scopes you can give a token and the lifetime limits
+ */
+router.get('/scopes', authenticateToken, requireInteractiveSession, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({
+      scopes: await getAvailableScopes(user),
+      defaultLifetimeDays: config.personalAccessTokens.defaultLifetimeDays,
+      maxLifetimeDays: config.personalAccessTokens.maxLifetimeDays
+    });
+  } catch (error) {
+    console.error('Error getting token scopes:', error.message);
+    res.status(500).json({ message: 'Could not retrieve scopes' });
+  }
+});
+
+/**
+ * Create Personal Access Token
+ * POST /api/auth/tokens
+ *
+ * Scopes must be ones you hold (see /scopes). The token value is only
+ * returned in this response.
+ *
+ * @body {string} name - Name to recognize the token by, unique among your tokens
+ * @body {string[]} scopes - Scopes the token may use
+ * @body {number} [expiresInDays] - Lifetime in days, up to the configured maximum
+ * @header {string} x-auth-token - JWT token
+ * @returns {Object} The raw token and its stored details
+ */
+router.post('/', [
+  authenticateToken,
+  requireInteractiveSession,
+  blockWhileImpersonating,
+
+  check('name', 'Name is required (at most 100 characters)').isString().trim().isLength({ min: 1, max: 100 }),
+  check('scopes', 'Choose at least one scope').isArray({ min: 1 }),
+  check('scopes.*', 'Scopes must be names').isString(),
+  check('expiresInDays', `Lifetime must be 1 to ${config.personalAccessTokens.maxLifetimeDays} days`)
+    .optional().isInt({ min: 1, max: config.personalAccessTokens.maxLifetimeDays }).toInt()
+], async (req, res) => {
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Invalid input data',
+      errors: errors.array()
+    });
+  }
+
+  const { name } = req.body;
+  const scopes = [...new Set(req.body.scopes)];
+  const expiresInDays = req.body.expiresInDays || config.personalAccessTokens.defaultLifetimeDays;
+
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const availableScopes = await getAvailableScopes(user);
+    const unavailable = scopes.filter(scope => !availableScopes.includes(scope));
+    if (unavailable.length > 0) {
+      return res.status(403).json({
+        message: `You cannot give a token scopes you do not hold: ${unavailable.join(', ')}`,
+        field: 'scopes'
+      });
+    }
+
+    const existing = await PersonalAccessToken.findByUser(user.id);
+    if (existing.some(token => token.name === name)) {
+      return res.status(409).json({ message: 'You already have a token with this name', field: 'name' });
+    }
+
+    const active = existing.filter(token => new Date(token.expires_at) > new Date());
+    if (active.length >= config.personalAccessTokens.maxPerUser) {
+      return res.status(409).json({
+        message: `You can have at most ${config.personalAccessTokens.maxPerUser} active tokens; revoke one first`
+      });
+    }
+
+    const { token, personalAccessToken } = await issuePersonalAccessToken({
+      user,
+      name,
+      scopes,
+      expiresAt: new Date(Date.now() + expiresInDays * 24 * 3600 * 1000)
+    });
+
+    console.log(`Personal access token created: ${name} for ${user.username}`);
+    res.status(201).json({
+      message: 'Token created; copy it now, it will not be shown again',
+      token,
+      personalAccessToken
+    });
+
+  } catch (error) {
+    console.error('Error creating personal access token:', error.message);
+    res.status(500).json({ message: 'Could not create token' });
+  }
+});
+
+/**
+ * Revoke Personal Access Token
+ * DELETE /api/auth/tokens/:id
+ *
+ * @param {number} id - Token ID
+ * @header {string} x-auth-token - JWT token
+ * @returns {Object} Success confirmation
+ */
+router.delete('/:id', authenticateToken, requireInteractiveSession, blockWhileImpersonating, async (req, res) => {
+  try {
+    const revoked = await PersonalAccessToken.revoke(req.params.id, req.user.id);
+    if (!revoked) {
+      return res.status(404).json({ message: 'Token not found' });
+    }
+
+    console.log(`Personal access token revoked: ${req.params.id} by ${req.user.username}`);
+    res.json({ message: 'Token revoked' });
+
+  } catch (error) {
+    console.error('Error revoking personal access token:', error.message);
+    res.status(500).json({ message: 'Could not revoke token' });
+  }
+});
+
+module.exports = router;
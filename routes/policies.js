@@ -0,0 +1,143 @@
+/**
+ * Access Policy Routes - User Management System
+ *
+ * This module lets administrators inspect the attribute-based access
+ * policies (config/policies.js) and test decisions without performing
+ * the action: the dry run evaluates an action for any subject, resource
+ * and context, optionally against draft policies instead of the
+ * configured ones, and explains which policies matched.
+ *
+ * Available endpoints:
+ * - GET /api/policies - Retrieve the configured policies
+ * - POST /api/policies/evaluate - Dry-run a policy decision
+ *
+ * @author Development Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+
+const { User } = require('../models/User');
+const { PERMISSIONS } = require('../models/Permission');
+const {
+  authenticateToken,
+  requirePermission,
+  resolveOrganizationScope,
+  requireVerifiedEmail,
+  requireMfaEnrollment
+} = require('../middleware/auth');
+const { isInOrganizationScope } = require('../utils/access');
+const {
+  evaluatePolicies,
+  validatePolicy,
+  buildSubject,
+  buildUserResource,
+  buildContext,
+  describePolicies
+} = require('../utils/policy');
+
+// Validator for draft policies - JSON policies the engine understands
+const policiesValid = (value) => {
+  for (const policy of value) {
+    const problem = validatePolicy(policy);
+    if (problem) {
+      throw new Error(problem);
+    }
+  }
+  return true;
+};
+
+/**
+ * Retrieve Policies
+ * GET /api/policies
+ *
+ * Requires the policies:read permission.
+ *
+ * @returns {Array} Configured policies in evaluation order
+ */
+router.get('/', authenticateToken, requirePermission(PERMISSIONS.POLICIES_READ), requireVerifiedEmail, requireMfaEnrollment, (req, res) => {
+  res.json(describePolicies());
+});
+
+/**
+ * Dry-Run Policy Decision
+ * POST /api/policies/evaluate
+ *
+ * Nothing is changed. Users outside the administrator's organizations
+ * cannot be used as subject or resource.
+ * Requires the policies:read permission.
+ *
+ * @body {string} action - Action to decide, e.g. "users:update"
+ * @body {number} [subjectUserId] - Acting user; defaults to yourself
+ * @body {Object} [resource] - { type: 'user', id } for a stored user, or any { type, ...attributes }
+ * @body {Object} [context] - { ip, time } overrides; defaults to this request
+ * @body {Object[]} [policies] - Draft JSON policies to evaluate instead of the configured ones
+ * @returns {Object} The decision with a trace of the policies considered, and the evaluated input
+ */
+router.post('/evaluate', [
+  authenticateToken,
+  requirePermission(PERMISSIONS.POLICIES_READ),
+  resolveOrganizationScope,
+  requireVerifiedEmail,
+  requireMfaEnrollment,
+
+  check('action', 'Action is required').isString().notEmpty(),
+  check('subjectUserId', 'Subject user ID must be a number').optional().isInt({ min: 1 }).toInt(),
+  check('resource', 'Resource must be an object with a type').optional({ values: 'null' }).isObject(),
+  check('resource.type', 'Resource must be an object with a type').if(check('resource').exists({ values: 'null' })).isString().notEmpty(),
+  check('context.ip', 'Context IP must be an IP address').optional().isIP(),
+  check('context.time', 'Context time must be an ISO 8601 date').optional().isISO8601(),
+  check('policies', 'Policies must be a list').optional().isArray().bail().custom(policiesValid)
+], async (req, res) => {
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Invalid input data',
+      errors: errors.array()
+    });
+  }
+
+  const { action, subjectUserId = req.user.id, policies } = req.body;
+  const contextOverrides = req.body.context || {};
+
+  try {
+    const subjectUser = await User.findById(subjectUserId);
+    if (!subjectUser || !isInOrganizationScope(req.organizationScope, subjectUser)) {
+      return res.status(404).json({ message: 'Subject user not found', field: 'subjectUserId' });
+    }
+
+    let resource = req.body.resource || null;
+    if (resource && resource.type === 'user' && resource.id !== undefined) {
+      const resourceUser = await User.findById(resource.id);
+      if (!resourceUser || !isInOrganizationScope(req.organizationScope, resourceUser)) {
+        return res.status(404).json({ message: 'Resource user not found', field: 'resource' });
+      }
+      resource = await buildUserResource(resourceUser);
+    }
+
+    const input = {
+      subject: await buildSubject(subjectUser),
+      action,
+      resource,
+      context: buildContext(req, {
+        ip: contextOverrides.ip,
+        time: contextOverrides.time ? new Date(contextOverrides.time) : undefined
+      })
+    };
+
+    const decision = policies
+      ? await evaluatePolicies(input, policies)
+      : await evaluatePolicies(input);
+
+    res.json({ decision, input });
+
+  } catch (error) {
+    console.error('Error evaluating policy:', error.message);
+    res.status(500).json({ message: 'Could not evaluate policy' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,286 @@
+/**
+ * Relying Party Routes - User Management System
+ *
+ * This module lets administrators register relying parties: other
+ * applications that sign users in through the OpenID Connect endpoints
+ * under /api/oauth. Confidential clients (server-side apps) get a client
+ * secret, returned once when created or rotated; public clients
+ * (single-page and mobile apps) get none and rely on PKCE alone.
+ * Redirect URIs must match exactly and use HTTPS, except on localhost.
+ *
+ * Available endpoints:
+ * - GET /api/relying-parties - Retrieve all relying parties
+ * - GET /api/relying-parties/:id - Retrieve specific relying party
+ * - POST /api/relying-parties - Register relying party
+ * - PUT /api/relying-parties/:id - Update name or redirect URIs
+ * - POST /api/relying-parties/:id/secret - Rotate the client secret
+ * - DELETE /api/relying-parties/:id - Delete relying party
+ *
+ * @author Development Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const { RelyingParty } = require('../models/RelyingParty');
+const { PERMISSIONS } = require('../models/Permission');
+const {
+  authenticateToken,
+  requirePermission,
+  requireVerifiedEmail,
+  requireMfaEnrollment,
+  requireInteractiveSession,
+  blockWhileImpersonating
+} = require('../middleware/auth');
+const { generateClientSecret } = require('../utils/serviceAccounts');
+const { generateClientId, isAllowedRedirectUri } = require('../utils/oidc');
+
+// Registering applications needs a signed-in administrator acting as themselves
+const manageRelyingParties = [
+  authenticateToken,
+  requireInteractiveSession,
+  requirePermission(PERMISSIONS.RELYING_PARTIES_MANAGE),
+  requireVerifiedEmail,
+  requireMfaEnrollment
+];
+
+// Validator for redirect URI lists - absolute, no fragment, HTTPS except on localhost
+const redirectUrisAllowed = (value) => {
+  const invalid = value.filter(uri => typeof uri !== 'string' || uri.length > 2048 || !isAllowedRedirectUri(uri));
+  if (invalid.length > 0) {
+    throw new Error(`Redirect URIs must be absolute HTTPS URLs without a fragment: ${invalid.join(', ')}`);
+  }
+  return true;
+};
+
+/**
+ * Retrieve All Relying Parties
+ * GET /api/relying-parties
+ *
+ * Requires the relying_parties:manage permission.
+ *
+ * @returns {Array} Relying parties without their secrets
+ */
+router.get('/', manageRelyingParties, async (req, res) => {
+  try {
+    res.json(await RelyingParty.findAll());
+  } catch (error) {
+    console.error('Error getting relying parties:', error.message);
+    res.status(500).json({ message: 'Could not retrieve relying parties' });
+  }
+});
+
+/**
+ * Retrieve Relying Party by ID
+ * GET /api/relying-parties/:id
+ *
+ * Requires the relying_parties:manage permission.
+ *
+ * @param {number} id - Relying party ID
+ * @returns {Object} Relying party without its secret
+ */
+router.get('/:id', manageRelyingParties, async (req, res) => {
+  try {
+    const relyingParty = await RelyingParty.findById(req.params.id);
+    if (!relyingParty) {
+      return res.status(404).json({ message: 'Relying party not found' });
+    }
+
+    res.json(relyingParty);
+  } catch (error) {
+    console.error(`Error getting relying party ${req.params.id}:`, error.message);
+    res.status(500).json({ message: 'Could not retrieve relying party' });
+  }
+});
+
+/**
+ * Register Relying Party
+ * POST /api/relying-parties
+ *
+ * Requires the relying_parties:manage permission. The client secret of
+ * a confidential client is only returned in this response.
+ *
+ * @body {string} name - Unique name, shown to users on the consent screen
+ * @body {string[]} redirectUris - Redirect URIs the application may use
+ * @body {boolean} [public=false] - Public client without a secret (single-page or mobile app)
+ * @returns {Object} Registered relying party with its client ID and, if confidential, secret
+ */
+router.post('/', [
+  ...manageRelyingParties,
+  blockWhileImpersonating,
+
+  check('name', 'Name is required (at most 100 characters)').isString().trim().isLength({ min: 1, max: 100 }),
+  check('redirectUris', 'Give at least one redirect URI').isArray({ min: 1 }).bail().custom(redirectUrisAllowed),
+  check('public', 'Public must be true or false').optional().isBoolean({ strict: true })
+], async (req, res) => {
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Invalid input data',
+      errors: errors.array()
+    });
+  }
+
+  const { name } = req.body;
+  const redirectUris = [...new Set(req.body.redirectUris)];
+
+  try {
+    if (await RelyingParty.findByName(name)) {
+      return res.status(400).json({
+        message: 'Relying party already exists',
+        field: 'name'
+      });
+    }
+
+    const clientId = generateClientId();
+    const { clientSecret, clientSecretHash } = req.body.public ? {} : generateClientSecret();
+    const relyingParty = await RelyingParty.create({
+      name,
+      clientId,
+      clientSecretHash: clientSecretHash || null,
+      redirectUris,
+      createdBy: req.user.id
+    });
+
+    console.log(`Relying party registered: ${name} by ${req.user.username}`);
+    res.status(201).json({
+      message: clientSecret
+        ? 'Relying party registered; copy the client secret now, it will not be shown again'
+        : 'Relying party registered',
+      clientId,
+      clientSecret: clientSecret || null,
+      relyingParty
+    });
+
+  } catch (error) {
+    console.error('Error registering relying party:', error.message);
+    res.status(500).json({ message: 'Could not register relying party' });
+  }
+});
+
+/**
+ * Update Relying Party
+ * PUT /api/relying-parties/:id
+ *
+ * Requires the relying_parties:manage permission.
+ *
+ * @param {number} id - Relying party ID
+ * @body {string} [name] - New name
+ * @body {string[]} [redirectUris] - Replaces all redirect URIs
+ * @returns {Object} Updated relying party
+ */
+router.put('/:id', [
+  ...manageRelyingParties,
+  blockWhileImpersonating,
+
+  check('name', 'Name must be at most 100 characters').optional().isString().trim().isLength({ min: 1, max: 100 }),
+  check('redirectUris', 'Give at least one redirect URI').optional().isArray({ min: 1 }).bail().custom(redirectUrisAllowed)
+], async (req, res) => {
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Invalid input data',
+      errors: errors.array()
+    });
+  }
+
+  const { name } = req.body;
+  const redirectUris = req.body.redirectUris !== undefined ? [...new Set(req.body.redirectUris)] : undefined;
+
+  try {
+    const relyingParty = await RelyingParty.findById(req.params.id);
+    if (!relyingParty) {
+      return res.status(404).json({ message: 'Relying party not found' });
+    }
+
+    if (name !== undefined && name !== relyingParty.name && await RelyingParty.findByName(name)) {
+      return res.status(400).json({
+        message: 'Relying party already exists',
+        field: 'name'
+      });
+    }
+
+    const updated = await RelyingParty.update(relyingParty.id, { name, redirectUris });
+
+    console.log(`Relying party updated: ${updated.name} by ${req.user.username}`);
+    res.json({
+      message: 'Relying party updated successfully',
+      relyingParty: updated
+    });
+
+  } catch (error) {
+    console.error(`Error updating relying party ${req.params.id}:`, error.message);
+    res.status(500).json({ message: 'Could not update relying party' });
+  }
+});
+
+/**
+ * Rotate Client Secret
+ * POST /api/relying-parties/:id/secret
+ *
+ * The old secret stops working. Public clients have no secret to rotate.
+ * Requires the relying_parties:manage permission.
+ *
+ * @param {number} id - Relying party ID
+ * @returns {Object} The new client secret
+ */
+router.post('/:id/secret', manageRelyingParties, blockWhileImpersonating, async (req, res) => {
+  try {
+    const relyingParty = await RelyingParty.findById(req.params.id);
+    if (!relyingParty) {
+      return res.status(404).json({ message: 'Relying party not found' });
+    }
+
+    if (relyingParty.isPublic()) {
+      return res.status(400).json({ message: 'Public clients have no client secret' });
+    }
+
+    const { clientSecret, clientSecretHash } = generateClientSecret();
+    await RelyingParty.setSecret(relyingParty.id, clientSecretHash);
+
+    console.log(`Relying party secret rotated: ${relyingParty.name} by ${req.user.username}`);
+    res.json({
+      message: 'Client secret rotated; copy it now, it will not be shown again',
+      clientId: relyingParty.client_id,
+      clientSecret
+    });
+
+  } catch (error) {
+    console.error(`Error rotating secret of relying party ${req.params.id}:`, error.message);
+    res.status(500).json({ message: 'Could not rotate client secret' });
+  }
+});
+
+/**
+ * Delete Relying Party
+ * DELETE /api/relying-parties/:id
+ *
+ * Access tokens issued to the relying party stop working at the userinfo
+ * and introspection endpoints at once.
+ * Requires the relying_parties:manage permission.
+ *
+ * @param {number} id - Relying party ID
+ * @returns {Object} Success confirmation
+ */
+router.delete('/:id', manageRelyingParties, blockWhileImpersonating, async (req, res) => {
+  try {
+    const relyingParty = await RelyingParty.findById(req.params.id);
+    if (!relyingParty) {
+      return res.status(404).json({ message: 'Relying party not found' });
+    }
+
+    await RelyingParty.delete(relyingParty.id);
+
+    console.log(`Relying party deleted: ${relyingParty.name} by ${req.user.username}`);
+    res.json({ message: 'Relying party deleted successfully' });
+
+  } catch (error) {
+    console.error(`Error deleting relying party ${req.params.id}:`, error.message);
+    res.status(500).json({ message: 'Could not delete relying party' });
+  }
+});
+
+module.exports = router;
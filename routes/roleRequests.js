@@ -0,0 +1,298 @@
+/**
+ * Role Request Routes - User Management System
+ *
+ * This module implements the approval workflow for role grants. Roles
+ * listed in config.roleGrants.approvalRequiredRoles (admin by default),
+ * and roles inheriting them or holding permissions only they grant,
+ * are never granted by a single administrator: the grant is stored as a
+ * request and takes effect once a second administrator approves it.
+ * Nobody can approve their own request or a request for themselves,
+ * and approvals are refused while impersonating, which would hide who
+ * actually approved.
+ *
+ * Available endpoints:
+ * - GET /api/role-requests - Retrieve requests, pending ones by default
+ * - POST /api/role-requests - Request a role for a user
+ * - POST /api/role-requests/:id/approve - Approve a pending request
+ * - POST /api/role-requests/:id/reject - Reject a pending request
+ *
+ * @author Development Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+
+const { User } = require('../models/User');
+const { Role } = require('../models/Role');
+const { RoleRequest, ROLE_REQUEST_STATUS } = require('../models/RoleRequest');
+const { PERMISSIONS } = require('../models/Permission');
+const {
+  authenticateToken,
+  requirePermission,
+  resolveOrganizationScope,
+  requireVerifiedEmail,
+  requireMfaEnrollment,
+  blockWhileImpersonating
+} = require('../middleware/auth');
+const { resolveAccess, isInOrganizationScope } = require('../utils/access');
+
+/**
+ * Holds Role Permissions
+ *
+ * @param {Object} req - Request with permissions set by requirePermission
+ * @param {string[]} roleNames - Roles to compare against
+ * @returns {Promise<boolean>} True if the acting user holds every permission of the roles
+ */
+async function holdsRolePermissions(req, roleNames) {
+  const rolePermissions = await Role.getEffectivePermissionNames(roleNames);
+  return rolePermissions.every(permission => req.permissions.includes(permission));
+}
+
+/**
+ * Find Scoped Request
+ *
+ * @param {Object} req - Request with organizationScope set by resolveOrganizationScope
+ * @returns {Promise<RoleRequest|null>} The request of req.params.id, or null if unknown
+ *   or for a user outside the acting user's organizations
+ */
+async function findScopedRequest(req) {
+  const request = await RoleRequest.findById(req.params.id);
+  if (!request) {
+    return null;
+  }
+
+  const user = await User.findById(request.user_id);
+  return user && isInOrganizationScope(req.organizationScope, user) ? request : null;
+}
+
+// Validator for role names - the role must exist
+const roleExists = async (value) => {
+  if (typeof value !== 'string' || !(await Role.findByName(value))) {
+    throw new Error('Unknown role');
+  }
+  return true;
+};
+
+/**
+ * Retrieve Role Requests
+ * GET /api/role-requests
+ *
+ * Requires the roles:approve permission.
+ *
+ * @query {string} [status=pending] - pending, approved or rejected
+ * @returns {Array} Requests with the names of the role and users involved
+ */
+router.get('/', [
+  authenticateToken,
+  requirePermission(PERMISSIONS.ROLES_APPROVE),
+  requireVerifiedEmail,
+  requireMfaEnrollment,
+
+  check('status', 'Status must be pending, approved or rejected')
+    .optional().isIn(Object.values(ROLE_REQUEST_STATUS))
+], async (req, res) => {
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Invalid input data',
+      errors: errors.array()
+    });
+  }
+
+  try {
+    res.json(await RoleRequest.findByStatus(req.query.status || ROLE_REQUEST_STATUS.PENDING));
+  } catch (error) {
+    console.error('Error getting role requests:', error.message);
+    res.status(500).json({ message: 'Could not retrieve role requests' });
+  }
+});
+
+/**
+ * Request Role
+ * POST /api/role-requests
+ *
+ * The requester must be able to edit the user and hold every permission
+ * of the role. Requires the users:update permission.
+ *
+ * @body {number} userId - User the role is for
+ * @body {string} role - Name of an existing role
+ * @body {string} [expiresAt] - When the granted role should expire (ISO 8601)
+ * @body {string} [reason] - Why the role is needed
+ * @returns {Object} Created request
+ */
+router.post('/', [
+  authenticateToken,
+  requirePermission(PERMISSIONS.USERS_UPDATE),
+  resolveOrganizationScope,
+  requireVerifiedEmail,
+  requireMfaEnrollment,
+
+  check('userId', 'User ID must be a number').isInt({ min: 1 }).toInt(),
+  check('role').custom(roleExists),
+  check('expiresAt', 'Expiry must be a date in the future').optional({ values: 'null' }).isISO8601()
+    .bail().custom(value => new Date(value) > new Date()),
+  check('reason', 'Reason must be at most 255 characters').optional({ values: 'null' }).isString().isLength({ max: 255 })
+], async (req, res) => {
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Invalid input data',
+      errors: errors.array()
+    });
+  }
+
+  const { userId, role, reason = null } = req.body;
+
+  try {
+    const user = await User.findById(userId);
+    if (!user || !isInOrganizationScope(req.organizationScope, user)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.id === req.user.id) {
+      return res.status(400).json({ message: 'You cannot request a role for yourself' });
+    }
+
+    const { permissions } = await resolveAccess(user);
+    if (!permissions.every(permission => req.permissions.includes(permission))
+      || !(await holdsRolePermissions(req, [role]))) {
+      return res.status(403).json({
+        message: 'You cannot request a role with permissions you do not have',
+        field: 'role'
+      });
+    }
+
+    if (user.roles.includes(role) && !user.role_expirations[role]) {
+      return res.status(409).json({ message: `User already has the ${role} role` });
+    }
+
+    if (await RoleRequest.findPending(user.id, role)) {
+      return res.status(409).json({ message: `A request for the ${role} role is already pending` });
+    }
+
+    const request = await RoleRequest.create({
+      userId: user.id,
+      role,
+      requestedBy: req.user.id,
+      reason,
+      expiresAt: req.body.expiresAt ? new Date(req.body.expiresAt) : null
+    });
+
+    console.log(`Role requested: ${role} for ${user.username} by ${req.user.username}`);
+    res.status(201).json({
+      message: 'Role request created; another administrator must approve it',
+      request
+    });
+
+  } catch (error) {
+    console.error('Error creating role request:', error.message);
+    res.status(500).json({ message: 'Could not create role request' });
+  }
+});
+
+/**
+ * Approve Role Request
+ * POST /api/role-requests/:id/approve
+ *
+ * Grants the role. The approver must not be the requester or the user
+ * receiving the role, and must hold every permission of the role.
+ * Organization administrators only see requests for users in their
+ * organizations. Not available while impersonating.
+ * Requires the roles:approve permission.
+ *
+ * @param {number} id - Request ID
+ * @returns {Object} Approved request
+ */
+router.post('/:id/approve', authenticateToken, requirePermission(PERMISSIONS.ROLES_APPROVE), resolveOrganizationScope, requireVerifiedEmail, requireMfaEnrollment, blockWhileImpersonating, async (req, res) => {
+  try {
+    const request = await findScopedRequest(req);
+    if (!request) {
+      return res.status(404).json({ message: 'Role request not found' });
+    }
+
+    if (request.status !== ROLE_REQUEST_STATUS.PENDING) {
+      return res.status(409).json({ message: `Role request was already ${request.status}` });
+    }
+
+    if (request.requested_by === req.user.id) {
+      return res.status(403).json({ message: 'A different administrator must approve this request' });
+    }
+
+    if (request.user_id === req.user.id) {
+      return res.status(403).json({ message: 'You cannot approve a role request for yourself' });
+    }
+
+    if (!(await holdsRolePermissions(req, [request.role]))) {
+      return res.status(403).json({ message: 'You cannot approve a role with permissions you do not have' });
+    }
+
+    const approved = await RoleRequest.approve(request.id, req.user.id);
+    if (!approved) {
+      return res.status(409).json({ message: 'Role request was already decided' });
+    }
+
+    console.log(`Role request approved: ${approved.role} for ${approved.username} by ${req.user.username}`);
+    res.json({
+      message: `${approved.username} now has the ${approved.role} role`,
+      request: approved
+    });
+
+  } catch (error) {
+    console.error('Error approving role request:', error.message);
+    res.status(500).json({ message: 'Could not approve role request' });
+  }
+});
+
+/**
+ * Reject Role Request
+ * POST /api/role-requests/:id/reject
+ *
+ * Requesters can also use this to withdraw their own request. Anyone
+ * else is held to the same rules as for approving: not for a request
+ * for themselves, and only with every permission of the role.
+ * Organization administrators only see requests for users in their
+ * organizations. Requires the roles:approve permission.
+ *
+ * @param {number} id - Request ID
+ * @returns {Object} Rejected request
+ */
+router.post('/:id/reject', authenticateToken, requirePermission(PERMISSIONS.ROLES_APPROVE), resolveOrganizationScope, requireVerifiedEmail, requireMfaEnrollment, async (req, res) => {
+  try {
+    const request = await findScopedRequest(req);
+    if (!request) {
+      return res.status(404).json({ message: 'Role request not found' });
+    }
+
+    // Requesters may always withdraw their own request
+    if (request.requested_by !== req.user.id) {
+      if (request.user_id === req.user.id) {
+        return res.status(403).json({ message: 'You cannot reject a role request for yourself' });
+      }
+
+      if (!(await holdsRolePermissions(req, [request.role]))) {
+        return res.status(403).json({ message: 'You cannot reject a role with permissions you do not have' });
+      }
+    }
+
+    const rejected = await RoleRequest.reject(request.id, req.user.id);
+    if (!rejected) {
+      return res.status(409).json({ message: `Role request was already ${request.status}` });
+    }
+
+    console.log(`Role request rejected: ${rejected.role} for ${rejected.username} by ${req.user.username}`);
+    res.json({
+      message: 'Role request rejected',
+      request: rejected
+    });
+
+  } catch (error) {
+    console.error('Error rejecting role request:', error.message);
+    res.status(500).json({ message: 'Could not reject role request' });
+  }
+});
+
+module.exports = router;
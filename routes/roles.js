@@ -0,0 +1,401 @@
+/**
+ * Role Management Routes - User Management System
+ *
+ * This module lets administrators manage roles and the permissions they
+ * grant. System roles (admin, user) cannot be deleted, and the admin
+ * role always keeps every permission. A role can inherit other roles;
+ * inheritance cycles are rejected, as is inheriting a role that needs a
+ * second administrator's approval. Nobody can grant permissions they do
+ * not hold themselves, directly or through inheritance.
+ *
+ * Available endpoints:
+ * - GET /api/roles - Retrieve all roles
+ * - GET /api/roles/permissions - Retrieve the permission catalog
+ * - GET /api/roles/:id - Retrieve specific role
+ * - POST /api/roles - Create custom role
+ * - PUT /api/roles/:id - Update role description, permissions and inherited roles
+ * - DELETE /api/roles/:id - Delete custom role
+ *
+ * @author Development Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+
+const { ROLES } = require('../models/User');
+const { Role } = require('../models/Role');
+const { PERMISSIONS, Permission } = require('../models/Permission');
+const {
+  authenticateToken,
+  authenticateUserOrClient,
+  requirePermission,
+  requireVerifiedEmail,
+  requireMfaEnrollment
+} = require('../middleware/auth');
+const { findApprovalRequiredRoles, findApprovalRequiredPermissions } = require('../utils/roleGrants');
+
+// Lowercase letter first, then letters, digits, '-' or '_'
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_-]{1,49}$/;
+
+/**
+ * Find Ungranted Permissions
+ *
+ * @param {Object} req - Request with permissions set by requirePermission
+ * @param {string[]} permissions - Permissions about to be granted
+ * @returns {string[]} Permissions the acting user does not hold
+ */
+function findUngrantedPermissions(req, permissions) {
+  return permissions.filter(permission => !req.permissions.includes(permission));
+}
+
+/**
+ * Find Changed Permissions
+ *
+ * @param {string[]} before - Permissions before the change
+ * @param {string[]} after - Permissions after the change
+ * @returns {string[]} Permissions that are granted or revoked by the change
+ */
+function findChangedPermissions(before, after) {
+  return [
+    ...after.filter(permission => !before.includes(permission)),
+    ...before.filter(permission => !after.includes(permission))
+  ];
+}
+
+// Validator for inherited role lists - every role must exist
+const inheritedRolesExist = async (value) => {
+  for (const roleName of value) {
+    if (typeof roleName !== 'string' || !(await Role.findByName(roleName))) {
+      throw new Error(`Unknown role: ${roleName}`);
+    }
+  }
+  return true;
+};
+
+// Validator for permission lists - every entry must be in the catalog
+const permissionsInCatalog = (value) => {
+  const known = Object.values(PERMISSIONS);
+  const unknown = value.filter(permission => !known.includes(permission));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown permissions: ${unknown.join(', ')}`);
+  }
+  return true;
+};
+
+/**
+ * Retrieve All Roles
+ * GET /api/roles
+ *
+ * Requires the roles:read permission.
+ *
+ * @returns {Array} Roles with their permissions, inherited roles and number of users
+ */
+router.get('/', authenticateUserOrClient, requirePermission(PERMISSIONS.ROLES_READ), requireVerifiedEmail, requireMfaEnrollment, async (req, res) => {
+  try {
+    res.json(await Role.findAll());
+  } catch (error) {
+    console.error('Error getting roles:', error.message);
+    res.status(500).json({ message: 'Could not retrieve roles' });
+  }
+});
+
+/**
+ * Retrieve Permission Catalog
+ * GET /api/roles/permissions
+ *
+ * Requires the roles:read permission.
+ *
+ * @returns {Array} Every permission with its description
+ */
+router.get('/permissions', authenticateUserOrClient, requirePermission(PERMISSIONS.ROLES_READ), requireVerifiedEmail, requireMfaEnrollment, async (req, res) => {
+  try {
+    res.json(await Permission.findAll());
+  } catch (error) {
+    console.error('Error getting permissions:', error.message);
+    res.status(500).json({ message: 'Could not retrieve permissions' });
+  }
+});
+
+/**
+ * Retrieve Role by ID
+ * GET /api/roles/:id
+ *
+ * Requires the roles:read permission.
+ *
+ * @param {number} id - Role ID
+ * @returns {Object} Role with its permissions and inherited roles
+ */
+router.get('/:id', authenticateUserOrClient, requirePermission(PERMISSIONS.ROLES_READ), requireVerifiedEmail, requireMfaEnrollment, async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    res.json(role);
+  } catch (error) {
+    console.error(`Error getting role ${req.params.id}:`, error.message);
+    res.status(500).json({ message: 'Could not retrieve role' });
+  }
+});
+
+/**
+ * Create Role
+ * POST /api/roles
+ *
+ * Requires the roles:manage permission.
+ *
+ * @body {string} name - Unique role name, e.g. "support"
+ * @body {string} [description] - What the role is for
+ * @body {string[]} [permissions] - Permission names to grant
+ * @body {string[]} [inherits] - Names of roles whose permissions are inherited
+ * @returns {Object} Created role
+ */
+router.post('/', [
+  authenticateToken,
+  requirePermission(PERMISSIONS.ROLES_MANAGE),
+  requireVerifiedEmail,
+  requireMfaEnrollment,
+
+  check('name', 'Role name must be 2-50 characters: lowercase letters, digits, "-" or "_", starting with a letter')
+    .isString().matches(ROLE_NAME_PATTERN),
+  check('description', 'Description must be at most 255 characters').optional({ values: 'null' }).isString().isLength({ max: 255 }),
+  check('permissions', 'Permissions must be a list').optional().isArray().bail().custom(permissionsInCatalog),
+  check('inherits', 'Inherited roles must be a list').optional().isArray().bail().custom(inheritedRolesExist)
+], async (req, res) => {
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Invalid input data',
+      errors: errors.array()
+    });
+  }
+
+  const { name, description = null } = req.body;
+  const permissions = [...new Set(req.body.permissions || [])];
+  const inherits = [...new Set(req.body.inherits || [])];
+
+  try {
+    const gatedRoles = await findApprovalRequiredRoles(inherits);
+    if (gatedRoles.length > 0) {
+      return res.status(400).json({
+        message: `Roles that need approval cannot be inherited: ${gatedRoles.join(', ')}`,
+        field: 'inherits'
+      });
+    }
+
+    const inheritedPermissions = await Role.getEffectivePermissionNames(inherits);
+    const ungranted = findUngrantedPermissions(req, [...new Set([...permissions, ...inheritedPermissions])]);
+    if (ungranted.length > 0) {
+      return res.status(403).json({
+        message: `You cannot grant permissions you do not have: ${ungranted.join(', ')}`,
+        field: 'permissions'
+      });
+    }
+
+    if (await Role.findByName(name)) {
+      return res.status(400).json({
+        message: 'Role already exists',
+        field: 'name'
+      });
+    }
+
+    const role = await Role.create({ name, description, permissions, inherits });
+
+    console.log(`Role created: ${name} by ${req.user.username}`);
+    res.status(201).json({
+      message: 'Role created successfully',
+      role
+    });
+
+  } catch (error) {
+    console.error('Error creating role:', error.message);
+    res.status(500).json({ message: 'Could not create role' });
+  }
+});
+
+/**
+ * Update Role
+ * PUT /api/roles/:id
+ *
+ * Role names cannot change because users reference them. The admin
+ * role's permissions cannot be changed, but it can inherit other roles.
+ * Permissions that need approval cannot be added to a role that does
+ * not already need approval, as its holders would get them unapproved.
+ * Requires the roles:manage permission.
+ *
+ * @param {number} id - Role ID
+ * @body {string} [description] - New description
+ * @body {string[]} [permissions] - Replaces all granted permissions
+ * @body {string[]} [inherits] - Replaces all inherited roles
+ * @returns {Object} Updated role
+ */
+router.put('/:id', [
+  authenticateToken,
+  requirePermission(PERMISSIONS.ROLES_MANAGE),
+  requireVerifiedEmail,
+  requireMfaEnrollment,
+
+  check('description', 'Description must be at most 255 characters').optional({ values: 'null' }).isString().isLength({ max: 255 }),
+  check('permissions', 'Permissions must be a list').optional().isArray().bail().custom(permissionsInCatalog),
+  check('inherits', 'Inherited roles must be a list').optional().isArray().bail().custom(inheritedRolesExist)
+], async (req, res) => {
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Invalid input data',
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    const permissions = req.body.permissions !== undefined
+      ? [...new Set(req.body.permissions)]
+      : undefined;
+
+    if (permissions !== undefined) {
+      if (role.name === ROLES.ADMIN) {
+        return res.status(400).json({ message: 'The admin role always has every permission' });
+      }
+
+      // Both granting and revoking a permission require holding it
+      const changed = findChangedPermissions(role.permissions, permissions);
+      const ungranted = findUngrantedPermissions(req, changed);
+      if (ungranted.length > 0) {
+        return res.status(403).json({
+          message: `You cannot change permissions you do not have: ${ungranted.join(', ')}`,
+          field: 'permissions'
+        });
+      }
+    }
+
+    const inherits = req.body.inherits !== undefined
+      ? [...new Set(req.body.inherits)]
+      : undefined;
+
+    if (inherits !== undefined) {
+      // A role inheriting itself, even through other roles, would be a cycle
+      const inheritedRoles = await Role.resolveEffectiveRoles(inherits);
+      if (inheritedRoles.includes(role.name)) {
+        return res.status(400).json({
+          message: `Role '${role.name}' cannot inherit itself`,
+          field: 'inherits'
+        });
+      }
+
+      const gatedRoles = await findApprovalRequiredRoles(inherits.filter(name => !role.inherits.includes(name)));
+      if (gatedRoles.length > 0) {
+        return res.status(400).json({
+          message: `Roles that need approval cannot be inherited: ${gatedRoles.join(', ')}`,
+          field: 'inherits'
+        });
+      }
+
+      const changed = findChangedPermissions(
+        await Role.getEffectivePermissionNames(role.inherits),
+        await Role.getPermissionNames(inheritedRoles)
+      );
+      const ungranted = findUngrantedPermissions(req, changed);
+      if (ungranted.length > 0) {
+        return res.status(403).json({
+          message: `You cannot change inherited permissions you do not have: ${ungranted.join(', ')}`,
+          field: 'inherits'
+        });
+      }
+    }
+
+    if ((permissions !== undefined || inherits !== undefined)
+      && (await findApprovalRequiredRoles([role.name])).length === 0) {
+      const before = await Role.getEffectivePermissionNames([role.name]);
+      const after = [...new Set([
+        ...(permissions !== undefined ? permissions : role.permissions),
+        ...await Role.getEffectivePermissionNames(inherits !== undefined ? inherits : role.inherits)
+      ])];
+      const gatedPermissions = await findApprovalRequiredPermissions(
+        after.filter(permission => !before.includes(permission))
+      );
+      if (gatedPermissions.length > 0) {
+        return res.status(400).json({
+          message: `Permissions that need approval cannot be added to this role: ${gatedPermissions.join(', ')}`,
+          field: 'permissions'
+        });
+      }
+    }
+
+    const updatedRole = await Role.update(role.id, {
+      description: req.body.description,
+      permissions,
+      inherits
+    });
+
+    console.log(`Role updated: ${role.name} by ${req.user.username}`);
+    res.json({
+      message: 'Role updated successfully',
+      role: updatedRole
+    });
+
+  } catch (error) {
+    console.error('Error updating role:', error.message);
+    res.status(500).json({ message: 'Could not update role' });
+  }
+});
+
+/**
+ * Delete Role
+ * DELETE /api/roles/:id
+ *
+ * System roles and roles still assigned to users cannot be deleted.
+ * Roles inheriting from the deleted role lose its permissions.
+ * Requires the roles:manage permission.
+ *
+ * @param {number} id - Role ID
+ * @returns {Object} Success confirmation
+ */
+router.delete('/:id', authenticateToken, requirePermission(PERMISSIONS.ROLES_MANAGE), requireVerifiedEmail, requireMfaEnrollment, async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    if (role.is_system) {
+      return res.status(400).json({ message: 'System roles cannot be deleted' });
+    }
+
+    if (role.user_count > 0) {
+      return res.status(409).json({
+        message: `Role '${role.name}' is still assigned to ${role.user_count} user(s)`
+      });
+    }
+
+    const ungranted = findUngrantedPermissions(req, await Role.getEffectivePermissionNames([role.name]));
+    if (ungranted.length > 0) {
+      return res.status(403).json({
+        message: 'You cannot delete a role with permissions you do not have'
+      });
+    }
+
+    const deleted = await Role.delete(role.id);
+    if (!deleted) {
+      return res.status(500).json({ message: 'Failed to delete role' });
+    }
+
+    console.log(`Role deleted: ${role.name} by ${req.user.username}`);
+    res.json({ message: `Role '${role.name}' deleted successfully` });
+
+  } catch (error) {
+    console.error('Error deleting role:', error.message);
+    res.status(500).json({ message: 'Could not delete role' });
+  }
+});
+
+module.exports = router;
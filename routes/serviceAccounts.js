@@ -0,0 +1,321 @@
+/**
+ * Service Account Routes - User Management System
+ *
+ * This module lets administrators manage service accounts: machine
+ * identities for back-office jobs that get tokens from
+ * POST /api/oauth/token with their client ID and secret. An account's
+ * scopes are permission names, and nobody can give an account
+ * permissions they do not hold themselves. The client secret is returned
+ * once, when the account is created or the secret is rotated; rotating
+ * it also invalidates every token issued before.
+ *
+ * Available endpoints:
+ * - GET /api/service-accounts - Retrieve all service accounts
+ * - GET /api/service-accounts/:id - Retrieve specific service account
+ * - POST /api/service-accounts - Create service account
+ * - PUT /api/service-accounts/:id - Update name, description, scopes or disable
+ * - POST /api/service-accounts/:id/secret - Rotate the client secret
+ * - DELETE /api/service-accounts/:id - Delete service account
+ *
+ * @author Development Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const { ServiceAccount } = require('../models/ServiceAccount');
+const { PERMISSIONS } = require('../models/Permission');
+const {
+  authenticateToken,
+  requirePermission,
+  requireVerifiedEmail,
+  requireMfaEnrollment,
+  requireInteractiveSession,
+  blockWhileImpersonating
+} = require('../middleware/auth');
+const { generateClientCredentials, generateClientSecret } = require('../utils/serviceAccounts');
+
+// Managing machine credentials needs a signed-in administrator acting as themselves
+const manageServiceAccounts = [
+  authenticateToken,
+  requireInteractiveSession,
+  requirePermission(PERMISSIONS.SERVICE_ACCOUNTS_MANAGE),
+  requireVerifiedEmail,
+  requireMfaEnrollment
+];
+
+// Validator for scope lists - every entry must be in the permission catalog
+const scopesInCatalog = (value) => {
+  const known = Object.values(PERMISSIONS);
+  const unknown = value.filter(scope => typeof scope !== 'string' || !known.includes(scope));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown scopes: ${unknown.join(', ')}`);
+  }
+  return true;
+};
+
+/**
+ * Find Ungranted Scopes
+ *
+ * @param {Object} req - Express request, after requirePermission
+ * @param {string[]} scopes - Scopes to give or take away
+ * @returns {string[]} Scopes the acting user does not hold
+ */
+function findUngrantedScopes(req, scopes) {
+  return scopes.filter(scope => !req.permissions.includes(scope));
+}
+
+/**
+ * Retrieve All Service Accounts
+ * GET /api/service-accounts
+ *
+ * Requires the service_accounts:manage permission.
+ *
+ * @returns {Array} Service accounts without their secrets
+ */
+router.get('/', manageServiceAccounts, async (req, res) => {
+  try {
+    res.json(await ServiceAccount.findAll());
+  } catch (error) {
+    console.error('Error getting service accounts:', error.message);
+    res.status(500).json({ message: 'Could not retrieve service accounts' });
+  }
+});
+
+/**
+ * Retrieve Service Account by ID
+ * GET /api/service-accounts/:id
+ *
+ * Requires the service_accounts:manage permission.
+ *
+ * @param {number} id - Service account ID
+ * @returns {Object} Service account without its secret
+ */
+router.get('/:id', manageServiceAccounts, async (req, res) => {
+  try {
+    const account = await ServiceAccount.findById(req.params.id);
+    if (!account) {
+      return res.status(404).json({ message: 'Service account not found' });
+    }
+
+    res.json(account);
+  } catch (error) {
+    console.error(`Error getting service account ${req.params.id}:`, error.message);
+    res.status(500).json({ message: 'Could not retrieve service account' });
+  }
+});
+
+/**
+ * Create Service Account
+ * POST /api/service-accounts
+ *
+ * Requires the service_accounts:manage permission. The client secret
+ * is only returned in this response.
+ *
+ * @body {string} name - Unique name, e.g. "nightly-export"
+ * @body {string} [description] - What the account is used for
+ * @body {string[]} scopes - Permissions the account may request
+ * @returns {Object} Created service account with its client ID and secret
+ */
+router.post('/', [
+  ...manageServiceAccounts,
+  blockWhileImpersonating,
+
+  check('name', 'Name is required (at most 100 characters)').isString().trim().isLength({ min: 1, max: 100 }),
+  check('description', 'Description must be at most 255 characters').optional({ values: 'null' }).isString().isLength({ max: 255 }),
+  check('scopes', 'Scopes must be a list').isArray().bail().custom(scopesInCatalog)
+], async (req, res) => {
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Invalid input data',
+      errors: errors.array()
+    });
+  }
+
+  const { name, description = null } = req.body;
+  const scopes = [...new Set(req.body.scopes)];
+
+  try {
+    const ungranted = findUngrantedScopes(req, scopes);
+    if (ungranted.length > 0) {
+      return res.status(403).json({
+        message: `You cannot give a service account permissions you do not have: ${ungranted.join(', ')}`,
+        field: 'scopes'
+      });
+    }
+
+    if (await ServiceAccount.findByName(name)) {
+      return res.status(400).json({
+        message: 'Service account already exists',
+        field: 'name'
+      });
+    }
+
+    const { clientId, clientSecret, clientSecretHash } = generateClientCredentials();
+    const serviceAccount = await ServiceAccount.create({
+      name,
+      description,
+      clientId,
+      clientSecretHash,
+      scopes,
+      createdBy: req.user.id
+    });
+
+    console.log(`Service account created: ${name} by ${req.user.username}`);
+    res.status(201).json({
+      message: 'Service account created; copy the client secret now, it will not be shown again',
+      clientId,
+      clientSecret,
+      serviceAccount
+    });
+
+  } catch (error) {
+    console.error('Error creating service account:', error.message);
+    res.status(500).json({ message: 'Could not create service account' });
+  }
+});
+
+/**
+ * Update Service Account
+ * PUT /api/service-accounts/:id
+ *
+ * Tokens already issued keep only the scopes the account still has.
+ * Requires the service_accounts:manage permission.
+ *
+ * @param {number} id - Service account ID
+ * @body {string} [name] - New name
+ * @body {string} [description] - New description
+ * @body {string[]} [scopes] - Replaces all scopes
+ * @body {boolean} [disabled] - Disable the account, rejecting its tokens, or enable it again
+ * @returns {Object} Updated service account
+ */
+router.put('/:id', [
+  ...manageServiceAccounts,
+  blockWhileImpersonating,
+
+  check('name', 'Name must be at most 100 characters').optional().isString().trim().isLength({ min: 1, max: 100 }),
+  check('description', 'Description must be at most 255 characters').optional({ values: 'null' }).isString().isLength({ max: 255 }),
+  check('scopes', 'Scopes must be a list').optional().isArray().bail().custom(scopesInCatalog),
+  check('disabled', 'Disabled must be true or false').optional().isBoolean({ strict: true })
+], async (req, res) => {
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Invalid input data',
+      errors: errors.array()
+    });
+  }
+
+  const { name, description, disabled } = req.body;
+
+  try {
+    const account = await ServiceAccount.findById(req.params.id);
+    if (!account) {
+      return res.status(404).json({ message: 'Service account not found' });
+    }
+
+    const scopes = req.body.scopes !== undefined ? [...new Set(req.body.scopes)] : undefined;
+    if (scopes) {
+      // Both adding and removing scopes needs the permission itself
+      const changed = [
+        ...scopes.filter(scope => !account.scopes.includes(scope)),
+        ...account.scopes.filter(scope => !scopes.includes(scope))
+      ];
+      const ungranted = findUngrantedScopes(req, changed);
+      if (ungranted.length > 0) {
+        return res.status(403).json({
+          message: `You cannot change permissions you do not have: ${ungranted.join(', ')}`,
+          field: 'scopes'
+        });
+      }
+    }
+
+    if (name !== undefined && name !== account.name) {
+      const existing = await ServiceAccount.findByName(name);
+      if (existing) {
+        return res.status(400).json({
+          message: 'Service account already exists',
+          field: 'name'
+        });
+      }
+    }
+
+    const serviceAccount = await ServiceAccount.update(account.id, { name, description, scopes, disabled });
+
+    console.log(`Service account updated: ${serviceAccount.name} by ${req.user.username}`);
+    res.json({
+      message: 'Service account updated successfully',
+      serviceAccount
+    });
+
+  } catch (error) {
+    console.error(`Error updating service account ${req.params.id}:`, error.message);
+    res.status(500).json({ message: 'Could not update service account' });
+  }
+});
+
+/**
+ * Rotate Client Secret
+ * POST /api/service-accounts/:id/secret
+ *
+ * The old secret stops working and tokens issued with it are rejected.
+ * Requires the service_accounts:manage permission.
+ *
+ * @param {number} id - Service account ID
+ * @returns {Object} The new client secret
+ */
+router.post('/:id/secret', manageServiceAccounts, blockWhileImpersonating, async (req, res) => {
+  try {
+    const account = await ServiceAccount.findById(req.params.id);
+    if (!account) {
+      return res.status(404).json({ message: 'Service account not found' });
+    }
+
+    const { clientSecret, clientSecretHash } = generateClientSecret();
+    await ServiceAccount.setSecret(account.id, clientSecretHash);
+
+    console.log(`Service account secret rotated: ${account.name} by ${req.user.username}`);
+    res.json({
+      message: 'Client secret rotated; copy it now, it will not be shown again',
+      clientId: account.client_id,
+      clientSecret
+    });
+
+  } catch (error) {
+    console.error(`Error rotating secret of service account ${req.params.id}:`, error.message);
+    res.status(500).json({ message: 'Could not rotate client secret' });
+  }
+});
+
+/**
+ * Delete Service Account
+ * DELETE /api/service-accounts/:id
+ *
+ * Requires the service_accounts:manage permission.
+ *
+ * @param {number} id - Service account ID
+ * @returns {Object} Success confirmation
+ */
+router.delete('/:id', manageServiceAccounts, blockWhileImpersonating, async (req, res) => {
+  try {
+    const account = await ServiceAccount.findById(req.params.id);
+    if (!account) {
+      return res.status(404).json({ message: 'Service account not found' });
+    }
+
+    await ServiceAccount.delete(account.id);
+
+    console.log(`Service account deleted: ${account.name} by ${req.user.username}`);
+    res.json({ message: 'Service account deleted successfully' });
+
+  } catch (error) {
+    console.error(`Error deleting service account ${req.params.id}:`, error.message);
+    res.status(500).json({ message: 'Could not delete service account' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,81 @@
+/**
+ * Session Routes - User Management System
+ *
+ * This module lets users see where they are signed in - every active
+ * login session with its device, IP address, start and last use - and
+ * end sessions they do not recognize. Sessions can only be managed from
+ * a signed-in session, never with a personal access token, and not
+ * ended while impersonating.
+ *
+ * Available endpoints:
+ * - GET /api/auth/sessions - List your active sessions
+ * - DELETE /api/auth/sessions/:id - End a session
+ *
+ * @author Development Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const router = express.Router();
+const { Session } = require('../models/Session');
+const { RefreshToken } = require('../models/RefreshToken');
+const {
+  authenticateToken,
+  requireInteractiveSession,
+  blockWhileImpersonating
+} = require('../middleware/auth');
+const { clearSessionCookies } = require('../utils/sessionCookies');
+
+/**
+ * List Sessions
+ * GET /api/auth/sessions
+ *
+ * @header {string} x-auth-token - JWT token
+ * @returns {Array} Your active sessions, most recently used first; the
+ *   one making the request has current set
+ */
+router.get('/', authenticateToken, requireInteractiveSession, async (req, res) => {
+  try {
+    const sessions = await Session.findActiveByUser(req.user.id);
+    res.json(sessions.map(session => ({ ...session, current: session.id === req.sessionId })));
+  } catch (error) {
+    console.error('Error getting sessions:', error.message);
+    res.status(500).json({ message: 'Could not retrieve sessions' });
+  }
+});
+
+/**
+ * End Session
+ * DELETE /api/auth/sessions/:id
+ *
+ * Revokes the session's refresh tokens, so its access token is rejected
+ * from then on. Ending the current session is the same as logging out.
+ *
+ * @param {string} id - Session ID
+ * @header {string} x-auth-token - JWT token
+ * @returns {Object} Success confirmation
+ */
+router.delete('/:id', authenticateToken, requireInteractiveSession, blockWhileImpersonating, async (req, res) => {
+  try {
+    const session = await Session.findActiveById(req.params.id, req.user.id);
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await RefreshToken.revokeFamily(session.id);
+
+    const current = session.id === req.sessionId;
+    if (current) {
+      clearSessionCookies(res);
+    }
+
+    console.log(`Session ended: ${session.id} by ${req.user.username}`);
+    res.json({ message: current ? 'Logged out successfully' : 'Session ended', current });
+
+  } catch (error) {
+    console.error('Error ending session:', error.message);
+    res.status(500).json({ message: 'Could not end session' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,111 @@
+/**
+ * Settings Routes - User Management System
+ *
+ * This module lets administrators read and change system-wide security
+ * settings at runtime.
+ *
+ * Available endpoints:
+ * - GET /api/settings/security - Retrieve security settings
+ * - PUT /api/settings/security - Update security settings
+ *
+ * @author Development Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+
+const { User } = require('../models/User');
+const { Role } = require('../models/Role');
+const { PERMISSIONS } = require('../models/Permission');
+const { Setting, SETTINGS } = require('../models/Setting');
+const {
+  authenticateToken,
+  requirePermission,
+  requireVerifiedEmail,
+  requireMfaEnrollment
+} = require('../middleware/auth');
+const { getMfaRequiredRoles } = require('../utils/mfa');
+
+/**
+ * Retrieve Security Settings
+ * GET /api/settings/security
+ *
+ * Requires the settings:read permission.
+ *
+ * @returns {Object} Current security settings
+ */
+router.get('/security', authenticateToken, requirePermission(PERMISSIONS.SETTINGS_READ), async (req, res) => {
+  try {
+    res.json({
+      mfaRequiredRoles: await getMfaRequiredRoles()
+    });
+  } catch (error) {
+    console.error('Error getting security settings:', error.message);
+    res.status(500).json({ message: 'Could not retrieve security settings' });
+  }
+});
+
+/**
+ * Update Security Settings
+ * PUT /api/settings/security
+ *
+ * Requires the settings:update permission. An administrator cannot require MFA
+ * for one of their own roles before enabling it themselves, so they cannot lock
+ * themselves out of this page.
+ *
+ * @body {string[]} mfaRequiredRoles - Roles that must use two-factor authentication
+ * @returns {Object} Updated security settings
+ */
+router.put('/security', [
+  authenticateToken,
+  requirePermission(PERMISSIONS.SETTINGS_UPDATE),
+  requireVerifiedEmail,
+  requireMfaEnrollment,
+
+  check('mfaRequiredRoles', 'mfaRequiredRoles must be a list of roles').isArray(),
+  check('mfaRequiredRoles.*').custom(async (value) => {
+    if (typeof value !== 'string' || !(await Role.findByName(value))) {
+      throw new Error('Unknown role');
+    }
+    return true;
+  })
+], async (req, res) => {
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Invalid input data',
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const mfaRequiredRoles = [...new Set(req.body.mfaRequiredRoles)];
+
+    const ownRoles = req.user.roles || [req.user.role];
+    if (ownRoles.some(role => mfaRequiredRoles.includes(role))) {
+      const admin = await User.findById(req.user.id);
+      if (!admin || !admin.mfa_enabled) {
+        return res.status(400).json({
+          message: 'Enable two-factor authentication on your own account before requiring it for your role'
+        });
+      }
+    }
+
+    await Setting.set(SETTINGS.MFA_REQUIRED_ROLES, mfaRequiredRoles, req.user.id);
+
+    console.log(`MFA required roles set to [${mfaRequiredRoles.join(', ')}] by ${req.user.username}`);
+    res.json({
+      message: 'Security settings updated successfully',
+      mfaRequiredRoles
+    });
+
+  } catch (error) {
+    console.error('Error updating security settings:', error.message);
+    res.status(500).json({ message: 'Could not update security settings' });
+  }
+});
+
+module.exports = router;
@@ -2,7 +2,15 @@
  * User Management Routes - User Management System
  *
  * This module handles all HTTP requests related to user management operations.
- * All endpoints require administrative privileges for access.
+ * Every endpoint requires the matching users:* permission, a verified
+ * email address and, where the MFA policy demands it, two-factor
+ * authentication. Endpoints acting on a single user are authorized by the
+ * access policies in config/policies.js, which also let users read their
+ * own record. Organization administrators only see and manage users
+ * of their own organizations; users:global (super-admin) lifts that limit.
+ * Administrators can impersonate users to see the system as they do,
+ * and see and end their login sessions; both are recorded in the audit
+ * log.
  *
  * Available endpoints:
  * - GET /api/users - Retrieve all users
@@ -10,6 +18,10 @@
  * - POST /api/users - Create new user
  * - PUT /api/users/:id - Update user
  * - DELETE /api/users/:id - Delete user
+ * - POST /api/users/:id/unlock - Clear a login lockout
+ * - POST /api/users/:id/impersonate - Act as the user
+ * - GET /api/users/:id/sessions - List the user's active sessions
+ * - DELETE /api/users/:id/sessions/:sessionId - End one of the user's sessions
  *
  * @author Development Team
  * @version 1.0.0
@@ -17,25 +29,217 @@
 
 const express = require('express');
 const router = express.Router();
-const bcrypt = require('bcryptjs');
 const { check, validationResult } = require('express-validator');
 
 const { User, ROLES } = require('../models/User');
-const { authenticateToken, authorize } = require('../middleware/auth');
+const { Role } = require('../models/Role');
+const { Organization } = require('../models/Organization');
+const { RoleRequest } = require('../models/RoleRequest');
+const { PERMISSIONS } = require('../models/Permission');
+const { RefreshToken } = require('../models/RefreshToken');
+const { PersonalAccessToken } = require('../models/PersonalAccessToken');
+const { Session } = require('../models/Session');
+const { AuditLog, AUDIT_ACTIONS } = require('../models/AuditLog');
+const {
+  authenticateToken,
+  authenticateUserOrClient,
+  requirePermission,
+  requirePolicy,
+  resolveOrganizationScope,
+  requireVerifiedEmail,
+  requireMfaEnrollment,
+  requireInteractiveSession,
+  blockWhileImpersonating
+} = require('../middleware/auth');
+const { validatePassword, setPassword } = require('../utils/passwordPolicy');
+const { resolveAccess, isInOrganizationScope } = require('../utils/access');
+const { findApprovalRequiredRoles } = require('../utils/roleGrants');
+const { buildUserResource } = require('../utils/policy');
+const { createImpersonationSession } = require('../utils/tokens');
+const { sendImpersonationToken } = require('../utils/sessionCookies');
+const { getClientInfo } = require('../utils/clientInfo');
+
+/**
+ * Holds Role Permissions
+ *
+ * Checks that the acting user holds every permission of a set of roles,
+ * including inherited ones, so nobody can assign roles with more access
+ * than they have, or take over such an account by editing it.
+ *
+ * @param {Object} req - Request with permissions set by requirePermission
+ * @param {string[]} roleNames - Roles to compare against
+ * @returns {Promise<boolean>} True if the acting user holds all of them
+ */
+async function holdsRolePermissions(req, roleNames) {
+  const rolePermissions = await Role.getEffectivePermissionNames(roleNames);
+  return rolePermissions.every(permission => req.permissions.includes(permission));
+}
+
+/**
+ * Holds User Permissions
+ *
+ * Checks that the acting user holds every permission of another user,
+ * including those from their groups.
+ *
+ * @param {Object} req - Request with permissions set by requirePermission
+ * @param {User} user - User to compare against
+ * @returns {Promise<boolean>} True if the acting user holds all of them
+ */
+async function holdsUserPermissions(req, user) {
+  const { permissions } = await resolveAccess(user);
+  return permissions.every(permission => req.permissions.includes(permission));
+}
+
+/**
+ * Get Requested Roles
+ *
+ * Roles can be sent as a list ("roles") or, for a single role, as "role".
+ *
+ * @param {Object} body - Request body
+ * @returns {string[]|undefined} Distinct role names, primary role first, or undefined if none were sent
+ */
+function getRequestedRoles(body) {
+  if (body.roles !== undefined) {
+    return [...new Set(body.roles)];
+  }
+  return body.role ? [body.role] : undefined;
+}
+
+/**
+ * Get Role Expirations
+ *
+ * @param {Object} body - Request body with a validated roleExpirations object
+ * @returns {Object} Expiry date by role name; roles sent as null never expire
+ */
+function getRoleExpirations(body) {
+  const expirations = {};
+  for (const [roleName, expiresAt] of Object.entries(body.roleExpirations || {})) {
+    if (expiresAt !== null) {
+      expirations[roleName] = new Date(expiresAt);
+    }
+  }
+  return expirations;
+}
+
+/**
+ * Check Role Expirations
+ *
+ * Expiry dates must belong to roles being granted, and at least one role
+ * has to be permanent so nobody is left without a role.
+ *
+ * @param {string[]} roles - Roles being granted directly
+ * @param {string[]} requestedRoles - Roles awaiting approval, which may also carry an expiry
+ * @param {Object} expirations - Result of getRoleExpirations()
+ * @returns {string|null} Problem description, or null if the expirations are fine
+ */
+function checkRoleExpirations(roles, requestedRoles, expirations) {
+  const unknown = Object.keys(expirations).filter(roleName =>
+    !roles.includes(roleName) && !requestedRoles.includes(roleName)
+  );
+  if (unknown.length > 0) {
+    return `Expiry set for roles that are not assigned: ${unknown.join(', ')}`;
+  }
+
+  if (roles.every(roleName => expirations[roleName])) {
+    return 'At least one role must not expire';
+  }
+
+  return null;
+}
+
+/**
+ * Request Roles
+ *
+ * Stores approval requests for roles that cannot be granted directly.
+ * A role that already has a pending request for the user is not
+ * requested again.
+ *
+ * @param {Object} req - Request of the acting administrator
+ * @param {number} userId - User the roles are for
+ * @param {string[]} roleNames - Roles that need approval
+ * @param {Object} expirations - Expiry date by role name
+ * @returns {Promise<RoleRequest[]>} The pending requests
+ */
+async function requestRoles(req, userId, roleNames, expirations) {
+  const requests = [];
+  for (const roleName of roleNames) {
+    const pending = await RoleRequest.findPending(userId, roleName);
+    requests.push(pending || await RoleRequest.create({
+      userId,
+      role: roleName,
+      requestedBy: req.user.id,
+      expiresAt: expirations[roleName] || null
+    }));
+  }
+
+  if (roleNames.length > 0) {
+    console.log(`Roles requested for user ${userId}: ${roleNames.join(', ')} by ${req.user.username}`);
+  }
+  return requests;
+}
+
+// Validator for role expiry dates - role name to a future ISO 8601 date, or null for no expiry
+const roleExpirationsValid = (value) => {
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    throw new Error('Role expirations must map role names to dates');
+  }
+
+  for (const expiresAt of Object.values(value)) {
+    if (expiresAt === null) continue;
+
+    const date = new Date(expiresAt);
+    if (typeof expiresAt !== 'string' || Number.isNaN(date.getTime()) || date <= new Date()) {
+      throw new Error('Role expiry dates must be valid dates in the future');
+    }
+  }
+  return true;
+};
+
+// Resource loader for requirePolicy - the user named in the URL
+const loadUserResource = async (req) => {
+  const user = await User.findById(req.params.id);
+  return user ? buildUserResource(user) : null;
+};
+
+// Validator for role names - the role must exist
+const roleExists = async (value) => {
+  if (typeof value !== 'string' || !(await Role.findByName(value))) {
+    throw new Error('Unknown role');
+  }
+  return true;
+};
+
+// Validator for role lists - every role must exist
+const rolesExist = async (value) => {
+  for (const roleName of value) {
+    await roleExists(roleName);
+  }
+  return true;
+};
+
+// Validator for organization lists - every organization must exist (IDs already converted by toInt)
+const organizationsExist = async (value) => {
+  const organizationIds = [...new Set(value)];
+  if ((await Organization.countExisting(organizationIds)) !== organizationIds.length) {
+    throw new Error('Unknown organization');
+  }
+  return true;
+};
 
 /**
  * Retrieve All Users
  * GET /api/users
  *
- * Returns a list of all users in the system.
- * Administrative access required.
+ * Returns a list of all users in the system, or of the acting user's
+ * organizations unless they hold users:global.
+ * Requires the users:read permission.
  *
  * @returns {Array} List of user objects (passwords excluded)
  */
-router.get('/', authenticateToken, authorize(ROLES.ADMIN), async (req, res) => {
+router.get('/', authenticateUserOrClient, requirePermission(PERMISSIONS.USERS_READ), resolveOrganizationScope, requireVerifiedEmail, requireMfaEnrollment, async (req, res) => {
   try {
     // Get all users from the database (passwords are automatically excluded)
-    const users = await User.getAllUsers();
+    const users = await User.getAllUsers(req.organizationScope);
 
     // Send the users back as JSON
     res.json(users);
@@ -50,20 +254,23 @@ router.get('/', authenticateToken, authorize(ROLES.ADMIN), async (req, res) => {
  * GET /api/users/:id
  *
  * Returns detailed information for a specific user.
- * Administrative access required.
+ * Requires the users:read permission, unless it is the user's own record.
  *
  * @param {number} id - User ID
  * @returns {Object} User data (password excluded)
  */
-router.get('/:id', authenticateToken, authorize(ROLES.ADMIN), async (req, res) => {
+router.get('/:id', authenticateUserOrClient, requirePolicy(PERMISSIONS.USERS_READ, loadUserResource), resolveOrganizationScope, requireVerifiedEmail, requireMfaEnrollment, async (req, res) => {
   try {
     const userId = req.params.id;
 
     // Find the user in the database
     const user = await User.findById(userId);
 
-    // If user doesn't exist, return error
-    if (!user) {
+    // Service accounts have no record of their own
+    const ownRecord = req.user && user && user.id === req.user.id;
+
+    // If user doesn't exist (or is outside the admin's organizations), return error
+    if (!user || (!ownRecord && !isInOrganizationScope(req.organizationScope, user))) {
       return res.status(404).json({ message: 'User not found' });
     }
 
@@ -79,25 +286,39 @@ router.get('/:id', authenticateToken, authorize(ROLES.ADMIN), async (req, res) =
  * Create New User
  * POST /api/users
  *
- * Creates a new user account with validation.
- * Administrative access required.
+ * Creates a new user account with validation. The roles may not grant
+ * permissions the acting user does not hold. Roles that need a second
+ * administrator's approval are not granted yet; a role request is
+ * created for them instead.
+ * Requires the users:create permission.
  *
  * @body {string} username - Unique username
  * @body {string} email - Valid email address
- * @body {string} password - Password (minimum 6 characters)
- * @body {string} role - User role (admin or user)
- * @returns {Object} Created user data
+ * @body {string} password - Password meeting the password policy
+ * @body {string[]} [roles] - Names of existing roles, the first is the primary role
+ * @body {string} [role] - Name of an existing role, if roles is not given
+ * @body {Object} [roleExpirations] - Expiry date (ISO 8601) by role name for time-bound roles
+ * @body {number[]} [organizationIds] - Organizations the user belongs to; organization
+ *   administrators may only pick their own, and can omit it if they have just one
+ * @returns {Object} Created user data and any pending role requests
  */
 router.post('/', [
   // Authentication and authorization middleware
   authenticateToken,
-  authorize(ROLES.ADMIN),
+  requirePermission(PERMISSIONS.USERS_CREATE),
+  resolveOrganizationScope,
+  requireVerifiedEmail,
+  requireMfaEnrollment,
 
   // Input validation rules
   check('username', 'Username is required').notEmpty(),
   check('email', 'Please provide a valid email').isEmail(),
-  check('password', 'Password must be at least 6 characters').isLength({ min: 6 }),
-  check('role', 'Role must be either admin or user').isIn(['admin', 'user'])
+  check('password', 'Password is required').isString().notEmpty(),
+  check('role').if(check('roles').not().exists()).custom(roleExists),
+  check('roles', 'Roles must be a non-empty list').optional().isArray({ min: 1 }).bail().custom(rolesExist),
+  check('roleExpirations').optional().custom(roleExpirationsValid),
+  check('organizationIds.*', 'Organization IDs must be numbers').isInt({ min: 1 }).toInt(),
+  check('organizationIds', 'Organizations must be a list').optional().isArray().bail().custom(organizationsExist)
 ], async (req, res) => {
 
   // Check if the input data is valid
@@ -109,9 +330,70 @@ router.post('/', [
     });
   }
 
-  const { username, email, password, role } = req.body;
+  const { username, email, password } = req.body;
+  const roles = getRequestedRoles(req.body);
+  const scope = req.organizationScope;
+  let organizationIds = req.body.organizationIds !== undefined
+    ? [...new Set(req.body.organizationIds)]
+    : [];
+
+  // Organization administrators create users inside their own organizations
+  if (scope !== null) {
+    if (scope.length === 0) {
+      return res.status(403).json({ message: 'You do not belong to any organization' });
+    }
+
+    if (req.body.organizationIds === undefined) {
+      if (scope.length > 1) {
+        return res.status(400).json({
+          message: 'Choose the organizations the user belongs to',
+          field: 'organizationIds'
+        });
+      }
+      organizationIds = scope;
+    }
+
+    if (organizationIds.length === 0 || organizationIds.some(id => !scope.includes(id))) {
+      return res.status(403).json({
+        message: 'You can only add users to your own organizations',
+        field: 'organizationIds'
+      });
+    }
+  }
 
   try {
+    const passwordProblems = await validatePassword(password, { username, email });
+    if (passwordProblems.length > 0) {
+      return res.status(400).json({
+        message: 'Password does not meet the password policy',
+        field: 'password',
+        errors: passwordProblems.map(msg => ({ msg, path: 'password' }))
+      });
+    }
+
+    if (!(await holdsRolePermissions(req, roles))) {
+      return res.status(403).json({
+        message: 'You cannot assign a role with permissions you do not have',
+        field: 'roles'
+      });
+    }
+
+    // Roles needing approval are requested once the user exists
+    const roleExpirations = getRoleExpirations(req.body);
+    const gatedRoles = await findApprovalRequiredRoles(roles);
+    let grantedRoles = roles.filter(roleName => !gatedRoles.includes(roleName));
+    if (grantedRoles.length === 0) {
+      grantedRoles = [ROLES.USER];
+    }
+
+    const expirationProblem = checkRoleExpirations(grantedRoles, gatedRoles, roleExpirations);
+    if (expirationProblem) {
+      return res.status(400).json({
+        message: expirationProblem,
+        field: 'roleExpirations'
+      });
+    }
+
     // Check if username already exists (case-insensitive)
     const existingUserByUsername = await User.findByUsername(username);
     if (existingUserByUsername) {
@@ -135,13 +417,20 @@ router.post('/', [
       username,
       email,
       password,
-      role
+      roles: grantedRoles,
+      roleExpirations,
+      organizationIds
     });
 
+    const pendingRoleRequests = await requestRoles(req, newUser.id, gatedRoles, roleExpirations);
+
     // Return the created user (password excluded)
     res.status(201).json({
-      message: 'User created successfully',
-      user: newUser
+      message: gatedRoles.length > 0
+        ? `User created successfully; ${gatedRoles.join(', ')} awaits approval by another administrator`
+        : 'User created successfully',
+      user: newUser,
+      pendingRoleRequests
     });
 
   } catch (error) {
@@ -173,25 +462,40 @@ router.post('/', [
  * Update User
  * PUT /api/users/:id
  *
- * Updates user information with validation.
- * Administrative access required.
+ * Updates user information with validation. Setting a new password
+ * signs the user out everywhere. Users whose roles grant permissions the
+ * acting user does not hold cannot be edited or given such roles. New
+ * roles that need a second administrator's approval become role requests.
+ * Requires the users:update permission.
  *
  * @param {number} id - User ID to update
  * @body {string} [username] - New username
  * @body {string} [email] - New email address
- * @body {string} [password] - New password
- * @body {string} [role] - New role
- * @returns {Object} Updated user data
+ * @body {string} [password] - New password meeting the password policy
+ * @body {string[]} [roles] - Replaces all roles, the first is the primary role
+ * @body {string} [role] - Replaces all roles with this single role
+ * @body {Object} [roleExpirations] - Replaces the expiry dates (ISO 8601) by role name;
+ *   when omitted, roles that are kept keep their expiry
+ * @body {number[]} [organizationIds] - Replaces the organizations the user belongs to;
+ *   memberships outside the acting administrator's organizations are kept
+ * @returns {Object} Updated user data and any pending role requests
  */
 router.put('/:id', [
   authenticateToken,
-  authorize(ROLES.ADMIN),
+  requirePolicy(PERMISSIONS.USERS_UPDATE, loadUserResource),
+  resolveOrganizationScope,
+  requireVerifiedEmail,
+  requireMfaEnrollment,
 
   // Optional validation - only validate if fields are provided
   check('username').optional().notEmpty().withMessage('Username cannot be empty'),
   check('email').optional().isEmail().withMessage('Please provide a valid email'),
-  check('password').optional().isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
-  check('role').optional().isIn(['admin', 'user']).withMessage('Role must be either admin or user')
+  check('password').optional().isString().notEmpty().withMessage('Password cannot be empty'),
+  check('role').optional().custom(roleExists),
+  check('roles', 'Roles must be a non-empty list').optional().isArray({ min: 1 }).bail().custom(rolesExist),
+  check('roleExpirations').optional().custom(roleExpirationsValid),
+  check('organizationIds.*', 'Organization IDs must be numbers').isInt({ min: 1 }).toInt(),
+  check('organizationIds', 'Organizations must be a list').optional().isArray().bail().custom(organizationsExist)
 ], async (req, res) => {
 
   // Check for validation errors
@@ -206,41 +510,137 @@ router.put('/:id', [
   try {
     const userId = req.params.id;
 
-    // Check if user exists
+    // Check if user exists (and is inside the admin's organizations)
     const existingUser = await User.findById(userId);
-    if (!existingUser) {
+    if (!existingUser || !isInOrganizationScope(req.organizationScope, existingUser)) {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    // Prevent admin from removing their own admin privileges
-    if (existingUser.id === req.user.id && req.body.role && req.body.role !== ROLES.ADMIN) {
+    const requestedRoles = getRequestedRoles(req.body);
+    const expirationsChanged = req.body.roleExpirations !== undefined;
+
+    // Prevent users from changing their own roles
+    let rolesChanged = requestedRoles !== undefined && (
+      requestedRoles[0] !== existingUser.role
+      || requestedRoles.length !== existingUser.roles.length
+      || requestedRoles.some(role => !existingUser.roles.includes(role))
+    );
+    if (existingUser.id === req.user.id && (rolesChanged || expirationsChanged)) {
+      return res.status(400).json({
+        message: 'You cannot change your own role'
+      });
+    }
+
+    if (!(await holdsUserPermissions(req, existingUser))) {
+      return res.status(403).json({
+        message: 'You cannot edit a user with permissions you do not have'
+      });
+    }
+
+    if (rolesChanged && !(await holdsRolePermissions(req, requestedRoles))) {
+      return res.status(403).json({
+        message: 'You cannot assign a role with permissions you do not have',
+        field: 'roles'
+      });
+    }
+
+    // Newly added roles that need approval are requested instead of granted
+    let roles = requestedRoles || existingUser.roles;
+    let gatedRoles = [];
+    if (rolesChanged) {
+      gatedRoles = await findApprovalRequiredRoles(
+        requestedRoles.filter(role => !existingUser.roles.includes(role))
+      );
+      roles = requestedRoles.filter(role => !gatedRoles.includes(role));
+      if (roles.length === 0) {
+        roles = existingUser.roles;
+      }
+      rolesChanged = roles.length !== existingUser.roles.length
+        || roles[0] !== existingUser.role
+        || roles.some(role => !existingUser.roles.includes(role));
+    }
+
+    const roleExpirations = expirationsChanged
+      ? getRoleExpirations(req.body)
+      : Object.fromEntries(Object.entries(existingUser.role_expirations).filter(([role]) => roles.includes(role)));
+
+    const expirationProblem = checkRoleExpirations(roles, gatedRoles, roleExpirations);
+    if ((rolesChanged || expirationsChanged) && expirationProblem) {
       return res.status(400).json({
-        message: 'You cannot remove your own admin privileges'
+        message: expirationProblem,
+        field: 'roleExpirations'
       });
     }
 
+    let organizationIds;
+    if (req.body.organizationIds !== undefined) {
+      const scope = req.organizationScope;
+      organizationIds = [...new Set(req.body.organizationIds)];
+
+      if (scope !== null) {
+        if (organizationIds.some(id => !scope.includes(id))) {
+          return res.status(403).json({
+            message: 'You can only add users to your own organizations',
+            field: 'organizationIds'
+          });
+        }
+
+        // Memberships the acting admin cannot see are left alone
+        organizationIds = [
+          ...existingUser.organization_ids.filter(id => !scope.includes(id)),
+          ...organizationIds
+        ];
+      }
+    }
+
     // Prepare updates object with only the fields that are being changed
     const updates = {};
     if (req.body.username) updates.username = req.body.username;
     if (req.body.email) updates.email = req.body.email;
 
-    // Handle password update separately (needs hashing)
+    // Validate the password against the account as it will look after the update
     if (req.body.password) {
-      const hashedPassword = await bcrypt.hash(req.body.password, 10);
-      updates.password = hashedPassword;
+      const passwordProblems = await validatePassword(req.body.password, {
+        username: updates.username || existingUser.username,
+        email: updates.email || existingUser.email,
+        userId: existingUser.id
+      });
+      if (passwordProblems.length > 0) {
+        return res.status(400).json({
+          message: 'Password does not meet the password policy',
+          field: 'password',
+          errors: passwordProblems.map(msg => ({ msg, path: 'password' }))
+        });
+      }
     }
 
     // Update basic user information
     let updatedUser = await User.updateUser(userId, updates);
 
-    // Update role if provided (using separate method for clarity)
-    if (req.body.role) {
-      updatedUser = await User.updateUserRole(userId, req.body.role);
+    // Handle password update separately (needs hashing and history)
+    if (req.body.password) {
+      await setPassword(existingUser, req.body.password);
+      await RefreshToken.revokeAllForUser(existingUser.id);
+      await PersonalAccessToken.revokeAllForUser(existingUser.id);
+    }
+
+    // Update roles if provided (using separate method for clarity)
+    if (rolesChanged || expirationsChanged) {
+      updatedUser = await User.setRoles(userId, roles, roleExpirations);
+    }
+
+    const pendingRoleRequests = await requestRoles(req, existingUser.id, gatedRoles, roleExpirations);
+
+    if (organizationIds !== undefined) {
+      updatedUser = await User.setOrganizations(userId, organizationIds);
     }
 
     res.json({
-      message: 'User updated successfully',
-      user: updatedUser
+      message: gatedRoles.length > 0
+        ? `User updated successfully; ${gatedRoles.join(', ')} awaits approval by another administrator`
+        : 'User updated successfully',
+      user: updatedUser,
+      pendingRoleRequests
     });
 
   } catch (error) {
@@ -253,22 +653,31 @@ router.put('/:id', [
  * Delete User
  * DELETE /api/users/:id
  *
- * Permanently removes a user from the system.
- * Administrative access required.
+ * Permanently removes a user from the system. Organization administrators
+ * cannot delete users who also belong to other organizations. Not
+ * available while impersonating.
+ * Requires the users:delete permission.
  *
  * @param {number} id - User ID to delete
  * @returns {Object} Success confirmation
  */
-router.delete('/:id', authenticateToken, authorize(ROLES.ADMIN), async (req, res) => {
+router.delete('/:id', authenticateToken, requirePolicy(PERMISSIONS.USERS_DELETE, loadUserResource), resolveOrganizationScope, requireVerifiedEmail, requireMfaEnrollment, blockWhileImpersonating, async (req, res) => {
   try {
     const userId = req.params.id;
 
-    // Check if user exists
+    // Check if user exists (and is inside the admin's organizations)
     const user = await User.findById(userId);
-    if (!user) {
+    if (!user || !isInOrganizationScope(req.organizationScope, user)) {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    const scope = req.organizationScope;
+    if (scope !== null && user.organization_ids.some(id => !scope.includes(id))) {
+      return res.status(403).json({
+        message: 'This user also belongs to other organizations; remove them from yours instead'
+      });
+    }
+
     // Prevent admin from deleting themselves
     if (user.id === req.user.id) {
       return res.status(400).json({
@@ -276,6 +685,12 @@ router.delete('/:id', authenticateToken, authorize(ROLES.ADMIN), async (req, res
       });
     }
 
+    if (!(await holdsUserPermissions(req, user))) {
+      return res.status(403).json({
+        message: 'You cannot delete a user with permissions you do not have'
+      });
+    }
+
     // Delete the user
     const deleted = await User.deleteUser(userId);
     if (!deleted) {
@@ -292,4 +707,197 @@ router.delete('/:id', authenticateToken, authorize(ROLES.ADMIN), async (req, res
   }
 });
 
+/**
+ * Unlock User
+ * POST /api/users/:id/unlock
+ *
+ * Clears failed login attempts and any temporary lockout on an account.
+ * Requires the users:unlock permission.
+ *
+ * @param {number} id - User ID to unlock
+ * @returns {Object} Updated user data
+ */
+router.post('/:id/unlock', authenticateToken, requirePolicy(PERMISSIONS.USERS_UNLOCK, loadUserResource), resolveOrganizationScope, requireVerifiedEmail, requireMfaEnrollment, async (req, res) => {
+  try {
+    const userId = req.params.id;
+
+    const user = await User.findById(userId);
+    if (!user || !isInOrganizationScope(req.organizationScope, user)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await User.resetLoginFailures(user.id);
+
+    console.log(`Account unlocked: ${user.username} by ${req.user.username}`);
+    res.json({
+      message: `User '${user.username}' unlocked successfully`,
+      user: await User.findById(user.id)
+    });
+
+  } catch (error) {
+    console.error('Error unlocking user:', error.message);
+    res.status(500).json({ message: 'Could not unlock user' });
+  }
+});
+
+/**
+ * Impersonate User
+ * POST /api/users/:id/impersonate
+ *
+ * Issues a short-lived impersonation token for acting as the user. The
+ * token names both the user and the administrator; it cannot be
+ * refreshed, and password, email, MFA and account deletion changes are
+ * refused while it is used. Administrators cannot impersonate users
+ * with permissions they do not have, or start an impersonation from
+ * one. Start and end, and every change made, are audited.
+ * Requires the users:impersonate permission.
+ *
+ * @param {number} id - User ID to impersonate
+ * @body {string} [reason] - Why the account is being accessed, kept in the audit log
+ * @returns {Object} Impersonation token (set as a cookie in cookie mode), its expiry and the user
+ */
+router.post('/:id/impersonate', [
+  authenticateToken,
+  requireInteractiveSession,
+  requirePolicy(PERMISSIONS.USERS_IMPERSONATE, loadUserResource),
+  resolveOrganizationScope,
+  requireVerifiedEmail,
+  requireMfaEnrollment,
+  blockWhileImpersonating,
+
+  check('reason', 'Reason must be at most 255 characters').optional({ values: 'null' }).isString().isLength({ max: 255 })
+], async (req, res) => {
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Invalid input data',
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user || !isInOrganizationScope(req.organizationScope, user)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.id === req.user.id) {
+      return res.status(400).json({ message: 'You cannot impersonate yourself' });
+    }
+
+    if (!(await holdsUserPermissions(req, user))) {
+      return res.status(403).json({
+        message: 'You cannot impersonate a user with permissions you do not have'
+      });
+    }
+
+    const session = await createImpersonationSession(req.user, user, getClientInfo(req));
+
+    await AuditLog.record({
+      action: AUDIT_ACTIONS.IMPERSONATION_START,
+      actor: req.user,
+      targetUserId: user.id,
+      details: {
+        sessionId: session.sessionId,
+        username: user.username,
+        reason: req.body.reason || null,
+        expiresAt: session.expiresAt
+      },
+      ipAddress: req.ip
+    });
+
+    console.log(`Impersonation started: ${user.username} by ${req.user.username}`);
+    res.json({
+      message: `You are now impersonating ${user.username}`,
+      ...sendImpersonationToken(res, session),
+      expiresAt: session.expiresAt,
+      user,
+      impersonator: {
+        id: req.user.id,
+        username: req.user.username
+      }
+    });
+
+  } catch (error) {
+    console.error('Error impersonating user:', error.message);
+    res.status(500).json({ message: 'Could not impersonate user' });
+  }
+});
+
+/**
+ * List User Sessions
+ * GET /api/users/:id/sessions
+ *
+ * Returns where the user is signed in, including impersonation sessions.
+ * Requires the users:sessions permission.
+ *
+ * @param {number} id - User ID
+ * @returns {Array} Active sessions, most recently used first
+ */
+router.get('/:id/sessions', authenticateToken, requirePolicy(PERMISSIONS.USERS_SESSIONS, loadUserResource), resolveOrganizationScope, requireVerifiedEmail, requireMfaEnrollment, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user || !isInOrganizationScope(req.organizationScope, user)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const sessions = await Session.findActiveByUser(user.id);
+    res.json(sessions.map(session => ({ ...session, current: session.id === req.sessionId })));
+
+  } catch (error) {
+    console.error('Error getting user sessions:', error.message);
+    res.status(500).json({ message: 'Could not retrieve sessions' });
+  }
+});
+
+/**
+ * End User Session
+ * DELETE /api/users/:id/sessions/:sessionId
+ *
+ * Revokes one of the user's sessions, e.g. on a lost device; the user
+ * has to sign in again there. Audited.
+ * Requires the users:sessions permission.
+ *
+ * @param {number} id - User ID
+ * @param {string} sessionId - Session ID
+ * @returns {Object} Success confirmation
+ */
+router.delete('/:id/sessions/:sessionId', authenticateToken, requirePolicy(PERMISSIONS.USERS_SESSIONS, loadUserResource), resolveOrganizationScope, requireVerifiedEmail, requireMfaEnrollment, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user || !isInOrganizationScope(req.organizationScope, user)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const session = await Session.findActiveById(req.params.sessionId, user.id);
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await RefreshToken.revokeFamily(session.id);
+
+    await AuditLog.record({
+      action: AUDIT_ACTIONS.SESSION_REVOKE,
+      actor: req.user,
+      impersonator: req.impersonator,
+      targetUserId: user.id,
+      details: {
+        sessionId: session.id,
+        username: user.username,
+        device: session.device,
+        ipAddress: session.ip_address
+      },
+      ipAddress: req.ip
+    });
+
+    console.log(`Session of ${user.username} ended by ${req.user.username}`);
+    res.json({ message: `Session of ${user.username} ended` });
+
+  } catch (error) {
+    console.error('Error ending user session:', error.message);
+    res.status(500).json({ message: 'Could not end session' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,56 @@
+/**
+ * Well-Known Routes - User Management System
+ *
+ * This module serves the metadata that lets relying parties configure
+ * themselves from the issuer URL alone (OpenID Connect Discovery 1.0),
+ * and the public keys that verify every token the server signs.
+ *
+ * Available endpoints:
+ * - GET /.well-known/openid-configuration - OpenID Provider metadata
+ * - GET /.well-known/jwks.json - Public signing keys (JWK Set)
+ *
+ * @author Development Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getDiscoveryDocument } = require('../utils/oidc');
+const { getJwks } = require('../utils/signingKeys');
+
+/**
+ * OpenID Provider Metadata
+ * GET /.well-known/openid-configuration
+ *
+ * @returns {Object} Issuer, endpoint URLs and supported features
+ */
+router.get('/openid-configuration', (req, res) => {
+  try {
+    res.json(getDiscoveryDocument());
+  } catch (error) {
+    console.error('Error getting provider metadata:', error.message);
+    res.status(500).json({ message: 'Could not load provider metadata' });
+  }
+});
+
+/**
+ * JSON Web Key Set
+ * GET /.well-known/jwks.json
+ *
+ * Lists the current signing key and the retired keys whose tokens may
+ * still be valid. Verifiers should cache it and fetch it again when a
+ * token names a key ID they do not know.
+ *
+ * @returns {Object} keys - Public keys that verify tokens
+ */
+router.get('/jwks.json', (req, res) => {
+  try {
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json(getJwks());
+  } catch (error) {
+    console.error('Error getting signing keys:', error.message);
+    res.status(500).json({ message: 'Could not load signing keys' });
+  }
+});
+
+module.exports = router;
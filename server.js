@@ -26,7 +26,25 @@ const { User } = require("./models/User");
 
 // Import route handlers
 const authRoutes = require("./routes/auth");
+const mfaRoutes = require("./routes/mfa");
+const personalAccessTokenRoutes = require("./routes/personalAccessTokens");
+const sessionRoutes = require("./routes/sessions");
+const loginHistoryRoutes = require("./routes/loginHistory");
+const magicLinkRoutes = require("./routes/magicLink");
+const oauthRoutes = require("./routes/oauth");
+const serviceAccountRoutes = require("./routes/serviceAccounts");
+const relyingPartyRoutes = require("./routes/relyingParties");
+const wellKnownRoutes = require("./routes/wellKnown");
 const userRoutes = require("./routes/users");
+const settingsRoutes = require("./routes/settings");
+const roleRoutes = require("./routes/roles");
+const groupRoutes = require("./routes/groups");
+const organizationRoutes = require("./routes/organizations");
+const roleRequestRoutes = require("./routes/roleRequests");
+const policyRoutes = require("./routes/policies");
+const auditLogRoutes = require("./routes/auditLog");
+const { startRoleExpiryJob } = require("./utils/roleGrants");
+const { startKeyRotationJob } = require("./utils/signingKeys");
 
 // Create Express application
 const app = express();
@@ -87,7 +105,23 @@ User.seedDatabase();
 
 // API Routes
 app.use("/api/auth", authRoutes); // Authentication endpoints
+app.use("/api/auth/mfa", mfaRoutes); // Two-factor authentication endpoints
+app.use("/api/auth/tokens", personalAccessTokenRoutes); // Personal access tokens
+app.use("/api/auth/sessions", sessionRoutes); // Login sessions of the current user
+app.use("/api/auth/login-history", loginHistoryRoutes); // Login attempts on the current user's account
+app.use("/api/auth/magic-link", magicLinkRoutes); // Passwordless sign-in by emailed link
+app.use("/api/oauth", oauthRoutes); // OAuth2 token endpoint for service accounts
+app.use("/api/service-accounts", serviceAccountRoutes); // Service account management
+app.use("/api/relying-parties", relyingPartyRoutes); // OpenID Connect client registration
+app.use("/.well-known", wellKnownRoutes); // OpenID Connect discovery and JWKS
 app.use("/api/users", userRoutes); // User management endpoints
+app.use("/api/settings", settingsRoutes); // System settings endpoints
+app.use("/api/roles", roleRoutes); // Role and permission management endpoints
+app.use("/api/groups", groupRoutes); // Group and membership management endpoints
+app.use("/api/organizations", organizationRoutes); // Organization management endpoints
+app.use("/api/role-requests", roleRequestRoutes); // Approval of role requests
+app.use("/api/policies", policyRoutes); // Access policies and dry runs
+app.use("/api/audit-log", auditLogRoutes); // Audit trail
 
 /**
  * API Health Check
@@ -102,7 +136,19 @@ app.get("/api", (_req, res) => {
     timestamp: new Date().toISOString(),
     endpoints: {
       auth: "/api/auth (authentication)",
+      oauth: "/api/oauth (OAuth2 and OpenID Connect)",
+      serviceAccounts: "/api/service-accounts (machine identities)",
+      relyingParties: "/api/relying-parties (OpenID Connect clients)",
+      discovery: "/.well-known/openid-configuration (OpenID Connect discovery)",
+      jwks: "/.well-known/jwks.json (token signing keys)",
       users: "/api/users (user management)",
+      settings: "/api/settings (system settings)",
+      roles: "/api/roles (roles and permissions)",
+      groups: "/api/groups (groups and memberships)",
+      organizations: "/api/organizations (organizations)",
+      roleRequests: "/api/role-requests (role approval workflow)",
+      policies: "/api/policies (access policies)",
+      auditLog: "/api/audit-log (audit trail)",
       dashboard: "/api/dashboard (statistics)"
     }
   });
@@ -190,6 +236,12 @@ app.listen(port, () => {
   console.log(`Server running at http://localhost:${port}`);
   console.log(`API endpoint: http://localhost:${port}/api`);
   console.log("User Management System is ready");
+
+  // Revoke time-bound role grants once they expire
+  startRoleExpiryJob();
+
+  // Create the first signing key and rotate keys on schedule
+  startKeyRotationJob();
 });
 
 // Handle graceful shutdown
@@ -0,0 +1,77 @@
+/**
+ * Client Info Utilities - User Management System
+ *
+ * Describes the client a request comes from - its user agent and IP
+ * address - for the session list and login records. req.ip honours the
+ * "trust proxy" setting, so behind a proxy it is the client's address.
+ *
+ * @author Development Team
+ * @version 1.0.0
+ */
+
+// Longest user agent kept; longer ones are cut off
+const MAX_USER_AGENT_LENGTH = 512;
+
+// Browsers in the order they must be tested - e.g. Edge also claims to be Chrome and Safari
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Safari', /Safari\//],
+  ['curl', /^curl\//]
+];
+
+// Operating systems in the order they must be tested - Android also claims to be Linux
+const OPERATING_SYSTEMS = [
+  ['Windows', /Windows/],
+  ['Android', /Android/],
+  ['iOS', /iPhone|iPad|iPod/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['ChromeOS', /CrOS/],
+  ['Linux', /Linux/]
+];
+
+/**
+ * Get Client Info
+ *
+ * @param {Object} req - Express request
+ * @returns {{userAgent: string|null, ipAddress: string|null}} Client of the request
+ */
+function getClientInfo(req) {
+  const userAgent = req.get('user-agent');
+  return {
+    userAgent: userAgent ? userAgent.slice(0, MAX_USER_AGENT_LENGTH) : null,
+    ipAddress: req.ip || null
+  };
+}
+
+/**
+ * Describe Device
+ *
+ * A short, readable name for a user agent, e.g. "Firefox on Windows".
+ *
+ * @param {string|null} userAgent - User agent header
+ * @returns {string} Device description
+ */
+function describeDevice(userAgent) {
+  if (!userAgent) {
+    return 'Unknown device';
+  }
+
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+  const os = OPERATING_SYSTEMS.find(([, pattern]) => pattern.test(userAgent));
+
+  if (browser && os) {
+    return `${browser[0]} on ${os[0]}`;
+  }
+  if (browser || os) {
+    return (browser || os)[0];
+  }
+  return 'Unknown device';
+}
+
+module.exports = {
+  getClientInfo,
+  describeDevice
+};
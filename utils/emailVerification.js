@@ -0,0 +1,63 @@
+/**
+ * Email Verification Utilities - User Management System
+ *
+ * Issues email verification tokens and sends the verification link.
+ * Used on registration, on email change and when a user asks for the
+ * link to be sent again.
+ *
+ * @author Development Team
+ * @version 1.0.0
+ */
+
+const config = require('../config/default');
+const { EmailVerification } = require('../models/EmailVerification');
+const { generateToken, hashToken } = require('./tokens');
+const { sendMail } = require('./mailer');
+
+/**
+ * Send Verification Email
+ *
+ * Creates a fresh verification token for the user's current address and
+ * emails the link. Earlier links for the user stop working.
+ *
+ * @param {User} user - User whose email should be verified
+ * @returns {Promise<void>}
+ */
+async function sendVerificationEmail(user) {
+  const token = generateToken();
+  await EmailVerification.create({
+    userId: user.id,
+    email: user.email,
+    tokenHash: hashToken(token),
+    expiresIn: config.emailVerification.expiration
+  });
+
+  const verifyLink = `${config.appBaseUrl}/verify-email.html?token=${token}`;
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: [
+      `Hello ${user.username},`,
+      '',
+      'Please confirm your email address by opening the link below:',
+      verifyLink,
+      '',
+      `This link expires in ${Math.round(config.emailVerification.expiration / 3600)} hours.`,
+      'If you did not create an account or change your email, you can ignore this email.'
+    ].join('\n')
+  });
+}
+
+/**
+ * Check Whether Login Requires Verification
+ *
+ * @returns {boolean} True if unverified users may not log in
+ */
+function isLoginBlockedUntilVerified() {
+  return config.emailVerification.policy === 'block';
+}
+
+module.exports = {
+  sendVerificationEmail,
+  isLoginBlockedUntilVerified
+};
@@ -0,0 +1,150 @@
+/**
+ * Token Introspection Utilities - User Management System
+ *
+ * Tells resource servers whether a token is still active (RFC 7662), for
+ * those that cannot check revocation themselves: a JWT that verifies
+ * against the JWKS may belong to a session that has since been revoked,
+ * and personal access tokens are opaque.
+ *
+ * Access tokens of every kind are recognized - session tokens,
+ * personal access tokens, service account tokens and relying party
+ * access tokens. ID tokens and MFA challenges are not access tokens and
+ * are always reported inactive.
+ *
+ * @author Development Team
+ * @version 1.0.0
+ */
+
+const config = require('../config/default');
+const { User } = require('../models/User');
+const { RefreshToken } = require('../models/RefreshToken');
+const { PersonalAccessToken } = require('../models/PersonalAccessToken');
+const { RelyingParty } = require('../models/RelyingParty');
+const { hashToken } = require('./tokens');
+const { verifyJwt } = require('./signingKeys');
+const { isPersonalAccessToken } = require('./personalAccessTokens');
+const { checkClientToken } = require('./serviceAccounts');
+const { ACCESS_TOKEN_TYPE } = require('./oidc');
+
+// Response for tokens that are unknown, expired, revoked or not access tokens
+const INACTIVE = Object.freeze({ active: false });
+
+// Converts a date to seconds since the epoch, as in JWT claims
+function toEpochSeconds(date) {
+  return Math.floor(new Date(date).getTime() / 1000);
+}
+
+/**
+ * Introspect Personal Access Token
+ *
+ * Unlike authenticating with the token, this does not record a use.
+ *
+ * @param {string} token - Raw personal access token
+ * @returns {Promise<Object>} Introspection response
+ */
+async function introspectPersonalAccessToken(token) {
+  const personalAccessToken = await PersonalAccessToken.findActiveByHash(hashToken(token));
+  if (!personalAccessToken) {
+    return INACTIVE;
+  }
+
+  const user = await User.findById(personalAccessToken.user_id);
+  if (!user) {
+    return INACTIVE;
+  }
+
+  return {
+    active: true,
+    token_type: 'Bearer',
+    scope: personalAccessToken.scopes.join(' '),
+    sub: String(user.id),
+    username: user.username,
+    iss: config.oidc.issuer,
+    iat: toEpochSeconds(personalAccessToken.created_at),
+    exp: toEpochSeconds(personalAccessToken.expires_at)
+  };
+}
+
+/**
+ * Introspect Token
+ *
+ * @param {string} token - Token presented to a resource server
+ * @returns {Promise<Object>} { active: false }, or { active: true } with the token's claims
+ * @throws {Error} Database operation errors
+ */
+async function introspectToken(token) {
+  if (isPersonalAccessToken(token)) {
+    return introspectPersonalAccessToken(token);
+  }
+
+  let header;
+  let payload;
+  try {
+    ({ header, payload } = verifyJwt(token, { complete: true }));
+  } catch (error) {
+    return INACTIVE;
+  }
+
+  const common = { active: true, token_type: 'Bearer', iss: payload.iss, iat: payload.iat, exp: payload.exp };
+
+  // Relying party access token from the authorization_code grant - only
+  // while the relying party has not been deleted
+  if (header.typ === ACCESS_TOKEN_TYPE) {
+    if (!await RelyingParty.findByClientId(payload.client_id)) {
+      return INACTIVE;
+    }
+
+    const user = await User.findById(payload.sub);
+    if (!user) {
+      return INACTIVE;
+    }
+
+    return {
+      ...common,
+      scope: payload.scope,
+      client_id: payload.client_id,
+      sub: payload.sub,
+      username: user.username,
+      aud: payload.aud
+    };
+  }
+
+  // Service account token from the client_credentials grant
+  if (payload.client) {
+    const result = await checkClientToken(payload);
+    if (result.error) {
+      return INACTIVE;
+    }
+
+    return {
+      ...common,
+      scope: result.scopes.join(' '),
+      client_id: payload.client.clientId,
+      sub: payload.client.clientId
+    };
+  }
+
+  // Session access token - only while the session has not been revoked
+  if (payload.sid && payload.user) {
+    if (!await RefreshToken.isFamilyActive(payload.sid)) {
+      return INACTIVE;
+    }
+
+    return {
+      ...common,
+      sub: String(payload.user.id),
+      username: payload.user.username,
+      roles: payload.user.roles,
+      // Actor claim (RFC 8693) for an administrator acting as the user
+      ...(payload.impersonator
+        ? { act: { sub: String(payload.impersonator.id), username: payload.impersonator.username } }
+        : {})
+    };
+  }
+
+  return INACTIVE;
+}
+
+module.exports = {
+  introspectToken
+};
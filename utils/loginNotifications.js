@@ -0,0 +1,99 @@
+/**
+ * Login Notification Utilities - User Management System
+ *
+ * Emails users when their account is signed in to from a device or IP
+ * address it has never successfully signed in from before, so they
+ * notice logins that were not theirs. Devices are compared by their
+ * description (browser and operating system, see utils/clientInfo), so
+ * browser updates do not count as a new device. The first login of an
+ * account is never reported.
+ *
+ * @author Development Team
+ * @version 1.0.0
+ */
+
+const config = require('../config/default');
+const { LoginAttempt } = require('../models/LoginAttempt');
+const { describeDevice } = require('./clientInfo');
+const { sendMail } = require('./mailer');
+
+/**
+ * Find New Client
+ *
+ * @param {number} userId - User who signed in
+ * @param {Object} client - Client of the login, see utils/clientInfo
+ * @param {number} attemptId - The login's own attempt, which is not compared with
+ * @returns {Promise<{newDevice: boolean, newIpAddress: boolean}|null>} What is new, or null if nothing
+ */
+async function findNewClient(userId, { ipAddress, userAgent }, attemptId) {
+  const known = await LoginAttempt.findKnownClients(userId, attemptId);
+  if (known.ipAddresses.length === 0) {
+    return null;
+  }
+
+  const device = describeDevice(userAgent);
+  // Logins recorded before user agents were stored cannot tell devices apart
+  const newDevice = known.userAgents.length > 0
+    && !known.userAgents.some(knownAgent => describeDevice(knownAgent) === device);
+  const newIpAddress = !known.ipAddresses.includes(ipAddress);
+
+  return newDevice || newIpAddress ? { newDevice, newIpAddress } : null;
+}
+
+/**
+ * Notify New Login Client
+ *
+ * Sends the new sign-in email if the login came from a new device or IP
+ * address. Never throws: a failed check or email must not fail the login.
+ *
+ * @param {User} user - User who signed in
+ * @param {Object} client - Client of the login, see utils/clientInfo
+ * @param {string|null} client.ipAddress - IP address
+ * @param {string|null} client.userAgent - User agent
+ * @param {number} attemptId - ID of the recorded successful login
+ * @returns {Promise<boolean>} True if a notification was sent
+ */
+async function notifyNewLoginClient(user, client, attemptId) {
+  if (!config.loginHistory.notifyNewClients) {
+    return false;
+  }
+
+  try {
+    const found = await findNewClient(user.id, client, attemptId);
+    if (!found) {
+      return false;
+    }
+
+    const what = found.newDevice && found.newIpAddress
+      ? 'a new device and IP address'
+      : found.newDevice ? 'a new device' : 'a new IP address';
+
+    await sendMail({
+      to: user.email,
+      subject: 'New sign-in to your account',
+      text: [
+        `Hello ${user.username},`,
+        '',
+        `Your account was just signed in to from ${what}:`,
+        '',
+        `  Device:     ${describeDevice(client.userAgent)}`,
+        `  IP address: ${client.ipAddress || 'Unknown'}`,
+        `  Time:       ${new Date().toUTCString()}`,
+        '',
+        'If this was you, you can ignore this email.',
+        'If not, change your password and end the session from your dashboard:',
+        `${config.appBaseUrl}/dashboard.html`
+      ].join('\n')
+    });
+
+    console.log(`New sign-in notification sent: ${user.username}`);
+    return true;
+  } catch (error) {
+    console.error('Error sending new sign-in notification:', error.message);
+    return false;
+  }
+}
+
+module.exports = {
+  notifyNewLoginClient
+};
@@ -0,0 +1,150 @@
+/**
+ * Login Throttle - User Management System
+ *
+ * Brute-force protection for password and two-factor logins, and for
+ * the account settings that check a password or two-factor code again.
+ * Failures (wrong passwords and wrong two-factor codes) are tracked per
+ * account (consecutive failures on the user row) and per IP address
+ * (failures in a sliding window from login_attempts). Both trigger
+ * progressive delays - each further failure doubles the wait before the
+ * next attempt is accepted - and finally a temporary lockout.
+ *
+ * @author Development Team
+ * @version 1.0.0
+ */
+
+const config = require('../config/default');
+const { User } = require('../models/User');
+const { LoginAttempt, LOGIN_OUTCOMES, ACCEPTED_OUTCOMES } = require('../models/LoginAttempt');
+
+// Failures that count towards the account lockout
+const ACCOUNT_FAILURES = [
+  LOGIN_OUTCOMES.INVALID_PASSWORD,
+  LOGIN_OUTCOMES.INVALID_MFA_CODE
+];
+
+/**
+ * Progressive Delay
+ *
+ * @param {number} failures - Failures so far
+ * @param {number} freeAttempts - Failures allowed without delay
+ * @returns {number} Required wait in seconds
+ */
+function progressiveDelay(failures, freeAttempts) {
+  const { baseDelay, maxDelay } = config.loginProtection;
+  if (failures < freeAttempts) {
+    return 0;
+  }
+
+  return Math.min(baseDelay * 2 ** (failures - freeAttempts), maxDelay);
+}
+
+/**
+ * Seconds Remaining Until
+ *
+ * @param {Date|string} since - Start time
+ * @param {number} seconds - Wait duration
+ * @returns {number} Whole seconds remaining (0 if elapsed)
+ */
+function secondsRemaining(since, seconds) {
+  const elapsed = (Date.now() - new Date(since).getTime()) / 1000;
+  return Math.max(0, Math.ceil(seconds - elapsed));
+}
+
+/**
+ * Check Login Allowed
+ *
+ * Decides whether a login attempt may be evaluated at all. Must run
+ * before the password is checked, so a correct password cannot bypass
+ * a lockout.
+ *
+ * @param {Object} params - Attempt details
+ * @param {User|null} params.user - Matched user, if any
+ * @param {string} params.ipAddress - Client IP address
+ * @returns {Promise<{allowed: boolean, retryAfter?: number}>} Decision
+ */
+async function checkLoginAllowed({ user, ipAddress }) {
+  const settings = config.loginProtection;
+
+  const ipFailures = await LoginAttempt.getRecentFailuresByIp(ipAddress, settings.ipWindow);
+  if (ipFailures.count >= settings.ipMaxFailures) {
+    return { allowed: false, retryAfter: Math.max(1, secondsRemaining(ipFailures.oldestAt, settings.ipWindow)) };
+  }
+
+  const ipDelay = progressiveDelay(ipFailures.count, settings.ipFreeAttempts);
+  if (ipDelay > 0 && secondsRemaining(ipFailures.latestAt, ipDelay) > 0) {
+    return { allowed: false, retryAfter: secondsRemaining(ipFailures.latestAt, ipDelay) };
+  }
+
+  if (user) {
+    if (user.isLocked()) {
+      return { allowed: false, retryAfter: Math.max(1, secondsRemaining(user.locked_until, 0)) };
+    }
+
+    const accountDelay = progressiveDelay(user.failed_login_count, settings.freeAttempts);
+    if (accountDelay > 0 && user.last_failed_login_at && secondsRemaining(user.last_failed_login_at, accountDelay) > 0) {
+      return { allowed: false, retryAfter: secondsRemaining(user.last_failed_login_at, accountDelay) };
+    }
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Record Login Result
+ *
+ * Every attempt is kept in the login history. A wrong password or
+ * two-factor code counts towards the account lockout; only a completed
+ * login resets the count, so a correct password alone does not clear
+ * failed two-factor codes.
+ *
+ * @param {Object} params - Attempt details
+ * @param {User|null} params.user - Matched user, if any
+ * @param {string} params.identifier - Name the client tried to log in as
+ * @param {string} params.ipAddress - Client IP address
+ * @param {string|null} [params.userAgent] - Client user agent
+ * @param {string} params.outcome - One of LOGIN_OUTCOMES
+ * @returns {Promise<number>} ID of the recorded attempt
+ */
+async function recordLoginResult({ user, identifier, ipAddress, userAgent = null, outcome }) {
+  const attemptId = await LoginAttempt.record({
+    userId: user ? user.id : null,
+    identifier,
+    ipAddress,
+    userAgent,
+    outcome
+  });
+
+  if (user && ACCEPTED_OUTCOMES.includes(outcome)) {
+    await User.resetLoginFailures(user.id);
+  } else if (user && ACCOUNT_FAILURES.includes(outcome)) {
+    const { maxFailedAttempts, lockoutDuration } = config.loginProtection;
+    await User.recordFailedLogin(user.id, maxFailedAttempts, lockoutDuration);
+  }
+
+  return attemptId;
+}
+
+/**
+ * Send Throttled Response
+ *
+ * The answer to an attempt refused by checkLoginAllowed().
+ *
+ * @param {Object} res - Express response
+ * @param {number} retryAfter - Seconds until the next attempt is accepted
+ * @returns {Object} Express response
+ */
+function sendLoginThrottled(res, retryAfter) {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    message: `Too many failed login attempts, please try again in ${retryAfter} seconds`,
+    code: 'LOGIN_THROTTLED',
+    retryAfter
+  });
+}
+
+module.exports = {
+  checkLoginAllowed,
+  recordLoginResult,
+  sendLoginThrottled
+};
@@ -0,0 +1,103 @@
+/**
+ * Mailer - User Management System
+ *
+ * Sends outgoing email through a pluggable transport. A transport is any
+ * object with an async send(message) method. Two transports are built in:
+ * - file: writes each message as JSON into the outbox directory
+ *   (development and tests read mail from there)
+ * - console: logs each message to stdout
+ *
+ * Production deployments can register their own transport (e.g. SMTP)
+ * with registerTransport() and select it via MAIL_TRANSPORT.
+ *
+ * @author Development Team
+ * @version 1.0.0
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config/default');
+
+/**
+ * File Transport
+ *
+ * Writes each message to its own JSON file in the outbox directory.
+ */
+const fileTransport = {
+  async send(message) {
+    await fs.mkdir(config.mail.outboxDir, { recursive: true });
+
+    const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+    const filePath = path.join(config.mail.outboxDir, fileName);
+
+    await fs.writeFile(filePath, JSON.stringify(message, null, 2));
+    console.log(`Mail written to outbox: ${filePath}`);
+  }
+};
+
+/**
+ * Console Transport
+ *
+ * Logs each message instead of delivering it.
+ */
+const consoleTransport = {
+  async send(message) {
+    console.log('--- Outgoing mail ---');
+    console.log(`To: ${message.to}`);
+    console.log(`Subject: ${message.subject}`);
+    console.log(message.text);
+    console.log('---------------------');
+  }
+};
+
+// Registered transports by name
+const transports = {
+  file: fileTransport,
+  console: consoleTransport
+};
+
+/**
+ * Register Transport
+ *
+ * Makes a custom transport selectable through configuration.
+ *
+ * @param {string} name - Transport name used in MAIL_TRANSPORT
+ * @param {{send: function(Object): Promise<void>}} transport - Transport implementation
+ */
+function registerTransport(name, transport) {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error('Mail transport must implement send(message)');
+  }
+  transports[name] = transport;
+}
+
+/**
+ * Send Mail
+ *
+ * @param {Object} message - Message to send
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain text body
+ * @returns {Promise<void>}
+ * @throws {Error} Unknown transport or delivery errors
+ */
+async function sendMail({ to, subject, text }) {
+  const transport = transports[config.mail.transport];
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${config.mail.transport}`);
+  }
+
+  await transport.send({
+    from: config.mail.from,
+    to,
+    subject,
+    text,
+    date: new Date().toISOString()
+  });
+}
+
+module.exports = {
+  sendMail,
+  registerTransport
+};
@@ -0,0 +1,124 @@
+/**
+ * MFA Utilities - User Management System
+ *
+ * Second-factor checks shared by the login flow and the MFA management
+ * endpoints: TOTP code and recovery code verification, recovery code
+ * generation, and the "MFA required for role" policy.
+ *
+ * @author Development Team
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const config = require('../config/default');
+const { User } = require('../models/User');
+const { MfaRecoveryCode } = require('../models/MfaRecoveryCode');
+const { Setting, SETTINGS } = require('../models/Setting');
+const { verifyCode } = require('./totp');
+const { hashToken } = require('./tokens');
+
+/**
+ * Hash Recovery Code
+ *
+ * Codes are compared case-insensitively and without separators.
+ *
+ * @param {string} code - Recovery code as entered
+ * @returns {string} SHA-256 hash
+ */
+function hashRecoveryCode(code) {
+  return hashToken(String(code).replace(/[\s-]/g, '').toLowerCase());
+}
+
+/**
+ * Generate Recovery Codes
+ *
+ * Creates a new set of recovery codes and stores their hashes,
+ * replacing any previous set. The plain codes are only returned here.
+ *
+ * @param {number} userId - Owning user ID
+ * @returns {Promise<string[]>} Plain recovery codes to show the user once
+ */
+async function generateRecoveryCodes(userId) {
+  const codes = [];
+  for (let i = 0; i < config.mfa.recoveryCodeCount; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+
+  await MfaRecoveryCode.replaceForUser(userId, codes.map(hashRecoveryCode));
+  return codes;
+}
+
+/**
+ * Verify TOTP Code
+ *
+ * Checks a code against the user's secret and records its time step so
+ * the same code cannot be replayed.
+ *
+ * @param {User} user - User with an MFA secret
+ * @param {string} code - Code from the authenticator app
+ * @returns {Promise<boolean>} True if the code is valid and unused
+ */
+async function verifyTotp(user, code) {
+  if (!user.mfa_secret) {
+    return false;
+  }
+
+  const step = verifyCode(user.mfa_secret, code);
+  if (step === null) {
+    return false;
+  }
+
+  return await User.recordMfaStep(user.id, step);
+}
+
+/**
+ * Verify Second Factor
+ *
+ * Accepts either a TOTP code or an unused recovery code.
+ *
+ * @param {User} user - User with MFA enabled
+ * @param {Object} factor - Submitted factor
+ * @param {string} [factor.code] - TOTP code
+ * @param {string} [factor.recoveryCode] - Recovery code
+ * @returns {Promise<boolean>} True if the factor is valid
+ */
+async function verifySecondFactor(user, { code, recoveryCode }) {
+  if (code) {
+    return await verifyTotp(user, code);
+  }
+
+  if (recoveryCode) {
+    return await MfaRecoveryCode.consume(user.id, hashRecoveryCode(recoveryCode));
+  }
+
+  return false;
+}
+
+/**
+ * Get MFA Required Roles
+ *
+ * @returns {Promise<string[]>} Roles that must have MFA enabled
+ */
+async function getMfaRequiredRoles() {
+  return await Setting.get(SETTINGS.MFA_REQUIRED_ROLES, config.mfa.requiredRoles);
+}
+
+/**
+ * Check MFA Requirement
+ *
+ * @param {string[]} roles - Effective roles of a user
+ * @returns {Promise<boolean>} True if any of the roles requires MFA
+ */
+async function isMfaRequiredForRoles(roles) {
+  const requiredRoles = await getMfaRequiredRoles();
+  return roles.some(role => requiredRoles.includes(role));
+}
+
+module.exports = {
+  generateRecoveryCodes,
+  verifyTotp,
+  verifySecondFactor,
+  getMfaRequiredRoles,
+  isMfaRequiredForRoles
+};
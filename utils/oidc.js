@@ -0,0 +1,338 @@
+/**
+ * OpenID Connect Utilities - User Management System
+ *
+ * The pieces of the OpenID Connect provider that are not HTTP handling:
+ * checking authorization requests, PKCE, issuing authorization codes and
+ * building the ID token, access token and userinfo claims for a user.
+ *
+ * ID tokens and access tokens for relying parties are signed with the
+ * keys from utils/signingKeys, so relying parties verify them from the
+ * JWKS. Those access tokens only work at the userinfo endpoint; the API
+ * itself does not accept them.
+ *
+ * @author Development Team
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const config = require('../config/default');
+const { RelyingParty } = require('../models/RelyingParty');
+const { AuthorizationCode } = require('../models/AuthorizationCode');
+const { generateToken, hashToken } = require('./tokens');
+const { signJwt, verifyJwt, getSigningAlgorithms } = require('./signingKeys');
+
+// Scopes relying parties can ask for, with what the consent screen tells the user
+const OIDC_SCOPES = {
+  openid: 'Sign you in with your account',
+  profile: 'See your username',
+  email: 'See your email address and whether it is verified'
+};
+
+// Client IDs start with this, so they are recognizable in logs and configs
+const CLIENT_ID_PREFIX = 'rp_';
+
+// JWT "typ" header of access tokens (RFC 9068), which tells them apart from ID tokens
+const ACCESS_TOKEN_TYPE = 'at+jwt';
+
+// PKCE code verifiers: 43 to 128 unreserved characters (RFC 7636, section 4.1)
+const CODE_VERIFIER_PATTERN = /^[A-Za-z0-9\-._~]{43,128}$/;
+
+/**
+ * Build Endpoint URL
+ *
+ * @param {string} endpoint - Path below /api/oauth, e.g. "token"
+ * @returns {string} Absolute URL under the issuer
+ */
+function endpointUrl(endpoint) {
+  return `${config.oidc.issuer}/api/oauth/${endpoint}`;
+}
+
+/**
+ * Generate Relying Party Client ID
+ *
+ * @returns {string} New client ID
+ */
+function generateClientId() {
+  return CLIENT_ID_PREFIX + generateToken(12);
+}
+
+/**
+ * Is Allowed Redirect URI
+ *
+ * Redirect URIs must be absolute, without a fragment, and use HTTPS
+ * except for localhost during development.
+ *
+ * @param {string} value - Redirect URI to register
+ * @returns {boolean} True if the URI can be registered
+ */
+function isAllowedRedirectUri(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return false;
+  }
+
+  if (url.hash || value.includes('#')) {
+    return false;
+  }
+
+  const localhost = ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+  return url.protocol === 'https:' || (url.protocol === 'http:' && localhost);
+}
+
+/**
+ * Build Redirect
+ *
+ * @param {string} redirectUri - Registered redirect URI, which may already have a query
+ * @param {Object} params - Parameters to add; undefined and null values are left out
+ * @returns {string} URL to send the browser to
+ */
+function buildRedirect(redirectUri, params) {
+  const url = new URL(redirectUri);
+  for (const [name, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null) {
+      url.searchParams.set(name, value);
+    }
+  }
+  return url.toString();
+}
+
+/**
+ * Validate Authorization Request
+ *
+ * Errors about the client or redirect URI must not be sent to the
+ * redirect URI, since it cannot be trusted; every other error is.
+ *
+ * @param {Object} params - Query or body of the authorization request
+ * @returns {Promise<Object>} { request } with relyingParty, redirectUri, scopes, state,
+ *   nonce and codeChallenge, or { error, description, state, redirectUri } where
+ *   redirectUri is null if the error must be shown to the user instead
+ */
+async function validateAuthorizationRequest(params) {
+  const {
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    response_type: responseType,
+    scope,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: codeChallengeMethod
+  } = params;
+
+  const fail = (error, description, redirect = true) => ({
+    error,
+    description,
+    state: typeof state === 'string' ? state : undefined,
+    redirectUri: redirect ? redirectUri : null
+  });
+
+  if (typeof clientId !== 'string' || typeof redirectUri !== 'string') {
+    return fail('invalid_request', 'client_id and redirect_uri are required', false);
+  }
+
+  const relyingParty = await RelyingParty.findByClientId(clientId);
+  if (!relyingParty) {
+    return fail('invalid_client', 'Unknown client', false);
+  }
+
+  // Redirect URIs must match a registered one exactly
+  if (!relyingParty.redirect_uris.includes(redirectUri)) {
+    return fail('invalid_request', 'redirect_uri is not registered for this client', false);
+  }
+
+  if (responseType !== 'code') {
+    return fail('unsupported_response_type', 'Only the authorization code flow (response_type=code) is supported');
+  }
+
+  const scopes = typeof scope === 'string' ? [...new Set(scope.trim().split(/\s+/))] : [];
+  if (!scopes.includes('openid')) {
+    return fail('invalid_scope', 'The openid scope is required');
+  }
+
+  const unknown = scopes.filter(name => !Object.hasOwn(OIDC_SCOPES, name));
+  if (unknown.length > 0) {
+    return fail('invalid_scope', `Unsupported scopes: ${unknown.join(', ')}`);
+  }
+
+  // PKCE is required for every client, with S256 only
+  if (typeof codeChallenge !== 'string' || !/^[A-Za-z0-9\-_]{43}$/.test(codeChallenge)) {
+    return fail('invalid_request', 'A code_challenge (PKCE) is required');
+  }
+
+  if (codeChallengeMethod !== 'S256') {
+    return fail('invalid_request', 'code_challenge_method must be S256');
+  }
+
+  if ((state !== undefined && typeof state !== 'string') || (nonce !== undefined && typeof nonce !== 'string')) {
+    return fail('invalid_request', 'state and nonce must be strings');
+  }
+
+  if (nonce && nonce.length > 255) {
+    return fail('invalid_request', 'nonce must be at most 255 characters');
+  }
+
+  return {
+    request: { relyingParty, redirectUri, scopes, state, nonce: nonce || null, codeChallenge }
+  };
+}
+
+/**
+ * Verify Code Verifier
+ *
+ * @param {string} codeVerifier - PKCE code verifier from the token request
+ * @param {string} codeChallenge - S256 code challenge from the authorization request
+ * @returns {boolean} True if the verifier matches the challenge
+ */
+function verifyCodeVerifier(codeVerifier, codeChallenge) {
+  if (typeof codeVerifier !== 'string' || !CODE_VERIFIER_PATTERN.test(codeVerifier)) {
+    return false;
+  }
+
+  const computed = Buffer.from(crypto.createHash('sha256').update(codeVerifier).digest('base64url'));
+  const expected = Buffer.from(codeChallenge);
+  return computed.length === expected.length && crypto.timingSafeEqual(computed, expected);
+}
+
+/**
+ * Issue Authorization Code
+ *
+ * @param {User} user - User who consented
+ * @param {Object} request - Validated request from validateAuthorizationRequest()
+ * @returns {Promise<string>} Raw authorization code; only its hash is stored
+ */
+async function issueAuthorizationCode(user, request) {
+  const code = generateToken();
+  await AuthorizationCode.create({
+    codeHash: hashToken(code),
+    relyingPartyId: request.relyingParty.id,
+    userId: user.id,
+    redirectUri: request.redirectUri,
+    scopes: request.scopes,
+    nonce: request.nonce,
+    codeChallenge: request.codeChallenge,
+    expiresIn: config.oidc.authorizationCodeExpiration
+  });
+  return code;
+}
+
+/**
+ * Build User Claims
+ *
+ * @param {User} user - Signed-in user
+ * @param {string[]} scopes - Scopes the user consented to
+ * @returns {Object} Standard claims released for the scopes
+ */
+function buildUserClaims(user, scopes) {
+  const claims = { sub: String(user.id) };
+
+  if (scopes.includes('profile')) {
+    claims.preferred_username = user.username;
+    claims.name = user.username;
+    claims.updated_at = Math.floor(new Date(user.updated_at).getTime() / 1000);
+  }
+
+  if (scopes.includes('email')) {
+    claims.email = user.email;
+    claims.email_verified = user.isEmailVerified();
+  }
+
+  return claims;
+}
+
+/**
+ * Sign Provider Token
+ *
+ * @param {Object} payload - Claims
+ * @param {Object} options - jsonwebtoken sign options, e.g. audience
+ * @returns {string} JWT from the issuer
+ */
+function signProviderToken(payload, options) {
+  return signJwt(payload, { ...options, expiresIn: config.oidc.tokenExpiration });
+}
+
+/**
+ * Issue Relying Party Tokens
+ *
+ * @param {User} user - User the code was issued for
+ * @param {RelyingParty} relyingParty - Relying party exchanging the code
+ * @param {AuthorizationCode} authorizationCode - Consumed authorization code
+ * @returns {Object} Token response for the token endpoint
+ */
+function issueRelyingPartyTokens(user, relyingParty, authorizationCode) {
+  const { scopes, nonce } = authorizationCode;
+
+  const idToken = signProviderToken(
+    { ...buildUserClaims(user, scopes), ...(nonce ? { nonce } : {}) },
+    { audience: relyingParty.client_id }
+  );
+
+  const accessToken = signProviderToken(
+    { sub: String(user.id), client_id: relyingParty.client_id, scope: scopes.join(' ') },
+    { audience: endpointUrl('userinfo'), header: { typ: ACCESS_TOKEN_TYPE } }
+  );
+
+  return {
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: config.oidc.tokenExpiration,
+    scope: scopes.join(' '),
+    id_token: idToken
+  };
+}
+
+/**
+ * Verify Relying Party Access Token
+ *
+ * @param {string} token - Bearer token sent to the userinfo endpoint
+ * @returns {Object|null} Token claims, or null if it is not a valid access token
+ */
+function verifyRelyingPartyAccessToken(token) {
+  try {
+    const { header, payload } = verifyJwt(token, { audience: endpointUrl('userinfo'), complete: true });
+    return header.typ === ACCESS_TOKEN_TYPE ? payload : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get Discovery Document
+ *
+ * @returns {Object} OpenID Provider metadata (OpenID Connect Discovery 1.0)
+ */
+function getDiscoveryDocument() {
+  return {
+    issuer: config.oidc.issuer,
+    authorization_endpoint: endpointUrl('authorize'),
+    token_endpoint: endpointUrl('token'),
+    userinfo_endpoint: endpointUrl('userinfo'),
+    introspection_endpoint: endpointUrl('introspect'),
+    jwks_uri: `${config.oidc.issuer}/.well-known/jwks.json`,
+    scopes_supported: Object.keys(OIDC_SCOPES),
+    response_types_supported: ['code'],
+    grant_types_supported: ['authorization_code', 'client_credentials'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: getSigningAlgorithms(),
+    token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+    introspection_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+    code_challenge_methods_supported: ['S256'],
+    claims_supported: ['sub', 'iss', 'aud', 'exp', 'iat', 'nonce', 'preferred_username', 'name', 'updated_at', 'email', 'email_verified']
+  };
+}
+
+module.exports = {
+  OIDC_SCOPES,
+  ACCESS_TOKEN_TYPE,
+  generateClientId,
+  isAllowedRedirectUri,
+  buildRedirect,
+  validateAuthorizationRequest,
+  verifyCodeVerifier,
+  issueAuthorizationCode,
+  buildUserClaims,
+  issueRelyingPartyTokens,
+  verifyRelyingPartyAccessToken,
+  getDiscoveryDocument
+};
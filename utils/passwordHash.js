@@ -0,0 +1,286 @@
+/**
+ * Password Hashing - User Management System
+ *
+ * Hashes and verifies passwords with the algorithm configured in
+ * config.passwordHashing. Every stored hash names its algorithm and
+ * cost, so hashes made with older settings keep working and can be
+ * recognized for an upgrade:
+ *
+ * - bcrypt:   $2b$12$<salt+hash>                       (native bcrypt format)
+ * - scrypt:   $scrypt$ln=17,r=8,p=1$<salt>$<hash>       (PHC string format)
+ * - argon2id: $argon2id$v=19$m=19456,t=2,p=1$<salt>$<hash> (PHC string format)
+ *
+ * @author Development Team
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const bcrypt = require('bcryptjs');
+const config = require('../config/default');
+
+const scrypt = promisify(crypto.scrypt);
+const argon2 = crypto.argon2 ? promisify(crypto.argon2) : null;
+
+const ALGORITHMS = {
+  BCRYPT: 'bcrypt',
+  SCRYPT: 'scrypt',
+  ARGON2ID: 'argon2id'
+};
+
+const SALT_BYTES = 16;
+const ARGON2_VERSION = 19;
+
+// Hash of a random password, made once with the configured settings; see verifyDummyPassword()
+let dummyHash = null;
+
+/**
+ * Base64 Without Padding (as used in PHC strings)
+ *
+ * @param {Buffer} buffer - Data to encode
+ * @returns {string} Encoded data
+ */
+function toPhcBase64(buffer) {
+  return buffer.toString('base64').replace(/=+$/, '');
+}
+
+/**
+ * Parse PHC Parameters
+ *
+ * @param {string} text - Parameter list, e.g. "m=19456,t=2,p=1"
+ * @returns {Object<string, number>} Parameters by name
+ */
+function parsePhcParams(text) {
+  const params = {};
+  for (const pair of text.split(',')) {
+    const [name, value] = pair.split('=');
+    params[name] = Number(value);
+  }
+  return params;
+}
+
+/**
+ * Parse Stored Hash
+ *
+ * @param {string} storedHash - Hash from the database
+ * @returns {Object|null} Algorithm and parameters, or null if unrecognized
+ */
+function parseHash(storedHash) {
+  if (typeof storedHash !== 'string') {
+    return null;
+  }
+
+  const bcryptMatch = /^\$2[abxy]?\$(\d{2})\$/.exec(storedHash);
+  if (bcryptMatch) {
+    return { algorithm: ALGORITHMS.BCRYPT, cost: Number(bcryptMatch[1]) };
+  }
+
+  const parts = storedHash.split('$');
+
+  if (parts[1] === ALGORITHMS.SCRYPT && parts.length === 5) {
+    const params = parsePhcParams(parts[2]);
+    return {
+      algorithm: ALGORITHMS.SCRYPT,
+      cost: params.ln,
+      blockSize: params.r,
+      parallelization: params.p,
+      salt: Buffer.from(parts[3], 'base64'),
+      hash: Buffer.from(parts[4], 'base64')
+    };
+  }
+
+  if (parts[1] === ALGORITHMS.ARGON2ID && parts.length === 6) {
+    const params = parsePhcParams(parts[3]);
+    return {
+      algorithm: ALGORITHMS.ARGON2ID,
+      version: Number(parts[2].replace('v=', '')),
+      memory: params.m,
+      passes: params.t,
+      parallelism: params.p,
+      salt: Buffer.from(parts[4], 'base64'),
+      hash: Buffer.from(parts[5], 'base64')
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Derive scrypt Key
+ *
+ * @param {string} password - Plain text password
+ * @param {Buffer} salt - Random salt
+ * @param {Object} params - cost (log2 N), blockSize, parallelization, keyLength
+ * @returns {Promise<Buffer>} Derived key
+ */
+function deriveScrypt(password, salt, { cost, blockSize, parallelization, keyLength }) {
+  const N = 2 ** cost;
+  return scrypt(password, salt, keyLength, {
+    N,
+    r: blockSize,
+    p: parallelization,
+    // Node refuses more than 32 MiB by default; scrypt needs 128 * N * r bytes
+    maxmem: 256 * N * blockSize
+  });
+}
+
+/**
+ * Derive argon2id Tag
+ *
+ * @param {string} password - Plain text password
+ * @param {Buffer} salt - Random salt
+ * @param {Object} params - memory (KiB), passes, parallelism, tagLength
+ * @returns {Promise<Buffer>} Derived tag
+ * @throws {Error} argon2 is not available in this Node.js version
+ */
+function deriveArgon2id(password, salt, { memory, passes, parallelism, tagLength }) {
+  if (!argon2) {
+    throw new Error('argon2id password hashing requires Node.js 24.7 or later');
+  }
+
+  return argon2(ALGORITHMS.ARGON2ID, {
+    message: password,
+    nonce: salt,
+    memory,
+    passes,
+    parallelism,
+    tagLength
+  });
+}
+
+/**
+ * Hash Password
+ *
+ * Hashes a password with the configured algorithm and parameters.
+ *
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} Self-describing password hash
+ * @throws {Error} Unknown or unavailable algorithm
+ */
+async function hashPassword(password) {
+  const { algorithm } = config.passwordHashing;
+
+  if (algorithm === ALGORITHMS.BCRYPT) {
+    return bcrypt.hash(password, config.passwordHashing.bcrypt.cost);
+  }
+
+  const salt = crypto.randomBytes(SALT_BYTES);
+
+  if (algorithm === ALGORITHMS.SCRYPT) {
+    const params = config.passwordHashing.scrypt;
+    const hash = await deriveScrypt(password, salt, params);
+    return `$scrypt$ln=${params.cost},r=${params.blockSize},p=${params.parallelization}`
+      + `$${toPhcBase64(salt)}$${toPhcBase64(hash)}`;
+  }
+
+  if (algorithm === ALGORITHMS.ARGON2ID) {
+    const params = config.passwordHashing.argon2id;
+    const hash = await deriveArgon2id(password, salt, params);
+    return `$argon2id$v=${ARGON2_VERSION}$m=${params.memory},t=${params.passes},p=${params.parallelism}`
+      + `$${toPhcBase64(salt)}$${toPhcBase64(hash)}`;
+  }
+
+  throw new Error(`Unknown password hashing algorithm: ${algorithm}`);
+}
+
+/**
+ * Verify Password
+ *
+ * Checks a password against a stored hash of any supported algorithm,
+ * using the parameters recorded in the hash itself.
+ *
+ * @param {string} password - Plain text password
+ * @param {string} storedHash - Hash from the database
+ * @returns {Promise<boolean>} True if the password matches
+ */
+async function verifyPassword(password, storedHash) {
+  const parsed = parseHash(storedHash);
+  if (!parsed) {
+    return false;
+  }
+
+  if (parsed.algorithm === ALGORITHMS.BCRYPT) {
+    return bcrypt.compare(password, storedHash);
+  }
+
+  let derived;
+  if (parsed.algorithm === ALGORITHMS.SCRYPT) {
+    derived = await deriveScrypt(password, parsed.salt, {
+      cost: parsed.cost,
+      blockSize: parsed.blockSize,
+      parallelization: parsed.parallelization,
+      keyLength: parsed.hash.length
+    });
+  } else {
+    derived = await deriveArgon2id(password, parsed.salt, {
+      memory: parsed.memory,
+      passes: parsed.passes,
+      parallelism: parsed.parallelism,
+      tagLength: parsed.hash.length
+    });
+  }
+
+  return derived.length === parsed.hash.length && crypto.timingSafeEqual(derived, parsed.hash);
+}
+
+/**
+ * Verify Dummy Password
+ *
+ * Checks a password against a fixed hash no password matches, so that
+ * a login for an unknown account takes as long as a wrong password for
+ * a known one and response times do not reveal which accounts exist.
+ *
+ * @param {string} password - Plain text password
+ * @returns {Promise<boolean>} Always false
+ */
+async function verifyDummyPassword(password) {
+  if (!dummyHash) {
+    dummyHash = hashPassword(crypto.randomBytes(SALT_BYTES).toString('hex'));
+  }
+
+  await verifyPassword(password, await dummyHash);
+  return false;
+}
+
+/**
+ * Needs Rehash
+ *
+ * A hash needs upgrading when it uses a different algorithm than the
+ * configured one, or any parameter is weaker than configured.
+ *
+ * @param {string} storedHash - Hash from the database
+ * @returns {boolean} True if the password should be hashed again
+ */
+function needsRehash(storedHash) {
+  const target = config.passwordHashing;
+  const parsed = parseHash(storedHash);
+
+  if (!parsed || parsed.algorithm !== target.algorithm) {
+    return true;
+  }
+
+  if (parsed.algorithm === ALGORITHMS.BCRYPT) {
+    return parsed.cost < target.bcrypt.cost;
+  }
+
+  if (parsed.algorithm === ALGORITHMS.SCRYPT) {
+    return parsed.cost < target.scrypt.cost
+      || parsed.blockSize < target.scrypt.blockSize
+      || parsed.parallelization < target.scrypt.parallelization
+      || parsed.hash.length < target.scrypt.keyLength;
+  }
+
+  return parsed.version < ARGON2_VERSION
+    || parsed.memory < target.argon2id.memory
+    || parsed.passes < target.argon2id.passes
+    || parsed.parallelism < target.argon2id.parallelism
+    || parsed.hash.length < target.argon2id.tagLength;
+}
+
+module.exports = {
+  ALGORITHMS,
+  hashPassword,
+  verifyPassword,
+  verifyDummyPassword,
+  needsRehash
+};
@@ -0,0 +1,246 @@
+/**
+ * Password Policy - User Management System
+ *
+ * Central password rules used everywhere a password is set: length,
+ * character classes, similarity to the username or email, a blocklist
+ * of common passwords and the user's recent password history. The rules
+ * come from config.passwordPolicy.
+ *
+ * @author Development Team
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const config = require('../config/default');
+const { User } = require('../models/User');
+const { PasswordHistory } = require('../models/PasswordHistory');
+const { verifyPassword } = require('./passwordHash');
+
+// Parts of a username or email shorter than this are not checked
+const MIN_PERSONAL_INFO_LENGTH = 3;
+
+let commonPasswords = null;
+
+/**
+ * Load Common Passwords
+ *
+ * Reads the bundled blocklist once. A missing file disables the check
+ * instead of failing every password change.
+ *
+ * @returns {Set<string>} Lowercased common passwords
+ */
+function loadCommonPasswords() {
+  if (commonPasswords) {
+    return commonPasswords;
+  }
+
+  try {
+    const lines = fs.readFileSync(config.passwordPolicy.commonPasswordsFile, 'utf8').split(/\r?\n/);
+    commonPasswords = new Set(
+      lines
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'))
+    );
+  } catch (error) {
+    console.error('Could not load common password list:', error.message);
+    commonPasswords = new Set();
+  }
+
+  return commonPasswords;
+}
+
+/**
+ * Is Common Password
+ *
+ * Also matches common passwords with digits or symbols appended,
+ * such as "Password123!".
+ *
+ * @param {string} password - Candidate password
+ * @returns {boolean} True if the password is on the blocklist
+ */
+function isCommonPassword(password) {
+  const list = loadCommonPasswords();
+  const normalized = password.toLowerCase();
+  const base = normalized.replace(/[^a-z]+$/, '');
+
+  return list.has(normalized) || (base.length > 0 && list.has(base));
+}
+
+/**
+ * Contains Personal Info
+ *
+ * @param {string} password - Candidate password
+ * @param {Object} context - Account the password belongs to
+ * @param {string} [context.username] - Username
+ * @param {string} [context.email] - Email address
+ * @returns {boolean} True if the password contains the username or email
+ */
+function containsPersonalInfo(password, { username, email }) {
+  const normalized = password.toLowerCase();
+  const parts = [username, email, email && email.split('@')[0]]
+    .filter(Boolean)
+    .map(part => String(part).toLowerCase())
+    .filter(part => part.length >= MIN_PERSONAL_INFO_LENGTH);
+
+  return parts.some(part => normalized.includes(part));
+}
+
+/**
+ * Describe Password Rules
+ *
+ * @returns {string[]} Human-readable rules for display
+ */
+function describePasswordRules() {
+  const policy = config.passwordPolicy;
+  const rules = [`Between ${policy.minLength} and ${policy.maxLength} characters`];
+
+  if (policy.requireUppercase) rules.push('At least one uppercase letter');
+  if (policy.requireLowercase) rules.push('At least one lowercase letter');
+  if (policy.requireDigit) rules.push('At least one number');
+  if (policy.requireSymbol) rules.push('At least one symbol');
+  if (policy.disallowPersonalInfo) rules.push('Must not contain your username or email address');
+  if (policy.blockCommonPasswords) rules.push('Must not be a commonly used password');
+  if (policy.historySize > 0) rules.push(`Must not match any of your last ${policy.historySize} passwords`);
+
+  return rules;
+}
+
+/**
+ * Get Password Policy
+ *
+ * Public view of the policy, safe to send to clients.
+ *
+ * @returns {Object} Policy settings and rule descriptions
+ */
+function getPasswordPolicy() {
+  const policy = config.passwordPolicy;
+
+  return {
+    minLength: policy.minLength,
+    maxLength: policy.maxLength,
+    requireUppercase: policy.requireUppercase,
+    requireLowercase: policy.requireLowercase,
+    requireDigit: policy.requireDigit,
+    requireSymbol: policy.requireSymbol,
+    disallowPersonalInfo: policy.disallowPersonalInfo,
+    blockCommonPasswords: policy.blockCommonPasswords,
+    historySize: policy.historySize,
+    rules: describePasswordRules()
+  };
+}
+
+/**
+ * Is Recently Used Password
+ *
+ * Compares against the current password and the stored previous ones,
+ * so together they cover the last historySize passwords.
+ *
+ * @param {string} password - Candidate password
+ * @param {number} userId - Owner of the password
+ * @returns {Promise<boolean>} True if the password was used recently
+ */
+async function isRecentlyUsedPassword(password, userId) {
+  const { historySize } = config.passwordPolicy;
+  const user = await User.findById(userId);
+  if (!user) {
+    return false;
+  }
+
+  const hashes = [user.password];
+  if (historySize > 1) {
+    hashes.push(...await PasswordHistory.getRecentHashes(userId, historySize - 1));
+  }
+
+  for (const hash of hashes) {
+    if (await verifyPassword(password, hash)) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Validate Password
+ *
+ * Checks a password against every rule of the policy.
+ *
+ * @param {string} password - Candidate password
+ * @param {Object} [context] - Account the password is for
+ * @param {string} [context.username] - Username
+ * @param {string} [context.email] - Email address
+ * @param {number} [context.userId] - Existing user, enables the history check
+ * @returns {Promise<string[]>} Violated rules, empty if the password is allowed
+ */
+async function validatePassword(password, { username, email, userId } = {}) {
+  const policy = config.passwordPolicy;
+  const problems = [];
+
+  if (typeof password !== 'string' || password.length === 0) {
+    return ['Password is required'];
+  }
+
+  if (password.length < policy.minLength) {
+    problems.push(`Password must be at least ${policy.minLength} characters`);
+  }
+
+  if (Buffer.byteLength(password, 'utf8') > policy.maxLength) {
+    problems.push(`Password must be at most ${policy.maxLength} characters`);
+  }
+
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    problems.push('Password must contain an uppercase letter');
+  }
+
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    problems.push('Password must contain a lowercase letter');
+  }
+
+  if (policy.requireDigit && !/\d/.test(password)) {
+    problems.push('Password must contain a number');
+  }
+
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    problems.push('Password must contain a symbol');
+  }
+
+  if (policy.disallowPersonalInfo && containsPersonalInfo(password, { username, email })) {
+    problems.push('Password must not contain your username or email address');
+  }
+
+  if (policy.blockCommonPasswords && isCommonPassword(password)) {
+    problems.push('Password is too common, please choose a less predictable one');
+  }
+
+  // Only worth hashing against history once everything else passes
+  if (problems.length === 0 && userId && policy.historySize > 0 && await isRecentlyUsedPassword(password, userId)) {
+    problems.push(`Password must not match any of your last ${policy.historySize} passwords`);
+  }
+
+  return problems;
+}
+
+/**
+ * Set Password
+ *
+ * Replaces a user's password and moves the old hash into the password
+ * history. Callers validate the new password first.
+ *
+ * @param {User} user - User whose password changes
+ * @param {string} newPassword - New plain text password
+ * @returns {Promise<boolean>} True if the password was updated
+ */
+async function setPassword(user, newPassword) {
+  const keep = config.passwordPolicy.historySize - 1;
+  if (keep > 0) {
+    await PasswordHistory.add(user.id, user.password, keep);
+  }
+
+  return User.updatePassword(user.id, newPassword);
+}
+
+module.exports = {
+  getPasswordPolicy,
+  validatePassword,
+  setPassword
+};
@@ -0,0 +1,108 @@
+/**
+ * Personal Access Token Utilities - User Management System
+ *
+ * Issues and checks personal access tokens. A token acts as its owner,
+ * but only with the scopes chosen when it was created: permission names
+ * the owner holds, and profile:read for reading their own account.
+ * Permissions the owner loses later stop working for the token too,
+ * since access is always resolved from the database.
+ *
+ * @author Development Team
+ * @version 1.0.0
+ */
+
+const { User } = require('../models/User');
+const { PersonalAccessToken } = require('../models/PersonalAccessToken');
+const { generateToken, hashToken, buildTokenUser } = require('./tokens');
+const { resolveAccess } = require('./access');
+
+// Raw tokens start with this, which also tells them apart from JWTs
+const PERSONAL_ACCESS_TOKEN_PREFIX = 'pat_';
+
+// Characters of the raw token kept for display, prefix included
+const DISPLAY_PREFIX_LENGTH = 12;
+
+// Scope for reading the owner's own profile (GET /api/auth/me)
+const PROFILE_SCOPE = 'profile:read';
+
+/**
+ * Is Personal Access Token
+ *
+ * @param {string} token - Token presented by a client
+ * @returns {boolean} True if it has the personal access token format
+ */
+function isPersonalAccessToken(token) {
+  return token.startsWith(PERSONAL_ACCESS_TOKEN_PREFIX);
+}
+
+/**
+ * Get Available Scopes
+ *
+ * @param {User} user - Token owner
+ * @returns {Promise<string[]>} Scopes the user may give their tokens
+ */
+async function getAvailableScopes(user) {
+  const { permissions } = await resolveAccess(user);
+  return [PROFILE_SCOPE, ...permissions];
+}
+
+/**
+ * Issue Personal Access Token
+ *
+ * @param {Object} options - Token options
+ * @param {User} options.user - Token owner
+ * @param {string} options.name - Name chosen by the user
+ * @param {string[]} options.scopes - Scopes, already checked against getAvailableScopes()
+ * @param {Date} options.expiresAt - Expiry date
+ * @returns {Promise<{token: string, personalAccessToken: PersonalAccessToken}>} Raw token and stored record
+ */
+async function issuePersonalAccessToken({ user, name, scopes, expiresAt }) {
+  const token = PERSONAL_ACCESS_TOKEN_PREFIX + generateToken();
+  const personalAccessToken = await PersonalAccessToken.create({
+    userId: user.id,
+    name,
+    tokenHash: hashToken(token),
+    tokenPrefix: token.slice(0, DISPLAY_PREFIX_LENGTH),
+    scopes,
+    expiresAt
+  });
+
+  return { token, personalAccessToken };
+}
+
+/**
+ * Authenticate Personal Access Token
+ *
+ * Records the use and builds the same "user" claim an access token
+ * carries.
+ *
+ * @param {string} token - Raw token from the Authorization header
+ * @param {string} ipAddress - Client IP address
+ * @returns {Promise<Object|null>} { user, personalAccessToken }, or null if the token is not valid
+ */
+async function authenticatePersonalAccessToken(token, ipAddress) {
+  const personalAccessToken = await PersonalAccessToken.findActiveByHash(hashToken(token));
+  if (!personalAccessToken) {
+    return null;
+  }
+
+  const user = await User.findById(personalAccessToken.user_id);
+  if (!user) {
+    return null;
+  }
+
+  await PersonalAccessToken.recordUse(personalAccessToken.id, ipAddress);
+
+  return {
+    user: await buildTokenUser(user),
+    personalAccessToken
+  };
+}
+
+module.exports = {
+  PROFILE_SCOPE,
+  isPersonalAccessToken,
+  getAvailableScopes,
+  issuePersonalAccessToken,
+  authenticatePersonalAccessToken
+};
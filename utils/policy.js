@@ -0,0 +1,393 @@
+/**
+ * Policy Engine - User Management System
+ *
+ * Evaluates the attribute-based policies in config/policies.js against
+ * a subject, action, resource and context. Deny policies override allow
+ * policies, and an action no policy allows is denied. Every decision
+ * comes with a trace of the policies that were considered, which the
+ * dry-run endpoint returns to administrators.
+ *
+ * @author Development Team
+ * @version 1.0.0
+ */
+
+const net = require('net');
+const policies = require('../config/policies');
+const { resolveAccess } = require('./access');
+
+const EFFECTS = ['allow', 'deny'];
+
+// Attribute test operators - actual is the attribute value, expected the policy value
+const OPERATORS = {
+  equals: (actual, expected) => actual === expected,
+  notEquals: (actual, expected) => actual !== expected,
+  in: (actual, expected) => Array.isArray(expected) && expected.includes(actual),
+  notIn: (actual, expected) => Array.isArray(expected) && !expected.includes(actual),
+  contains: (actual, expected) => Array.isArray(actual) && actual.includes(expected),
+  notContains: (actual, expected) => !Array.isArray(actual) || !actual.includes(expected),
+  gte: (actual, expected) => typeof actual === 'number' && actual >= expected,
+  lte: (actual, expected) => typeof actual === 'number' && actual <= expected,
+  between: (actual, expected) => Array.isArray(expected) && expected.length === 2
+    && typeof actual === 'number' && actual >= expected[0] && actual <= expected[1],
+  ipInRange: (actual, expected) => [].concat(expected).some(range => isIpInRange(actual, range)),
+  exists: (actual, expected) => (actual !== undefined && actual !== null) === expected
+};
+
+/**
+ * Is Valid IP Range
+ *
+ * @param {string} range - CIDR range or single address
+ * @returns {boolean} True if the address is IPv4 or IPv6 and any prefix
+ *   length is a whole number within 0-32 or 0-128 respectively
+ */
+function isValidIpRange(range) {
+  if (typeof range !== 'string') {
+    return false;
+  }
+
+  const [base, bits, ...rest] = range.split('/');
+  const version = net.isIP(base);
+  if (version === 0 || rest.length > 0) {
+    return false;
+  }
+
+  return bits === undefined || (/^\d{1,3}$/.test(bits) && Number(bits) <= (version === 4 ? 32 : 128));
+}
+
+/**
+ * Is IP in Range
+ *
+ * IPv4 addresses are matched against CIDR ranges; other addresses only
+ * match themselves, written alone or with a /128 prefix. IPv4-mapped
+ * IPv6 addresses (::ffff:a.b.c.d) count as IPv4.
+ *
+ * @param {string} ip - Client address
+ * @param {string} range - CIDR range such as "10.0.0.0/8", or a single address
+ * @returns {boolean} True if the address is in the range
+ */
+function isIpInRange(ip, range) {
+  if (typeof ip !== 'string' || !isValidIpRange(range)) {
+    return false;
+  }
+
+  const address = ip.replace(/^::ffff:/, '');
+  const [base, bits = '32'] = range.split('/');
+  if (!net.isIPv4(address) || !net.isIPv4(base)) {
+    return address === range || (address === base && bits === '128');
+  }
+
+  const toNumber = value => value.split('.').reduce((sum, octet) => sum * 256 + Number(octet), 0);
+  const size = 2 ** (32 - Number(bits));
+  return Math.floor(toNumber(address) / size) === Math.floor(toNumber(base) / size);
+}
+
+/**
+ * Get Attribute
+ *
+ * @param {Object} input - { subject, action, resource, context }
+ * @param {string} path - Dotted path such as "resource.id"
+ * @returns {*} Attribute value, or undefined if missing
+ */
+function getAttribute(input, path) {
+  return path.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), input);
+}
+
+/**
+ * Resolve Value
+ *
+ * @param {Object} input - { subject, action, resource, context }
+ * @param {*} value - Literal value, or { ref: 'path' } for another attribute
+ * @returns {*} The value to compare against
+ */
+function resolveValue(input, value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && 'ref' in value
+    ? getAttribute(input, value.ref)
+    : value;
+}
+
+/**
+ * Evaluate Condition
+ *
+ * @param {Function|Object|undefined} condition - JS function or JSON condition; none always holds
+ * @param {Object} input - { subject, action, resource, context }
+ * @returns {Promise<boolean>} True if the condition holds
+ */
+async function evaluateCondition(condition, input) {
+  if (condition === undefined) {
+    return true;
+  }
+
+  if (typeof condition === 'function') {
+    return Boolean(await condition(input));
+  }
+
+  if (condition.all) {
+    for (const part of condition.all) {
+      if (!(await evaluateCondition(part, input))) return false;
+    }
+    return true;
+  }
+
+  if (condition.any) {
+    for (const part of condition.any) {
+      if (await evaluateCondition(part, input)) return true;
+    }
+    return false;
+  }
+
+  if (condition.not) {
+    return !(await evaluateCondition(condition.not, input));
+  }
+
+  return Object.entries(condition).every(([path, tests]) => {
+    const actual = getAttribute(input, path);
+    // Only the operators above, never inherited keys such as "constructor"; unknown ones never match
+    return Object.entries(tests).every(([operator, expected]) =>
+      Object.hasOwn(OPERATORS, operator) && OPERATORS[operator](actual, resolveValue(input, expected))
+    );
+  });
+}
+
+/**
+ * Validate Condition
+ *
+ * @param {Object} condition - JSON condition
+ * @returns {string|null} Problem description, or null if the condition is valid
+ */
+function validateCondition(condition) {
+  if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+    return 'Conditions must be objects';
+  }
+
+  for (const key of ['all', 'any']) {
+    if (condition[key] !== undefined) {
+      if (!Array.isArray(condition[key])) {
+        return `"${key}" must be a list of conditions`;
+      }
+      for (const part of condition[key]) {
+        const problem = validateCondition(part);
+        if (problem) return problem;
+      }
+      return null;
+    }
+  }
+
+  if (condition.not !== undefined) {
+    return validateCondition(condition.not);
+  }
+
+  for (const [path, tests] of Object.entries(condition)) {
+    if (tests === null || typeof tests !== 'object' || Array.isArray(tests)) {
+      return `Tests for "${path}" must be an object of operators`;
+    }
+    const unknown = Object.keys(tests).filter(operator => !Object.hasOwn(OPERATORS, operator));
+    if (unknown.length > 0) {
+      return `Unknown operators for "${path}": ${unknown.join(', ')}`;
+    }
+    const badRef = Object.values(tests).some(value =>
+      value !== null && typeof value === 'object' && 'ref' in value && typeof value.ref !== 'string'
+    );
+    if (badRef) {
+      return `References for "${path}" must be attribute paths`;
+    }
+    if (tests.between !== undefined && (!Array.isArray(tests.between) || tests.between.length !== 2)) {
+      return `"between" for "${path}" needs [min, max]`;
+    }
+    const ranges = tests.ipInRange;
+    if (ranges !== undefined && !(ranges !== null && typeof ranges === 'object' && 'ref' in ranges)
+      && ![].concat(ranges).every(isValidIpRange)) {
+      return `"ipInRange" for "${path}" needs CIDR ranges with a prefix of 0-32 (IPv4) or 0-128 (IPv6)`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validate Policy
+ *
+ * Used for policies submitted to the dry-run endpoint, which are JSON
+ * only; policies in config/policies.js may also use JS conditions.
+ *
+ * @param {Object} policy - Policy to check
+ * @returns {string|null} Problem description, or null if the policy is valid
+ */
+function validatePolicy(policy) {
+  if (policy === null || typeof policy !== 'object' || Array.isArray(policy)) {
+    return 'Policies must be objects';
+  }
+  if (typeof policy.id !== 'string' || policy.id.length === 0) {
+    return 'Policies need an id';
+  }
+  if (!EFFECTS.includes(policy.effect)) {
+    return `Policy "${policy.id}" must have the effect "allow" or "deny"`;
+  }
+  for (const key of ['actions', 'resources']) {
+    if (policy[key] !== undefined && (!Array.isArray(policy[key]) || policy[key].some(value => typeof value !== 'string'))) {
+      return `"${key}" of policy "${policy.id}" must be a list of names`;
+    }
+  }
+  if (policy.condition !== undefined) {
+    const problem = validateCondition(policy.condition);
+    if (problem) return `Policy "${policy.id}": ${problem}`;
+  }
+  return null;
+}
+
+/**
+ * Policy Applies
+ *
+ * @param {Object} policy - Policy to check
+ * @param {string} action - Requested action
+ * @param {Object|null} resource - Resource with its type
+ * @returns {boolean} True if the policy targets the action and resource type
+ */
+function policyApplies(policy, action, resource) {
+  const actions = policy.actions || ['*'];
+  const resources = policy.resources || ['*'];
+  const resourceType = resource ? resource.type : null;
+
+  return (actions.includes('*') || actions.includes(action))
+    && (resources.includes('*') || resources.includes(resourceType));
+}
+
+/**
+ * Evaluate Policies
+ *
+ * @param {Object} input - Request to decide
+ * @param {Object} input.subject - Who is acting, see buildSubject()
+ * @param {string} input.action - What they want to do
+ * @param {Object|null} [input.resource] - What they act on, with a type
+ * @param {Object} [input.context] - Request context, see buildContext()
+ * @param {Object[]} [policySet] - Policies to use instead of the configured ones
+ * @returns {Promise<Object>} { allowed, effect, policy, reason, trace }
+ */
+async function evaluatePolicies({ subject, action, resource = null, context = {} }, policySet = policies) {
+  const input = { subject, action, resource, context };
+  const trace = [];
+  let allowedBy = null;
+  let deniedBy = null;
+
+  for (const policy of policySet) {
+    if (!policyApplies(policy, action, resource)) {
+      trace.push({ policy: policy.id, effect: policy.effect, applies: false, matched: false });
+      continue;
+    }
+
+    const matched = await evaluateCondition(policy.condition, input);
+    trace.push({ policy: policy.id, effect: policy.effect, applies: true, matched });
+
+    if (matched && policy.effect === 'deny' && !deniedBy) deniedBy = policy;
+    if (matched && policy.effect === 'allow' && !allowedBy) allowedBy = policy;
+  }
+
+  const decidingPolicy = deniedBy || allowedBy;
+  return {
+    allowed: !deniedBy && Boolean(allowedBy),
+    effect: deniedBy ? 'deny' : (allowedBy ? 'allow' : 'deny'),
+    policy: decidingPolicy ? decidingPolicy.id : null,
+    reason: decidingPolicy ? (decidingPolicy.description || decidingPolicy.id) : 'No policy allows this action',
+    trace
+  };
+}
+
+/**
+ * Build Subject
+ *
+ * @param {User} user - Acting user
+ * @returns {Promise<Object>} Subject attributes
+ */
+async function buildSubject(user) {
+  const access = await resolveAccess(user);
+  return {
+    type: 'user',
+    id: user.id,
+    username: user.username,
+    roles: access.roles,
+    permissions: access.permissions,
+    groups: access.groups,
+    organization_ids: user.organization_ids
+  };
+}
+
+/**
+ * Build Client Subject
+ *
+ * Service accounts hold no roles or groups; their permissions are the
+ * scopes of their token.
+ *
+ * @param {Object} client - Client from the token: id, clientId and name
+ * @param {string[]} scopes - Scopes of the token
+ * @returns {Object} Subject attributes with type "service_account"
+ */
+function buildClientSubject(client, scopes) {
+  return {
+    type: 'service_account',
+    id: null,
+    client_id: client.clientId,
+    username: client.name,
+    roles: [],
+    permissions: scopes,
+    groups: [],
+    organization_ids: []
+  };
+}
+
+/**
+ * Build User Resource
+ *
+ * @param {User} user - User acted upon
+ * @returns {Promise<Object>} Resource attributes with type "user"
+ */
+async function buildUserResource(user) {
+  const access = await resolveAccess(user);
+  return {
+    type: 'user',
+    id: user.id,
+    username: user.username,
+    roles: access.roles,
+    permissions: access.permissions,
+    organization_ids: user.organization_ids
+  };
+}
+
+/**
+ * Build Context
+ *
+ * @param {Object} req - Express request
+ * @param {Object} [overrides] - Attributes to use instead, e.g. for dry runs
+ * @param {string} [overrides.ip] - Client address
+ * @param {Date} [overrides.time] - Time of the request
+ * @returns {Object} Context attributes
+ */
+function buildContext(req, { ip, time } = {}) {
+  const now = time || new Date();
+  return {
+    ip: ip || req.ip,
+    time: now.toISOString(),
+    hour: now.getHours(),
+    dayOfWeek: now.getDay()
+  };
+}
+
+/**
+ * Describe Policies
+ *
+ * @returns {Object[]} The configured policies, with JS conditions marked as such
+ */
+function describePolicies() {
+  return policies.map(policy => ({
+    ...policy,
+    condition: typeof policy.condition === 'function' ? '[function]' : policy.condition
+  }));
+}
+
+module.exports = {
+  evaluatePolicies,
+  validatePolicy,
+  buildSubject,
+  buildClientSubject,
+  buildUserResource,
+  buildContext,
+  describePolicies
+};
@@ -0,0 +1,131 @@
+/**
+ * Role Grant Utilities - User Management System
+ *
+ * Rules for granting roles: which roles and permissions need a second
+ * administrator's approval, and the scheduled job that revokes
+ * time-bound role grants once they expire.
+ *
+ * @author Development Team
+ * @version 1.0.0
+ */
+
+const config = require('../config/default');
+const { User } = require('../models/User');
+const { Role } = require('../models/Role');
+
+/**
+ * Is Gated Role
+ *
+ * @param {string} roleName - Role name
+ * @returns {Promise<boolean>} True if the role is, or inherits, one of the roles
+ *   listed in config.roleGrants.approvalRequiredRoles
+ */
+async function isGatedRole(roleName) {
+  const { approvalRequiredRoles } = config.roleGrants;
+  const effectiveRoles = await Role.resolveEffectiveRoles([roleName]);
+  return effectiveRoles.some(role => approvalRequiredRoles.includes(role));
+}
+
+/**
+ * Find Approval Required Permissions
+ *
+ * A permission needs approval if only the gated roles grant it: the
+ * roles in config.roleGrants.approvalRequiredRoles have it, but none of
+ * the other built-in roles do. Custom roles do not count, so a custom
+ * role copying the permissions of a gated role cannot make them
+ * ungated. Whoever is given such a permission - through a role, a group
+ * or a role edit - gets access only a gated role should give.
+ *
+ * @param {string[]} permissionNames - Permissions about to be granted
+ * @returns {Promise<string[]>} The permissions that need a second administrator's approval
+ */
+async function findApprovalRequiredPermissions(permissionNames) {
+  if (permissionNames.length === 0) {
+    return [];
+  }
+
+  const builtInRoles = (await Role.findAll()).filter(role => role.is_system).map(role => role.name);
+  const ungatedRoles = [];
+  for (const roleName of builtInRoles) {
+    if (!(await isGatedRole(roleName))) {
+      ungatedRoles.push(roleName);
+    }
+  }
+
+  const gatedPermissions = await Role.getEffectivePermissionNames(config.roleGrants.approvalRequiredRoles);
+  const ungatedPermissions = await Role.getEffectivePermissionNames(ungatedRoles);
+
+  return permissionNames.filter(permission =>
+    gatedPermissions.includes(permission) && !ungatedPermissions.includes(permission)
+  );
+}
+
+/**
+ * Find Approval Required Roles
+ *
+ * A role needs approval if it is, or inherits, one of the roles listed
+ * in config.roleGrants.approvalRequiredRoles, or if any of its effective
+ * permissions needs approval (see findApprovalRequiredPermissions).
+ *
+ * @param {string[]} roleNames - Roles about to be granted
+ * @returns {Promise<string[]>} The roles that need a second administrator's approval
+ */
+async function findApprovalRequiredRoles(roleNames) {
+  const gated = [];
+
+  for (const roleName of roleNames) {
+    if (await isGatedRole(roleName)) {
+      gated.push(roleName);
+      continue;
+    }
+
+    const permissions = await Role.getEffectivePermissionNames([roleName]);
+    if ((await findApprovalRequiredPermissions(permissions)).length > 0) {
+      gated.push(roleName);
+    }
+  }
+
+  return gated;
+}
+
+/**
+ * Revoke Expired Role Grants
+ *
+ * @returns {Promise<number>} Number of revoked grants
+ */
+async function revokeExpiredRoleGrants() {
+  const revoked = await User.revokeExpiredRoles();
+
+  revoked.forEach(grant => {
+    console.log(`Role expired: ${grant.role} revoked from ${grant.username}`);
+  });
+
+  return revoked.length;
+}
+
+/**
+ * Start Role Expiry Job
+ *
+ * Revokes expired grants now and then every expiryCheckInterval seconds.
+ * Expired grants stop counting immediately (see User), so the job only
+ * has to clean up; a failed run is retried on the next one.
+ *
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+function startRoleExpiryJob() {
+  const run = () => revokeExpiredRoleGrants().catch(error => {
+    console.error('Role expiry job failed:', error.message);
+  });
+
+  run();
+  const timer = setInterval(run, config.roleGrants.expiryCheckInterval * 1000);
+  timer.unref(); // never keep the process alive just for this job
+  return timer;
+}
+
+module.exports = {
+  findApprovalRequiredRoles,
+  findApprovalRequiredPermissions,
+  revokeExpiredRoleGrants,
+  startRoleExpiryJob
+};
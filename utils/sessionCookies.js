@@ -0,0 +1,240 @@
+/**
+ * Session Cookie Utilities - User Management System
+ *
+ * In cookie session mode (config.session.mode 'cookie') the browser
+ * never sees the session tokens: login puts the access token and the
+ * refresh token in Secure, HttpOnly, SameSite cookies, and
+ * authenticateToken reads the access token from there when no header
+ * carries one. Because the browser sends cookies on its own, every
+ * state-changing request authenticated by cookie must also repeat the
+ * CSRF cookie's value in the X-CSRF-Token header (double submit); the
+ * CSRF cookie is the only one scripts can read. authenticateToken and
+ * POST /api/auth/refresh check it. Endpoints that need no session, such
+ * as login, do not.
+ *
+ * An impersonation token gets its own cookie, which takes precedence
+ * over the administrator's access token and expires with the
+ * impersonation, so the administrator's session resumes by itself.
+ *
+ * In header mode (the default) tokens are returned in the response body
+ * and cookies are ignored. API clients can always send x-auth-token or
+ * an Authorization header, in either mode.
+ *
+ * @author Development Team
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const config = require('../config/default');
+
+// Cookie names
+const ACCESS_COOKIE = 'access_token';
+const REFRESH_COOKIE = 'refresh_token';
+const IMPERSONATION_COOKIE = 'impersonation_token';
+const CSRF_COOKIE = 'csrf_token';
+
+// Header the CSRF cookie's value must be repeated in
+const CSRF_HEADER = 'x-csrf-token';
+
+// Token cookies are only sent to the API; the CSRF cookie must be readable on every page
+const API_PATH = '/api';
+
+// Methods that do not change state, so need no CSRF token
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Is Cookie Mode
+ *
+ * @returns {boolean} True if browser sessions are kept in cookies
+ */
+function isCookieMode() {
+  return config.session.mode === 'cookie';
+}
+
+/**
+ * Parse Cookies
+ *
+ * @param {Object} req - Express request
+ * @returns {Object} Cookie values by name
+ */
+function parseCookies(req) {
+  if (!req.sessionCookies) {
+    req.sessionCookies = {};
+    for (const pair of (req.headers.cookie || '').split(';')) {
+      const separator = pair.indexOf('=');
+      if (separator === -1) {
+        continue;
+      }
+
+      const name = pair.slice(0, separator).trim();
+      if (name && !Object.hasOwn(req.sessionCookies, name)) {
+        try {
+          req.sessionCookies[name] = decodeURIComponent(pair.slice(separator + 1).trim());
+        } catch (error) {
+          // Malformed values are ignored like missing ones
+        }
+      }
+    }
+  }
+  return req.sessionCookies;
+}
+
+/**
+ * Get Header Token
+ *
+ * @param {Object} req - Express request
+ * @returns {string|null} Token from x-auth-token or an Authorization Bearer header
+ */
+function getHeaderToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.header('authorization') || '');
+  return req.header('x-auth-token') || (match ? match[1] : null);
+}
+
+/**
+ * Get Request Token
+ *
+ * A token in a header always wins; cookies are only read in cookie mode.
+ *
+ * @param {Object} req - Express request
+ * @returns {{token: string|null, fromCookie: boolean}} Access token and whether a cookie carried it
+ */
+function getRequestToken(req) {
+  const headerToken = getHeaderToken(req);
+  if (headerToken || !isCookieMode()) {
+    return { token: headerToken, fromCookie: false };
+  }
+
+  const cookies = parseCookies(req);
+  const token = cookies[IMPERSONATION_COOKIE] || cookies[ACCESS_COOKIE] || null;
+  return { token, fromCookie: Boolean(token) };
+}
+
+/**
+ * Get Refresh Token
+ *
+ * @param {Object} req - Express request
+ * @returns {{refreshToken: string|null, fromCookie: boolean}} Refresh token from the body or,
+ *   in cookie mode, the refresh cookie
+ */
+function getRefreshToken(req) {
+  const fromBody = req.body && req.body.refreshToken;
+  if ((typeof fromBody === 'string' && fromBody) || !isCookieMode()) {
+    return { refreshToken: fromBody || null, fromCookie: false };
+  }
+
+  const refreshToken = parseCookies(req)[REFRESH_COOKIE] || null;
+  return { refreshToken, fromCookie: Boolean(refreshToken) };
+}
+
+// Options shared by every cookie; maxAge is in seconds
+function cookieOptions(path, maxAge, httpOnly = true) {
+  return {
+    path,
+    maxAge: maxAge * 1000,
+    httpOnly,
+    secure: config.session.cookieSecure,
+    sameSite: config.session.cookieSameSite
+  };
+}
+
+/**
+ * Send Session Tokens
+ *
+ * In header mode the tokens go into the response body. In cookie mode
+ * they are set as cookies together with a new CSRF token, which is also
+ * returned, and the body gets no tokens.
+ *
+ * @param {Object} res - Express response
+ * @param {{token: string, refreshToken: string}} session - Tokens of the new or rotated session
+ * @returns {Object} Fields to add to the response body
+ */
+function sendSessionTokens(res, { token, refreshToken }) {
+  if (!isCookieMode()) {
+    return { token, refreshToken };
+  }
+
+  // Open pages read the cookie on every request, so they pick up the new value
+  const csrfToken = crypto.randomBytes(32).toString('base64url');
+
+  res.cookie(ACCESS_COOKIE, token, cookieOptions(API_PATH, config.jwtExpiration));
+  res.cookie(REFRESH_COOKIE, refreshToken, cookieOptions(API_PATH, config.refreshTokenExpiration));
+  res.cookie(CSRF_COOKIE, csrfToken, cookieOptions('/', config.refreshTokenExpiration, false));
+  res.clearCookie(IMPERSONATION_COOKIE, cookieOptions(API_PATH, 0));
+  return { csrfToken };
+}
+
+/**
+ * Send Impersonation Token
+ *
+ * In cookie mode the token is set in the impersonation cookie, next to
+ * the administrator's own session cookies.
+ *
+ * @param {Object} res - Express response
+ * @param {{token: string, expiresAt: Date}} session - Impersonation session
+ * @returns {Object} Fields to add to the response body
+ */
+function sendImpersonationToken(res, { token, expiresAt }) {
+  if (!isCookieMode()) {
+    return { token };
+  }
+
+  const expiresIn = Math.max(0, Math.floor((expiresAt.getTime() - Date.now()) / 1000));
+  res.cookie(IMPERSONATION_COOKIE, token, cookieOptions(API_PATH, expiresIn));
+  return {};
+}
+
+/**
+ * Clear Session Cookies
+ *
+ * @param {Object} res - Express response
+ * @param {Object} [options] - What to clear
+ * @param {boolean} [options.impersonationOnly=false] - Only end impersonation, keeping the
+ *   administrator's session
+ */
+function clearSessionCookies(res, { impersonationOnly = false } = {}) {
+  if (!isCookieMode()) {
+    return;
+  }
+
+  res.clearCookie(IMPERSONATION_COOKIE, cookieOptions(API_PATH, 0));
+  if (!impersonationOnly) {
+    res.clearCookie(ACCESS_COOKIE, cookieOptions(API_PATH, 0));
+    res.clearCookie(REFRESH_COOKIE, cookieOptions(API_PATH, 0));
+    res.clearCookie(CSRF_COOKIE, cookieOptions('/', 0, false));
+  }
+}
+
+/**
+ * Check CSRF Token
+ *
+ * Only needed for requests authenticated by a cookie; requests that
+ * do not change state always pass.
+ *
+ * @param {Object} req - Express request
+ * @returns {boolean} True if the CSRF header matches the CSRF cookie
+ */
+function checkCsrfToken(req) {
+  if (SAFE_METHODS.includes(req.method)) {
+    return true;
+  }
+
+  const cookie = parseCookies(req)[CSRF_COOKIE];
+  const header = req.header(CSRF_HEADER);
+  if (!cookie || !header) {
+    return false;
+  }
+
+  const expected = Buffer.from(cookie);
+  const presented = Buffer.from(header);
+  return expected.length === presented.length && crypto.timingSafeEqual(expected, presented);
+}
+
+module.exports = {
+  isCookieMode,
+  getRequestToken,
+  getRefreshToken,
+  sendSessionTokens,
+  sendImpersonationToken,
+  clearSessionCookies,
+  checkCsrfToken
+};
@@ -0,0 +1,313 @@
+/**
+ * Signing Key Utilities - User Management System
+ *
+ * Every JWT this server issues - session access tokens, service account
+ * tokens, MFA challenges and OpenID Connect tokens - is signed with an
+ * asymmetric key (RS256 or ES256) from config.signingKeys.directory and
+ * names it in its "kid" header. Other services verify the tokens with
+ * the public keys from /.well-known/jwks.json; no shared secret is
+ * needed.
+ *
+ * The directory holds PEM private keys. The newest file (by modification
+ * time) signs; older ones only verify. The rotation job adds a new key
+ * every rotationInterval and deletes retired keys once they have not
+ * signed anything for retention seconds, which must be longer than the
+ * longest token lifetime. Keys may also be managed outside the server:
+ * set rotationInterval to 0 and place PEM files in the directory.
+ *
+ * @author Development Team
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const config = require('../config/default');
+
+// Key generation parameters of the supported algorithms
+const ALGORITHMS = {
+  RS256: { type: 'rsa', options: { modulusLength: 2048 } },
+  ES256: { type: 'ec', options: { namedCurve: 'P-256' } }
+};
+
+// Seconds between reloads of the directory for tokens with an unknown key ID,
+// e.g. signed by another instance that has just rotated
+const UNKNOWN_KEY_RELOAD_INTERVAL = 60;
+
+// Loaded keys, newest (the signing key) first
+let keys = null;
+let loadedAt = 0;
+
+/**
+ * Get Key Algorithm
+ *
+ * @param {KeyObject} publicKey - Public key
+ * @returns {string|null} JWT algorithm for the key, or null if unsupported
+ */
+function getKeyAlgorithm(publicKey) {
+  if (publicKey.asymmetricKeyType === 'rsa') {
+    return 'RS256';
+  }
+  if (publicKey.asymmetricKeyType === 'ec' && publicKey.asymmetricKeyDetails.namedCurve === 'prime256v1') {
+    return 'ES256';
+  }
+  return null;
+}
+
+/**
+ * Compute Key ID
+ *
+ * The JWK thumbprint (RFC 7638) of the public key, so the same key
+ * always gets the same ID on every instance.
+ *
+ * @param {KeyObject} publicKey - Public key
+ * @returns {string} Key ID
+ */
+function computeKeyId(publicKey) {
+  const jwk = publicKey.export({ format: 'jwk' });
+  const members = jwk.kty === 'EC'
+    ? { crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y }
+    : { e: jwk.e, kty: jwk.kty, n: jwk.n };
+  return crypto.createHash('sha256').update(JSON.stringify(members)).digest('base64url');
+}
+
+/**
+ * Load Keys
+ *
+ * Reads every PEM private key in the directory. Files that are not
+ * supported keys are skipped with a warning.
+ *
+ * @returns {Object[]} Keys, newest first: { kid, alg, privateKey, publicKey, createdAt, file }
+ */
+function loadKeys() {
+  const directory = config.signingKeys.directory;
+  fs.mkdirSync(directory, { recursive: true, mode: 0o700 });
+
+  const loaded = [];
+  for (const name of fs.readdirSync(directory)) {
+    if (!name.endsWith('.pem')) {
+      continue;
+    }
+
+    const file = path.join(directory, name);
+    try {
+      const privateKey = crypto.createPrivateKey(fs.readFileSync(file, 'utf8'));
+      const publicKey = crypto.createPublicKey(privateKey);
+      const alg = getKeyAlgorithm(publicKey);
+      if (!alg) {
+        console.warn(`Signing key skipped, unsupported key type: ${file}`);
+        continue;
+      }
+
+      const kid = computeKeyId(publicKey);
+      if (!loaded.some(key => key.kid === kid)) {
+        loaded.push({ kid, alg, privateKey, publicKey, createdAt: fs.statSync(file).mtime, file });
+      }
+    } catch (error) {
+      console.warn(`Signing key skipped, could not read ${file}: ${error.message}`);
+    }
+  }
+
+  loaded.sort((a, b) => b.createdAt - a.createdAt);
+  keys = loaded;
+  loadedAt = Date.now();
+  return keys;
+}
+
+/**
+ * Create Key
+ *
+ * @returns {string} File the new private key was written to
+ */
+function createKey() {
+  const algorithm = config.signingKeys.algorithm;
+  const { type, options } = ALGORITHMS[algorithm];
+  const { privateKey } = crypto.generateKeyPairSync(type, options);
+
+  const file = path.join(config.signingKeys.directory, `${Date.now()}-${algorithm.toLowerCase()}.pem`);
+  fs.writeFileSync(file, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+  console.log(`Signing key created: ${file}`);
+  return file;
+}
+
+/**
+ * Rotate Signing Keys
+ *
+ * Creates a new signing key when there is none, when the newest is
+ * older than rotationInterval or when it uses another algorithm than
+ * configured, then deletes keys retired more than retention seconds ago.
+ * With rotationInterval 0 only a missing key is created. Keys are
+ * reloaded from disk either way.
+ *
+ * @param {Date} [now] - Current time
+ * @returns {{created: boolean, removed: number}} What changed
+ */
+function rotateSigningKeys(now = new Date()) {
+  const { algorithm, rotationInterval, retention } = config.signingKeys;
+  if (!ALGORITHMS[algorithm]) {
+    throw new Error(`Unsupported signing algorithm: ${algorithm} (use ${Object.keys(ALGORITHMS).join(' or ')})`);
+  }
+
+  let current = loadKeys();
+  const newest = current[0];
+
+  // Externally managed keys are left alone, unless there are none at all
+  const managed = rotationInterval > 0;
+  if (newest && !managed) {
+    return { created: false, removed: 0 };
+  }
+
+  let created = false;
+  if (!newest || now - newest.createdAt >= rotationInterval * 1000 || newest.alg !== algorithm) {
+    createKey();
+    current = loadKeys();
+    created = true;
+  }
+
+  // A key retires when the next newer one starts signing
+  let removed = 0;
+  for (let i = 1; i < current.length; i++) {
+    if (now - current[i - 1].createdAt > retention * 1000) {
+      fs.unlinkSync(current[i].file);
+      console.log(`Signing key removed: ${current[i].file}`);
+      removed++;
+    }
+  }
+
+  if (removed > 0) {
+    loadKeys();
+  }
+  return { created, removed };
+}
+
+/**
+ * Get Keys
+ *
+ * @returns {Object[]} Keys that verify tokens, newest (signing) first
+ */
+function getKeys() {
+  if (!keys || keys.length === 0) {
+    rotateSigningKeys();
+  }
+  return keys;
+}
+
+/**
+ * Find Key by ID
+ *
+ * Reloads the directory, at most once a minute, when the key is not
+ * known, as another instance may have created it.
+ *
+ * @param {string} kid - Key ID from a token header
+ * @returns {Object|null} Key, or null if unknown
+ */
+function findKey(kid) {
+  let key = getKeys().find(candidate => candidate.kid === kid);
+  if (!key && Date.now() - loadedAt > UNKNOWN_KEY_RELOAD_INTERVAL * 1000) {
+    key = loadKeys().find(candidate => candidate.kid === kid);
+  }
+  return key || null;
+}
+
+/**
+ * Sign JWT
+ *
+ * @param {Object} payload - Claims
+ * @param {Object} [options] - jsonwebtoken sign options, e.g. expiresIn or audience
+ * @returns {string} JWT signed with the current key, with its "kid" and the issuer
+ */
+function signJwt(payload, options = {}) {
+  const key = getKeys()[0];
+  return jwt.sign(payload, key.privateKey, {
+    ...options,
+    algorithm: key.alg,
+    keyid: key.kid,
+    issuer: config.oidc.issuer
+  });
+}
+
+/**
+ * Verify JWT
+ *
+ * Only the algorithm of the key named by "kid" is accepted.
+ *
+ * @param {string} token - JWT
+ * @param {Object} [options] - jsonwebtoken verify options, e.g. audience or complete
+ * @returns {Object} Decoded token
+ * @throws {jwt.JsonWebTokenError} If the token is invalid, expired or signed with an unknown key
+ */
+function verifyJwt(token, options = {}) {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded || typeof decoded.header.kid !== 'string') {
+    throw new jwt.JsonWebTokenError('jwt has no key ID');
+  }
+
+  const key = findKey(decoded.header.kid);
+  if (!key) {
+    throw new jwt.JsonWebTokenError('jwt signed with an unknown key');
+  }
+
+  return jwt.verify(token, key.publicKey, {
+    ...options,
+    algorithms: [key.alg],
+    issuer: config.oidc.issuer
+  });
+}
+
+/**
+ * Get JSON Web Key Set
+ *
+ * @returns {{keys: Object[]}} Public keys of every key that still verifies tokens
+ */
+function getJwks() {
+  return {
+    keys: getKeys().map(key => ({
+      ...key.publicKey.export({ format: 'jwk' }),
+      kid: key.kid,
+      use: 'sig',
+      alg: key.alg
+    }))
+  };
+}
+
+/**
+ * Get Signing Algorithms
+ *
+ * @returns {string[]} Algorithms of the keys that verify tokens
+ */
+function getSigningAlgorithms() {
+  return [...new Set(getKeys().map(key => key.alg))];
+}
+
+/**
+ * Start Key Rotation Job
+ *
+ * Rotates now and then every rotationCheckInterval seconds; a failed
+ * run is retried on the next one.
+ *
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+function startKeyRotationJob() {
+  const run = () => {
+    try {
+      rotateSigningKeys();
+    } catch (error) {
+      console.error('Key rotation job failed:', error.message);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, config.signingKeys.rotationCheckInterval * 1000);
+  timer.unref(); // never keep the process alive just for this job
+  return timer;
+}
+
+module.exports = {
+  rotateSigningKeys,
+  signJwt,
+  verifyJwt,
+  getJwks,
+  getSigningAlgorithms,
+  startKeyRotationJob
+};
@@ -0,0 +1,299 @@
+/**
+ * Token Utilities - User Management System
+ *
+ * This module issues and rotates the tokens that make up a login session:
+ * a short-lived JWT access token and a long-lived opaque refresh token.
+ * Both carry the same session ID, so revoking the refresh token family
+ * also invalidates any access token issued for that session. Every
+ * session is also recorded with the client it was started from (see
+ * models/Session), for the session list.
+ *
+ * @author Development Team
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const config = require('../config/default');
+const { User } = require('../models/User');
+const { RefreshToken } = require('../models/RefreshToken');
+const { Session } = require('../models/Session');
+const { resolveAccess } = require('./access');
+const { signJwt, verifyJwt } = require('./signingKeys');
+
+// Audience claim that marks MFA challenge tokens
+const MFA_CHALLENGE_AUDIENCE = 'mfa-challenge';
+
+/**
+ * Hash Opaque Token
+ *
+ * Opaque tokens are only ever stored as SHA-256 hashes.
+ *
+ * @param {string} token - Raw token value
+ * @returns {string} Hex-encoded hash
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Generate Opaque Token
+ *
+ * @param {number} [bytes=32] - Amount of random data
+ * @returns {string} Hex-encoded random token
+ */
+function generateToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+/**
+ * Build Token User
+ *
+ * The "user" claim of access tokens: the primary role and the effective
+ * role set, including inherited roles.
+ *
+ * @param {User} user - User the token is for
+ * @returns {Promise<Object>} User claim
+ */
+async function buildTokenUser(user) {
+  const { roles } = await resolveAccess(user);
+  return {
+    id: user.id,
+    username: user.username,
+    role: user.role,
+    roles
+  };
+}
+
+/**
+ * Sign Access Token
+ *
+ * Builds the JWT payload for a user and signs it for the given session.
+ *
+ * @param {User} user - Authenticated user
+ * @param {string} sessionId - Session (refresh token family) ID
+ * @returns {Promise<string>} Signed JWT
+ */
+async function signAccessToken(user, sessionId) {
+  const tokenPayload = {
+    user: await buildTokenUser(user),
+    sid: sessionId
+  };
+
+  return signJwt(tokenPayload, { expiresIn: config.jwtExpiration });
+}
+
+/**
+ * Sign MFA Challenge Token
+ *
+ * Issued after a correct password for users with two-factor
+ * authentication. It only proves the first factor and carries no
+ * session ID, so authenticateToken never accepts it.
+ *
+ * @param {User} user - User who passed the password check
+ * @returns {string} Signed JWT
+ */
+function signMfaChallengeToken(user) {
+  return signJwt(
+    { mfa: { userId: user.id } },
+    { expiresIn: config.mfa.challengeExpiration, audience: MFA_CHALLENGE_AUDIENCE }
+  );
+}
+
+/**
+ * Verify MFA Challenge Token
+ *
+ * @param {string} token - Challenge token from the login response
+ * @returns {{userId: number, issuedAt: Date}|null} User ID and issue time, or null if
+ *   invalid or expired
+ */
+function verifyMfaChallengeToken(token) {
+  try {
+    const decoded = verifyJwt(token, { audience: MFA_CHALLENGE_AUDIENCE });
+    return decoded.mfa ? { userId: decoded.mfa.userId, issuedAt: new Date(decoded.iat * 1000) } : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Issue Refresh Token
+ *
+ * @param {number} userId - Owning user ID
+ * @param {string} familyId - Session family the token belongs to
+ * @returns {Promise<{id: number, token: string}>} Stored ID and raw token
+ */
+async function issueRefreshToken(userId, familyId) {
+  const token = generateToken();
+  const id = await RefreshToken.create({
+    userId,
+    tokenHash: hashToken(token),
+    familyId,
+    expiresIn: config.refreshTokenExpiration
+  });
+
+  return { id, token };
+}
+
+/**
+ * Create Session
+ *
+ * Starts a new login session for the user.
+ *
+ * @param {User} user - Authenticated user
+ * @param {Object} [client] - Client the login came from, see utils/clientInfo
+ * @param {string|null} [client.userAgent] - User agent
+ * @param {string|null} [client.ipAddress] - IP address
+ * @returns {Promise<{token: string, refreshToken: string, sessionId: string}>}
+ */
+async function createSession(user, { userAgent = null, ipAddress = null } = {}) {
+  const sessionId = crypto.randomUUID();
+  const refreshToken = await issueRefreshToken(user.id, sessionId);
+  await Session.create({ id: sessionId, userId: user.id, userAgent, ipAddress });
+
+  return {
+    token: await signAccessToken(user, sessionId),
+    refreshToken: refreshToken.token,
+    sessionId
+  };
+}
+
+/**
+ * Create Impersonation Session
+ *
+ * Starts a session in which an administrator acts as another user. The
+ * access token carries the target as "user", like any other token, and
+ * the administrator as "impersonator". No refresh token is handed out:
+ * the session ends when the access token expires, or earlier when it is
+ * stopped or revoked.
+ *
+ * @param {Object} impersonator - { id, username } of the acting administrator
+ * @param {User} user - User to impersonate
+ * @param {Object} [client] - Client the administrator is using, see utils/clientInfo
+ * @param {string|null} [client.userAgent] - User agent
+ * @param {string|null} [client.ipAddress] - IP address
+ * @returns {Promise<{token: string, sessionId: string, expiresAt: Date}>}
+ */
+async function createImpersonationSession(impersonator, user, { userAgent = null, ipAddress = null } = {}) {
+  const sessionId = crypto.randomUUID();
+  const expiresIn = config.impersonation.expiration;
+
+  // Only keeps the session active for authenticateToken - the raw token is discarded
+  await RefreshToken.create({
+    userId: user.id,
+    tokenHash: hashToken(generateToken()),
+    familyId: sessionId,
+    expiresIn
+  });
+  await Session.create({ id: sessionId, userId: user.id, impersonatorId: impersonator.id, userAgent, ipAddress });
+
+  const token = signJwt(
+    {
+      user: await buildTokenUser(user),
+      impersonator: {
+        id: impersonator.id,
+        username: impersonator.username
+      },
+      sid: sessionId
+    },
+    { expiresIn }
+  );
+
+  return {
+    token,
+    sessionId,
+    expiresAt: new Date(Date.now() + expiresIn * 1000)
+  };
+}
+
+/**
+ * Sign Client Token
+ *
+ * Access token for a service account (OAuth2 client_credentials). It
+ * carries a "client" claim instead of "user" and the granted scopes as
+ * a space-separated "scope" string, and has no session.
+ *
+ * @param {ServiceAccount} account - Authenticated service account
+ * @param {string[]} scopes - Granted scopes
+ * @returns {string} Signed JWT
+ */
+function signClientToken(account, scopes) {
+  return signJwt(
+    {
+      client: {
+        id: account.id,
+        clientId: account.client_id,
+        name: account.name
+      },
+      scope: scopes.join(' ')
+    },
+    { expiresIn: config.serviceAccounts.tokenExpiration, subject: account.client_id }
+  );
+}
+
+/**
+ * Rotate Session
+ *
+ * Exchanges a refresh token for a new access/refresh token pair. The
+ * presented token is revoked on every use. Presenting a token that has
+ * already been rotated means it was copied, so the whole session family
+ * is revoked.
+ *
+ * @param {string} rawToken - Refresh token presented by the client
+ * @param {Object} [client] - Client presenting the token, see utils/clientInfo
+ * @param {string|null} [client.ipAddress] - IP address, recorded as the session's last seen
+ * @returns {Promise<Object|null>} New tokens and user, or null if rejected
+ */
+async function rotateSession(rawToken, { ipAddress = null } = {}) {
+  const stored = await RefreshToken.findByHash(hashToken(rawToken));
+  if (!stored) {
+    return null;
+  }
+
+  if (stored.revoked_at) {
+    if (stored.replaced_by) {
+      console.warn(`Refresh token reuse detected, revoking session ${stored.family_id}`);
+      await RefreshToken.revokeFamily(stored.family_id);
+    }
+    return null;
+  }
+
+  if (new Date(stored.expires_at) <= new Date()) {
+    return null;
+  }
+
+  const user = await User.findById(stored.user_id);
+  if (!user) {
+    return null;
+  }
+
+  const next = await issueRefreshToken(user.id, stored.family_id);
+  const rotated = await RefreshToken.markReplaced(stored.id, next.id);
+  if (!rotated) {
+    // Another request rotated this token first - treat as reuse
+    console.warn(`Concurrent refresh token use detected, revoking session ${stored.family_id}`);
+    await RefreshToken.revokeFamily(stored.family_id);
+    return null;
+  }
+
+  await Session.touch(stored.family_id, ipAddress);
+
+  return {
+    user,
+    token: await signAccessToken(user, stored.family_id),
+    refreshToken: next.token,
+    sessionId: stored.family_id
+  };
+}
+
+module.exports = {
+  hashToken,
+  generateToken,
+  buildTokenUser,
+  signAccessToken,
+  signMfaChallengeToken,
+  verifyMfaChallengeToken,
+  createSession,
+  createImpersonationSession,
+  signClientToken,
+  rotateSession
+};
@@ -0,0 +1,188 @@
+/**
+ * TOTP Utilities - User Management System
+ *
+ * Time-based one-time passwords as specified in RFC 6238 (built on the
+ * HOTP algorithm from RFC 4226), compatible with common authenticator
+ * apps: HMAC-SHA1, 6 digits, 30 second time step.
+ *
+ * @author Development Team
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const PERIOD = 30; // seconds
+
+/**
+ * Base32 Encode (RFC 4648, no padding)
+ *
+ * @param {Buffer} buffer - Data to encode
+ * @returns {string} Base32 string
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Base32 Decode (RFC 4648, padding and case ignored)
+ *
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded data
+ * @throws {Error} Invalid base32 characters
+ */
+function base32Decode(input) {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s+/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate Secret
+ *
+ * @param {number} [bytes=20] - Secret length (160 bits as recommended by RFC 4226)
+ * @returns {string} Base32-encoded secret
+ */
+function generateSecret(bytes = 20) {
+  return base32Encode(crypto.randomBytes(bytes));
+}
+
+/**
+ * Current Time Step
+ *
+ * @param {number} [now=Date.now()] - Timestamp in milliseconds
+ * @returns {number} Number of periods since the Unix epoch
+ */
+function getTimeStep(now = Date.now()) {
+  return Math.floor(now / 1000 / PERIOD);
+}
+
+/**
+ * Generate Code
+ *
+ * Computes the HOTP value for a time step.
+ *
+ * @param {string} secret - Base32-encoded secret
+ * @param {number} step - Time step counter
+ * @returns {string} Zero-padded numeric code
+ */
+function generateCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeUInt32BE(Math.floor(step / 0x100000000), 0);
+  counter.writeUInt32BE(step % 0x100000000, 4);
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+
+  // Dynamic truncation (RFC 4226 section 5.3)
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return String(binary % (10 ** DIGITS)).padStart(DIGITS, '0');
+}
+
+/**
+ * Verify Code
+ *
+ * Accepts codes from adjacent time steps to tolerate clock drift.
+ * Returns the matching step so callers can reject a code that has
+ * already been used.
+ *
+ * @param {string} secret - Base32-encoded secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} [options] - Verification options
+ * @param {number} [options.window=1] - Steps accepted before and after now
+ * @param {number} [options.now=Date.now()] - Timestamp in milliseconds
+ * @returns {number|null} Matching time step, or null if invalid
+ */
+function verifyCode(secret, code, { window = 1, now = Date.now() } = {}) {
+  const normalized = String(code || '').replace(/\s+/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== DIGITS) {
+    return null;
+  }
+
+  const currentStep = getTimeStep(now);
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    const expected = generateCode(secret, step);
+
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build Provisioning URI
+ *
+ * Builds the otpauth:// URI that authenticator apps read from a QR code.
+ *
+ * @param {Object} params - URI parameters
+ * @param {string} params.secret - Base32-encoded secret
+ * @param {string} params.accountName - Account label shown in the app
+ * @param {string} params.issuer - Service name shown in the app
+ * @returns {string} otpauth URI
+ */
+function buildOtpauthUrl({ secret, accountName, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  getTimeStep,
+  generateCode,
+  verifyCode,
+  buildOtpauthUrl
+};